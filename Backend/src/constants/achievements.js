@@ -0,0 +1,114 @@
+/**
+ * Achievement Catalog - Badges and the rules that unlock them
+ * Each achievement unlocks once `metric` (see METRICS in achievementService)
+ * reaches `threshold`. IDs are stored on unlock, so never rename them.
+ */
+
+export const ACHIEVEMENTS = [
+    {
+        id: "first_lesson",
+        title: "First Steps",
+        description: "Complete your first lesson",
+        icon: "🎓",
+        metric: "lessonsCompleted",
+        threshold: 1,
+    },
+    {
+        id: "five_lessons",
+        title: "Dedicated Learner",
+        description: "Complete 5 lessons",
+        icon: "📚",
+        metric: "lessonsCompleted",
+        threshold: 5,
+    },
+    {
+        id: "perfect_lesson",
+        title: "Perfectionist",
+        description: "Earn 3 stars in a lesson",
+        icon: "⭐",
+        metric: "perfectLessons",
+        threshold: 1,
+    },
+    {
+        id: "star_collector",
+        title: "Star Collector",
+        description: "Earn 25 stars",
+        icon: "🌟",
+        metric: "totalStars",
+        threshold: 25,
+    },
+    {
+        id: "streak_3",
+        title: "On Fire",
+        description: "Practice 3 days in a row",
+        icon: "🔥",
+        metric: "longestStreak",
+        threshold: 3,
+    },
+    {
+        id: "streak_7",
+        title: "Week Warrior",
+        description: "Practice 7 days in a row",
+        icon: "📅",
+        metric: "longestStreak",
+        threshold: 7,
+    },
+    {
+        id: "streak_30",
+        title: "Unstoppable",
+        description: "Practice 30 days in a row",
+        icon: "🏆",
+        metric: "longestStreak",
+        threshold: 30,
+    },
+    {
+        id: "signs_10",
+        title: "Getting the Hang of It",
+        description: "Have 10 signs recognized by the camera",
+        icon: "✋",
+        metric: "signsRecognized",
+        threshold: 10,
+    },
+    {
+        id: "signs_100",
+        title: "Sign Spotter",
+        description: "Have 100 signs recognized by the camera",
+        icon: "💯",
+        metric: "signsRecognized",
+        threshold: 100,
+    },
+    {
+        id: "alphabet_mastered",
+        title: "Alphabet Master",
+        description: "Sign every letter from A to Z with at least 80% accuracy",
+        icon: "🔤",
+        metric: "lettersMastered",
+        threshold: 26,
+    },
+    {
+        id: "practice_hour",
+        title: "Hour of Practice",
+        description: "Practice for 60 minutes in total",
+        icon: "⏱️",
+        metric: "totalPracticeTime",
+        threshold: 60,
+    },
+    {
+        id: "goal_getter",
+        title: "Goal Getter",
+        description: "Meet your daily goal on 7 days",
+        icon: "🎯",
+        metric: "dailyGoalsMet",
+        threshold: 7,
+    },
+];
+
+/**
+ * Get an achievement from the catalog, or null if the ID is unknown
+ */
+export const getAchievement = (achievementId) => ACHIEVEMENTS.find((item) => item.id === achievementId) || null;
+
+export default {
+    ACHIEVEMENTS,
+    getAchievement,
+};
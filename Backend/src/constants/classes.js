@@ -0,0 +1,17 @@
+/**
+ * Classroom Rules - Limits for teacher classes and join codes
+ */
+
+export const CLASS_RULES = {
+    MAX_STUDENTS: 40,
+    MAX_CLASSES_PER_TEACHER: 20,
+    MAX_ASSIGNMENTS: 50,
+    NAME_MAX_LENGTH: 60,
+    JOIN_CODE_LENGTH: 6,
+    JOIN_CODE_ALPHABET: "ABCDEFGHJKLMNPQRSTUVWXYZ23456789", // No 0/O or 1/I lookalikes
+    JOIN_CODE_ATTEMPTS: 5,  // Fresh codes tried before giving up on a collision
+};
+
+export default {
+    CLASS_RULES,
+};
@@ -0,0 +1,36 @@
+/**
+ * League Tiers - Weekly leaderboard divisions, lowest first
+ * Tier IDs are stored on users and leagues, so never rename them.
+ */
+
+export const LEAGUE_TIERS = [
+    { id: "bronze", name: "Bronze League", icon: "🥉" },
+    { id: "silver", name: "Silver League", icon: "🥈" },
+    { id: "gold", name: "Gold League", icon: "🥇" },
+    { id: "sapphire", name: "Sapphire League", icon: "🔷" },
+    { id: "ruby", name: "Ruby League", icon: "🔴" },
+    { id: "diamond", name: "Diamond League", icon: "💎" },
+];
+
+/**
+ * League size and the week-end moves
+ * The top PROMOTE_COUNT members move up a tier, the bottom DEMOTE_COUNT move
+ * down; members who earned no XP that week never move up.
+ */
+export const LEAGUE_RULES = {
+    LEAGUE_SIZE: 20,
+    PROMOTE_COUNT: 5,
+    DEMOTE_COUNT: 5,
+    MIN_MEMBERS_FOR_DEMOTION: 10, // Small leagues only promote
+};
+
+/**
+ * Get a tier by ID, falling back to the lowest tier for unknown IDs
+ */
+export const getLeagueTier = (tierId) => LEAGUE_TIERS.find((tier) => tier.id === tierId) || LEAGUE_TIERS[0];
+
+export default {
+    LEAGUE_TIERS,
+    LEAGUE_RULES,
+    getLeagueTier,
+};
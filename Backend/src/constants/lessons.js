@@ -0,0 +1,102 @@
+/**
+ * Lesson Catalog - Lessons and signs the backend scores against
+ * Mirrors LESSONS in the frontend lesson data (category is its categoryId).
+ * Signs marked verifiable are in the recognizer's class labels, so practice
+ * attempts can be checked. A sign's demo is what the quiz shows in its place,
+ * so questions never need to name the sign.
+ */
+
+/**
+ * Demonstration of a sign, as in the frontend lesson data
+ */
+const demo = (description) => ({
+    description,
+    imageUrl: "placeholder_image_url",
+    videoUrl: "placeholder_video_url",
+});
+
+export const LESSON_CATALOG = {
+    lesson_1: {
+        title: "Greetings",
+        category: "basics",
+        signs: [
+            { id: "hello", word: "Hello", verifiable: true, demo: demo("Wave your hand with palm facing outward") },
+            { id: "goodbye", word: "Goodbye", verifiable: true, demo: demo("Wave your hand while closing and opening palm") },
+            { id: "thank_you", word: "Thank You", verifiable: true, demo: demo("Move hand from chin forward") },
+        ],
+    },
+    lesson_2: {
+        title: "Basic Needs",
+        category: "basics",
+        signs: [
+            { id: "help", word: "Help", verifiable: true, demo: demo("Closed fist on open palm, raise together") },
+            { id: "please", word: "Please", verifiable: true, demo: demo("Circular motion over chest with open palm") },
+        ],
+    },
+    lesson_3: {
+        title: "Letters A-G",
+        category: "alphabet",
+        signs: [
+            { id: "letter_a", word: "A", verifiable: true, demo: demo("Closed fist with thumb on side") },
+            { id: "letter_b", word: "B", verifiable: true, demo: demo("Flat hand with thumb across palm") },
+            { id: "letter_c", word: "C", verifiable: true, demo: demo("Curved hand forming letter C") },
+        ],
+    },
+    lesson_4: {
+        title: "Numbers 1-5",
+        category: "numbers",
+        signs: [
+            { id: "number_1", word: "1", verifiable: true, demo: demo("Index finger extended upward") },
+            { id: "number_2", word: "2", verifiable: true, demo: demo("Index and middle finger extended") },
+        ],
+    },
+    lesson_5: {
+        title: "Daily Expressions",
+        category: "common_phrases",
+        signs: [
+            { id: "how_are_you", word: "How are you?", verifiable: false, demo: demo("Combination of multiple signs") },
+            { id: "nice_to_meet_you", word: "Nice to meet you", verifiable: false, demo: demo("Combination gesture expressing pleasure") },
+        ],
+    },
+};
+
+/**
+ * Class labels of the recognizer bundled with the frontend (MODEL_CONFIG.classLabels)
+ * Free practice can recognize these signs even when no lesson teaches them
+ */
+export const RECOGNIZER_LABELS = [
+    "A", "B", "C", "D", "E", "F", "G", "H", "I", "J", "K", "L", "M",
+    "N", "O", "P", "Q", "R", "S", "T", "U", "V", "W", "X", "Y", "Z",
+    "Hello", "Goodbye", "Thank You", "Please", "Help", "Yes", "No",
+    "1", "2", "3", "4", "5", "6", "7", "8", "9", "10",
+];
+
+/**
+ * Get a lesson from the catalog, or null if the ID is unknown
+ */
+export const getCatalogLesson = (lessonId) =>
+    Object.prototype.hasOwnProperty.call(LESSON_CATALOG, lessonId) ? LESSON_CATALOG[lessonId] : null;
+
+/**
+ * Find a catalog sign by its ID or its recognizer label ("Thank You"), with its lesson
+ */
+export const findCatalogSign = (label) => {
+    const toKey = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+    const key = toKey(label);
+
+    for (const [lessonId, lesson] of Object.entries(LESSON_CATALOG)) {
+        const sign = lesson.signs.find((item) => item.id === key || toKey(item.word) === key);
+        if (sign) {
+            return { ...sign, lessonId };
+        }
+    }
+
+    return null;
+};
+
+export default {
+    LESSON_CATALOG,
+    RECOGNIZER_LABELS,
+    getCatalogLesson,
+    findCatalogSign,
+};
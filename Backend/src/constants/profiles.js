@@ -0,0 +1,16 @@
+/**
+ * Profile Rules - Child profiles under a parent account and the parent PIN
+ */
+
+export const PROFILE_RULES = {
+    MAX_CHILD_PROFILES: 6,
+    NAME_MAX_LENGTH: 30,
+    PIN_PATTERN: /^\d{4}$/,         // Four digits
+    MAX_PIN_ATTEMPTS: 5,            // Wrong PINs in a row before the PIN locks...
+    PIN_LOCK_MINUTES: 5,            // ...for this long
+    AVATARS: ["🦊", "🐼", "🐸", "🦁", "🐙", "🐧", "🐨", "🦄"],
+};
+
+export default {
+    PROFILE_RULES,
+};
@@ -0,0 +1,101 @@
+/**
+ * Progress Constants - Scoring rules shared by all progress routes
+ * Mirrors PROGRESS_CONSTANTS in the frontend lesson data
+ */
+
+export const PROGRESS_CONSTANTS = {
+    MIN_ACCURACY_FOR_COMPLETION: 80, // 80% accuracy required to complete a sign
+    PRACTICE_ATTEMPTS_PER_SIGN: 3,   // Number of attempts per sign
+    STARS_FOR_COMPLETION: 3,         // Maximum stars per lesson
+};
+
+/**
+ * How lesson attempts turn into score and stars, and what counts as plausible
+ */
+export const SCORING_RULES = {
+    POINTS_PER_SIGN: 10,               // Awarded in full for a 100% accurate sign
+    POINTS_PER_UNVERIFIED_SIGN: 5,     // Signs the recognizer can't check yet
+    THREE_STAR_ACCURACY: 90,           // Average accuracy needed for full stars
+    MIN_ATTEMPT_DURATION_MS: 300,      // Faster than any sign can be performed and recognized
+    MAX_ATTEMPT_DURATION_MS: 60 * 1000,
+    MAX_SUBMISSION_AGE_MS: 24 * 60 * 60 * 1000, // Attempts must be from the last day
+    MAX_CLOCK_SKEW_MS: 5 * 60 * 1000,  // Tolerated difference between client and server clocks
+    POINTS_PER_QUIZ_ANSWER: 2,         // Per correct answer in the lesson quiz...
+    MAX_QUIZ_SCORE_SHARE: 0.5,         // ...up to this share of the lesson's sign points
+    QUIZ_STAR_ACCURACY: 80,            // Quiz answers below this, or no quiz, cost a star
+};
+
+/**
+ * Lesson quizzes
+ */
+export const QUIZ_RULES = {
+    OPTIONS_PER_QUESTION: 4,   // The right answer plus up to 3 signs from the same category
+    HISTORY_LIMIT: 20,         // Default number of quiz attempts returned per lesson
+};
+
+/**
+ * Streak freezes and repair
+ */
+export const STREAK_RULES = {
+    MAX_FREEZES: 2,              // Freezes a learner can hold at once
+    WEEKLY_GOAL_DAYS: 5,         // Practice days in a Monday-Sunday week that earn a freeze
+    FREEZES_PER_WEEKLY_GOAL: 1,
+    HISTORY_LIMIT: 20,           // Default number of history entries returned
+    MILESTONES: [3, 7, 14, 30, 50, 100, 200, 365], // Streak lengths logged in the activity history
+};
+
+/**
+ * Daily practice goal, in minutes per local day
+ */
+export const GOAL_RULES = {
+    DEFAULT_DAILY_GOAL: 20,
+    DAILY_GOAL_OPTIONS: [5, 10, 15, 20, 30],
+    HISTORY_DAYS: 30,    // Default number of days returned by the goal history
+    MAX_HISTORY_DAYS: 366,
+};
+
+/**
+ * XP awards and the level curve
+ * Reaching level L takes LEVEL_XP_STEP * (L - 1) * L / 2 XP in total, so each
+ * level needs LEVEL_XP_STEP more XP than the one before (100, 200, 300, ...)
+ */
+export const XP_RULES = {
+    LESSON_XP: 20,                 // First completion of a lesson
+    RETAKE_XP: 5,                  // A later completion, once per lesson per local day
+    STAR_XP: 5,                    // Per star, or per improved star on a retake
+    ACCURATE_ATTEMPT_XP: 2,        // Camera attempt at or above MIN_ACCURACY_FOR_COMPLETION
+    DAILY_ATTEMPT_XP_CAP: 100,     // Attempt XP per local day, so practice can't be farmed
+    DAILY_LESSON_XP_CAP: 200,      // Lesson XP per local day, so retakes can't be farmed
+    REVIEW_XP: 3,                  // Per reviewed sign
+    STREAK_DAY_XP: 2,              // Per streak day on the first practice of a day...
+    STREAK_DAY_XP_MAX_DAYS: 10,    // ...counting at most this many days
+    STREAK_MILESTONE_XP: 50,       // Extra on STREAK_RULES.MILESTONES
+    LEVEL_XP_STEP: 100,
+    HISTORY_DAYS: 30,              // Default number of days returned by the XP history
+    MAX_HISTORY_DAYS: 366,
+};
+
+/**
+ * Spaced repetition of learned signs (SM-2)
+ * Grades run 0-5; below PASSING_GRADE the card starts over at one day
+ */
+export const REVIEW_RULES = {
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+    PASSING_GRADE: 3,
+    FIRST_INTERVAL_DAYS: 1,    // After the first passing review
+    SECOND_INTERVAL_DAYS: 6,   // After the second; later ones multiply by the ease
+    MAX_INTERVAL_DAYS: 365,
+    SESSION_SIZE: 20,          // Default number of due cards returned per session
+    MAX_SESSION_SIZE: 100,
+};
+
+export default {
+    PROGRESS_CONSTANTS,
+    SCORING_RULES,
+    QUIZ_RULES,
+    STREAK_RULES,
+    GOAL_RULES,
+    XP_RULES,
+    REVIEW_RULES,
+};
@@ -0,0 +1,43 @@
+/**
+ * User Roles - Stored as `role` on the user document
+ * Role-specific routes check them with requireRole (middleware/auth.js).
+ */
+
+export const ROLES = {
+    STUDENT: "student",
+    TEACHER: "teacher",
+};
+
+/**
+ * Roles users can pick for themselves
+ * The teacher role is only granted by an admin approving a teacher request
+ * (see teacherRequestService)
+ */
+export const SELECTABLE_ROLES = [ROLES.STUDENT];
+
+/**
+ * Teacher request review states
+ */
+export const TEACHER_REQUEST_STATUS = {
+    PENDING: "pending",
+    APPROVED: "approved",
+    REJECTED: "rejected",
+};
+
+export const TEACHER_REQUEST_RULES = {
+    SCHOOL_MAX_LENGTH: 100,
+    NOTE_MAX_LENGTH: 500,
+};
+
+/**
+ * Role of a user document, treating accounts from before roles as students
+ */
+export const getUserRole = (userData) => userData?.role || ROLES.STUDENT;
+
+export default {
+    ROLES,
+    SELECTABLE_ROLES,
+    TEACHER_REQUEST_STATUS,
+    TEACHER_REQUEST_RULES,
+    getUserRole,
+};
@@ -5,11 +5,22 @@ import lessonRoutes from "./routes/lessons.js";
 import authRoutes from "./routes/auth.js";
 import progressRoutes from "./routes/progress.js";
 import streakRoutes from "./routes/streak.js";
+import mlRoutes from "./routes/ml.js";
+import practiceRoutes from "./routes/practice.js";
+import achievementRoutes from "./routes/achievements.js";
+import leaderboardRoutes from "./routes/leaderboard.js";
+import classRoutes from "./routes/classes.js";
+import profileRoutes from "./routes/profiles.js";
+import reviewRoutes from "./routes/review.js";
+import quizRoutes from "./routes/quiz.js";
+import adminRoutes from "./routes/admin.js";
 
 dotenv.config();
 
 const app = express();
 app.use(cors());
+// ML routes parse their own (larger) frame payloads
+app.use("/ml", mlRoutes);
 app.use(express.json());
 
 app.get("/", (req, res) => {
@@ -19,6 +30,14 @@ app.use("/lessons", lessonRoutes);
 app.use("/auth", authRoutes);
 app.use("/progress", progressRoutes);
 app.use("/streak", streakRoutes);
+app.use("/practice", practiceRoutes);
+app.use("/achievements", achievementRoutes);
+app.use("/leaderboard", leaderboardRoutes);
+app.use("/classes", classRoutes);
+app.use("/profiles", profileRoutes);
+app.use("/review", reviewRoutes);
+app.use("/quiz", quizRoutes);
+app.use("/admin", adminRoutes);
 
 const PORT = process.env.PORT || 5001;
 app.listen(PORT, () => {
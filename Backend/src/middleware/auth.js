@@ -1,4 +1,5 @@
-import { auth } from "../firebase.js";
+import { auth, db } from "../firebase.js";
+import { getUserRole } from "../constants/roles.js";
 
 export const verifyToken = async (req, res, next) => {
   const header = req.headers.authorization;
@@ -17,3 +18,67 @@ export const verifyToken = async (req, res, next) => {
     return res.status(401).json({ message: "Invalid token" });
   }
 };
+
+/**
+ * Resolve the profile a request acts on (use after verifyToken)
+ * The X-Profile-Id header selects one of the account's child profiles;
+ * without it the account's own profile is used. Sets req.profileId
+ * The parent PIN is not checked here: all profiles share the account's sign-in,
+ * so the PIN on the profile picker is only a UI lock. Routes that manage child
+ * profiles verify the PIN themselves (see profileService)
+ */
+export const resolveProfile = async (req, res, next) => {
+  const profileId = req.get("X-Profile-Id");
+
+  if (!profileId || profileId === req.user.uid) {
+    req.profileId = req.user.uid;
+    return next();
+  }
+
+  try {
+    const profileDoc = await db.collection("users").doc(profileId).get();
+
+    if (!profileDoc.exists || profileDoc.data().parentId !== req.user.uid) {
+      return res.status(403).json({ message: "This profile doesn't belong to your account" });
+    }
+
+    req.profileId = profileId;
+    next();
+  } catch (err) {
+    console.error("Error resolving profile:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Only let users with one of `roles` through (use after verifyToken)
+ * The role is read from the selected profile (see resolveProfile) and set on req.role
+ */
+export const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const userDoc = await db.collection("users").doc(req.profileId || req.user.uid).get();
+    const role = getUserRole(userDoc.exists ? userDoc.data() : null);
+
+    if (!roles.includes(role)) {
+      return res.status(403).json({ message: `This action requires the ${roles.join(" or ")} role` });
+    }
+
+    req.role = role;
+    next();
+  } catch (err) {
+    console.error("Error checking role:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Only let admins through (use after verifyToken)
+ * Admins are accounts whose ID token has the `admin` custom claim, set with
+ * the Admin SDK (auth.setCustomUserClaims(uid, { admin: true }))
+ */
+export const requireAdmin = (req, res, next) => {
+  if (req.user.admin !== true) {
+    return res.status(403).json({ message: "This action requires an admin account" });
+  }
+  next();
+};
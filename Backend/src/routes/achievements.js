@@ -0,0 +1,68 @@
+/**
+ * Achievement Routes - Badges and unlock notifications
+ */
+
+import express from "express";
+import { verifyToken, resolveProfile } from "../middleware/auth.js";
+import achievementService from "../services/achievementService.js";
+
+const router = express.Router();
+
+/**
+ * GET /achievements
+ * All achievements with unlock state and progress toward the locked ones
+ */
+router.get("/", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await achievementService.getAchievements(req.profileId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting achievements:", error);
+        res.status(500).json({ success: false, error: "Server error", achievements: [] });
+    }
+});
+
+/**
+ * GET /achievements/unseen
+ * Unlocked achievements not shown yet, and whether achievement notifications are on
+ */
+router.get("/unseen", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await achievementService.getUnseenAchievements(req.profileId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting unseen achievements:", error);
+        res.status(500).json({ success: false, error: "Server error", achievements: [] });
+    }
+});
+
+/**
+ * POST /achievements/seen
+ * Mark achievements as shown ({ achievementIds })
+ */
+router.post("/seen", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await achievementService.markAchievementsSeen(req.profileId, req.body.achievementIds);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error marking achievements seen:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+export default router;
@@ -0,0 +1,68 @@
+/**
+ * Admin Routes - Reviewing teacher requests
+ */
+
+import express from "express";
+import { verifyToken, requireAdmin } from "../middleware/auth.js";
+import teacherRequestService from "../services/teacherRequestService.js";
+
+const router = express.Router();
+
+/**
+ * GET /admin/teacher-requests
+ * Teacher requests in a review state, oldest first (?status=pending|approved|rejected)
+ */
+router.get("/teacher-requests", verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const result = await teacherRequestService.getTeacherRequests(req.query.status);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting teacher requests:", error);
+        res.status(500).json({ success: false, error: "Server error", requests: [] });
+    }
+});
+
+/**
+ * POST /admin/teacher-requests/:userId/approve
+ * Approve a pending request; the user becomes a teacher
+ */
+router.post("/teacher-requests/:userId/approve", verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const result = await teacherRequestService.reviewTeacherRequest(req.user.uid, req.params.userId, true);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error approving teacher request:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /admin/teacher-requests/:userId/reject
+ * Reject a pending request
+ */
+router.post("/teacher-requests/:userId/reject", verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const result = await teacherRequestService.reviewTeacherRequest(req.user.uid, req.params.userId, false);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error rejecting teacher request:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+export default router;
@@ -3,8 +3,9 @@
  */
 
 import express from "express";
-import { verifyToken } from "../middleware/auth.js";
+import { verifyToken, resolveProfile } from "../middleware/auth.js";
 import userService from "../services/userService.js";
+import teacherRequestService from "../services/teacherRequestService.js";
 
 const router = express.Router();
 
@@ -17,7 +18,7 @@ router.post("/register", verifyToken, async (req, res) => {
         const { uid, email, name } = req.user;
         const displayName = req.body.displayName || name || "User";
 
-        const result = await userService.createUser(uid, email, displayName);
+        const result = await userService.createUser(uid, email, displayName, req.body.timeZone);
 
         if (result.success) {
             res.status(201).json(result);
@@ -32,11 +33,11 @@ router.post("/register", verifyToken, async (req, res) => {
 
 /**
  * GET /auth/profile
- * Get current user profile
+ * Get the selected profile (X-Profile-Id): name, role, settings and progress
  */
-router.get("/profile", verifyToken, async (req, res) => {
+router.get("/profile", verifyToken, resolveProfile, async (req, res) => {
     try {
-        const result = await userService.getUser(req.user.uid);
+        const result = await userService.getUser(req.profileId);
 
         if (result.success) {
             res.json(result);
@@ -74,14 +75,71 @@ router.put("/profile", verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * PUT /auth/role
+ * Switch to a role users can pick themselves ({ role }); teachers use it to go back to student
+ */
+router.put("/role", verifyToken, async (req, res) => {
+    try {
+        const result = await userService.setRole(req.user.uid, req.body.role);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error setting role:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * GET /auth/teacher-request
+ * The account's latest teacher request, or null
+ */
+router.get("/teacher-request", verifyToken, async (req, res) => {
+    try {
+        const result = await teacherRequestService.getTeacherRequest(req.user.uid);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting teacher request:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /auth/teacher-request
+ * Ask an admin for the teacher role ({ school, note })
+ */
+router.post("/teacher-request", verifyToken, async (req, res) => {
+    try {
+        const result = await teacherRequestService.requestTeacherRole(req.user.uid, req.body);
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error requesting teacher role:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
 /**
  * PUT /auth/settings
- * Update user settings
+ * Update settings of the selected profile (X-Profile-Id)
  */
-router.put("/settings", verifyToken, async (req, res) => {
+router.put("/settings", verifyToken, resolveProfile, async (req, res) => {
     try {
         const settings = req.body;
-        const result = await userService.updateSettings(req.user.uid, settings);
+        const result = await userService.updateSettings(req.profileId, settings);
 
         if (result.success) {
             res.json(result);
@@ -0,0 +1,208 @@
+/**
+ * Class Routes - Teacher classes, join codes and assignments
+ */
+
+import express from "express";
+import { verifyToken, resolveProfile, requireRole } from "../middleware/auth.js";
+import { ROLES } from "../constants/roles.js";
+import classService from "../services/classService.js";
+
+const router = express.Router();
+const teacherOnly = requireRole(ROLES.TEACHER);
+
+/**
+ * GET /classes
+ * Classes the user teaches and classes they are enrolled in
+ */
+router.get("/", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await classService.getClasses(req.profileId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting classes:", error);
+        res.status(500).json({ success: false, error: "Server error", teaching: [], enrolled: [] });
+    }
+});
+
+/**
+ * POST /classes
+ * Create a class ({ name }); returns its join code
+ */
+router.post("/", verifyToken, resolveProfile, teacherOnly, async (req, res) => {
+    try {
+        const result = await classService.createClass(req.profileId, req.body.name);
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error creating class:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /classes/join
+ * Join a class with a join code ({ joinCode })
+ */
+router.post("/join", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await classService.joinClass(req.profileId, req.body.joinCode);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error joining class:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * GET /classes/:classId
+ * Class details and assignments; students also get their own assignment status
+ */
+router.get("/:classId", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await classService.getClass(req.profileId, req.params.classId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting class:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * DELETE /classes/:classId
+ * Delete a class and its join code
+ */
+router.delete("/:classId", verifyToken, resolveProfile, teacherOnly, async (req, res) => {
+    try {
+        const result = await classService.deleteClass(req.profileId, req.params.classId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error deleting class:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * GET /classes/:classId/dashboard
+ * Per-student completion, stars, accuracy and streaks
+ */
+router.get("/:classId/dashboard", verifyToken, resolveProfile, teacherOnly, async (req, res) => {
+    try {
+        const result = await classService.getDashboard(req.profileId, req.params.classId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting class dashboard:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /classes/:classId/assignments
+ * Assign a lesson ({ lessonId, dueDate: "YYYY-MM-DD" })
+ */
+router.post("/:classId/assignments", verifyToken, resolveProfile, teacherOnly, async (req, res) => {
+    try {
+        const result = await classService.addAssignment(req.profileId, req.params.classId, req.body);
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error adding assignment:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * DELETE /classes/:classId/assignments/:assignmentId
+ * Remove an assignment
+ */
+router.delete("/:classId/assignments/:assignmentId", verifyToken, resolveProfile, teacherOnly, async (req, res) => {
+    try {
+        const result = await classService.deleteAssignment(req.profileId, req.params.classId, req.params.assignmentId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error deleting assignment:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * DELETE /classes/:classId/students/:studentId
+ * Remove a student (teachers), or leave the class (students, with their own ID)
+ */
+router.delete("/:classId/students/:studentId", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await classService.removeStudent(req.profileId, req.params.classId, req.params.studentId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error removing student:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * PUT /classes/:classId/students/:studentId/leaderboard-opt-out
+ * Hide a student from leaderboards, or show them again ({ optOut })
+ */
+router.put("/:classId/students/:studentId/leaderboard-opt-out", verifyToken, resolveProfile, teacherOnly, async (req, res) => {
+    try {
+        const result = await classService.setStudentLeaderboardOptOut(
+            req.profileId,
+            req.params.classId,
+            req.params.studentId,
+            req.body.optOut
+        );
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error updating student leaderboard opt-out:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+export default router;
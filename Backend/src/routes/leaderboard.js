@@ -0,0 +1,49 @@
+/**
+ * Leaderboard Routes - Weekly leagues
+ */
+
+import express from "express";
+import { verifyToken, resolveProfile } from "../middleware/auth.js";
+import leagueService from "../services/leagueService.js";
+
+const router = express.Router();
+
+/**
+ * GET /leaderboard
+ * This week's league standings (display names only); joins a league on the first visit of the week
+ */
+router.get("/", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await leagueService.getLeaderboard(req.profileId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting leaderboard:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * PUT /leaderboard/opt-out
+ * Hide the user from leaderboards, or show them again ({ optOut })
+ */
+router.put("/opt-out", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await leagueService.setLeaderboardOptOut(req.profileId, req.body.optOut);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error updating leaderboard opt-out:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+export default router;
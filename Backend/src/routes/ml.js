@@ -0,0 +1,184 @@
+/**
+ * ML Routes - Recognition model registry and server-side inference
+ *
+ * Model metadata and artifacts are public so TensorFlow.js loaders can fetch
+ * weight shards directly without auth headers. Inference is protected.
+ */
+
+import express from "express";
+import { verifyToken } from "../middleware/auth.js";
+import modelRegistry from "../services/modelRegistry.js";
+import inferenceService from "../services/inferenceService.js";
+
+const router = express.Router();
+
+// Listings change rarely; manifests are revalidated so new versions roll out immediately
+const LISTING_CACHE_CONTROL = "public, max-age=300";
+const MANIFEST_CACHE_CONTROL = "no-cache";
+
+// Frames are sent either as a raw image body or as base64 strings in JSON
+const parseRawFrame = express.raw({ type: ["image/jpeg", "image/png"], limit: "5mb" });
+const parseJsonFrames = express.json({ limit: "20mb" });
+
+/**
+ * Decode a base64 frame, accepting data URLs from canvas.toDataURL()
+ */
+const decodeBase64Frame = (frame) =>
+    Buffer.from(String(frame).replace(/^data:image\/\w+;base64,/, ""), "base64");
+
+/**
+ * Reject path parameters and ?version that are not plain directory names
+ * Repeated query parameters (?version=1&version=2) arrive as arrays and are rejected too
+ */
+const validateParams = (req, res, next) => {
+    const params = [req.params.modelId, req.params.signLanguage, req.query.version].filter(Boolean);
+
+    if (!params.every(modelRegistry.isValidSegment)) {
+        return res.status(400).json({ success: false, error: "Invalid model identifier" });
+    }
+
+    next();
+};
+
+/**
+ * GET /ml/models
+ * List available recognition models and their sign language variants
+ * Query: signLanguage (optional) - only return variants for this sign language
+ */
+router.get("/models", async (req, res) => {
+    try {
+        const { signLanguage } = req.query;
+
+        if (signLanguage && !modelRegistry.isValidSegment(signLanguage)) {
+            return res.status(400).json({ success: false, error: "Invalid sign language" });
+        }
+
+        const result = await modelRegistry.listModels(signLanguage);
+
+        if (result.success) {
+            res.set("Cache-Control", LISTING_CACHE_CONTROL);
+            res.json(result);
+        } else {
+            res.status(500).json(result);
+        }
+    } catch (error) {
+        console.error("Error listing models:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * GET /ml/models/:modelId
+ * Get a model with all variants, versions, input shapes and class labels
+ */
+router.get("/models/:modelId", validateParams, async (req, res) => {
+    try {
+        const result = await modelRegistry.getModel(req.params.modelId);
+
+        if (result.success) {
+            res.set("Cache-Control", LISTING_CACHE_CONTROL);
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting model:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * GET /ml/models/:modelId/:signLanguage/manifest
+ * Get the bundle manifest consumed by the frontend model loader
+ * Query: version (optional) - defaults to the latest version
+ */
+router.get("/models/:modelId/:signLanguage/manifest", validateParams, async (req, res) => {
+    try {
+        const { modelId, signLanguage } = req.params;
+        const result = await modelRegistry.getManifest(modelId, signLanguage, req.query.version);
+
+        if (result.success) {
+            res.set("Cache-Control", MANIFEST_CACHE_CONTROL);
+            // Served as the bare manifest so it can be used as a manifest URL directly
+            res.json(result.data);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting model manifest:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * GET /ml/predict/status
+ * Check whether server-side inference is available
+ */
+router.get("/predict/status", verifyToken, async (req, res) => {
+    try {
+        const result = await inferenceService.getStatus();
+        res.json(result);
+    } catch (error) {
+        console.error("Error getting inference status:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /ml/predict
+ * Run sign recognition on the server for low-powered devices
+ * Body: a JPEG/PNG image (Content-Type image/jpeg or image/png),
+ *       or JSON { frame } / { frames: [...] } with base64 encoded images
+ * Single frames return the MLModelService.predictSign shape,
+ * batches return { success, results: [...] }
+ */
+router.post("/predict", verifyToken, parseRawFrame, parseJsonFrames, async (req, res) => {
+    try {
+        let frames;
+        let isBatch = false;
+
+        if (Buffer.isBuffer(req.body)) {
+            frames = [req.body];
+        } else if (Array.isArray(req.body?.frames)) {
+            frames = req.body.frames.map(decodeBase64Frame);
+            isBatch = true;
+        } else if (req.body?.frame) {
+            frames = [decodeBase64Frame(req.body.frame)];
+        } else {
+            return res.status(400).json({ success: false, error: "An image body, frame or frames is required" });
+        }
+
+        const result = await inferenceService.predictFrames(frames);
+
+        if (!result.success) {
+            return res.status(result.unavailable ? 503 : 400).json(result);
+        }
+
+        if (isBatch) {
+            res.json(result);
+        } else {
+            res.json({ ...result.results[0], inferenceTime: result.inferenceTime });
+        }
+    } catch (error) {
+        console.error("Error running prediction:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * GET /ml/artifacts/:modelId/:signLanguage/:version/*
+ * Serve model.json and weight shards. Version directories are immutable,
+ * so artifacts can be cached for a long time.
+ */
+router.use(
+    "/artifacts",
+    express.static(modelRegistry.MODELS_DIR, {
+        dotfiles: "deny",
+        fallthrough: false,
+        immutable: true,
+        index: false,
+        maxAge: "1y",
+    })
+);
+
+export default router;
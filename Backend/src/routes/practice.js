@@ -0,0 +1,83 @@
+/**
+ * Practice Routes - Camera practice sessions and accuracy statistics
+ */
+
+import express from "express";
+import { verifyToken, resolveProfile } from "../middleware/auth.js";
+import practiceService from "../services/practiceService.js";
+
+const router = express.Router();
+
+/**
+ * POST /practice/sessions
+ * Start a practice session ({ mode: "free" | "lesson", lessonId })
+ */
+router.post("/sessions", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const { mode, lessonId } = req.body;
+        const result = await practiceService.startSession(req.profileId, { mode, lessonId });
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error starting practice session:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /practice/sessions/:sessionId/attempts
+ * Record a recognized attempt ({ targetSign, predictedLabel, confidence })
+ */
+router.post("/sessions/:sessionId/attempts", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await practiceService.recordAttempt(req.profileId, req.params.sessionId, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === "Session not found" ? 404 : 400).json(result);
+        }
+    } catch (error) {
+        console.error("Error recording practice attempt:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /practice/sessions/:sessionId/end
+ * End a session and add its duration to practice time
+ */
+router.post("/sessions/:sessionId/end", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await practiceService.endSession(req.profileId, req.params.sessionId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error ending practice session:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * GET /practice/signs
+ * Get accuracy statistics per sign
+ */
+router.get("/signs", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await practiceService.getSignStats(req.profileId);
+        res.json(result);
+    } catch (error) {
+        console.error("Error getting sign stats:", error);
+        res.status(500).json({ success: false, error: "Server error", signs: [] });
+    }
+});
+
+export default router;
@@ -0,0 +1,151 @@
+/**
+ * Profile Routes - Child profiles and the parent PIN
+ * These always act on the signed-in account, never on X-Profile-Id
+ */
+
+import express from "express";
+import { verifyToken } from "../middleware/auth.js";
+import profileService from "../services/profileService.js";
+
+const router = express.Router();
+
+/**
+ * GET /profiles
+ * The account's profile and its child profiles, for the profile picker
+ */
+router.get("/", verifyToken, async (req, res) => {
+    try {
+        const result = await profileService.getProfiles(req.user.uid);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting profiles:", error);
+        res.status(500).json({ success: false, error: "Server error", profiles: [] });
+    }
+});
+
+/**
+ * POST /profiles
+ * Create a child profile ({ displayName, avatar, pin })
+ */
+router.post("/", verifyToken, async (req, res) => {
+    try {
+        const { displayName, avatar, pin } = req.body;
+        const result = await profileService.createChildProfile(req.user.uid, { displayName, avatar }, pin);
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error creating child profile:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * PUT /profiles/pin
+ * Set the parent PIN ({ pin }), or change it ({ pin, currentPin })
+ */
+router.put("/pin", verifyToken, async (req, res) => {
+    try {
+        const result = await profileService.setPin(req.user.uid, req.body.pin, req.body.currentPin);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error setting parent PIN:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /profiles/pin/verify
+ * Check the parent PIN ({ pin }), e.g. before switching to the parent profile
+ */
+router.post("/pin/verify", verifyToken, async (req, res) => {
+    try {
+        const result = await profileService.verifyPin(req.user.uid, req.body.pin);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(403).json(result);
+        }
+    } catch (error) {
+        console.error("Error verifying parent PIN:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /profiles/progress
+ * Progress of every child profile ({ pin })
+ */
+router.post("/progress", verifyToken, async (req, res) => {
+    try {
+        const result = await profileService.getChildrenProgress(req.user.uid, req.body.pin);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(403).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting child progress:", error);
+        res.status(500).json({ success: false, error: "Server error", children: [] });
+    }
+});
+
+/**
+ * DELETE /profiles/:profileId
+ * Delete a child profile and all its progress ({ pin })
+ */
+router.delete("/:profileId", verifyToken, async (req, res) => {
+    try {
+        const result = await profileService.deleteChildProfile(req.user.uid, req.params.profileId, req.body?.pin);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error deleting child profile:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * PUT /profiles/:profileId/leaderboard-opt-out
+ * Hide a child profile from leaderboards, or show it again ({ optOut, pin })
+ */
+router.put("/:profileId/leaderboard-opt-out", verifyToken, async (req, res) => {
+    try {
+        const result = await profileService.setChildLeaderboardOptOut(
+            req.user.uid,
+            req.params.profileId,
+            req.body.optOut,
+            req.body.pin
+        );
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error updating child leaderboard opt-out:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+export default router;
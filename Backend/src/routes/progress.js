@@ -3,8 +3,12 @@
  */
 
 import express from "express";
-import { verifyToken } from "../middleware/auth.js";
+import { verifyToken, resolveProfile } from "../middleware/auth.js";
 import userService from "../services/userService.js";
+import activityService, { HISTORY_LIMITS } from "../services/activityService.js";
+import goalService from "../services/goalService.js";
+import xpService from "../services/xpService.js";
+import { GOAL_RULES, XP_RULES } from "../constants/progress.js";
 
 const router = express.Router();
 
@@ -12,9 +16,9 @@ const router = express.Router();
  * GET /progress
  * Get user's complete learning progress
  */
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", verifyToken, resolveProfile, async (req, res) => {
     try {
-        const result = await userService.getUserProgress(req.user.uid);
+        const result = await userService.getUserProgress(req.profileId);
 
         if (result.success) {
             res.json(result);
@@ -27,13 +31,32 @@ router.get("/", verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /progress/stats
+ * Lessons completed, practice time, stars, streak and accuracy
+ */
+router.get("/stats", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await userService.getUserStats(req.profileId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting stats:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
 /**
  * GET /progress/completed-lessons
  * Get list of completed lesson IDs
  */
-router.get("/completed-lessons", verifyToken, async (req, res) => {
+router.get("/completed-lessons", verifyToken, resolveProfile, async (req, res) => {
     try {
-        const result = await userService.getCompletedLessons(req.user.uid);
+        const result = await userService.getCompletedLessons(req.profileId);
         res.json(result);
     } catch (error) {
         console.error("Error getting completed lessons:", error);
@@ -42,24 +65,72 @@ router.get("/completed-lessons", verifyToken, async (req, res) => {
 });
 
 /**
- * POST /progress/lesson
- * Mark a lesson as completed
+ * GET /progress/lesson-records
+ * Get best score, best stars and attempt count per lesson
  */
-router.post("/lesson", verifyToken, async (req, res) => {
+router.get("/lesson-records", verifyToken, resolveProfile, async (req, res) => {
     try {
-        const { lessonId, score = 0, stars = 0, signsLearned = 0 } = req.body;
+        const result = await userService.getLessonRecords(req.profileId);
+        res.json(result);
+    } catch (error) {
+        console.error("Error getting lesson records:", error);
+        res.status(500).json({ success: false, error: "Server error", records: [] });
+    }
+});
 
-        if (!lessonId) {
-            return res.status(400).json({ success: false, error: "lessonId is required" });
+/**
+ * GET /progress/xp
+ * XP, level, progress to the next level and today's XP by source
+ */
+router.get("/xp", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await xpService.getXp(req.profileId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting XP:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * GET /progress/xp/history
+ * XP per local day and source (?days=, default 30)
+ */
+router.get("/xp/history", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const days = Math.min(
+            Math.max(parseInt(req.query.days, 10) || XP_RULES.HISTORY_DAYS, 1),
+            XP_RULES.MAX_HISTORY_DAYS
+        );
+        const result = await xpService.getXpHistory(req.profileId, days);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
         }
+    } catch (error) {
+        console.error("Error getting XP history:", error);
+        res.status(500).json({ success: false, error: "Server error", days: [] });
+    }
+});
 
-        const result = await userService.markLessonCompleted(
-            req.user.uid,
-            lessonId,
-            score,
-            stars,
-            signsLearned
+/**
+ * GET /progress/history
+ * Activity history, newest first (?limit=, ?before=<id of the last entry of the previous page>)
+ */
+router.get("/history", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const limit = Math.min(
+            Math.max(parseInt(req.query.limit, 10) || HISTORY_LIMITS.DEFAULT_PAGE_SIZE, 1),
+            HISTORY_LIMITS.MAX_PAGE_SIZE
         );
+        const result = await activityService.getHistory(req.profileId, { limit, before: req.query.before || null });
 
         if (result.success) {
             res.json(result);
@@ -67,24 +138,49 @@ router.post("/lesson", verifyToken, async (req, res) => {
             res.status(400).json(result);
         }
     } catch (error) {
-        console.error("Error marking lesson completed:", error);
-        res.status(500).json({ success: false, error: "Server error" });
+        console.error("Error getting activity history:", error);
+        res.status(500).json({ success: false, error: "Server error", activities: [] });
+    }
+});
+
+/**
+ * GET /progress/history/calendar
+ * Activity counts per local day for the heatmap (?days=, default 365)
+ */
+router.get("/history/calendar", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const days = Math.min(
+            Math.max(parseInt(req.query.days, 10) || HISTORY_LIMITS.DEFAULT_CALENDAR_DAYS, 1),
+            HISTORY_LIMITS.MAX_CALENDAR_DAYS
+        );
+        const result = await activityService.getActivityCalendar(req.profileId, days);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting activity calendar:", error);
+        res.status(500).json({ success: false, error: "Server error", days: [] });
     }
 });
 
 /**
- * PUT /progress/today
- * Update today's progress percentage
+ * POST /progress/lesson
+ * Mark a lesson as completed, or record a retake
+ * Score and stars are computed from the practice attempt records in the body,
+ * plus the lesson's latest quiz (a lesson without one loses a star)
  */
-router.put("/today", verifyToken, async (req, res) => {
+router.post("/lesson", verifyToken, resolveProfile, async (req, res) => {
     try {
-        const { progress } = req.body;
+        const { lessonId, attempts = [] } = req.body;
 
-        if (typeof progress !== "number") {
-            return res.status(400).json({ success: false, error: "progress must be a number" });
+        if (!lessonId) {
+            return res.status(400).json({ success: false, error: "lessonId is required" });
         }
 
-        const result = await userService.updateTodayProgress(req.user.uid, progress);
+        const result = await userService.markLessonCompleted(req.profileId, lessonId, attempts);
 
         if (result.success) {
             res.json(result);
@@ -92,34 +188,70 @@ router.put("/today", verifyToken, async (req, res) => {
             res.status(400).json(result);
         }
     } catch (error) {
-        console.error("Error updating today's progress:", error);
+        console.error("Error marking lesson completed:", error);
         res.status(500).json({ success: false, error: "Server error" });
     }
 });
 
 /**
- * POST /progress/practice-time
- * Add practice time in minutes
+ * GET /progress/goal
+ * Today's practice minutes against the daily goal; resets at the user's local midnight
  */
-router.post("/practice-time", verifyToken, async (req, res) => {
+router.get("/goal", verifyToken, resolveProfile, async (req, res) => {
     try {
-        const { minutes } = req.body;
+        const result = await goalService.getTodayGoal(req.profileId);
 
-        if (typeof minutes !== "number" || minutes < 0) {
-            return res.status(400).json({ success: false, error: "minutes must be a positive number" });
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
         }
+    } catch (error) {
+        console.error("Error getting daily goal:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
 
-        const result = await userService.addPracticeTime(req.user.uid, minutes);
+/**
+ * PUT /progress/goal
+ * Change the daily goal ({ dailyGoal } in minutes, one of the offered options)
+ */
+router.put("/goal", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await goalService.setDailyGoal(req.profileId, req.body.dailyGoal);
 
         if (result.success) {
             res.json(result);
         } else {
-            res.status(400).json(result);
+            res.status(result.error === "User not found" ? 404 : 400).json(result);
         }
     } catch (error) {
-        console.error("Error adding practice time:", error);
+        console.error("Error setting daily goal:", error);
         res.status(500).json({ success: false, error: "Server error" });
     }
 });
 
+/**
+ * GET /progress/goal/history
+ * Daily goal progress per local day (?days=, default 30), with the number of days met
+ */
+router.get("/goal/history", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const days = Math.min(
+            Math.max(parseInt(req.query.days, 10) || GOAL_RULES.HISTORY_DAYS, 1),
+            GOAL_RULES.MAX_HISTORY_DAYS
+        );
+        const result = await goalService.getGoalHistory(req.profileId, days);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting daily goal history:", error);
+        res.status(500).json({ success: false, error: "Server error", days: [] });
+    }
+});
+
 export default router;
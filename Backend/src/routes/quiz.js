@@ -0,0 +1,72 @@
+/**
+ * Quiz Routes - Lesson quizzes
+ */
+
+import express from "express";
+import { verifyToken, resolveProfile } from "../middleware/auth.js";
+import { QUIZ_RULES } from "../constants/progress.js";
+import quizService from "../services/quizService.js";
+
+const router = express.Router();
+
+/**
+ * GET /quiz
+ * Past quiz attempts for a lesson, newest first (?lessonId=, ?limit=)
+ */
+router.get("/", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || QUIZ_RULES.HISTORY_LIMIT, 1), 100);
+        const result = await quizService.getQuizAttempts(req.profileId, req.query.lessonId, limit);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting quiz attempts:", error);
+        res.status(500).json({ success: false, error: "Server error", attempts: [] });
+    }
+});
+
+/**
+ * POST /quiz
+ * Start a quiz for a lesson ({ lessonId })
+ */
+router.post("/", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await quizService.createQuiz(req.profileId, req.body.lessonId);
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error creating quiz:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /quiz/:quizId/answers
+ * Answer a question ({ questionId, answer }): an option token, or the camera
+ * attempt records for a "sign it" question
+ */
+router.post("/:quizId/answers", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const { questionId, answer } = req.body;
+        const result = await quizService.answerQuestion(req.profileId, req.params.quizId, questionId, answer);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error answering quiz question:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+export default router;
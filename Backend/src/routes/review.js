@@ -0,0 +1,54 @@
+/**
+ * Review Routes - Spaced repetition of learned signs
+ */
+
+import express from "express";
+import { verifyToken, resolveProfile } from "../middleware/auth.js";
+import { REVIEW_RULES } from "../constants/progress.js";
+import reviewService from "../services/reviewService.js";
+
+const router = express.Router();
+
+/**
+ * GET /review/due
+ * Signs due for review today across all lessons, and how many (?limit=, default 20)
+ */
+router.get("/due", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const limit = Math.min(
+            Math.max(parseInt(req.query.limit, 10) || REVIEW_RULES.SESSION_SIZE, 1),
+            REVIEW_RULES.MAX_SESSION_SIZE
+        );
+        const result = await reviewService.getDueReviews(req.profileId, limit);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting due reviews:", error);
+        res.status(500).json({ success: false, error: "Server error", cards: [] });
+    }
+});
+
+/**
+ * POST /review/:signId
+ * Grade a sign in a review session ({ grade }: 0-5)
+ */
+router.post("/:signId", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await reviewService.recordReview(req.profileId, req.params.signId, req.body.grade);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error("Error recording review:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+export default router;
@@ -3,18 +3,19 @@
  */
 
 import express from "express";
-import { verifyToken } from "../middleware/auth.js";
-import userService from "../services/userService.js";
+import { verifyToken, resolveProfile } from "../middleware/auth.js";
+import { STREAK_RULES } from "../constants/progress.js";
+import streakService from "../services/streakService.js";
 
 const router = express.Router();
 
 /**
  * GET /streak
- * Get current streak info
+ * Get current streak info; missed days are covered by freezes first
  */
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", verifyToken, resolveProfile, async (req, res) => {
     try {
-        const result = await userService.getStreak(req.user.uid);
+        const result = await streakService.getStreak(req.profileId);
 
         if (result.success) {
             res.json(result);
@@ -28,20 +29,40 @@ router.get("/", verifyToken, async (req, res) => {
 });
 
 /**
- * POST /streak/update
- * Update streak on practice
+ * GET /streak/freezes
+ * Freeze inventory, weekly goal progress and freeze history (?limit=, default 20)
  */
-router.post("/update", verifyToken, async (req, res) => {
+router.get("/freezes", verifyToken, resolveProfile, async (req, res) => {
     try {
-        const result = await userService.updateStreak(req.user.uid);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || STREAK_RULES.HISTORY_LIMIT, 1), 100);
+        const result = await streakService.getFreezes(req.profileId, limit);
 
         if (result.success) {
             res.json(result);
         } else {
-            res.status(400).json(result);
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error("Error getting streak freezes:", error);
+        res.status(500).json({ success: false, error: "Server error" });
+    }
+});
+
+/**
+ * POST /streak/repair
+ * Repair a streak broken by a single missed day, on the day after it
+ */
+router.post("/repair", verifyToken, resolveProfile, async (req, res) => {
+    try {
+        const result = await streakService.repairStreak(req.profileId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === "User not found" ? 404 : 400).json(result);
         }
     } catch (error) {
-        console.error("Error updating streak:", error);
+        console.error("Error repairing streak:", error);
         res.status(500).json({ success: false, error: "Server error" });
     }
 });
@@ -0,0 +1,237 @@
+/**
+ * Achievement Service - Rule-based badges
+ *
+ * Firestore layout:
+ *   users/{userId}/achievements/{achievementId} - one document per unlocked achievement
+ *
+ * evaluateAchievements() is run after progress events (lessons, practice
+ * sessions, streak updates). It computes the metrics the still-locked
+ * achievements need, unlocks every achievement whose threshold is reached and
+ * logs the unlock in the activity history. New unlocks are "unseen" until the
+ * client has shown them.
+ */
+
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { ACHIEVEMENTS, getAchievement } from "../constants/achievements.js";
+import { PROGRESS_CONSTANTS } from "../constants/progress.js";
+import { ACTIVITY_TYPES, addActivity } from "./activityService.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+// signStats keys of the letters A-Z (see getSignKey in practiceService)
+const ALPHABET_KEYS = Array.from({ length: 26 }, (_, index) => String.fromCharCode(97 + index));
+
+/**
+ * How each metric is computed
+ * `source` names a user subcollection the metric needs; it is only read when
+ * a locked achievement depends on the metric
+ */
+const METRICS = {
+    lessonsCompleted: { value: ({ progress }) => progress.lessonsCompleted || 0 },
+    totalStars: { value: ({ progress }) => progress.totalStars || 0 },
+    longestStreak: { value: ({ progress }) => progress.longestStreak || 0 },
+    signsRecognized: { value: ({ progress }) => progress.signsRecognized || 0 },
+    totalPracticeTime: { value: ({ progress }) => progress.totalPracticeTime || 0 },
+    dailyGoalsMet: { value: ({ progress }) => progress.dailyGoalsMet || 0 },
+    perfectLessons: {
+        source: "lessonRecords",
+        value: ({ lessonRecords }) =>
+            lessonRecords.filter((record) => record.bestStars >= PROGRESS_CONSTANTS.STARS_FOR_COMPLETION).length,
+    },
+    lettersMastered: {
+        source: "signStats",
+        value: ({ signStats }) =>
+            signStats.filter(
+                (stats) =>
+                    ALPHABET_KEYS.includes(stats.id) &&
+                    stats.bestAccuracy >= PROGRESS_CONSTANTS.MIN_ACCURACY_FOR_COMPLETION
+            ).length,
+    },
+};
+
+/**
+ * Public fields of an achievement
+ */
+const toPublicAchievement = ({ id, title, description, icon, threshold }) => ({ id, title, description, icon, threshold });
+
+/**
+ * Unlock every achievement whose rule is now met
+ * Returns the newly unlocked achievements
+ */
+export const evaluateAchievements = async (userId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const achievementsRef = userRef.collection("achievements");
+
+        return await db.runTransaction(async (transaction) => {
+            const [userDoc, unlockedSnapshot] = await Promise.all([
+                transaction.get(userRef),
+                transaction.get(achievementsRef),
+            ]);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found", unlocked: [] };
+            }
+
+            const unlockedIds = new Set(unlockedSnapshot.docs.map((doc) => doc.id));
+            const locked = ACHIEVEMENTS.filter((achievement) => !unlockedIds.has(achievement.id));
+            if (locked.length === 0) {
+                return { success: true, unlocked: [] };
+            }
+
+            const userData = userDoc.data();
+            const context = { progress: userData.progress || {} };
+            const sources = new Set(locked.map((achievement) => METRICS[achievement.metric].source).filter(Boolean));
+            for (const source of sources) {
+                const snapshot = await transaction.get(userRef.collection(source));
+                context[source] = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+            }
+
+            const values = {};
+            const unlocked = locked.filter((achievement) => {
+                values[achievement.metric] ??= METRICS[achievement.metric].value(context);
+                return values[achievement.metric] >= achievement.threshold;
+            });
+
+            for (const achievement of unlocked) {
+                transaction.set(achievementsRef.doc(achievement.id), {
+                    achievementId: achievement.id,
+                    value: values[achievement.metric],
+                    unlockedAt: FieldValue.serverTimestamp(),
+                    seen: false,
+                });
+                addActivity(
+                    transaction,
+                    userRef,
+                    ACTIVITY_TYPES.ACHIEVEMENT_UNLOCKED,
+                    { achievementId: achievement.id, title: achievement.title, icon: achievement.icon },
+                    userData.settings?.timezone
+                );
+            }
+
+            return { success: true, unlocked: unlocked.map(toPublicAchievement) };
+        });
+    } catch (error) {
+        console.error("Error evaluating achievements:", error);
+        return { success: false, error: error.message, unlocked: [] };
+    }
+};
+
+/**
+ * All achievements with unlock state, and progress toward the locked ones
+ * Metrics backed by a subcollection report progress only once unlocked
+ */
+export const getAchievements = async (userId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const [userDoc, unlockedSnapshot] = await Promise.all([
+            userRef.get(),
+            userRef.collection("achievements").get(),
+        ]);
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found", achievements: [] };
+        }
+
+        const progress = userDoc.data().progress || {};
+        const unlockedById = Object.fromEntries(unlockedSnapshot.docs.map((doc) => [doc.id, doc.data()]));
+
+        const achievements = ACHIEVEMENTS.map((achievement) => {
+            const unlock = unlockedById[achievement.id];
+            const metric = METRICS[achievement.metric];
+            const current = unlock
+                ? achievement.threshold
+                : metric.source
+                    ? null
+                    : Math.min(metric.value({ progress }), achievement.threshold);
+
+            return {
+                ...toPublicAchievement(achievement),
+                unlocked: Boolean(unlock),
+                unlockedAt: unlock?.unlockedAt?.toDate().toISOString() || null,
+                progress: current,
+            };
+        });
+
+        return {
+            success: true,
+            achievements,
+            unlockedCount: achievements.filter((achievement) => achievement.unlocked).length,
+        };
+    } catch (error) {
+        console.error("Error getting achievements:", error);
+        return { success: false, error: error.message, achievements: [] };
+    }
+};
+
+/**
+ * Unlocked achievements the client hasn't shown yet
+ * Also reports settings.achievementNotifications, so the client knows whether to show them
+ */
+export const getUnseenAchievements = async (userId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const [userDoc, unseenSnapshot] = await Promise.all([
+            userRef.get(),
+            userRef.collection("achievements").where("seen", "==", false).get(),
+        ]);
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found", achievements: [] };
+        }
+
+        const achievements = unseenSnapshot.docs
+            .map((doc) => {
+                const achievement = getAchievement(doc.id);
+                return achievement && {
+                    ...toPublicAchievement(achievement),
+                    unlockedAt: doc.data().unlockedAt?.toDate().toISOString() || null,
+                };
+            })
+            .filter(Boolean);
+
+        return {
+            success: true,
+            notificationsEnabled: userDoc.data().settings?.achievementNotifications !== false,
+            achievements,
+        };
+    } catch (error) {
+        console.error("Error getting unseen achievements:", error);
+        return { success: false, error: error.message, achievements: [] };
+    }
+};
+
+/**
+ * Mark unlocked achievements as shown
+ */
+export const markAchievementsSeen = async (userId, achievementIds) => {
+    try {
+        if (!Array.isArray(achievementIds) || achievementIds.some((id) => !getAchievement(id))) {
+            return { success: false, error: "achievementIds must be a list of achievement IDs" };
+        }
+
+        const achievementsRef = db.collection("users").doc(userId).collection("achievements");
+        const batch = db.batch();
+        const docs = await Promise.all(achievementIds.map((id) => achievementsRef.doc(id).get()));
+
+        for (const doc of docs) {
+            if (doc.exists) {
+                batch.update(doc.ref, { seen: true });
+            }
+        }
+        await batch.commit();
+
+        return { success: true };
+    } catch (error) {
+        console.error("Error marking achievements seen:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+export default {
+    evaluateAchievements,
+    getAchievements,
+    getUnseenAchievements,
+    markAchievementsSeen,
+};
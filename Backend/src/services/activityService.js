@@ -0,0 +1,138 @@
+/**
+ * Activity Service - Append-only activity history
+ *
+ * Firestore layout:
+ *   users/{userId}/activity/{activityId}  - one entry per event, never updated
+ *   users/{userId}/activityDays/{dayKey}  - event counts per local day, for the calendar
+ *
+ * Entries are written by the services that own the event (lesson completion,
+ * practice sessions, streaks, daily goals, levels, leagues, achievements), inside their own
+ * transaction or batch, so an event and its history entry are stored together.
+ */
+
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { addDays, getLocalDayKey, resolveTimeZone } from "../utils/dates.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+export const ACTIVITY_TYPES = {
+    LESSON_COMPLETED: "lesson_completed",
+    PRACTICE_SESSION: "practice_session",
+    STREAK_MILESTONE: "streak_milestone",
+    ACHIEVEMENT_UNLOCKED: "achievement_unlocked",
+    DAILY_GOAL_MET: "daily_goal_met",
+    LEVEL_UP: "level_up",
+    LEAGUE_FINISHED: "league_finished",
+};
+
+export const HISTORY_LIMITS = {
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 50,
+    DEFAULT_CALENDAR_DAYS: 365,
+    MAX_CALENDAR_DAYS: 371, // 53 full weeks
+};
+
+/**
+ * Add an activity entry using a transaction or write batch
+ * `details` holds the event-specific fields (lessonId, score, streak, ...)
+ */
+export const addActivity = (writer, userRef, type, details, timeZone) => {
+    const day = getLocalDayKey(new Date(), resolveTimeZone(timeZone));
+
+    writer.set(userRef.collection("activity").doc(), {
+        type,
+        details,
+        day,
+        createdAt: FieldValue.serverTimestamp(),
+    });
+
+    writer.set(
+        userRef.collection("activityDays").doc(day),
+        {
+            day,
+            count: FieldValue.increment(1),
+            types: { [type]: FieldValue.increment(1) },
+        },
+        { merge: true }
+    );
+};
+
+/**
+ * Get one page of activity, newest first
+ * `before` is the ID of the last entry of the previous page
+ */
+export const getHistory = async (userId, { limit = HISTORY_LIMITS.DEFAULT_PAGE_SIZE, before = null } = {}) => {
+    try {
+        const activityRef = db.collection("users").doc(userId).collection("activity");
+        let query = activityRef.orderBy("createdAt", "desc");
+
+        if (before) {
+            const cursorDoc = await activityRef.doc(before).get();
+            if (!cursorDoc.exists) {
+                return { success: false, error: "Invalid cursor", activities: [] };
+            }
+            query = query.startAfter(cursorDoc);
+        }
+
+        const snapshot = await query.limit(limit).get();
+        const activities = snapshot.docs.map((doc) => {
+            const data = doc.data();
+            return {
+                id: doc.id,
+                type: data.type,
+                details: data.details || {},
+                day: data.day,
+                createdAt: data.createdAt?.toDate().toISOString() || null,
+            };
+        });
+
+        return {
+            success: true,
+            activities,
+            nextCursor: activities.length === limit ? activities[activities.length - 1].id : null,
+        };
+    } catch (error) {
+        console.error("Error getting activity history:", error);
+        return { success: false, error: error.message, activities: [] };
+    }
+};
+
+/**
+ * Activity counts per local day for the last `days` days, for the calendar heatmap
+ * Days without activity are left out
+ */
+export const getActivityCalendar = async (userId, days = HISTORY_LIMITS.DEFAULT_CALENDAR_DAYS) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const userDoc = await userRef.get();
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found", days: [] };
+        }
+
+        const timeZone = resolveTimeZone(userDoc.data().settings?.timezone);
+        const to = getLocalDayKey(new Date(), timeZone);
+        const from = addDays(to, 1 - days);
+
+        const snapshot = await userRef.collection("activityDays").where("day", ">=", from).get();
+        const activityDays = snapshot.docs
+            .map((doc) => {
+                const data = doc.data();
+                return { day: data.day, count: data.count || 0, types: data.types || {} };
+            })
+            .sort((a, b) => a.day.localeCompare(b.day));
+
+        return { success: true, from, to, timezone: timeZone, days: activityDays };
+    } catch (error) {
+        console.error("Error getting activity calendar:", error);
+        return { success: false, error: error.message, days: [] };
+    }
+};
+
+export default {
+    ACTIVITY_TYPES,
+    addActivity,
+    getHistory,
+    getActivityCalendar,
+};
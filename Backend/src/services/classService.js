@@ -0,0 +1,526 @@
+/**
+ * Class Service - Teacher classes, join codes and lesson assignments
+ *
+ * Firestore layout:
+ *   classes/{classId}                            - name, teacher and the enrolled studentIds
+ *   classes/{classId}/assignments/{assignmentId} - a lesson from the catalog with a due day
+ *   joinCodes/{code}                             - the class a join code belongs to
+ *
+ * Teachers see their own classes only; anyone else gets "Class not found",
+ * so class IDs reveal nothing. Students join with a code and see the class
+ * name, teacher name and their own assignment status. Dashboards show
+ * students by display name, never by email.
+ */
+
+import crypto from "crypto";
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { CLASS_RULES } from "../constants/classes.js";
+import { getCatalogLesson } from "../constants/lessons.js";
+import { getLocalDayKey, isValidDayKey, resolveTimeZone } from "../utils/dates.js";
+import { getCurrentStreak } from "./streakService.js";
+import { setLeaderboardOptOut } from "./leagueService.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+const classesRef = () => db.collection("classes");
+const joinCodesRef = () => db.collection("joinCodes");
+
+/**
+ * Random join code from the lookalike-free alphabet
+ */
+const generateJoinCode = () =>
+    Array.from(
+        { length: CLASS_RULES.JOIN_CODE_LENGTH },
+        () => CLASS_RULES.JOIN_CODE_ALPHABET[crypto.randomInt(CLASS_RULES.JOIN_CODE_ALPHABET.length)]
+    ).join("");
+
+/**
+ * Trimmed class name, or null when empty or too long
+ */
+const normalizeClassName = (name) => {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    return trimmed && trimmed.length <= CLASS_RULES.NAME_MAX_LENGTH ? trimmed : null;
+};
+
+/**
+ * Public fields of a class; the join code only for its teacher
+ */
+const toClassSummary = (doc, isTeacher) => {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        name: data.name,
+        teacherName: data.teacherName,
+        studentCount: (data.studentIds || []).length,
+        ...(isTeacher && { joinCode: data.joinCode }),
+        createdAt: data.createdAt?.toDate().toISOString() || null,
+    };
+};
+
+const toAssignment = (doc) => {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        lessonId: data.lessonId,
+        title: data.title,
+        dueDate: data.dueDate,
+        createdAt: data.createdAt?.toDate().toISOString() || null,
+    };
+};
+
+/**
+ * Assignment status from the student's lesson record
+ * "completed" when done by the due day, "late" when done after it,
+ * "overdue" when the due day has passed, otherwise "pending"
+ */
+const getAssignmentStatus = (assignment, record, today, timeZone) => {
+    if (record) {
+        const completedAt = record.firstCompletedAt?.toDate();
+        const completedDay = completedAt ? getLocalDayKey(completedAt, timeZone) : null;
+        return {
+            status: completedDay && completedDay > assignment.dueDate ? "late" : "completed",
+            stars: record.bestStars || 0,
+            completedAt: completedAt?.toISOString() || null,
+        };
+    }
+
+    return { status: today > assignment.dueDate ? "overdue" : "pending", stars: 0, completedAt: null };
+};
+
+/**
+ * Load a class the user teaches or is enrolled in
+ * Returns { doc, isTeacher } or null when the user has no access
+ */
+const getAccessibleClass = async (userId, classId) => {
+    const doc = await classesRef().doc(classId).get();
+    if (!doc.exists) {
+        return null;
+    }
+
+    const data = doc.data();
+    if (data.teacherId === userId) {
+        return { doc, isTeacher: true };
+    }
+    if ((data.studentIds || []).includes(userId)) {
+        return { doc, isTeacher: false };
+    }
+    return null;
+};
+
+/**
+ * Load a class only if `teacherId` teaches it
+ */
+const getTeacherClass = async (teacherId, classId) => {
+    const access = await getAccessibleClass(teacherId, classId);
+    return access?.isTeacher ? access.doc : null;
+};
+
+/**
+ * Load assignments of a class, earliest due first
+ */
+const getAssignments = async (classRef) => {
+    const snapshot = await classRef.collection("assignments").get();
+    return snapshot.docs
+        .map(toAssignment)
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.title.localeCompare(b.title));
+};
+
+/**
+ * Create a class with a unique join code
+ */
+export const createClass = async (teacherId, name) => {
+    try {
+        const className = normalizeClassName(name);
+        if (!className) {
+            return { success: false, error: `name must be 1-${CLASS_RULES.NAME_MAX_LENGTH} characters` };
+        }
+
+        const teacherRef = db.collection("users").doc(teacherId);
+        const classRef = classesRef().doc();
+
+        return await db.runTransaction(async (transaction) => {
+            // Counted in the transaction, so concurrent requests can't pass the limit together
+            const [teacherDoc, existing] = await Promise.all([
+                transaction.get(teacherRef),
+                transaction.get(classesRef().where("teacherId", "==", teacherId)),
+            ]);
+            if (existing.size >= CLASS_RULES.MAX_CLASSES_PER_TEACHER) {
+                return { success: false, error: `You can have at most ${CLASS_RULES.MAX_CLASSES_PER_TEACHER} classes` };
+            }
+
+            let joinCode = null;
+            for (let attempt = 0; attempt < CLASS_RULES.JOIN_CODE_ATTEMPTS && !joinCode; attempt += 1) {
+                const code = generateJoinCode();
+                const codeDoc = await transaction.get(joinCodesRef().doc(code));
+                if (!codeDoc.exists) {
+                    joinCode = code;
+                }
+            }
+            if (!joinCode) {
+                return { success: false, error: "Couldn't generate a join code, please try again" };
+            }
+
+            transaction.set(classRef, {
+                name: className,
+                teacherId,
+                teacherName: teacherDoc.exists ? teacherDoc.data().displayName || "Teacher" : "Teacher",
+                joinCode,
+                studentIds: [],
+                createdAt: FieldValue.serverTimestamp(),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            transaction.set(joinCodesRef().doc(joinCode), {
+                classId: classRef.id,
+                createdAt: FieldValue.serverTimestamp(),
+            });
+
+            return {
+                success: true,
+                class: { id: classRef.id, name: className, joinCode, studentCount: 0 },
+            };
+        });
+    } catch (error) {
+        console.error("Error creating class:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Delete a class with its assignments and join code
+ */
+export const deleteClass = async (teacherId, classId) => {
+    try {
+        const classDoc = await getTeacherClass(teacherId, classId);
+        if (!classDoc) {
+            return { success: false, error: "Class not found" };
+        }
+
+        const assignments = await classDoc.ref.collection("assignments").get();
+        const batch = db.batch();
+        assignments.docs.forEach((doc) => batch.delete(doc.ref));
+        batch.delete(joinCodesRef().doc(classDoc.data().joinCode));
+        batch.delete(classDoc.ref);
+        await batch.commit();
+
+        return { success: true };
+    } catch (error) {
+        console.error("Error deleting class:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Classes the user teaches and classes they are enrolled in
+ */
+export const getClasses = async (userId) => {
+    try {
+        const [teaching, enrolled] = await Promise.all([
+            classesRef().where("teacherId", "==", userId).get(),
+            classesRef().where("studentIds", "array-contains", userId).get(),
+        ]);
+
+        const byName = (a, b) => a.name.localeCompare(b.name);
+
+        return {
+            success: true,
+            teaching: teaching.docs.map((doc) => toClassSummary(doc, true)).sort(byName),
+            enrolled: enrolled.docs.map((doc) => toClassSummary(doc, false)).sort(byName),
+        };
+    } catch (error) {
+        console.error("Error getting classes:", error);
+        return { success: false, error: error.message, teaching: [], enrolled: [] };
+    }
+};
+
+/**
+ * Join a class with its join code
+ */
+export const joinClass = async (userId, joinCode) => {
+    try {
+        const code = typeof joinCode === "string" ? joinCode.trim().toUpperCase() : "";
+        if (code.length !== CLASS_RULES.JOIN_CODE_LENGTH) {
+            return { success: false, error: "Enter the join code your teacher shared" };
+        }
+
+        return await db.runTransaction(async (transaction) => {
+            const codeDoc = await transaction.get(joinCodesRef().doc(code));
+            if (!codeDoc.exists) {
+                return { success: false, error: "No class has this join code" };
+            }
+
+            const classRef = classesRef().doc(codeDoc.data().classId);
+            const classDoc = await transaction.get(classRef);
+            if (!classDoc.exists) {
+                return { success: false, error: "No class has this join code" };
+            }
+
+            const data = classDoc.data();
+            const studentIds = data.studentIds || [];
+            if (data.teacherId === userId) {
+                return { success: false, error: "You teach this class" };
+            }
+            if (!studentIds.includes(userId)) {
+                if (studentIds.length >= CLASS_RULES.MAX_STUDENTS) {
+                    return { success: false, error: "This class is full" };
+                }
+                transaction.update(classRef, {
+                    studentIds: FieldValue.arrayUnion(userId),
+                    updatedAt: FieldValue.serverTimestamp(),
+                });
+            }
+
+            return {
+                success: true,
+                class: { id: classDoc.id, name: data.name, teacherName: data.teacherName },
+            };
+        });
+    } catch (error) {
+        console.error("Error joining class:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Remove a student from a class
+ * Students can remove themselves; teachers can remove anyone from their class
+ */
+export const removeStudent = async (userId, classId, studentId) => {
+    try {
+        const access = await getAccessibleClass(userId, classId);
+        if (!access || (!access.isTeacher && studentId !== userId)) {
+            return { success: false, error: "Class not found" };
+        }
+
+        await access.doc.ref.update({
+            studentIds: FieldValue.arrayRemove(studentId),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+
+        return { success: true };
+    } catch (error) {
+        console.error("Error removing student:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Class details with its assignments
+ * Students also get the status of each assignment for themselves
+ */
+export const getClass = async (userId, classId) => {
+    try {
+        const access = await getAccessibleClass(userId, classId);
+        if (!access) {
+            return { success: false, error: "Class not found" };
+        }
+
+        const assignments = await getAssignments(access.doc.ref);
+        if (access.isTeacher) {
+            return { success: true, role: "teacher", class: toClassSummary(access.doc, true), assignments };
+        }
+
+        const userRef = db.collection("users").doc(userId);
+        const lessonIds = [...new Set(assignments.map((assignment) => assignment.lessonId))];
+        const [userDoc, ...recordDocs] = await db.getAll(
+            userRef,
+            ...lessonIds.map((lessonId) => userRef.collection("lessonRecords").doc(lessonId))
+        );
+        const records = Object.fromEntries(recordDocs.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data()]));
+        const timeZone = resolveTimeZone(userDoc.data()?.settings?.timezone);
+        const today = getLocalDayKey(new Date(), timeZone);
+
+        return {
+            success: true,
+            role: "student",
+            class: toClassSummary(access.doc, false),
+            assignments: assignments.map((assignment) => ({
+                ...assignment,
+                ...getAssignmentStatus(assignment, records[assignment.lessonId], today, timeZone),
+            })),
+        };
+    } catch (error) {
+        console.error("Error getting class:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Assign a lesson to a class, due on a "YYYY-MM-DD" day
+ */
+export const addAssignment = async (teacherId, classId, { lessonId, dueDate } = {}) => {
+    try {
+        const lesson = getCatalogLesson(lessonId);
+        if (!lesson) {
+            return { success: false, error: "lessonId is not a known lesson" };
+        }
+        if (!isValidDayKey(dueDate)) {
+            return { success: false, error: "dueDate must be a day as YYYY-MM-DD" };
+        }
+
+        const classDoc = await getTeacherClass(teacherId, classId);
+        if (!classDoc) {
+            return { success: false, error: "Class not found" };
+        }
+
+        const assignmentsRef = classDoc.ref.collection("assignments");
+        const existing = await assignmentsRef.get();
+        if (existing.size >= CLASS_RULES.MAX_ASSIGNMENTS) {
+            return { success: false, error: `A class can have at most ${CLASS_RULES.MAX_ASSIGNMENTS} assignments` };
+        }
+
+        const assignmentRef = assignmentsRef.doc();
+        await assignmentRef.set({
+            lessonId,
+            title: lesson.title,
+            dueDate,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+
+        return { success: true, assignment: { id: assignmentRef.id, lessonId, title: lesson.title, dueDate } };
+    } catch (error) {
+        console.error("Error adding assignment:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Remove an assignment from a class
+ */
+export const deleteAssignment = async (teacherId, classId, assignmentId) => {
+    try {
+        const classDoc = await getTeacherClass(teacherId, classId);
+        if (!classDoc) {
+            return { success: false, error: "Class not found" };
+        }
+
+        const assignmentRef = classDoc.ref.collection("assignments").doc(assignmentId);
+        const assignmentDoc = await assignmentRef.get();
+        if (!assignmentDoc.exists) {
+            return { success: false, error: "Assignment not found" };
+        }
+
+        await assignmentRef.delete();
+        return { success: true };
+    } catch (error) {
+        console.error("Error deleting assignment:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Per-student progress and assignment status for a class
+ * Days are the teacher's local days
+ */
+export const getDashboard = async (teacherId, classId) => {
+    try {
+        const classDoc = await getTeacherClass(teacherId, classId);
+        if (!classDoc) {
+            return { success: false, error: "Class not found" };
+        }
+
+        const studentIds = classDoc.data().studentIds || [];
+        const usersRef = db.collection("users");
+        const [teacherDoc, assignments] = await Promise.all([
+            usersRef.doc(teacherId).get(),
+            getAssignments(classDoc.ref),
+        ]);
+        const timeZone = resolveTimeZone(teacherDoc.data()?.settings?.timezone);
+        const now = new Date();
+        const today = getLocalDayKey(now, timeZone);
+
+        const lessonIds = [...new Set(assignments.map((assignment) => assignment.lessonId))];
+        const studentDocs = studentIds.length > 0 ? await db.getAll(...studentIds.map((id) => usersRef.doc(id))) : [];
+        const recordRefs = studentIds.flatMap((id) =>
+            lessonIds.map((lessonId) => usersRef.doc(id).collection("lessonRecords").doc(lessonId))
+        );
+        const recordDocs = recordRefs.length > 0 ? await db.getAll(...recordRefs) : [];
+        const records = {};
+        for (const doc of recordDocs) {
+            if (doc.exists) {
+                records[`${doc.ref.parent.parent.id}/${doc.id}`] = doc.data();
+            }
+        }
+
+        const students = studentDocs
+            .filter((doc) => doc.exists)
+            .map((doc) => {
+                const data = doc.data();
+                const progress = data.progress || {};
+                const studentTimeZone = resolveTimeZone(data.settings?.timezone);
+                const statuses = Object.fromEntries(
+                    assignments.map((assignment) => [
+                        assignment.id,
+                        getAssignmentStatus(assignment, records[`${doc.id}/${assignment.lessonId}`], today, timeZone),
+                    ])
+                );
+
+                return {
+                    id: doc.id,
+                    displayName: data.displayName || "Student",
+                    lessonsCompleted: progress.lessonsCompleted || 0,
+                    totalStars: progress.totalStars || 0,
+                    averageAccuracy: Math.round(progress.averageAccuracy || 0),
+                    bestAccuracy: Math.round(progress.bestAccuracy || 0),
+                    streak: getCurrentStreak(progress, now, studentTimeZone),
+                    lastPracticeDay: progress.lastPracticeDay || null,
+                    leaderboardOptOut: Boolean(data.settings?.leaderboardOptOut),
+                    assignments: statuses,
+                    assignmentsCompleted: Object.values(statuses).filter((item) => item.status === "completed" || item.status === "late").length,
+                };
+            })
+            .sort((a, b) => a.displayName.localeCompare(b.displayName));
+
+        const assignmentSummaries = assignments.map((assignment) => {
+            const done = students.filter((student) => ["completed", "late"].includes(student.assignments[assignment.id].status));
+            return {
+                ...assignment,
+                completedCount: done.length,
+                averageStars: done.length > 0
+                    ? Math.round((done.reduce((sum, student) => sum + student.assignments[assignment.id].stars, 0) / done.length) * 10) / 10
+                    : 0,
+            };
+        });
+
+        return {
+            success: true,
+            class: toClassSummary(classDoc, true),
+            today,
+            assignments: assignmentSummaries,
+            students,
+        };
+    } catch (error) {
+        console.error("Error getting class dashboard:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Opt a student of the class out of leaderboards, or back in
+ */
+export const setStudentLeaderboardOptOut = async (teacherId, classId, studentId, optOut) => {
+    try {
+        const classDoc = await getTeacherClass(teacherId, classId);
+        if (!classDoc || !(classDoc.data().studentIds || []).includes(studentId)) {
+            return { success: false, error: "Student not found in this class" };
+        }
+
+        return await setLeaderboardOptOut(studentId, optOut, teacherId);
+    } catch (error) {
+        console.error("Error updating student leaderboard opt-out:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+export default {
+    createClass,
+    deleteClass,
+    getClasses,
+    joinClass,
+    removeStudent,
+    getClass,
+    addAssignment,
+    deleteAssignment,
+    getDashboard,
+    setStudentLeaderboardOptOut,
+};
@@ -0,0 +1,240 @@
+/**
+ * Goal Service - Daily practice goal, counted in the user's local days
+ *
+ * Firestore layout:
+ *   users/{userId}/dailyGoals/{dayKey} - minutes practiced and lessons completed on one local day
+ *
+ * settings.dailyGoal is a number of practice minutes. Each day document keeps
+ * the goal that was in effect that day, so changing the goal doesn't rewrite
+ * history. "Today" is the current day in settings.timezone, so progress
+ * starts over at the user's own midnight. A day counts toward
+ * progress.dailyGoalsMet once: its metAt is set the first time the goal is
+ * met and kept when the goal changes later that day.
+ *
+ * Progress is added by the services that own the event, inside their
+ * transaction: readGoalDay() before any writes, addGoalProgress() after.
+ */
+
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { GOAL_RULES } from "../constants/progress.js";
+import { addDays, getLocalDayKey, resolveTimeZone } from "../utils/dates.js";
+import { ACTIVITY_TYPES, addActivity } from "./activityService.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+/**
+ * Check a daily goal value against the offered options
+ */
+export const isValidDailyGoal = (goal) => GOAL_RULES.DAILY_GOAL_OPTIONS.includes(goal);
+
+/**
+ * Daily goal from settings, falling back to the default for missing or retired values
+ */
+const resolveDailyGoal = (goal) => (Number.isFinite(goal) && goal > 0 ? goal : GOAL_RULES.DEFAULT_DAILY_GOAL);
+
+/**
+ * Today's goal status from a day document (or none yet)
+ */
+const getGoalStatus = (day, goal, data) => {
+    const minutes = data?.minutes || 0;
+
+    return {
+        day,
+        goal,
+        minutes,
+        lessonsCompleted: data?.lessonsCompleted || 0,
+        percent: Math.min(Math.round((minutes / goal) * 100), 100),
+        met: minutes >= goal,
+    };
+};
+
+/**
+ * Read today's goal document within a transaction
+ * Must be called before the transaction writes anything
+ */
+export const readGoalDay = async (transaction, userRef, userData) => {
+    const timeZone = resolveTimeZone(userData?.settings?.timezone);
+    const day = getLocalDayKey(new Date(), timeZone);
+    const ref = userRef.collection("dailyGoals").doc(day);
+    const dayDoc = await transaction.get(ref);
+
+    return {
+        userRef,
+        ref,
+        day,
+        timeZone,
+        goal: dayDoc.exists ? dayDoc.data().goal : resolveDailyGoal(userData?.settings?.dailyGoal),
+        data: dayDoc.exists ? dayDoc.data() : null,
+    };
+};
+
+/**
+ * Count a day's goal as met, unless it already was (metAt is set)
+ * Returns whether it was counted now
+ */
+const countGoalMet = (transaction, goalDay, status) => {
+    if (!status.met || goalDay.data?.metAt) {
+        return false;
+    }
+
+    transaction.update(goalDay.userRef, { "progress.dailyGoalsMet": FieldValue.increment(1) });
+    addActivity(
+        transaction,
+        goalDay.userRef,
+        ACTIVITY_TYPES.DAILY_GOAL_MET,
+        { goal: status.goal, minutes: status.minutes },
+        goalDay.timeZone
+    );
+    return true;
+};
+
+/**
+ * Add practice minutes and completed lessons to today's goal
+ * The first time the goal is met on a day, it is added to the activity history
+ */
+export const addGoalProgress = (transaction, goalDay, { minutes = 0, lessons = 0 } = {}) => {
+    const { ref, day, timeZone, goal, data } = goalDay;
+    const status = getGoalStatus(day, goal, {
+        minutes: (data?.minutes || 0) + minutes,
+        lessonsCompleted: (data?.lessonsCompleted || 0) + lessons,
+    });
+
+    transaction.set(ref, {
+        day,
+        timeZone,
+        goal,
+        minutes: status.minutes,
+        lessonsCompleted: status.lessonsCompleted,
+        met: status.met,
+        metAt: data?.metAt || (status.met ? FieldValue.serverTimestamp() : null),
+        updatedAt: FieldValue.serverTimestamp(),
+    });
+    const justMet = countGoalMet(transaction, goalDay, status);
+
+    return { ...status, justMet };
+};
+
+/**
+ * Get today's goal progress
+ */
+export const getTodayGoal = async (userId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const userDoc = await userRef.get();
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found" };
+        }
+
+        const settings = userDoc.data().settings || {};
+        const day = getLocalDayKey(new Date(), resolveTimeZone(settings.timezone));
+        const dayDoc = await userRef.collection("dailyGoals").doc(day).get();
+        const data = dayDoc.exists ? dayDoc.data() : null;
+
+        return {
+            success: true,
+            ...getGoalStatus(day, data?.goal || resolveDailyGoal(settings.dailyGoal), data),
+            goalOptions: GOAL_RULES.DAILY_GOAL_OPTIONS,
+        };
+    } catch (error) {
+        console.error("Error getting daily goal:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Goal progress for the last `days` local days, oldest first
+ * Days without any practice are left out
+ */
+export const getGoalHistory = async (userId, days = GOAL_RULES.HISTORY_DAYS) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const userDoc = await userRef.get();
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found", days: [] };
+        }
+
+        const to = getLocalDayKey(new Date(), resolveTimeZone(userDoc.data().settings?.timezone));
+        const from = addDays(to, 1 - days);
+
+        const snapshot = await userRef.collection("dailyGoals").where("day", ">=", from).get();
+        const history = snapshot.docs
+            .map((doc) => {
+                const data = doc.data();
+                return getGoalStatus(data.day, data.goal, data);
+            })
+            .sort((a, b) => a.day.localeCompare(b.day));
+
+        return {
+            success: true,
+            from,
+            to,
+            days: history,
+            daysMet: history.filter((item) => item.met).length,
+        };
+    } catch (error) {
+        console.error("Error getting daily goal history:", error);
+        return { success: false, error: error.message, days: [] };
+    }
+};
+
+/**
+ * Change the daily goal; today's progress is measured against the new goal right away
+ * Lowering it below today's minutes meets (and counts) today's goal; raising it
+ * again doesn't let the day be counted twice.
+ */
+export const setDailyGoal = async (userId, goal) => {
+    try {
+        if (!isValidDailyGoal(goal)) {
+            return {
+                success: false,
+                error: `dailyGoal must be one of: ${GOAL_RULES.DAILY_GOAL_OPTIONS.join(", ")} (minutes)`,
+            };
+        }
+
+        const userRef = db.collection("users").doc(userId);
+
+        return await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+
+            const goalDay = await readGoalDay(transaction, userRef, userDoc.data());
+
+            transaction.update(userRef, {
+                "settings.dailyGoal": goal,
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+
+            const status = getGoalStatus(goalDay.day, goal, goalDay.data);
+            let justMet = false;
+            if (goalDay.data) {
+                transaction.update(goalDay.ref, {
+                    goal,
+                    met: status.met,
+                    metAt: goalDay.data.metAt || (status.met ? FieldValue.serverTimestamp() : null),
+                    updatedAt: FieldValue.serverTimestamp(),
+                });
+                justMet = countGoalMet(transaction, goalDay, status);
+            }
+
+            return { success: true, ...status, justMet, goalOptions: GOAL_RULES.DAILY_GOAL_OPTIONS };
+        });
+    } catch (error) {
+        console.error("Error setting daily goal:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+export default {
+    isValidDailyGoal,
+    readGoalDay,
+    addGoalProgress,
+    getTodayGoal,
+    getGoalHistory,
+    setDailyGoal,
+};
@@ -0,0 +1,201 @@
+/**
+ * Inference Service - Server-side sign recognition with TensorFlow.js (Node, CPU)
+ *
+ * Used by devices that are too slow for in-browser inference. Runs the same
+ * registry model and preprocessing as the frontend MLModelService and returns
+ * predictions in the same shape (label, confidence, allPredictions).
+ *
+ * @tensorflow/tfjs-node is loaded lazily so the rest of the API keeps working
+ * on hosts where its native binding is not installed.
+ */
+
+import path from "path";
+import dotenv from "dotenv";
+import modelRegistry from "./modelRegistry.js";
+
+dotenv.config();
+
+const INFERENCE_CONFIG = {
+    modelId: process.env.INFERENCE_MODEL_ID || "sign_language",
+    signLanguage: process.env.INFERENCE_SIGN_LANGUAGE || "asl",
+    defaultInputShape: [224, 224, 3],
+    confidenceThreshold: 0.7,
+    topPredictions: 3,
+    maxBatchSize: 8,
+};
+
+let tf = null;
+let model = null;
+let manifest = null;
+let loadingPromise = null;
+
+/**
+ * Import tfjs-node on first use
+ */
+const loadTensorFlow = async () => {
+    if (!tf) {
+        tf = await import("@tensorflow/tfjs-node");
+    }
+    return tf;
+};
+
+/**
+ * Load the registry model once; concurrent callers share the same promise
+ */
+const ensureModelLoaded = async () => {
+    if (model) return;
+
+    if (!loadingPromise) {
+        loadingPromise = (async () => {
+            await loadTensorFlow();
+
+            const result = await modelRegistry.getManifest(
+                INFERENCE_CONFIG.modelId,
+                INFERENCE_CONFIG.signLanguage
+            );
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const { data } = result;
+            if (data.inputType === "landmarks") {
+                throw new Error("Landmark models run in the browser; server inference needs an image model");
+            }
+
+            const modelFile = path.join(
+                modelRegistry.MODELS_DIR,
+                INFERENCE_CONFIG.modelId,
+                INFERENCE_CONFIG.signLanguage,
+                data.version,
+                path.basename(data.modelPath)
+            );
+            const handler = tf.io.fileSystem(modelFile);
+
+            model = data.format === "graph"
+                ? await tf.loadGraphModel(handler)
+                : await tf.loadLayersModel(handler);
+            manifest = data;
+
+            console.log(`Inference model loaded: ${data.name}@${data.version}`);
+        })().catch((error) => {
+            loadingPromise = null;
+            throw error;
+        });
+    }
+
+    await loadingPromise;
+};
+
+/**
+ * Decode an encoded image and preprocess it exactly like the frontend:
+ * resize to the model input size, scale to [0, 1] and add a batch dimension
+ */
+const preprocessImage = (imageBuffer) => {
+    const [height, width] = manifest.inputShape || INFERENCE_CONFIG.defaultInputShape;
+
+    return tf.tidy(() => {
+        const decoded = tf.node.decodeImage(imageBuffer, 3);
+        const resized = tf.image.resizeBilinear(decoded, [height, width]);
+        return resized.div(255.0).expandDims(0);
+    });
+};
+
+/**
+ * Turn a probability vector into the MLModelService.predictSign result shape
+ */
+const toPrediction = (scores) => {
+    const classLabels = manifest.classLabels || [];
+    const threshold = manifest.confidenceThreshold ?? INFERENCE_CONFIG.confidenceThreshold;
+
+    const ranked = Array.from(scores)
+        .map((confidence, index) => ({ label: classLabels[index], confidence }))
+        .sort((a, b) => b.confidence - a.confidence);
+
+    const [best] = ranked;
+    const allPredictions = ranked.slice(0, INFERENCE_CONFIG.topPredictions);
+
+    if (best.confidence < threshold) {
+        return {
+            success: true,
+            label: "Unknown",
+            confidence: best.confidence,
+            message: "Low confidence - please try again with better hand position",
+            allPredictions,
+        };
+    }
+
+    return {
+        success: true,
+        label: best.label,
+        confidence: best.confidence,
+        allPredictions,
+    };
+};
+
+/**
+ * Predict signs for one or more encoded (JPEG/PNG) frames
+ * @param {Buffer[]} imageBuffers - Encoded frames
+ */
+export const predictFrames = async (imageBuffers) => {
+    if (imageBuffers.length === 0) {
+        return { success: false, error: "No frames provided" };
+    }
+
+    if (imageBuffers.length > INFERENCE_CONFIG.maxBatchSize) {
+        return { success: false, error: `At most ${INFERENCE_CONFIG.maxBatchSize} frames per request` };
+    }
+
+    try {
+        await ensureModelLoaded();
+    } catch (error) {
+        console.error("Error loading inference model:", error);
+        return { success: false, unavailable: true, error: "Server inference is not available" };
+    }
+
+    const startTime = Date.now();
+    let inputs = [];
+
+    try {
+        inputs = imageBuffers.map(preprocessImage);
+
+        const batch = tf.concat(inputs, 0);
+        const output = model.predict(batch);
+        const scores = await output.array();
+        batch.dispose();
+        output.dispose();
+
+        return {
+            success: true,
+            results: scores.map(toPrediction),
+            inferenceTime: Date.now() - startTime,
+        };
+    } catch (error) {
+        console.error("Error running inference:", error);
+        return { success: false, error: "Could not decode or classify frame" };
+    } finally {
+        inputs.forEach((input) => input.dispose());
+    }
+};
+
+/**
+ * Report whether server inference can run on this host
+ */
+export const getStatus = async () => {
+    try {
+        await ensureModelLoaded();
+        return {
+            success: true,
+            available: true,
+            backend: tf.getBackend(),
+            model: { name: manifest.name, version: manifest.version },
+        };
+    } catch (error) {
+        return { success: true, available: false, error: error.message };
+    }
+};
+
+export default {
+    INFERENCE_CONFIG,
+    predictFrames,
+    getStatus,
+};
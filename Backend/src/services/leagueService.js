@@ -0,0 +1,282 @@
+/**
+ * League Service - Weekly leaderboards grouped into leagues
+ *
+ * Firestore layout:
+ *   leagues/{leagueId}                   - one league of one tier for one week
+ *   leagues/{leagueId}/members/{userId}  - display name and XP earned that week
+ *   users/{userId}.progress.league       - { week, leagueId, tier } of the current membership
+ *
+ * Weeks run Monday to Sunday in each user's timezone and are keyed by their
+ * Monday. Users join a league of their tier the first time they open the
+ * leaderboard in a week, bringing the XP they already earned that week;
+ * after that awardXp() adds to their member document. A finished week is
+ * settled lazily on the next visit: the rank in last week's league decides
+ * whether the user moves up or down a tier.
+ *
+ * Leaderboards only ever expose display names. Opted-out users are removed
+ * from their league and don't join new ones.
+ */
+
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { LEAGUE_RULES, LEAGUE_TIERS, getLeagueTier } from "../constants/leagues.js";
+import { addDays, getLocalDayKey, getWeekStart, resolveTimeZone } from "../utils/dates.js";
+import { ACTIVITY_TYPES, addActivity } from "./activityService.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+/**
+ * Member document of a user in a league
+ */
+export const getLeagueMemberRef = (leagueId, userId) =>
+    db.collection("leagues").doc(leagueId).collection("members").doc(userId);
+
+/**
+ * Name shown on leaderboards; anything that looks like an email is hidden
+ */
+const toPublicName = (displayName) =>
+    displayName && !displayName.includes("@") ? displayName.trim().slice(0, 40) : "Learner";
+
+/**
+ * When a member joined; someone joining in this transaction sorts last
+ */
+const getJoinedMillis = (member) => member.joinedAt?.toMillis() ?? Number.MAX_SAFE_INTEGER;
+
+/**
+ * Members ranked by weekly XP; ties go to whoever joined first
+ */
+const rankMembers = (members) =>
+    [...members]
+        .sort((a, b) => b.xp - a.xp || getJoinedMillis(a) - getJoinedMillis(b))
+        .map((member, index) => ({ ...member, rank: index + 1 }));
+
+/**
+ * Whether a rank moves up, down or stays at the end of the week
+ */
+const getOutcome = (rank, memberCount, xp, tierIndex) => {
+    if (rank <= LEAGUE_RULES.PROMOTE_COUNT && xp > 0 && tierIndex < LEAGUE_TIERS.length - 1) {
+        return "promoted";
+    }
+    if (
+        memberCount >= LEAGUE_RULES.MIN_MEMBERS_FOR_DEMOTION &&
+        rank > memberCount - LEAGUE_RULES.DEMOTE_COUNT &&
+        tierIndex > 0
+    ) {
+        return "demoted";
+    }
+    return "stayed";
+};
+
+/**
+ * Read the members of a league within a transaction
+ */
+const readMembers = async (transaction, leagueId) => {
+    const snapshot = await transaction.get(db.collection("leagues").doc(leagueId).collection("members"));
+    return snapshot.docs.map((doc) => ({ userId: doc.id, ...doc.data() }));
+};
+
+/**
+ * Settle a finished week from its league standings
+ */
+const getWeekResult = (league, members, userId) => {
+    const tierIndex = LEAGUE_TIERS.indexOf(getLeagueTier(league.tier));
+    const me = rankMembers(members).find((member) => member.userId === userId);
+    const rank = me?.rank || members.length + 1;
+    const outcome = getOutcome(rank, members.length, me?.xp || 0, tierIndex);
+    const newTierIndex = tierIndex + (outcome === "promoted" ? 1 : outcome === "demoted" ? -1 : 0);
+
+    return {
+        week: league.week,
+        tier: league.tier,
+        rank,
+        memberCount: members.length,
+        xp: me?.xp || 0,
+        outcome,
+        newTier: LEAGUE_TIERS[newTierIndex].id,
+    };
+};
+
+/**
+ * Get the user's league for the current week, joining one if needed
+ */
+export const getLeaderboard = async (userId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+
+        return await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+
+            const userData = userDoc.data();
+            const progress = userData.progress || {};
+            const timeZone = resolveTimeZone(userData.settings?.timezone);
+            const week = getWeekStart(getLocalDayKey(new Date(), timeZone));
+
+            if (userData.settings?.leaderboardOptOut) {
+                return { success: true, optedOut: true, week, tiers: LEAGUE_TIERS, lastResult: progress.leagueResult || null };
+            }
+
+            // Settle last week's league before joining this week's
+            let tierId = getLeagueTier(progress.leagueTier).id;
+            let lastResult = progress.leagueResult || null;
+            let membership = progress.league || null;
+            const isWeekFinished = Boolean(membership) && membership.week !== week;
+            if (isWeekFinished) {
+                lastResult = getWeekResult(membership, await readMembers(transaction, membership.leagueId), userId);
+                tierId = lastResult.newTier;
+                membership = null;
+            }
+
+            let members;
+            let leagueRef;
+            let joinedXp = 0;
+            if (membership) {
+                leagueRef = db.collection("leagues").doc(membership.leagueId);
+                members = await readMembers(transaction, membership.leagueId);
+            } else {
+                const openLeagues = await transaction.get(
+                    db.collection("leagues")
+                        .where("week", "==", week)
+                        .where("tier", "==", tierId)
+                        .where("full", "==", false)
+                        .limit(1)
+                );
+                leagueRef = openLeagues.empty ? db.collection("leagues").doc() : openLeagues.docs[0].ref;
+                members = openLeagues.empty ? [] : await readMembers(transaction, leagueRef.id);
+
+                const xpDays = await transaction.get(userRef.collection("xpDays").where("day", ">=", week));
+                joinedXp = xpDays.docs.reduce((sum, doc) => sum + (doc.data().total || 0), 0);
+            }
+
+            // Writes
+            const displayName = toPublicName(userData.displayName);
+            const memberRef = getLeagueMemberRef(leagueRef.id, userId);
+            if (!membership) {
+                const memberCount = members.length + 1;
+                transaction.set(
+                    leagueRef,
+                    {
+                        week,
+                        tier: tierId,
+                        memberCount,
+                        full: memberCount >= LEAGUE_RULES.LEAGUE_SIZE,
+                        ...(members.length === 0 && { createdAt: FieldValue.serverTimestamp() }),
+                    },
+                    { merge: true }
+                );
+                transaction.set(memberRef, {
+                    displayName,
+                    xp: joinedXp,
+                    joinedAt: FieldValue.serverTimestamp(),
+                    updatedAt: FieldValue.serverTimestamp(),
+                });
+                members.push({ userId, displayName, xp: joinedXp, joinedAt: null });
+
+                const updates = {
+                    "progress.league": { week, leagueId: leagueRef.id, tier: tierId },
+                    "progress.leagueTier": tierId,
+                };
+                if (isWeekFinished) {
+                    updates["progress.leagueResult"] = lastResult;
+                    addActivity(transaction, userRef, ACTIVITY_TYPES.LEAGUE_FINISHED, lastResult, timeZone);
+                }
+                transaction.update(userRef, updates);
+            } else {
+                const me = members.find((member) => member.userId === userId);
+                if (me && me.displayName !== displayName) {
+                    transaction.update(memberRef, { displayName });
+                    me.displayName = displayName;
+                }
+            }
+
+            const tier = getLeagueTier(tierId);
+            const tierIndex = LEAGUE_TIERS.indexOf(tier);
+
+            return {
+                success: true,
+                optedOut: false,
+                week,
+                weekEnd: addDays(week, 6),
+                tier: { ...tier, index: tierIndex },
+                tiers: LEAGUE_TIERS,
+                members: rankMembers(members).map((member) => ({
+                    rank: member.rank,
+                    displayName: member.displayName,
+                    xp: member.xp,
+                    zone: getOutcome(member.rank, members.length, member.xp, tierIndex),
+                    isCurrentUser: member.userId === userId,
+                })),
+                rules: {
+                    promoteCount: LEAGUE_RULES.PROMOTE_COUNT,
+                    demoteCount: LEAGUE_RULES.DEMOTE_COUNT,
+                    minMembersForDemotion: LEAGUE_RULES.MIN_MEMBERS_FOR_DEMOTION,
+                },
+                lastResult,
+            };
+        });
+    } catch (error) {
+        console.error("Error getting leaderboard:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Opt a user out of leaderboards, or back in
+ * `actorId` is whoever makes the change. An opt-out set by someone else
+ * (a parent or teacher) can only be lifted by them, or by the parent of a
+ * child profile.
+ */
+export const setLeaderboardOptOut = async (userId, optOut, actorId = userId) => {
+    try {
+        if (typeof optOut !== "boolean") {
+            return { success: false, error: "optOut must be true or false" };
+        }
+
+        const userRef = db.collection("users").doc(userId);
+
+        return await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+
+            const { settings = {}, progress = {}, parentId = null } = userDoc.data();
+            const optOutBy = settings.leaderboardOptOutBy || null;
+            if (!optOut && settings.leaderboardOptOut && optOutBy && optOutBy !== actorId && actorId !== parentId) {
+                return { success: false, error: "Only the parent or teacher who opted this account out can opt it back in" };
+            }
+
+            const updates = {
+                "settings.leaderboardOptOut": optOut,
+                "settings.leaderboardOptOutBy": optOut ? actorId : null,
+                updatedAt: FieldValue.serverTimestamp(),
+            };
+
+            // Leave the current league right away, so the name disappears from it
+            if (optOut && progress.league) {
+                transaction.delete(getLeagueMemberRef(progress.league.leagueId, userId));
+                transaction.update(db.collection("leagues").doc(progress.league.leagueId), {
+                    memberCount: FieldValue.increment(-1),
+                    full: false,
+                });
+                updates["progress.league"] = null;
+            }
+            transaction.update(userRef, updates);
+
+            return { success: true, optedOut: optOut, optedOutBy: optOut ? actorId : null };
+        });
+    } catch (error) {
+        console.error("Error updating leaderboard opt-out:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+export default {
+    getLeagueMemberRef,
+    getLeaderboard,
+    setLeaderboardOptOut,
+};
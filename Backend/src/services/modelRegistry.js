@@ -0,0 +1,246 @@
+/**
+ * Model Registry Service - Discovers recognition model bundles on disk
+ *
+ * Directory layout (MODELS_DIR, defaults to Backend/models):
+ *   <modelId>/<signLanguage>/<version>/manifest.json
+ *   <modelId>/<signLanguage>/<version>/model.json + weight shards
+ *
+ * manifest.json follows the frontend bundle format:
+ *   { name, version, format, modelPath, inputShape, classLabels, description }
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MODELS_DIR = process.env.MODELS_DIR
+    ? path.resolve(process.env.MODELS_DIR)
+    : path.resolve(__dirname, "../../models");
+
+// Class labels are re-read at most this often, like the model listing's max-age
+const CLASS_LABELS_TTL_MS = 5 * 60 * 1000;
+
+let classLabelsCache = null; // { labels: Promise<Set>, loadedAt }
+
+/**
+ * Compare two dotted version strings numerically ("1.10.0" > "1.9.2")
+ */
+const compareVersions = (a, b) => {
+    const partsA = String(a).split(".").map((part) => parseInt(part, 10) || 0);
+    const partsB = String(b).split(".").map((part) => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+};
+
+/**
+ * List sub-directory names, ignoring files and hidden entries
+ */
+const listDirectories = async (dir) => {
+    try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries
+            .filter((entry) => entry.isDirectory() && !entry.name.startsWith("."))
+            .map((entry) => entry.name);
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+    }
+};
+
+/**
+ * Read and validate a version manifest
+ */
+const readManifest = async (modelId, signLanguage, version) => {
+    const manifestPath = path.join(MODELS_DIR, modelId, signLanguage, version, "manifest.json");
+
+    try {
+        const manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+        return {
+            // Variants are cached separately by clients, so the default name includes the sign language
+            name: `${modelId}_${signLanguage}`,
+            format: "layers",
+            modelPath: "model.json",
+            ...manifest,
+            version,
+            signLanguage,
+        };
+    } catch (error) {
+        console.warn(`Skipping invalid model manifest ${manifestPath}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Summarise a manifest for registry listings
+ */
+const toVersionInfo = (manifest) => ({
+    version: manifest.version,
+    format: manifest.format,
+    inputShape: manifest.inputShape || null,
+    classLabels: manifest.classLabels || [],
+    numClasses: (manifest.classLabels || []).length,
+});
+
+/**
+ * Load all versions of one sign language variant, newest first
+ */
+const getVariant = async (modelId, signLanguage) => {
+    const versions = await listDirectories(path.join(MODELS_DIR, modelId, signLanguage));
+    const manifests = (await Promise.all(
+        versions.map((version) => readManifest(modelId, signLanguage, version))
+    )).filter(Boolean);
+
+    if (manifests.length === 0) return null;
+
+    manifests.sort((a, b) => compareVersions(b.version, a.version));
+
+    return {
+        signLanguage,
+        latestVersion: manifests[0].version,
+        versions: manifests.map(toVersionInfo),
+        latest: manifests[0],
+    };
+};
+
+/**
+ * Load a model with all its sign language variants
+ */
+const loadModelEntry = async (modelId) => {
+    const signLanguages = await listDirectories(path.join(MODELS_DIR, modelId));
+    const variants = (await Promise.all(
+        signLanguages.map((signLanguage) => getVariant(modelId, signLanguage))
+    )).filter(Boolean);
+
+    if (variants.length === 0) return null;
+
+    const { latest } = variants[0];
+    return {
+        id: modelId,
+        name: latest.displayName || modelId,
+        description: latest.description || "",
+        variants: variants.map(({ latest: _latest, ...variant }) => variant),
+    };
+};
+
+/**
+ * List all registered models, optionally filtered by sign language
+ */
+export const listModels = async (signLanguage) => {
+    try {
+        const modelIds = await listDirectories(MODELS_DIR);
+        const models = (await Promise.all(modelIds.map(loadModelEntry)))
+            .filter(Boolean)
+            .map((model) => signLanguage
+                ? { ...model, variants: model.variants.filter((v) => v.signLanguage === signLanguage) }
+                : model)
+            .filter((model) => model.variants.length > 0);
+
+        return { success: true, models };
+    } catch (error) {
+        console.error("Error listing models:", error);
+        return { success: false, error: error.message, models: [] };
+    }
+};
+
+/**
+ * Get a single model with all variants and versions
+ */
+export const getModel = async (modelId) => {
+    try {
+        const model = await loadModelEntry(modelId);
+
+        if (!model) {
+            return { success: false, error: "Model not found" };
+        }
+
+        return { success: true, data: model };
+    } catch (error) {
+        console.error("Error getting model:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Get the manifest of a model variant (latest version unless one is given)
+ * modelPath is rewritten to the artifact URL so clients can load it directly
+ */
+export const getManifest = async (modelId, signLanguage, version) => {
+    try {
+        const variant = await getVariant(modelId, signLanguage);
+
+        if (!variant) {
+            return { success: false, error: "Model variant not found" };
+        }
+
+        const resolvedVersion = version || variant.latestVersion;
+        const manifest = await readManifest(modelId, signLanguage, resolvedVersion);
+
+        if (!manifest) {
+            return { success: false, error: "Model version not found" };
+        }
+
+        return {
+            success: true,
+            data: {
+                ...manifest,
+                modelPath: `/ml/artifacts/${modelId}/${signLanguage}/${resolvedVersion}/${manifest.modelPath}`,
+            },
+        };
+    } catch (error) {
+        console.error("Error getting model manifest:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Scan the registry for the class labels of every model version
+ */
+const readClassLabels = async () => {
+    const modelIds = await listDirectories(MODELS_DIR);
+    const models = (await Promise.all(modelIds.map(loadModelEntry))).filter(Boolean);
+
+    return new Set(models.flatMap((model) =>
+        model.variants.flatMap((variant) => variant.versions.flatMap((version) => version.classLabels))
+    ));
+};
+
+/**
+ * Class labels of every registered model version, as a Set
+ * Cached for CLASS_LABELS_TTL_MS; concurrent callers share one scan, and a
+ * failed scan is retried on the next call
+ */
+export const getClassLabels = async () => {
+    if (!classLabelsCache || Date.now() - classLabelsCache.loadedAt > CLASS_LABELS_TTL_MS) {
+        const cache = { labels: readClassLabels(), loadedAt: Date.now() };
+        classLabelsCache = cache;
+        cache.labels.catch(() => {
+            if (classLabelsCache === cache) classLabelsCache = null;
+        });
+    }
+
+    return classLabelsCache.labels;
+};
+
+/**
+ * Path segments must be plain names so they can't escape MODELS_DIR
+ */
+export const isValidSegment = (segment) =>
+    typeof segment === "string" && /^[A-Za-z0-9._-]+$/.test(segment) && !segment.startsWith(".");
+
+export default {
+    MODELS_DIR,
+    listModels,
+    getModel,
+    getManifest,
+    getClassLabels,
+    isValidSegment,
+};
@@ -0,0 +1,334 @@
+/**
+ * Practice Service - Practice sessions and accuracy statistics
+ *
+ * Firestore layout:
+ *   users/{userId}/practiceSessions/{sessionId} - one camera practice session
+ *   users/{userId}/signStats/{signKey}          - accuracy per sign
+ *
+ * Every recorded attempt updates the session, the sign's stats and the
+ * user's progress.averageAccuracy / bestAccuracy in one transaction, using
+ * running averages so no attempt history has to be re-read. Targeted attempts
+ * also grade the sign's review card (see reviewService).
+ *
+ * A session's practice time runs from its start to its last recorded attempt,
+ * so a camera left open earns nothing. progress.practiceCountedUntil marks the
+ * end of the practice time already counted; overlapping sessions only add the
+ * time after it, so parallel sessions can't count the same minutes twice.
+ */
+
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { PROGRESS_CONSTANTS, XP_RULES } from "../constants/progress.js";
+import { RECOGNIZER_LABELS, findCatalogSign } from "../constants/lessons.js";
+import { getClassLabels } from "./modelRegistry.js";
+import { ACTIVITY_TYPES, addActivity } from "./activityService.js";
+import { addGoalProgress, readGoalDay } from "./goalService.js";
+import { evaluateAchievements } from "./achievementService.js";
+import { updateStreak } from "./streakService.js";
+import { awardXp, readXpDay } from "./xpService.js";
+import { getAttemptGrade, gradeReviewCard, readReviewCards } from "./reviewService.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+const PRACTICE_MODES = ["free", "lesson"];
+const MAX_SESSION_MINUTES = 120; // Longest practice time one session can count
+
+/**
+ * Firestore-safe document ID for a sign label ("Thank You" -> "thank_you")
+ */
+export const getSignKey = (sign) =>
+    String(sign).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") || "unknown";
+
+/**
+ * Whether a label is a sign the app teaches or a recognizer can output
+ * Sign labels become signStats document IDs, so anything else is rejected
+ */
+const isKnownSign = async (label) => {
+    if (findCatalogSign(label) || RECOGNIZER_LABELS.includes(label)) return true;
+    return (await getClassLabels()).has(label);
+};
+
+/**
+ * Practice minutes a session counts when it ends, and the new practiceCountedUntil
+ * Dates are the session's startedAt and lastActivityAt (its last attempt) and the
+ * user's practiceCountedUntil (null before the first counted session)
+ */
+export const getSessionMinutes = ({ startedAt, lastActivityAt, attempts }, countedUntil = null) => {
+    if (!attempts || !startedAt || !lastActivityAt) {
+        return { minutes: 0, countedUntil };
+    }
+
+    const from = Math.max(startedAt.getTime(), countedUntil?.getTime() || 0);
+    const minutes = Math.min(
+        Math.max(Math.round((lastActivityAt.getTime() - from) / (1000 * 60)), 0),
+        MAX_SESSION_MINUTES
+    );
+
+    return {
+        minutes,
+        countedUntil: countedUntil && countedUntil > lastActivityAt ? countedUntil : lastActivityAt,
+    };
+};
+
+/**
+ * Fold one value into a running average over `count` previous values
+ */
+const runningAverage = (average, count, value) => (average * count + value) / (count + 1);
+
+/**
+ * Accuracy (0-100) of an attempt
+ * Targeted attempts only count when the target was recognized; in free
+ * practice there is no target, so the recognized sign's confidence counts
+ */
+const getAttemptAccuracy = ({ targetSign, predictedLabel, confidence }) => {
+    if (targetSign && predictedLabel !== targetSign) return 0;
+    return Math.round(confidence * 100);
+};
+
+/**
+ * Start a practice session
+ */
+export const startSession = async (userId, { mode = "free", lessonId = null } = {}) => {
+    try {
+        if (!PRACTICE_MODES.includes(mode)) {
+            return { success: false, error: `mode must be one of: ${PRACTICE_MODES.join(", ")}` };
+        }
+
+        const sessionRef = db.collection("users").doc(userId).collection("practiceSessions").doc();
+        await sessionRef.set({
+            mode,
+            lessonId,
+            status: "active",
+            startedAt: FieldValue.serverTimestamp(),
+            lastActivityAt: FieldValue.serverTimestamp(),
+            endedAt: null,
+            attempts: 0,
+            correctAttempts: 0,
+            averageAccuracy: 0,
+            bestAccuracy: 0,
+        });
+
+        return { success: true, sessionId: sessionRef.id };
+    } catch (error) {
+        console.error("Error starting practice session:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Record a recognized attempt in an active session
+ */
+export const recordAttempt = async (userId, sessionId, attempt) => {
+    try {
+        const { targetSign = null, predictedLabel, confidence } = attempt || {};
+
+        if (!predictedLabel && !targetSign) {
+            return { success: false, error: "predictedLabel or targetSign is required" };
+        }
+        if (typeof confidence !== "number" || confidence < 0 || confidence > 1) {
+            return { success: false, error: "confidence must be a number between 0 and 1" };
+        }
+
+        const sign = targetSign || predictedLabel;
+        if (typeof sign !== "string" || !(await isKnownSign(sign))) {
+            return { success: false, error: "Unknown sign" };
+        }
+        const accuracy = getAttemptAccuracy({ targetSign, predictedLabel, confidence });
+        const isCorrect = !targetSign || predictedLabel === targetSign;
+
+        const userRef = db.collection("users").doc(userId);
+        const sessionRef = userRef.collection("practiceSessions").doc(sessionId);
+        const signRef = userRef.collection("signStats").doc(getSignKey(sign));
+        const reviewSign = targetSign ? findCatalogSign(targetSign) : null;
+
+        return await db.runTransaction(async (transaction) => {
+            const [userDoc, sessionDoc, signDoc] = await Promise.all([
+                transaction.get(userRef),
+                transaction.get(sessionRef),
+                transaction.get(signRef),
+            ]);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+            if (!sessionDoc.exists) {
+                return { success: false, error: "Session not found" };
+            }
+
+            const session = sessionDoc.data();
+            if (session.status !== "active") {
+                return { success: false, error: "Session has ended" };
+            }
+
+            const xpDay = await readXpDay(transaction, userRef, userDoc.data());
+            const reviewCards = reviewSign ? await readReviewCards(transaction, userRef, [reviewSign.id]) : {};
+            const progress = userDoc.data().progress || {};
+            const accuracyAttempts = progress.accuracyAttempts || 0;
+            const averageAccuracy = runningAverage(progress.averageAccuracy || 0, accuracyAttempts, accuracy);
+            const bestAccuracy = Math.max(progress.bestAccuracy || 0, accuracy);
+
+            const signStats = signDoc.exists ? signDoc.data() : { attempts: 0, correctAttempts: 0, averageAccuracy: 0, bestAccuracy: 0 };
+
+            transaction.update(userRef, {
+                "progress.averageAccuracy": averageAccuracy,
+                "progress.bestAccuracy": bestAccuracy,
+                "progress.accuracyAttempts": accuracyAttempts + 1,
+                "progress.signsRecognized": FieldValue.increment(isCorrect ? 1 : 0),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+
+            transaction.update(sessionRef, {
+                attempts: session.attempts + 1,
+                correctAttempts: session.correctAttempts + (isCorrect ? 1 : 0),
+                averageAccuracy: runningAverage(session.averageAccuracy, session.attempts, accuracy),
+                bestAccuracy: Math.max(session.bestAccuracy, accuracy),
+                lastActivityAt: FieldValue.serverTimestamp(),
+            });
+
+            transaction.set(signRef, {
+                sign,
+                attempts: signStats.attempts + 1,
+                correctAttempts: signStats.correctAttempts + (isCorrect ? 1 : 0),
+                averageAccuracy: runningAverage(signStats.averageAccuracy, signStats.attempts, accuracy),
+                bestAccuracy: Math.max(signStats.bestAccuracy, accuracy),
+                lastPracticedAt: FieldValue.serverTimestamp(),
+            });
+
+            // Accurate attempts earn XP, up to a daily cap
+            const isAccurate = isCorrect && accuracy >= PROGRESS_CONSTANTS.MIN_ACCURACY_FOR_COMPLETION;
+            const xp = awardXp(transaction, xpDay, "practice", isAccurate ? XP_RULES.ACCURATE_ATTEMPT_XP : 0);
+
+            const review = reviewSign
+                ? gradeReviewCard(transaction, userRef, reviewCards[reviewSign.id], getAttemptGrade({ isCorrect, accuracy }), xpDay.day)
+                : null;
+
+            return { success: true, accuracy, averageAccuracy, bestAccuracy, xp, review };
+        });
+    } catch (error) {
+        console.error("Error recording practice attempt:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * End a session and add its duration to the user's practice time
+ */
+export const endSession = async (userId, sessionId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const sessionRef = userRef.collection("practiceSessions").doc(sessionId);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const [userDoc, sessionDoc] = await Promise.all([
+                transaction.get(userRef),
+                transaction.get(sessionRef),
+            ]);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+            if (!sessionDoc.exists) {
+                return { success: false, error: "Session not found" };
+            }
+
+            const session = sessionDoc.data();
+            if (session.status !== "active") {
+                return { success: true, message: "Session already ended", session };
+            }
+
+            const userData = userDoc.data();
+            const goalDay = await readGoalDay(transaction, userRef, userData);
+
+            const { minutes, countedUntil } = getSessionMinutes(
+                {
+                    startedAt: session.startedAt?.toDate() || null,
+                    lastActivityAt: session.lastActivityAt?.toDate() || null,
+                    attempts: session.attempts,
+                },
+                userData.progress?.practiceCountedUntil?.toDate() || null
+            );
+
+            transaction.update(sessionRef, {
+                status: "ended",
+                endedAt: FieldValue.serverTimestamp(),
+                durationMinutes: minutes,
+            });
+
+            transaction.update(userRef, {
+                "progress.totalPracticeTime": FieldValue.increment(minutes),
+                "progress.practiceSessionsCount": FieldValue.increment(session.attempts > 0 ? 1 : 0),
+                "progress.practiceCountedUntil": countedUntil,
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+
+            // Sessions where nothing was recognized (e.g. the camera was just opened) stay out of the history
+            if (session.attempts > 0) {
+                addActivity(
+                    transaction,
+                    userRef,
+                    ACTIVITY_TYPES.PRACTICE_SESSION,
+                    {
+                        sessionId,
+                        mode: session.mode,
+                        lessonId: session.lessonId,
+                        minutes,
+                        attempts: session.attempts,
+                        correctAttempts: session.correctAttempts,
+                        averageAccuracy: Math.round(session.averageAccuracy),
+                    },
+                    userData.settings?.timezone
+                );
+            }
+
+            const dailyGoal = addGoalProgress(transaction, goalDay, { minutes });
+
+            return {
+                success: true,
+                session: { ...session, status: "ended", durationMinutes: minutes },
+                dailyGoal,
+            };
+        });
+
+        if (result.success && result.dailyGoal) {
+            if (result.session.attempts > 0) {
+                // A session with recognized signs is a practice day; this also evaluates achievements
+                const streakResult = await updateStreak(userId);
+                result.achievements = streakResult.achievements || [];
+            } else {
+                const achievements = await evaluateAchievements(userId);
+                result.achievements = achievements.unlocked;
+            }
+        }
+
+        return result;
+    } catch (error) {
+        console.error("Error ending practice session:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Get accuracy statistics for every practiced sign
+ */
+export const getSignStats = async (userId) => {
+    try {
+        const snapshot = await db.collection("users").doc(userId).collection("signStats").get();
+        const signs = snapshot.docs
+            .map((doc) => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => b.attempts - a.attempts);
+
+        return { success: true, signs };
+    } catch (error) {
+        console.error("Error getting sign stats:", error);
+        return { success: false, error: error.message, signs: [] };
+    }
+};
+
+export default {
+    getSignKey,
+    getSessionMinutes,
+    startSession,
+    recordAttempt,
+    endSession,
+    getSignStats,
+};
@@ -0,0 +1,351 @@
+/**
+ * Profile Service - Child profiles under a parent account
+ *
+ * Firestore layout:
+ *   users/{profileId}                      - a child profile: a full user document with
+ *                                            accountType "child" and parentId set
+ *   users/{accountId}/private/parentPin    - hashed parent PIN and failed attempts
+ *
+ * Child profiles have their own progress, settings and streak, so every
+ * progress service works on them unchanged; routes pick the profile with the
+ * X-Profile-Id header (see resolveProfile). Creating or deleting profiles and
+ * the parent's view of their progress need the parent PIN, so a child using
+ * the shared device can't get into them.
+ */
+
+import crypto from "crypto";
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { PROFILE_RULES } from "../constants/profiles.js";
+import { resolveTimeZone } from "../utils/dates.js";
+import { getDefaultUserData } from "./userService.js";
+import { getCurrentStreak } from "./streakService.js";
+import { getTodayGoal } from "./goalService.js";
+import { setLeaderboardOptOut } from "./leagueService.js";
+
+const FieldValue = admin.firestore.FieldValue;
+const Timestamp = admin.firestore.Timestamp;
+
+const usersRef = () => db.collection("users");
+const getPinRef = (accountId) => usersRef().doc(accountId).collection("private").doc("parentPin");
+
+const hashPin = (pin, salt) => crypto.scryptSync(pin, salt, 32);
+
+/**
+ * Trimmed profile name, or null when empty or too long
+ */
+const normalizeProfileName = (name) => {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    return trimmed && trimmed.length <= PROFILE_RULES.NAME_MAX_LENGTH ? trimmed : null;
+};
+
+/**
+ * Fields the profile picker shows
+ */
+const toProfileSummary = (doc, now) => {
+    const data = doc.data();
+    const progress = data.progress || {};
+
+    return {
+        id: doc.id,
+        displayName: data.displayName || "User",
+        avatar: data.avatar || null,
+        isChild: Boolean(data.parentId),
+        level: progress.level || 1,
+        streak: getCurrentStreak(progress, now, resolveTimeZone(data.settings?.timezone)),
+    };
+};
+
+/**
+ * Load a child profile if it belongs to the account
+ */
+const getChildDoc = async (accountId, profileId) => {
+    if (typeof profileId !== "string" || !profileId) {
+        return null;
+    }
+
+    const doc = await usersRef().doc(profileId).get();
+    return doc.exists && doc.data().parentId === accountId ? doc : null;
+};
+
+/**
+ * Check the parent PIN; too many wrong attempts in a row lock it for a while
+ */
+export const verifyPin = async (accountId, pin) => {
+    try {
+        if (typeof pin !== "string" || !PROFILE_RULES.PIN_PATTERN.test(pin)) {
+            return { success: false, error: "Enter your 4-digit parent PIN" };
+        }
+
+        const pinRef = getPinRef(accountId);
+
+        return await db.runTransaction(async (transaction) => {
+            const pinDoc = await transaction.get(pinRef);
+
+            if (!pinDoc.exists) {
+                return { success: false, error: "Set a parent PIN first" };
+            }
+
+            const data = pinDoc.data();
+            const lockedUntil = data.lockedUntil?.toDate();
+            if (lockedUntil && lockedUntil > new Date()) {
+                const minutes = Math.ceil((lockedUntil - new Date()) / 60000);
+                return { success: false, error: `Too many wrong PINs. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}` };
+            }
+
+            if (crypto.timingSafeEqual(hashPin(pin, data.salt), Buffer.from(data.hash, "hex"))) {
+                if (data.failedAttempts) {
+                    transaction.update(pinRef, { failedAttempts: 0, lockedUntil: null });
+                }
+                return { success: true };
+            }
+
+            const failedAttempts = (data.failedAttempts || 0) + 1;
+            const isLocked = failedAttempts >= PROFILE_RULES.MAX_PIN_ATTEMPTS;
+            transaction.update(pinRef, {
+                failedAttempts: isLocked ? 0 : failedAttempts,
+                lockedUntil: isLocked
+                    ? Timestamp.fromMillis(Date.now() + PROFILE_RULES.PIN_LOCK_MINUTES * 60000)
+                    : null,
+            });
+
+            return {
+                success: false,
+                error: isLocked
+                    ? `Too many wrong PINs. Try again in ${PROFILE_RULES.PIN_LOCK_MINUTES} minutes`
+                    : "Wrong PIN",
+            };
+        });
+    } catch (error) {
+        console.error("Error verifying parent PIN:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Set the parent PIN, or change it with the current one
+ */
+export const setPin = async (accountId, pin, currentPin) => {
+    try {
+        if (typeof pin !== "string" || !PROFILE_RULES.PIN_PATTERN.test(pin)) {
+            return { success: false, error: "The PIN must be 4 digits" };
+        }
+
+        const pinRef = getPinRef(accountId);
+        const pinDoc = await pinRef.get();
+        if (pinDoc.exists) {
+            const check = await verifyPin(accountId, currentPin);
+            if (!check.success) {
+                return check;
+            }
+        }
+
+        const salt = crypto.randomBytes(16).toString("hex");
+        await pinRef.set({
+            hash: hashPin(pin, salt).toString("hex"),
+            salt,
+            failedAttempts: 0,
+            lockedUntil: null,
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+
+        return { success: true };
+    } catch (error) {
+        console.error("Error setting parent PIN:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * The account's own profile and its child profiles, for the profile picker
+ */
+export const getProfiles = async (accountId) => {
+    try {
+        const [accountDoc, children, pinDoc] = await Promise.all([
+            usersRef().doc(accountId).get(),
+            usersRef().where("parentId", "==", accountId).get(),
+            getPinRef(accountId).get(),
+        ]);
+
+        if (!accountDoc.exists) {
+            return { success: false, error: "User not found", profiles: [] };
+        }
+
+        const now = new Date();
+        const childProfiles = children.docs
+            .map((doc) => toProfileSummary(doc, now))
+            .sort((a, b) => a.displayName.localeCompare(b.displayName));
+
+        return {
+            success: true,
+            profiles: [toProfileSummary(accountDoc, now), ...childProfiles],
+            hasPin: pinDoc.exists,
+            avatars: PROFILE_RULES.AVATARS,
+            maxChildProfiles: PROFILE_RULES.MAX_CHILD_PROFILES,
+        };
+    } catch (error) {
+        console.error("Error getting profiles:", error);
+        return { success: false, error: error.message, profiles: [] };
+    }
+};
+
+/**
+ * Create a child profile ({ displayName, avatar }); needs the parent PIN
+ */
+export const createChildProfile = async (accountId, { displayName, avatar } = {}, pin) => {
+    try {
+        const name = normalizeProfileName(displayName);
+        if (!name) {
+            return { success: false, error: `displayName must be 1-${PROFILE_RULES.NAME_MAX_LENGTH} characters` };
+        }
+        if (avatar !== undefined && !PROFILE_RULES.AVATARS.includes(avatar)) {
+            return { success: false, error: "avatar is not one of the offered avatars" };
+        }
+
+        const check = await verifyPin(accountId, pin);
+        if (!check.success) {
+            return check;
+        }
+
+        const [accountDoc, children] = await Promise.all([
+            usersRef().doc(accountId).get(),
+            usersRef().where("parentId", "==", accountId).get(),
+        ]);
+
+        if (!accountDoc.exists || accountDoc.data().parentId) {
+            return { success: false, error: "Only parent accounts can add child profiles" };
+        }
+        if (children.size >= PROFILE_RULES.MAX_CHILD_PROFILES) {
+            return { success: false, error: `You can have at most ${PROFILE_RULES.MAX_CHILD_PROFILES} child profiles` };
+        }
+
+        const account = accountDoc.data();
+        const profileRef = usersRef().doc();
+        const profileAvatar = avatar || PROFILE_RULES.AVATARS[children.size % PROFILE_RULES.AVATARS.length];
+        const defaults = getDefaultUserData(profileRef.id, "", name, account.settings?.timezone);
+
+        await profileRef.set({
+            ...defaults,
+            settings: { ...defaults.settings, language: account.settings?.language || defaults.settings.language },
+            accountType: "child",
+            parentId: accountId,
+            avatar: profileAvatar,
+        });
+
+        return {
+            success: true,
+            profile: { id: profileRef.id, displayName: name, avatar: profileAvatar, isChild: true, level: 1, streak: 0 },
+        };
+    } catch (error) {
+        console.error("Error creating child profile:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Delete a child profile with all its progress; needs the parent PIN
+ */
+export const deleteChildProfile = async (accountId, profileId, pin) => {
+    try {
+        const check = await verifyPin(accountId, pin);
+        if (!check.success) {
+            return check;
+        }
+
+        const profileDoc = await getChildDoc(accountId, profileId);
+        if (!profileDoc) {
+            return { success: false, error: "Profile not found" };
+        }
+
+        // Leave the weekly league and any classes before the data goes
+        await setLeaderboardOptOut(profileId, true, accountId);
+        const classes = await db.collection("classes").where("studentIds", "array-contains", profileId).get();
+        if (!classes.empty) {
+            const batch = db.batch();
+            classes.docs.forEach((doc) => batch.update(doc.ref, { studentIds: FieldValue.arrayRemove(profileId) }));
+            await batch.commit();
+        }
+
+        await db.recursiveDelete(profileDoc.ref);
+        return { success: true };
+    } catch (error) {
+        console.error("Error deleting child profile:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Progress of every child profile, for the parent view; needs the parent PIN
+ */
+export const getChildrenProgress = async (accountId, pin) => {
+    try {
+        const check = await verifyPin(accountId, pin);
+        if (!check.success) {
+            return { ...check, children: [] };
+        }
+
+        const children = await usersRef().where("parentId", "==", accountId).get();
+        const now = new Date();
+
+        const progress = await Promise.all(
+            children.docs.map(async (doc) => {
+                const data = doc.data();
+                const childProgress = data.progress || {};
+                const goal = await getTodayGoal(doc.id);
+
+                return {
+                    ...toProfileSummary(doc, now),
+                    xp: childProgress.xp || 0,
+                    longestStreak: childProgress.longestStreak || 0,
+                    lessonsCompleted: childProgress.lessonsCompleted || 0,
+                    totalStars: childProgress.totalStars || 0,
+                    totalPracticeTime: childProgress.totalPracticeTime || 0,
+                    averageAccuracy: Math.round(childProgress.averageAccuracy || 0),
+                    lastPracticeDay: childProgress.lastPracticeDay || null,
+                    today: goal.success ? { minutes: goal.minutes, goal: goal.goal, met: goal.met } : null,
+                    leaderboardOptOut: Boolean(data.settings?.leaderboardOptOut),
+                };
+            })
+        );
+
+        return {
+            success: true,
+            children: progress.sort((a, b) => a.displayName.localeCompare(b.displayName)),
+        };
+    } catch (error) {
+        console.error("Error getting child progress:", error);
+        return { success: false, error: error.message, children: [] };
+    }
+};
+
+/**
+ * Hide a child profile from leaderboards, or show it again; needs the parent PIN
+ */
+export const setChildLeaderboardOptOut = async (accountId, profileId, optOut, pin) => {
+    try {
+        const check = await verifyPin(accountId, pin);
+        if (!check.success) {
+            return check;
+        }
+
+        const profileDoc = await getChildDoc(accountId, profileId);
+        if (!profileDoc) {
+            return { success: false, error: "Profile not found" };
+        }
+
+        return await setLeaderboardOptOut(profileId, optOut, accountId);
+    } catch (error) {
+        console.error("Error updating child leaderboard opt-out:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+export default {
+    verifyPin,
+    setPin,
+    getProfiles,
+    createChildProfile,
+    deleteChildProfile,
+    getChildrenProgress,
+    setChildLeaderboardOptOut,
+};
@@ -0,0 +1,399 @@
+/**
+ * Quiz Service - Lesson quizzes
+ *
+ * Firestore layout:
+ *   users/{userId}/quizAttempts/{quizId} - one quiz attempt: its questions with
+ *                                          the right answers, and every answer given
+ *
+ * Questions come from a lesson's signs: recognition (pick the word for a
+ * demonstrated sign), production (pick the demonstration for a word) and, for
+ * signs the recognizer knows, "sign it" graded from camera attempt records.
+ * Wrong options are other signs from the same category. Questions show the
+ * sign's demonstration instead of its ID, and options are random tokens
+ * mapped to signs only in the stored quiz, so the right answers stay on the
+ * server until a question is answered. Every answer grades the
+ * sign's review card. The lesson's latest quiz counts toward the lesson's
+ * score when the lesson is submitted, whichever quiz the client would
+ * prefer. It is claimed in the lesson completion transaction (see readQuizClaim,
+ * userService.markLessonCompleted and scoringService).
+ */
+
+import crypto from "crypto";
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { LESSON_CATALOG, getCatalogLesson } from "../constants/lessons.js";
+import { PROGRESS_CONSTANTS, QUIZ_RULES, SCORING_RULES } from "../constants/progress.js";
+import { getLocalDayKey, resolveTimeZone } from "../utils/dates.js";
+import { getAttemptAccuracy, validateAttempt } from "./scoringService.js";
+import { getAnswerGrade, getAttemptGrade, gradeReviewCard, readReviewCards } from "./reviewService.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+export const QUESTION_TYPES = {
+    RECOGNITION: "recognition", // Demonstrated sign -> pick the word
+    PRODUCTION: "production",   // Word -> pick the demonstration
+    SIGN_IT: "sign_it",         // Word -> sign it to the camera
+};
+
+const getQuizzesRef = (userRef) => userRef.collection("quizAttempts");
+
+/**
+ * Shuffled copy of an array
+ */
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+/**
+ * Catalog signs by ID
+ */
+const SIGNS_BY_ID = new Map(
+    Object.values(LESSON_CATALOG).flatMap((lesson) => lesson.signs.map((sign) => [sign.id, sign]))
+);
+
+/**
+ * Answer option for a sign, identified by a random token
+ */
+const toOption = (sign) => ({ token: crypto.randomBytes(8).toString("hex"), signId: sign.id });
+
+/**
+ * Questions for a lesson, in random order
+ */
+const buildQuestions = (lesson) => {
+    const categorySigns = Object.values(LESSON_CATALOG)
+        .filter((item) => item.category === lesson.category)
+        .flatMap((item) => item.signs);
+
+    const questions = lesson.signs.flatMap((sign) => {
+        const distractors = shuffle(categorySigns.filter((other) => other.id !== sign.id))
+            .slice(0, QUIZ_RULES.OPTIONS_PER_QUESTION - 1);
+        const choiceTypes = distractors.length > 0 ? [QUESTION_TYPES.RECOGNITION, QUESTION_TYPES.PRODUCTION] : [];
+
+        return [
+            ...choiceTypes.map((type) => ({
+                type,
+                signId: sign.id,
+                options: shuffle([sign, ...distractors]).map(toOption),
+            })),
+            ...(sign.verifiable ? [{ type: QUESTION_TYPES.SIGN_IT, signId: sign.id }] : []),
+        ];
+    });
+
+    return shuffle(questions).map((question, index) => ({ id: `q${index + 1}`, ...question }));
+};
+
+/**
+ * A question as the quiz screen sees it, without the right answer: the
+ * prompt and options carry demonstrations, words and tokens, never sign IDs
+ */
+const toPublicQuestion = (question) => {
+    const sign = SIGNS_BY_ID.get(question.signId);
+
+    switch (question.type) {
+        case QUESTION_TYPES.RECOGNITION:
+            return {
+                id: question.id,
+                type: question.type,
+                demo: sign.demo,
+                options: question.options.map(({ token, signId }) => ({ token, word: SIGNS_BY_ID.get(signId).word })),
+            };
+        case QUESTION_TYPES.PRODUCTION:
+            return {
+                id: question.id,
+                type: question.type,
+                word: sign.word,
+                options: question.options.map(({ token, signId }) => ({ token, demo: SIGNS_BY_ID.get(signId).demo })),
+            };
+        default:
+            return { id: question.id, type: question.type, signId: sign.id, word: sign.word };
+    }
+};
+
+/**
+ * Right answers per sign, leaving out skipped "sign it" questions
+ * With unansweredAreWrong, unanswered questions count as wrong answers.
+ */
+const getQuizResult = (quiz, { unansweredAreWrong = false } = {}) => {
+    const bySign = {};
+    let correct = 0;
+    let total = 0;
+
+    quiz.questions.forEach((question) => {
+        const answer = quiz.answers[question.id] || (unansweredAreWrong ? { correct: false } : null);
+        if (!answer || answer.skipped) return;
+
+        const sign = bySign[question.signId] || { correct: 0, total: 0 };
+        sign.total += 1;
+        sign.correct += answer.correct ? 1 : 0;
+        bySign[question.signId] = sign;
+
+        total += 1;
+        correct += answer.correct ? 1 : 0;
+    });
+
+    return { correct, total, bySign };
+};
+
+/**
+ * Grade a "sign it" answer: the camera attempt records for the sign
+ * Returns { error } or { correct, skipped, accuracy, attempts }
+ */
+const gradeSignIt = (sign, attempts, now) => {
+    if (!Array.isArray(attempts)) {
+        return { error: "answer must be an array of attempt records" };
+    }
+    if (attempts.length > PROGRESS_CONSTANTS.PRACTICE_ATTEMPTS_PER_SIGN) {
+        return { error: "Too many attempts for a sign" };
+    }
+
+    // Only skipped when the catalog says the recognizer can't check the sign;
+    // otherwise no attempts is a wrong answer, whatever the device reports
+    if (attempts.length === 0) {
+        return sign.verifiable
+            ? { correct: false, skipped: false, accuracy: 0, attempts: [] }
+            : { correct: false, skipped: true, accuracy: null, attempts: [] };
+    }
+
+    const signsByWord = new Map([[sign.word, sign]]);
+    for (const attempt of attempts) {
+        const error = validateAttempt(attempt, signsByWord, now);
+        if (error) {
+            return { error };
+        }
+    }
+
+    const accuracy = Math.max(...attempts.map(getAttemptAccuracy));
+    return {
+        correct: accuracy >= PROGRESS_CONSTANTS.MIN_ACCURACY_FOR_COMPLETION,
+        skipped: false,
+        accuracy,
+        attempts: attempts.map(({ targetSign, predictedLabel, confidence, startedAt, endedAt }) => ({
+            targetSign,
+            predictedLabel,
+            confidence,
+            startedAt,
+            endedAt,
+        })),
+    };
+};
+
+/**
+ * Start a quiz attempt for a lesson
+ */
+export const createQuiz = async (userId, lessonId) => {
+    try {
+        const lesson = getCatalogLesson(lessonId);
+        if (!lesson) {
+            return { success: false, error: "Unknown lesson" };
+        }
+
+        const userRef = db.collection("users").doc(userId);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found" };
+        }
+
+        const questions = buildQuestions(lesson);
+        const quizRef = getQuizzesRef(userRef).doc();
+        await quizRef.set({
+            lessonId,
+            status: "active",
+            questions,
+            answers: {},
+            answered: 0,
+            correct: 0,
+            skipped: 0,
+            startedAt: FieldValue.serverTimestamp(),
+            finishedAt: null,
+            submittedAt: null,
+        });
+
+        return {
+            success: true,
+            quizId: quizRef.id,
+            lessonId,
+            questions: questions.map(toPublicQuestion),
+        };
+    } catch (error) {
+        console.error("Error creating quiz:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Answer a question: an option token for recognition and production questions,
+ * the camera attempt records for "sign it" (an empty list is a wrong answer)
+ */
+export const answerQuestion = async (userId, quizId, questionId, answer) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const quizRef = getQuizzesRef(userRef).doc(quizId);
+
+        return await db.runTransaction(async (transaction) => {
+            const [userDoc, quizDoc] = await Promise.all([transaction.get(userRef), transaction.get(quizRef)]);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+            if (!quizDoc.exists) {
+                return { success: false, error: "Quiz not found" };
+            }
+
+            const quiz = quizDoc.data();
+            const question = quiz.questions.find((item) => item.id === questionId);
+            if (!question) {
+                return { success: false, error: "Question not found" };
+            }
+            if (quiz.answers[questionId]) {
+                return { success: false, error: "Question was already answered" };
+            }
+
+            const sign = SIGNS_BY_ID.get(question.signId);
+            const rightOption = question.options?.find((option) => option.signId === question.signId) || null;
+            let graded;
+            if (question.type === QUESTION_TYPES.SIGN_IT) {
+                graded = gradeSignIt(sign, answer, Date.now());
+                if (graded.error) {
+                    return { success: false, error: graded.error };
+                }
+            } else {
+                const option = question.options.find((item) => item.token === answer);
+                if (!option) {
+                    return { success: false, error: "answer must be one of the option tokens" };
+                }
+                graded = {
+                    correct: option === rightOption,
+                    skipped: false,
+                    accuracy: null,
+                    attempts: null,
+                    signId: option.signId,
+                };
+            }
+
+            const cards = await readReviewCards(transaction, userRef, [question.signId]);
+            const day = getLocalDayKey(new Date(), resolveTimeZone(userDoc.data().settings?.timezone));
+            const answered = quiz.answered + 1;
+            const finished = answered === quiz.questions.length;
+
+            transaction.update(quizRef, {
+                [`answers.${questionId}`]: {
+                    answer: graded.signId || null,
+                    attempts: graded.attempts,
+                    accuracy: graded.accuracy,
+                    correct: graded.correct,
+                    skipped: graded.skipped,
+                    answeredAt: FieldValue.serverTimestamp(),
+                },
+                answered,
+                correct: quiz.correct + (graded.correct ? 1 : 0),
+                skipped: quiz.skipped + (graded.skipped ? 1 : 0),
+                ...(finished ? { status: "finished", finishedAt: FieldValue.serverTimestamp() } : {}),
+            });
+
+            const grade = question.type === QUESTION_TYPES.SIGN_IT
+                ? getAttemptGrade({ isCorrect: graded.accuracy > 0, accuracy: graded.accuracy })
+                : getAnswerGrade(graded.correct);
+            const review = graded.skipped
+                ? null
+                : gradeReviewCard(transaction, userRef, cards[question.signId], grade, day);
+
+            return {
+                success: true,
+                questionId,
+                correct: graded.correct,
+                skipped: graded.skipped,
+                accuracy: graded.accuracy,
+                rightAnswer: rightOption?.token || null,
+                rightWord: sign.word,
+                finished,
+                answered,
+                total: quiz.questions.length,
+                review,
+            };
+        });
+    } catch (error) {
+        console.error("Error answering quiz question:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Read the lesson's open quizzes within a transaction, for a lesson submission
+ * Returns { quizzes, quizId, result }: result ({ correct, total, bySign }) is
+ * the latest quiz started in the submission window, or null without one. The
+ * client doesn't pick the quiz: the latest one counts even if it was left
+ * unfinished. Must be called before the transaction writes anything
+ */
+export const readQuizClaim = async (transaction, userRef, lessonId) => {
+    const snapshot = await transaction.get(getQuizzesRef(userRef).where("lessonId", "==", lessonId));
+    const since = Date.now() - SCORING_RULES.MAX_SUBMISSION_AGE_MS;
+    const open = snapshot.docs
+        .filter((doc) => !doc.data().submittedAt && doc.data().startedAt?.toMillis() >= since)
+        .sort((a, b) => b.data().startedAt.toMillis() - a.data().startedAt.toMillis());
+
+    return {
+        quizzes: open,
+        quizId: open[0]?.id || null,
+        result: open.length > 0 ? getQuizResult(open[0].data(), { unansweredAreWrong: true }) : null,
+    };
+};
+
+/**
+ * Mark the quizzes read by readQuizClaim as submitted, within the same transaction
+ * Older unclaimed quizzes are claimed with the latest one so they can't count later
+ */
+export const claimQuizzes = (transaction, claim) => {
+    claim.quizzes.forEach((doc) => transaction.update(doc.ref, { submittedAt: FieldValue.serverTimestamp() }));
+};
+
+/**
+ * Past quiz attempts for a lesson, newest first
+ */
+export const getQuizAttempts = async (userId, lessonId, limit = QUIZ_RULES.HISTORY_LIMIT) => {
+    try {
+        if (!getCatalogLesson(lessonId)) {
+            return { success: false, error: "Unknown lesson", attempts: [] };
+        }
+
+        const snapshot = await getQuizzesRef(db.collection("users").doc(userId))
+            .where("lessonId", "==", lessonId)
+            .get();
+
+        const attempts = snapshot.docs
+            .map((doc) => {
+                const quiz = doc.data();
+                const result = getQuizResult(quiz);
+
+                return {
+                    id: doc.id,
+                    lessonId: quiz.lessonId,
+                    status: quiz.status,
+                    correct: result.correct,
+                    total: result.total,
+                    questions: quiz.questions.length,
+                    answered: quiz.answered,
+                    submitted: Boolean(quiz.submittedAt),
+                    startedAt: quiz.startedAt?.toDate().toISOString() || null,
+                    finishedAt: quiz.finishedAt?.toDate().toISOString() || null,
+                };
+            })
+            .sort((a, b) => (b.startedAt || "").localeCompare(a.startedAt || ""))
+            .slice(0, limit);
+
+        return { success: true, attempts };
+    } catch (error) {
+        console.error("Error getting quiz attempts:", error);
+        return { success: false, error: error.message, attempts: [] };
+    }
+};
+
+export default {
+    createQuiz,
+    answerQuestion,
+    getQuizAttempts,
+};
@@ -0,0 +1,257 @@
+/**
+ * Review Service - Spaced repetition of learned signs (SM-2)
+ *
+ * Firestore layout:
+ *   users/{userId}/reviewCards/{signId} - one card per sign of a completed lesson
+ *
+ * Completing a lesson adds its signs to the deck, due the next local day.
+ * Every review grades a card 0-5: passing grades stretch its interval by the
+ * card's ease, failing ones start it over at one day. Grades come from the
+ * review session, targeted camera attempts and quiz answers. A card is
+ * graded at most once per local day, so a long practice session can't push
+ * it months ahead. Due dates are local day keys, like streak days.
+ */
+
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { PROGRESS_CONSTANTS, REVIEW_RULES, XP_RULES } from "../constants/progress.js";
+import { LESSON_CATALOG, findCatalogSign, getCatalogLesson } from "../constants/lessons.js";
+import { addDays, dayKeyDiff, getLocalDayKey, resolveTimeZone } from "../utils/dates.js";
+import { awardXp, readXpDay } from "./xpService.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+const getCardsRef = (userRef) => userRef.collection("reviewCards");
+
+/**
+ * Grade (0-5) for a camera attempt at a sign
+ */
+export const getAttemptGrade = ({ isCorrect, accuracy }) => {
+    if (!isCorrect) return 1;
+    if (accuracy >= 95) return 5;
+    if (accuracy >= PROGRESS_CONSTANTS.MIN_ACCURACY_FOR_COMPLETION) return 4;
+    if (accuracy >= 60) return 3;
+    return 2;
+};
+
+/**
+ * Grade (0-5) for a multiple-choice quiz answer
+ */
+export const getAnswerGrade = (isCorrect) => (isCorrect ? 4 : 1);
+
+/**
+ * New card for a catalog sign
+ */
+const createCard = (sign, lessonId, dueDay) => ({
+    signId: sign.id,
+    word: sign.word,
+    lessonId,
+    ease: REVIEW_RULES.DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    reviews: 0,
+    dueDay,
+    lastReviewedDay: null,
+    lastGrade: null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+});
+
+/**
+ * SM-2: the card's next ease, interval and due day after a grade
+ */
+export const scheduleCard = (card, grade, day) => {
+    const passed = grade >= REVIEW_RULES.PASSING_GRADE;
+    const repetitions = passed ? card.repetitions + 1 : 0;
+
+    let interval = REVIEW_RULES.FIRST_INTERVAL_DAYS;
+    if (passed && repetitions === 2) {
+        interval = REVIEW_RULES.SECOND_INTERVAL_DAYS;
+    } else if (passed && repetitions > 2) {
+        interval = Math.round(card.interval * card.ease);
+    }
+    interval = Math.min(interval, REVIEW_RULES.MAX_INTERVAL_DAYS);
+
+    const ease = Math.max(
+        REVIEW_RULES.MIN_EASE,
+        card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)
+    );
+
+    return {
+        ease: Math.round(ease * 100) / 100,
+        interval,
+        repetitions,
+        lapses: card.lapses + (passed || card.repetitions === 0 ? 0 : 1),
+        dueDay: addDays(day, interval),
+    };
+};
+
+/**
+ * Read review cards within a transaction, as { signId: card or null }
+ * Must be called before the transaction writes anything
+ */
+export const readReviewCards = async (transaction, userRef, signIds) => {
+    const docs = await Promise.all(signIds.map((signId) => transaction.get(getCardsRef(userRef).doc(signId))));
+    return Object.fromEntries(docs.map((doc) => [doc.id, doc.exists ? doc.data() : null]));
+};
+
+/**
+ * Add a completed lesson's signs to the deck, due the next day
+ * Signs that already have a card keep their schedule
+ */
+export const addLessonCards = (transaction, userRef, cards, lessonId, day) => {
+    const lesson = getCatalogLesson(lessonId);
+    if (!lesson) return 0;
+
+    const newSigns = lesson.signs.filter((sign) => !cards[sign.id]);
+    newSigns.forEach((sign) => {
+        transaction.set(getCardsRef(userRef).doc(sign.id), createCard(sign, lessonId, addDays(day, 1)));
+    });
+
+    return newSigns.length;
+};
+
+/**
+ * Grade a card within a transaction
+ * Returns { signId, grade, wasDue, interval, dueDay }, or null when there is no
+ * card for the sign or it was already graded today
+ */
+export const gradeReviewCard = (transaction, userRef, card, grade, day) => {
+    if (!card || card.lastReviewedDay === day) {
+        return null;
+    }
+
+    const schedule = scheduleCard(card, grade, day);
+    transaction.update(getCardsRef(userRef).doc(card.signId), {
+        ...schedule,
+        reviews: FieldValue.increment(1),
+        lastReviewedDay: day,
+        lastGrade: grade,
+        updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    return {
+        signId: card.signId,
+        grade,
+        wasDue: card.dueDay <= day,
+        interval: schedule.interval,
+        dueDay: schedule.dueDay,
+    };
+};
+
+/**
+ * Fields the review screen needs
+ */
+const toPublicCard = (card, day) => ({
+    signId: card.signId,
+    word: card.word,
+    lessonId: card.lessonId,
+    lessonTitle: LESSON_CATALOG[card.lessonId]?.title || null,
+    dueDay: card.dueDay,
+    overdueDays: Math.max(dayKeyDiff(card.dueDay, day), 0),
+    interval: card.interval,
+    ease: card.ease,
+    repetitions: card.repetitions,
+});
+
+/**
+ * Cards due today or earlier, most overdue and hardest first
+ * The deck is bounded by the lesson catalog, so it is read whole. Lessons
+ * completed before reviews existed get their cards here, due today.
+ */
+export const getDueReviews = async (userId, limit = REVIEW_RULES.SESSION_SIZE) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const [userDoc, deck] = await Promise.all([userRef.get(), getCardsRef(userRef).get()]);
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found", cards: [] };
+        }
+
+        const userData = userDoc.data();
+        const day = getLocalDayKey(new Date(), resolveTimeZone(userData.settings?.timezone));
+        const cards = deck.docs.map((doc) => doc.data());
+        const known = new Set(cards.map((card) => card.signId));
+
+        const missing = (userData.progress?.completedLessons || []).flatMap((lessonId) =>
+            (getCatalogLesson(lessonId)?.signs || [])
+                .filter((sign) => !known.has(sign.id))
+                .map((sign) => createCard(sign, lessonId, day))
+        );
+        if (missing.length > 0) {
+            const batch = db.batch();
+            missing.forEach((card) => batch.set(getCardsRef(userRef).doc(card.signId), card));
+            await batch.commit();
+            cards.push(...missing);
+        }
+
+        const due = cards
+            .filter((card) => card.dueDay <= day)
+            .sort((a, b) => a.dueDay.localeCompare(b.dueDay) || a.ease - b.ease);
+        const upcoming = cards.filter((card) => card.dueDay > day).map((card) => card.dueDay).sort();
+
+        return {
+            success: true,
+            day,
+            dueCount: due.length,
+            totalCards: cards.length,
+            nextDueDay: upcoming[0] || null,
+            cards: due.slice(0, limit).map((card) => toPublicCard(card, day)),
+        };
+    } catch (error) {
+        console.error("Error getting due reviews:", error);
+        return { success: false, error: error.message, cards: [] };
+    }
+};
+
+/**
+ * Grade a sign in a review session (grade 0-5)
+ * Reviewing a due card earns XP
+ */
+export const recordReview = async (userId, signId, grade) => {
+    try {
+        if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+            return { success: false, error: "grade must be a whole number from 0 to 5" };
+        }
+        if (findCatalogSign(signId)?.id !== signId) {
+            return { success: false, error: "Unknown sign" };
+        }
+
+        const userRef = db.collection("users").doc(userId);
+
+        return await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+
+            const cards = await readReviewCards(transaction, userRef, [signId]);
+            const xpDay = await readXpDay(transaction, userRef, userDoc.data());
+
+            if (!cards[signId]) {
+                return { success: false, error: "Sign is not in your review deck" };
+            }
+
+            const review = gradeReviewCard(transaction, userRef, cards[signId], grade, xpDay.day);
+            if (!review) {
+                return { success: false, error: "Sign was already reviewed today" };
+            }
+
+            const xp = awardXp(transaction, xpDay, "review", review.wasDue ? XP_RULES.REVIEW_XP : 0);
+
+            return { success: true, review, xp };
+        });
+    } catch (error) {
+        console.error("Error recording review:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+export default {
+    getAttemptGrade,
+    getAnswerGrade,
+    scheduleCard,
+    getDueReviews,
+    recordReview,
+};
@@ -0,0 +1,180 @@
+/**
+ * Scoring Service - Server-side lesson scoring from recorded practice attempts
+ *
+ * Each attempt record describes one camera check of a sign:
+ *   { targetSign, predictedLabel, confidence, startedAt, endedAt }
+ * where confidence (0-1) belongs to predictedLabel and the timestamps are
+ * epoch milliseconds. An attempt counts as accurate only when the recognizer
+ * saw the target sign; its accuracy is the confidence as a percentage.
+ *
+ * The lesson's quiz (see quizService) adds points per correct answer, up to
+ * MAX_QUIZ_SCORE_SHARE of the lesson's sign points, and marks signs answered
+ * wrongly for review. Skipping the quiz costs a star, like an accuracy below
+ * QUIZ_STAR_ACCURACY.
+ */
+
+import { getCatalogLesson } from "../constants/lessons.js";
+import { PROGRESS_CONSTANTS, SCORING_RULES } from "../constants/progress.js";
+
+/**
+ * Check one attempt record's shape, returning an error message or null
+ */
+export const validateAttempt = (attempt, signsByWord, now) => {
+    if (!attempt || typeof attempt !== "object") {
+        return "Attempt must be an object";
+    }
+
+    const { targetSign, predictedLabel, confidence, startedAt, endedAt } = attempt;
+    const sign = signsByWord.get(targetSign);
+
+    if (!sign) {
+        return `"${targetSign}" is not a sign in this lesson`;
+    }
+    if (!sign.verifiable) {
+        return `"${targetSign}" can't be checked by the recognizer`;
+    }
+    if (predictedLabel !== null && typeof predictedLabel !== "string") {
+        return "predictedLabel must be a string or null";
+    }
+    if (typeof confidence !== "number" || confidence < 0 || confidence > 1) {
+        return "confidence must be a number between 0 and 1";
+    }
+    if (!Number.isFinite(startedAt) || !Number.isFinite(endedAt)) {
+        return "startedAt and endedAt must be timestamps in milliseconds";
+    }
+
+    const duration = endedAt - startedAt;
+    if (duration < SCORING_RULES.MIN_ATTEMPT_DURATION_MS || duration > SCORING_RULES.MAX_ATTEMPT_DURATION_MS) {
+        return "Attempt duration is not plausible";
+    }
+    if (endedAt > now + SCORING_RULES.MAX_CLOCK_SKEW_MS) {
+        return "Attempt ends in the future";
+    }
+    if (startedAt < now - SCORING_RULES.MAX_SUBMISSION_AGE_MS) {
+        return "Attempt is too old";
+    }
+
+    return null;
+};
+
+/**
+ * Accuracy (0-100) of a single attempt
+ */
+export const getAttemptAccuracy = (attempt) =>
+    attempt.predictedLabel === attempt.targetSign ? Math.round(attempt.confidence * 100) : 0;
+
+/**
+ * Stars for a lesson: full stars for accurate signing, fewer for a lower
+ * average and a single star when some signs still need review
+ */
+const getStars = (verifiedSigns) => {
+    if (verifiedSigns.length === 0) {
+        return 1;
+    }
+    if (verifiedSigns.some((sign) => !sign.passed)) {
+        return 1;
+    }
+
+    const averageAccuracy = verifiedSigns.reduce((sum, sign) => sum + sign.bestAccuracy, 0) / verifiedSigns.length;
+    return averageAccuracy >= SCORING_RULES.THREE_STAR_ACCURACY
+        ? PROGRESS_CONSTANTS.STARS_FOR_COMPLETION
+        : PROGRESS_CONSTANTS.STARS_FOR_COMPLETION - 1;
+};
+
+/**
+ * Validate a lesson submission and compute score, stars and signs learned
+ * `quiz` is the lesson's quiz result ({ correct, total, bySign }), or null when no quiz was taken.
+ * Returns { success: false, error } for implausible submissions
+ */
+export const scoreLesson = (lessonId, attempts, now = Date.now(), quiz = null) => {
+    const lesson = getCatalogLesson(lessonId);
+    if (!lesson) {
+        return { success: false, error: "Unknown lesson" };
+    }
+
+    if (!Array.isArray(attempts)) {
+        return { success: false, error: "attempts must be an array" };
+    }
+
+    // Signs the recognizer can check are scored from attempts, so there must be some
+    if (attempts.length === 0 && lesson.signs.some((sign) => sign.verifiable)) {
+        return { success: false, error: "No practice attempts for this lesson" };
+    }
+
+    const maxAttempts = lesson.signs.length * PROGRESS_CONSTANTS.PRACTICE_ATTEMPTS_PER_SIGN;
+    if (attempts.length > maxAttempts) {
+        return { success: false, error: "Too many attempts for this lesson" };
+    }
+
+    const signsByWord = new Map(lesson.signs.map((sign) => [sign.word, sign]));
+    for (const attempt of attempts) {
+        const error = validateAttempt(attempt, signsByWord, now);
+        if (error) {
+            return { success: false, error };
+        }
+    }
+
+    // There's one camera, so attempts can't overlap in time
+    const ordered = [...attempts].sort((a, b) => a.startedAt - b.startedAt);
+    for (let i = 1; i < ordered.length; i++) {
+        if (ordered[i].startedAt < ordered[i - 1].endedAt) {
+            return { success: false, error: "Attempts overlap in time" };
+        }
+    }
+
+    const signs = lesson.signs.map((sign) => {
+        const signAttempts = attempts.filter((attempt) => attempt.targetSign === sign.word);
+        const bestAccuracy = signAttempts.length > 0 ? Math.max(...signAttempts.map(getAttemptAccuracy)) : 0;
+        const passed = sign.verifiable
+            ? bestAccuracy >= PROGRESS_CONSTANTS.MIN_ACCURACY_FOR_COMPLETION
+            : true;
+        const quizAnswers = quiz?.bySign[sign.id] || null;
+
+        return {
+            signId: sign.id,
+            word: sign.word,
+            verified: sign.verifiable,
+            attempts: signAttempts.length,
+            bestAccuracy: sign.verifiable ? bestAccuracy : null,
+            passed,
+            quiz: quizAnswers,
+            needsReview: !passed || Boolean(quizAnswers && quizAnswers.correct < quizAnswers.total),
+        };
+    });
+
+    if (signs.some((sign) => sign.attempts > PROGRESS_CONSTANTS.PRACTICE_ATTEMPTS_PER_SIGN)) {
+        return { success: false, error: "Too many attempts for a sign" };
+    }
+
+    const verifiedSigns = signs.filter((sign) => sign.verified);
+    const signScore = signs.reduce((total, sign) => {
+        if (!sign.verified) return total + SCORING_RULES.POINTS_PER_UNVERIFIED_SIGN;
+        if (!sign.passed) return total;
+        return total + Math.round((SCORING_RULES.POINTS_PER_SIGN * sign.bestAccuracy) / 100);
+    }, 0);
+
+    const maxSignScore = lesson.signs.reduce(
+        (total, sign) => total + (sign.verifiable ? SCORING_RULES.POINTS_PER_SIGN : SCORING_RULES.POINTS_PER_UNVERIFIED_SIGN),
+        0
+    );
+    const maxQuizScore = Math.round(maxSignScore * SCORING_RULES.MAX_QUIZ_SCORE_SHARE);
+    const quizScore = quiz ? Math.min(quiz.correct * SCORING_RULES.POINTS_PER_QUIZ_ANSWER, maxQuizScore) : 0;
+    const quizAccuracy = quiz?.total > 0 ? Math.round((quiz.correct / quiz.total) * 100) : null;
+    const quizFailed = !quiz || (quizAccuracy !== null && quizAccuracy < SCORING_RULES.QUIZ_STAR_ACCURACY);
+    const stars = getStars(verifiedSigns);
+
+    return {
+        success: true,
+        score: signScore + quizScore,
+        stars: quizFailed ? Math.max(stars - 1, 1) : stars,
+        signsLearned: signs.filter((sign) => sign.passed).length,
+        signs,
+        quiz: quiz ? { correct: quiz.correct, total: quiz.total, accuracy: quizAccuracy } : null,
+    };
+};
+
+export default {
+    validateAttempt,
+    getAttemptAccuracy,
+    scoreLesson,
+};
@@ -0,0 +1,477 @@
+/**
+ * Streak Service - Daily streaks, streak freezes and streak repair
+ *
+ * Firestore layout:
+ *   users/{userId}.progress                      - streak, freeze inventory, weekly goal
+ *   users/{userId}/streakFreezeHistory/{entryId} - freezes earned and used, repairs
+ *
+ * Days are local calendar days in the user's timezone (see utils/dates.js).
+ * Freezes are earned by practicing on STREAK_RULES.WEEKLY_GOAL_DAYS days of a
+ * week. Missed days are covered automatically the next time the streak is
+ * read or updated, as long as there is a freeze for every missed day; covered
+ * days move progress.frozenThroughDay forward without adding to the streak.
+ * A streak broken by a single missed day can be repaired once, on the day
+ * after the missed day.
+ */
+
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { STREAK_RULES, XP_RULES } from "../constants/progress.js";
+import { ACTIVITY_TYPES, addActivity } from "./activityService.js";
+import { evaluateAchievements } from "./achievementService.js";
+import { awardXp, readXpDay } from "./xpService.js";
+import {
+    addDays,
+    dayKeyDiff,
+    daysSinceLastPractice,
+    getLocalDayKey,
+    getWeekStart,
+    resolveTimeZone,
+} from "../utils/dates.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+/**
+ * Prefix progress field changes for a Firestore update
+ */
+const toProgressUpdates = (changes) =>
+    Object.fromEntries(Object.entries(changes).map(([key, value]) => [`progress.${key}`, value]));
+
+/**
+ * Add a freeze history entry within a transaction
+ */
+const addHistoryEntry = (transaction, userRef, entry) => {
+    transaction.set(userRef.collection("streakFreezeHistory").doc(), {
+        ...entry,
+        createdAt: FieldValue.serverTimestamp(),
+    });
+};
+
+/**
+ * Last practice day of a progress object, for data written before day keys were stored
+ */
+const getLastPracticeDay = (progress, timeZone) => {
+    if (progress.lastPracticeDay) return progress.lastPracticeDay;
+
+    const lastPracticeDate = progress.lastPracticeDate?.toDate();
+    return lastPracticeDate ? getLocalDayKey(lastPracticeDate, timeZone) : null;
+};
+
+/**
+ * Calendar days since the last day the streak counts through - a practice
+ * day or a day covered by a freeze. Null before the first practice.
+ */
+const getDaysSinceStreakDay = (progress, now, timeZone) => {
+    const lastPracticeDay = getLastPracticeDay(progress, timeZone);
+    const { frozenThroughDay } = progress;
+
+    if (frozenThroughDay && (!lastPracticeDay || dayKeyDiff(lastPracticeDay, frozenThroughDay) > 0)) {
+        return daysSinceLastPractice(frozenThroughDay, progress.frozenThroughTimeZone, now, timeZone);
+    }
+    return lastPracticeDay
+        ? daysSinceLastPractice(lastPracticeDay, progress.lastPracticeTimeZone, now, timeZone)
+        : null;
+};
+
+/**
+ * Cover missed days with freezes, if there are enough for all of them
+ * Returns the settled progress, the changed progress fields and the covered days
+ */
+export const applyFreezes = (progress, now, timeZone) => {
+    const days = getDaysSinceStreakDay(progress, now, timeZone);
+    const freezes = progress.streakFreezes || 0;
+    const missedDays = days === null ? 0 : days - 1;
+
+    if (!progress.streak || missedDays <= 0 || missedDays > freezes) {
+        return { progress, changes: {}, usedDays: [] };
+    }
+
+    const yesterday = addDays(getLocalDayKey(now, timeZone), -1);
+    const changes = {
+        streakFreezes: freezes - missedDays,
+        frozenThroughDay: yesterday,
+        frozenThroughTimeZone: timeZone,
+    };
+    const usedDays = Array.from({ length: missedDays }, (_, index) => addDays(yesterday, index + 1 - missedDays));
+
+    return { progress: { ...progress, ...changes }, changes, usedDays };
+};
+
+/**
+ * Streak after practicing at `now`, counted in the user's local days
+ * Returns the new streak and whether a new local day was started
+ */
+export const calculateStreak = (progress, now, timeZone) => {
+    const currentStreak = progress.streak || 0;
+    const days = getDaysSinceStreakDay(progress, now, timeZone);
+
+    if (days === null) {
+        // First practice ever
+        return { streak: 1, isNewDay: true };
+    }
+    if (days <= 0) {
+        // Same local day, streak stays the same
+        return { streak: currentStreak || 1, isNewDay: false };
+    }
+    if (days === 1) {
+        // Consecutive day, increment streak
+        return { streak: currentStreak + 1, isNewDay: true };
+    }
+    // Streak broken, reset to 1
+    return { streak: 1, isNewDay: true };
+};
+
+/**
+ * Count a new practice day toward the weekly goal and award a freeze when it is met
+ */
+const trackWeeklyGoal = (progress, todayKey) => {
+    const weekStart = getWeekStart(todayKey);
+    const weekPracticeDays = progress.weekStart === weekStart ? (progress.weekPracticeDays || 0) + 1 : 1;
+    const changes = { weekStart, weekPracticeDays };
+    const freezes = progress.streakFreezes || 0;
+    let freezeEarned = false;
+
+    if (weekPracticeDays >= STREAK_RULES.WEEKLY_GOAL_DAYS && progress.weeklyGoalMetWeek !== weekStart) {
+        changes.weeklyGoalMetWeek = weekStart;
+
+        if (freezes < STREAK_RULES.MAX_FREEZES) {
+            changes.streakFreezes = Math.min(freezes + STREAK_RULES.FREEZES_PER_WEEKLY_GOAL, STREAK_RULES.MAX_FREEZES);
+            freezeEarned = true;
+        }
+    }
+
+    return { changes, freezeEarned };
+};
+
+/**
+ * Progress toward this week's freeze-earning goal
+ */
+const getWeeklyGoal = (progress, todayKey) => {
+    const weekStart = getWeekStart(todayKey);
+
+    return {
+        weekStart,
+        goalDays: STREAK_RULES.WEEKLY_GOAL_DAYS,
+        practiceDays: progress.weekStart === weekStart ? progress.weekPracticeDays || 0 : 0,
+        met: progress.weeklyGoalMetWeek === weekStart,
+    };
+};
+
+/**
+ * Streak that can be repaired today, or 0
+ * Either the missed day was yesterday and nothing has been practiced yet, or
+ * today's practice already restarted the streak and the old one is kept in
+ * progress.brokenStreak
+ */
+const getRepairableStreak = (progress, days, todayKey) => {
+    if (progress.streakRepaired) return 0;
+    if (days === 2) return progress.streak || 0;
+    if (progress.brokenStreak?.day === todayKey) return progress.brokenStreak.streak;
+    return 0;
+};
+
+/**
+ * Streak info reported to the client
+ */
+const getStreakStatus = (progress, now, timeZone) => {
+    const days = getDaysSinceStreakDay(progress, now, timeZone);
+    const todayKey = getLocalDayKey(now, timeZone);
+    const repairableStreak = getRepairableStreak(progress, days, todayKey);
+
+    return {
+        streak: days !== null && days <= 1 ? progress.streak || 0 : 0,
+        longestStreak: progress.longestStreak || 0,
+        lastPracticeDate: progress.lastPracticeDate || null,
+        lastPracticeDay: getLastPracticeDay(progress, timeZone),
+        practicedToday: days !== null && days <= 0,
+        timezone: timeZone,
+        streakFreezes: progress.streakFreezes || 0,
+        maxStreakFreezes: STREAK_RULES.MAX_FREEZES,
+        repairAvailable: repairableStreak > 0,
+        repairableStreak,
+        weeklyGoal: getWeeklyGoal(progress, todayKey),
+    };
+};
+
+/**
+ * Streak as the user sees it, without writing anything
+ * Missed days that freezes can cover still count; otherwise 0 once broken
+ */
+export const getCurrentStreak = (progress, now, timeZone) =>
+    getStreakStatus(applyFreezes(progress, now, timeZone).progress, now, timeZone).streak;
+
+/**
+ * Update user streak based on last practice date
+ * Only called by the backend after practice: completing a lesson or ending a
+ * practice session with recognized signs. Days are counted in settings.timezone
+ */
+export const updateStreak = async (userId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+
+            const userData = userDoc.data();
+            const zone = resolveTimeZone(userData.settings?.timezone);
+            const now = new Date();
+            const todayKey = getLocalDayKey(now, zone);
+            const xpDay = await readXpDay(transaction, userRef, userData, zone);
+
+            const frozen = applyFreezes(userData.progress || {}, now, zone);
+            const progress = frozen.progress;
+            const days = getDaysSinceStreakDay(progress, now, zone);
+
+            const { streak: newStreak, isNewDay } = calculateStreak(progress, now, zone);
+            const newLongestStreak = Math.max(newStreak, progress.longestStreak || 0);
+
+            const changes = {
+                ...frozen.changes,
+                streak: newStreak,
+                longestStreak: newLongestStreak,
+                lastPracticeDate: FieldValue.serverTimestamp(),
+            };
+            // Within the same day the original day key is kept, so travelling west
+            // can't make the same day count twice
+            if (isNewDay || !progress.lastPracticeDay) {
+                changes.lastPracticeDay = todayKey;
+                changes.lastPracticeTimeZone = zone;
+            }
+
+            let freezeEarned = false;
+            if (isNewDay) {
+                if (newStreak === 1) {
+                    // Keep a streak broken by one missed day so it can still be repaired today
+                    const repairableStreak = getRepairableStreak(progress, days, todayKey);
+                    changes.brokenStreak = repairableStreak > 0 ? { streak: repairableStreak, day: todayKey } : null;
+                    changes.streakRepaired = false;
+                }
+
+                const weekly = trackWeeklyGoal(progress, todayKey);
+                Object.assign(changes, weekly.changes);
+                freezeEarned = weekly.freezeEarned;
+            }
+
+            transaction.update(userRef, {
+                ...toProgressUpdates(changes),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+
+            for (const day of frozen.usedDays) {
+                addHistoryEntry(transaction, userRef, { type: "used", day, streak: progress.streak || 0 });
+            }
+            if (freezeEarned) {
+                addHistoryEntry(transaction, userRef, { type: "earned", day: todayKey, streak: newStreak });
+            }
+            const isMilestone = isNewDay && STREAK_RULES.MILESTONES.includes(newStreak);
+            if (isMilestone) {
+                addActivity(transaction, userRef, ACTIVITY_TYPES.STREAK_MILESTONE, { streak: newStreak }, zone);
+            }
+
+            // Streak bonus on the first practice of each day
+            const xp = awardXp(
+                transaction,
+                xpDay,
+                "streak",
+                isNewDay
+                    ? XP_RULES.STREAK_DAY_XP * Math.min(newStreak, XP_RULES.STREAK_DAY_XP_MAX_DAYS) +
+                        (isMilestone ? XP_RULES.STREAK_MILESTONE_XP : 0)
+                    : 0
+            );
+
+            return {
+                success: true,
+                streak: newStreak,
+                longestStreak: newLongestStreak,
+                timezone: zone,
+                streakFreezes: changes.streakFreezes ?? progress.streakFreezes ?? 0,
+                freezesUsed: frozen.usedDays.length,
+                freezeEarned,
+                repairAvailable: Boolean(changes.brokenStreak),
+                xp,
+            };
+        });
+
+        if (result.success) {
+            const achievements = await evaluateAchievements(userId);
+            result.achievements = achievements.unlocked;
+        }
+
+        return result;
+    } catch (error) {
+        console.error("Error updating streak:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Get streak info, covering missed days with freezes first
+ * A streak whose last covered day was before yesterday (local time) is reported as 0
+ */
+export const getStreak = async (userId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+
+        return await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                return { success: true, streak: 0, longestStreak: 0, streakFreezes: 0 };
+            }
+
+            const userData = userDoc.data();
+            const timeZone = resolveTimeZone(userData.settings?.timezone);
+            const now = new Date();
+            const { progress, changes, usedDays } = applyFreezes(userData.progress || {}, now, timeZone);
+
+            if (usedDays.length > 0) {
+                transaction.update(userRef, {
+                    ...toProgressUpdates(changes),
+                    updatedAt: FieldValue.serverTimestamp(),
+                });
+                for (const day of usedDays) {
+                    addHistoryEntry(transaction, userRef, { type: "used", day, streak: progress.streak || 0 });
+                }
+            }
+
+            return { success: true, ...getStreakStatus(progress, now, timeZone), freezesUsed: usedDays.length };
+        });
+    } catch (error) {
+        console.error("Error getting streak:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Repair a streak broken by a single missed day
+ * Only possible on the day after the missed day, and once per streak
+ */
+export const repairStreak = async (userId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+
+            const userData = userDoc.data();
+            const timeZone = resolveTimeZone(userData.settings?.timezone);
+            const now = new Date();
+            const todayKey = getLocalDayKey(now, timeZone);
+            const frozen = applyFreezes(userData.progress || {}, now, timeZone);
+            const progress = frozen.progress;
+            const days = getDaysSinceStreakDay(progress, now, timeZone);
+
+            if (progress.streakRepaired) {
+                return { success: false, error: "This streak has already been repaired" };
+            }
+
+            const repairableStreak = getRepairableStreak(progress, days, todayKey);
+            if (repairableStreak === 0) {
+                return {
+                    success: false,
+                    error: days > 2
+                        ? "Streaks can only be repaired within a day of breaking"
+                        : "There is no broken streak to repair",
+                };
+            }
+
+            const yesterday = addDays(todayKey, -1);
+            const changes = {
+                ...frozen.changes,
+                frozenThroughDay: yesterday,
+                frozenThroughTimeZone: timeZone,
+                streakRepaired: true,
+                brokenStreak: null,
+            };
+            if (days <= 0) {
+                // Already practiced today: today's restarted streak continues the old one
+                changes.streak = repairableStreak + (progress.streak || 0);
+                changes.longestStreak = Math.max(changes.streak, progress.longestStreak || 0);
+            }
+
+            transaction.update(userRef, {
+                ...toProgressUpdates(changes),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            addHistoryEntry(transaction, userRef, { type: "repaired", day: yesterday, streak: repairableStreak });
+
+            const repaired = { ...progress, ...changes };
+            return { success: true, message: "Streak repaired", ...getStreakStatus(repaired, now, timeZone) };
+        });
+
+        if (result.success) {
+            const achievements = await evaluateAchievements(userId);
+            result.achievements = achievements.unlocked;
+        }
+
+        return result;
+    } catch (error) {
+        console.error("Error repairing streak:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Freeze inventory, weekly goal progress and recent freeze history
+ * History entries are "earned", "used" (one per covered day) or "repaired"
+ */
+export const getFreezes = async (userId, limit = STREAK_RULES.HISTORY_LIMIT) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const userDoc = await userRef.get();
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found" };
+        }
+
+        const userData = userDoc.data();
+        const progress = userData.progress || {};
+        const todayKey = getLocalDayKey(new Date(), resolveTimeZone(userData.settings?.timezone));
+
+        const historySnapshot = await userRef
+            .collection("streakFreezeHistory")
+            .orderBy("createdAt", "desc")
+            .limit(limit)
+            .get();
+
+        const history = historySnapshot.docs.map((doc) => {
+            const data = doc.data();
+            return {
+                id: doc.id,
+                type: data.type,
+                day: data.day,
+                streak: data.streak,
+                createdAt: data.createdAt?.toDate().toISOString() || null,
+            };
+        });
+
+        return {
+            success: true,
+            streakFreezes: progress.streakFreezes || 0,
+            maxStreakFreezes: STREAK_RULES.MAX_FREEZES,
+            weeklyGoal: getWeeklyGoal(progress, todayKey),
+            history,
+        };
+    } catch (error) {
+        console.error("Error getting streak freezes:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+export default {
+    applyFreezes,
+    calculateStreak,
+    getCurrentStreak,
+    updateStreak,
+    getStreak,
+    repairStreak,
+    getFreezes,
+};
@@ -0,0 +1,190 @@
+/**
+ * Teacher Request Service - Verification before an account becomes a teacher
+ *
+ * Firestore layout:
+ *   teacherRequests/{userId} - the account's latest request: school, note and review state
+ *
+ * Users can't pick the teacher role themselves. They send a request, and an
+ * admin (an account whose ID token has the `admin` custom claim, see
+ * requireAdmin) approves or rejects it. Approval sets the role in the same
+ * transaction. A teacher who later switched back to student gets the role
+ * back by requesting again, without another review.
+ */
+
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { ROLES, TEACHER_REQUEST_RULES, TEACHER_REQUEST_STATUS, getUserRole } from "../constants/roles.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+const requestsRef = () => db.collection("teacherRequests");
+
+/**
+ * Trimmed text field, or null when it is not a string or too long
+ */
+const normalizeText = (value, maxLength) => {
+    if (value === undefined || value === null) return "";
+    if (typeof value !== "string" || value.trim().length > maxLength) return null;
+    return value.trim();
+};
+
+/**
+ * A request as the API returns it
+ */
+const toPublicRequest = (data) => ({
+    userId: data.userId,
+    displayName: data.displayName,
+    email: data.email,
+    school: data.school,
+    note: data.note,
+    status: data.status,
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+    reviewedAt: data.reviewedAt?.toDate?.().toISOString() || null,
+});
+
+/**
+ * Ask to become a teacher ({ school, note })
+ * School and note are only needed for a new request
+ */
+export const requestTeacherRole = async (userId, { school, note } = {}) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const requestRef = requestsRef().doc(userId);
+
+        return await db.runTransaction(async (transaction) => {
+            const [userDoc, requestDoc] = await Promise.all([transaction.get(userRef), transaction.get(requestRef)]);
+
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+
+            const userData = userDoc.data();
+            if (userData.parentId) {
+                return { success: false, error: "Child profiles can't become teachers" };
+            }
+            if (getUserRole(userData) === ROLES.TEACHER) {
+                return { success: false, error: "You are already a teacher" };
+            }
+
+            const previous = requestDoc.exists ? requestDoc.data() : null;
+            if (previous?.status === TEACHER_REQUEST_STATUS.PENDING) {
+                return { success: false, error: "Your teacher request is waiting for review" };
+            }
+
+            // Already verified once: the role comes back without another review
+            if (previous?.status === TEACHER_REQUEST_STATUS.APPROVED) {
+                transaction.update(userRef, { role: ROLES.TEACHER, updatedAt: FieldValue.serverTimestamp() });
+                return { success: true, role: ROLES.TEACHER, request: toPublicRequest(previous) };
+            }
+
+            const schoolName = normalizeText(school, TEACHER_REQUEST_RULES.SCHOOL_MAX_LENGTH);
+            const requestNote = normalizeText(note, TEACHER_REQUEST_RULES.NOTE_MAX_LENGTH);
+            if (!schoolName) {
+                return { success: false, error: `school must be 1-${TEACHER_REQUEST_RULES.SCHOOL_MAX_LENGTH} characters` };
+            }
+            if (requestNote === null) {
+                return { success: false, error: `note must be at most ${TEACHER_REQUEST_RULES.NOTE_MAX_LENGTH} characters` };
+            }
+
+            const request = {
+                userId,
+                displayName: userData.displayName || "User",
+                email: userData.email || "",
+                school: schoolName,
+                note: requestNote,
+                status: TEACHER_REQUEST_STATUS.PENDING,
+                createdAt: FieldValue.serverTimestamp(),
+                reviewedAt: null,
+                reviewedBy: null,
+            };
+            transaction.set(requestRef, request);
+
+            return {
+                success: true,
+                role: getUserRole(userData),
+                request: { ...toPublicRequest(request), createdAt: new Date().toISOString() },
+            };
+        });
+    } catch (error) {
+        console.error("Error requesting teacher role:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * The user's latest teacher request, or null
+ */
+export const getTeacherRequest = async (userId) => {
+    try {
+        const requestDoc = await requestsRef().doc(userId).get();
+        return { success: true, request: requestDoc.exists ? toPublicRequest(requestDoc.data()) : null };
+    } catch (error) {
+        console.error("Error getting teacher request:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Requests in a review state, oldest first (admins only)
+ */
+export const getTeacherRequests = async (status = TEACHER_REQUEST_STATUS.PENDING) => {
+    try {
+        if (!Object.values(TEACHER_REQUEST_STATUS).includes(status)) {
+            return { success: false, error: "Unknown request status", requests: [] };
+        }
+
+        const snapshot = await requestsRef().where("status", "==", status).get();
+        const requests = snapshot.docs
+            .map((doc) => toPublicRequest(doc.data()))
+            .sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+
+        return { success: true, requests };
+    } catch (error) {
+        console.error("Error getting teacher requests:", error);
+        return { success: false, error: error.message, requests: [] };
+    }
+};
+
+/**
+ * Approve or reject a pending request (admins only)
+ * Approving makes the user a teacher
+ */
+export const reviewTeacherRequest = async (adminId, userId, approve) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const requestRef = requestsRef().doc(userId);
+
+        return await db.runTransaction(async (transaction) => {
+            const [userDoc, requestDoc] = await Promise.all([transaction.get(userRef), transaction.get(requestRef)]);
+
+            if (!requestDoc.exists || requestDoc.data().status !== TEACHER_REQUEST_STATUS.PENDING) {
+                return { success: false, error: "No pending request for this user" };
+            }
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
+
+            const status = approve ? TEACHER_REQUEST_STATUS.APPROVED : TEACHER_REQUEST_STATUS.REJECTED;
+            transaction.update(requestRef, {
+                status,
+                reviewedAt: FieldValue.serverTimestamp(),
+                reviewedBy: adminId,
+            });
+            if (approve) {
+                transaction.update(userRef, { role: ROLES.TEACHER, updatedAt: FieldValue.serverTimestamp() });
+            }
+
+            return { success: true, userId, status };
+        });
+    } catch (error) {
+        console.error("Error reviewing teacher request:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+export default {
+    requestTeacherRole,
+    getTeacherRequest,
+    getTeacherRequests,
+    reviewTeacherRequest,
+};
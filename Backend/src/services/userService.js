@@ -5,13 +5,24 @@
 
 import { db } from "../firebase.js";
 import admin from "firebase-admin";
+import { GOAL_RULES } from "../constants/progress.js";
+import { getCatalogLesson } from "../constants/lessons.js";
+import { ROLES, SELECTABLE_ROLES, getUserRole } from "../constants/roles.js";
+import { DEFAULT_TIMEZONE, isValidTimeZone, resolveTimeZone } from "../utils/dates.js";
+import { updateStreak } from "./streakService.js";
+import { ACTIVITY_TYPES, addActivity } from "./activityService.js";
+import { addGoalProgress, isValidDailyGoal, readGoalDay } from "./goalService.js";
+import { awardXp, getLessonXp, readXpDay } from "./xpService.js";
+import { addLessonCards, readReviewCards } from "./reviewService.js";
+import { claimQuizzes, readQuizClaim } from "./quizService.js";
+import { scoreLesson } from "./scoringService.js";
 
 const FieldValue = admin.firestore.FieldValue;
 
 /**
  * Default user schema with all required fields
  */
-const getDefaultUserData = (userId, email, displayName) => ({
+export const getDefaultUserData = (userId, email, displayName, timeZone) => ({
     // Identification
     userId,
     email: email || "",
@@ -32,14 +43,32 @@ const getDefaultUserData = (userId, email, displayName) => ({
         totalStars: 0,
         streak: 0,
         longestStreak: 0,
-        todayProgress: 0,
         lastPracticeDate: null,
+        lastPracticeDay: null,          // "YYYY-MM-DD" in lastPracticeTimeZone
+        lastPracticeTimeZone: null,
         totalPracticeTime: 0,
         lessonsCompleted: 0,
         signsLearned: 0,
         practiceSessionsCount: 0,
+        practiceCountedUntil: null,     // End of the practice time already counted (see practiceService)
         averageAccuracy: 0,
         bestAccuracy: 0,
+        accuracyAttempts: 0,
+        signsRecognized: 0,             // Correct camera attempts, for achievements
+        xp: 0,                          // Written by xpService only
+        level: 1,
+        dailyGoalsMet: 0,
+        streakFreezes: 0,
+        frozenThroughDay: null,         // Last missed day covered by a freeze or repair
+        frozenThroughTimeZone: null,
+        streakRepaired: false,          // The current streak has used its one repair
+        brokenStreak: null,             // { streak, day } restarted today, still repairable
+        weekStart: null,                // Monday of the week weekPracticeDays counts
+        weekPracticeDays: 0,
+        weeklyGoalMetWeek: null,
+        leagueTier: "bronze",           // Tier of the next league joined
+        league: null,                   // { week, leagueId, tier } written by leagueService
+        leagueResult: null,             // How the last finished league week ended
     },
 
     // User Settings
@@ -51,12 +80,18 @@ const getDefaultUserData = (userId, email, displayName) => ({
         hapticEnabled: true,
         theme: "light",
         language: "en",
-        dailyGoal: 20,
+        dailyGoal: GOAL_RULES.DEFAULT_DAILY_GOAL, // Practice minutes per day
         difficultyLevel: "beginner",
+        timezone: resolveTimeZone(timeZone), // IANA zone used for streak and daily goal days
+        leaderboardOptOut: false,
+        leaderboardOptOutBy: null,      // Who opted the account out (the user, a parent or a teacher)
     },
 
     // Metadata
-    accountType: "email",
+    role: ROLES.STUDENT,                // See constants/roles.js
+    accountType: "email",               // "child" for child profiles
+    parentId: null,                     // Account that owns a child profile
+    avatar: null,                       // Emoji shown in the profile picker
     isEmailVerified: false,
     isPremium: false,
     premiumUntil: null,
@@ -65,7 +100,7 @@ const getDefaultUserData = (userId, email, displayName) => ({
 /**
  * Create a new user document in Firestore
  */
-export const createUser = async (userId, email, displayName) => {
+export const createUser = async (userId, email, displayName, timeZone = DEFAULT_TIMEZONE) => {
     try {
         const userRef = db.collection("users").doc(userId);
         const userDoc = await userRef.get();
@@ -80,7 +115,7 @@ export const createUser = async (userId, email, displayName) => {
         }
 
         // Create new user with default schema
-        const userData = getDefaultUserData(userId, email, displayName);
+        const userData = getDefaultUserData(userId, email, displayName, timeZone);
         await userRef.set(userData);
 
         return { success: true, message: "User created successfully", data: userData };
@@ -129,6 +164,45 @@ export const updateUserProfile = async (userId, profileData) => {
     }
 };
 
+/**
+ * Switch to a role users can pick themselves (students only)
+ * The teacher role comes from an approved teacher request. A teacher who
+ * still has classes keeps the role
+ */
+export const setRole = async (userId, role) => {
+    try {
+        if (role === ROLES.TEACHER) {
+            return { success: false, error: "Send a teacher request to become a teacher" };
+        }
+        if (!SELECTABLE_ROLES.includes(role)) {
+            return { success: false, error: `role must be one of: ${SELECTABLE_ROLES.join(", ")}` };
+        }
+
+        const userRef = db.collection("users").doc(userId);
+        const userDoc = await userRef.get();
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found" };
+        }
+
+        if (userDoc.data().parentId) {
+            return { success: false, error: "Child profiles can't change role" };
+        }
+        if (getUserRole(userDoc.data()) === ROLES.TEACHER && role !== ROLES.TEACHER) {
+            const classes = await db.collection("classes").where("teacherId", "==", userId).limit(1).get();
+            if (!classes.empty) {
+                return { success: false, error: "Delete your classes before leaving the teacher role" };
+            }
+        }
+
+        await userRef.update({ role, updatedAt: FieldValue.serverTimestamp() });
+        return { success: true, role };
+    } catch (error) {
+        console.error("Error setting role:", error);
+        return { success: false, error: error.message };
+    }
+};
+
 /**
  * Get user's progress data
  */
@@ -148,149 +222,200 @@ export const getUserProgress = async (userId) => {
 };
 
 /**
- * Get list of completed lesson IDs
+ * Get the headline progress stats shown on the home and progress screens
  */
-export const getCompletedLessons = async (userId) => {
+export const getUserStats = async (userId) => {
     try {
         const userDoc = await db.collection("users").doc(userId).get();
 
         if (!userDoc.exists) {
-            return { success: true, lessons: [] };
+            return { success: false, error: "User not found" };
         }
 
         const progress = userDoc.data().progress || {};
-        return { success: true, lessons: progress.completedLessons || [] };
+        return {
+            success: true,
+            stats: {
+                lessonsCompleted: progress.lessonsCompleted || 0,
+                totalPracticeTime: progress.totalPracticeTime || 0,
+                totalStars: progress.totalStars || 0,
+                streak: progress.streak || 0,
+                averageAccuracy: progress.averageAccuracy || 0,
+                bestAccuracy: progress.bestAccuracy || 0,
+            },
+        };
     } catch (error) {
-        console.error("Error getting completed lessons:", error);
-        return { success: false, error: error.message, lessons: [] };
+        console.error("Error getting user stats:", error);
+        return { success: false, error: error.message };
     }
 };
 
 /**
- * Mark a lesson as completed
+ * Get list of completed lesson IDs
  */
-export const markLessonCompleted = async (userId, lessonId, score = 0, stars = 0, signsLearned = 0) => {
+export const getCompletedLessons = async (userId) => {
     try {
-        const userRef = db.collection("users").doc(userId);
-        const userDoc = await userRef.get();
+        const userDoc = await db.collection("users").doc(userId).get();
 
         if (!userDoc.exists) {
-            return { success: false, error: "User not found" };
-        }
-
-        const currentData = userDoc.data();
-        const completedLessons = currentData.progress?.completedLessons || [];
-
-        // Check if lesson already completed
-        if (completedLessons.includes(lessonId)) {
-            // Just update score if better
-            return { success: true, message: "Lesson already completed" };
+            return { success: true, lessons: [] };
         }
 
-        // Update progress
-        await userRef.update({
-            "progress.completedLessons": FieldValue.arrayUnion(lessonId),
-            "progress.totalScore": FieldValue.increment(score),
-            "progress.totalStars": FieldValue.increment(stars),
-            "progress.lessonsCompleted": FieldValue.increment(1),
-            "progress.signsLearned": FieldValue.increment(signsLearned),
-            "progress.lastPracticeDate": FieldValue.serverTimestamp(),
-            updatedAt: FieldValue.serverTimestamp(),
-        });
-
-        // Update streak
-        await updateStreak(userId);
-
-        return { success: true, message: "Lesson completed successfully" };
+        const progress = userDoc.data().progress || {};
+        return { success: true, lessons: progress.completedLessons || [] };
     } catch (error) {
-        console.error("Error marking lesson completed:", error);
-        return { success: false, error: error.message };
+        console.error("Error getting completed lessons:", error);
+        return { success: false, error: error.message, lessons: [] };
     }
 };
 
 /**
- * Update user streak based on last practice date
+ * Mark a lesson as completed
+ * Scores the practice attempt records together with the lesson's latest quiz,
+ * which is claimed in the same transaction, so a failed completion keeps it.
+ * Keeps a per-lesson record in users/{userId}/lessonRecords/{lessonId}; a retake
+ * only adds the improvement over the previous best to totalScore / totalStars
  */
-export const updateStreak = async (userId) => {
+export const markLessonCompleted = async (userId, lessonId, attempts = []) => {
     try {
-        const userRef = db.collection("users").doc(userId);
-        const userDoc = await userRef.get();
-
-        if (!userDoc.exists) {
-            return { success: false, error: "User not found" };
+        // Invalid attempts are rejected before any quiz is read
+        const validation = scoreLesson(lessonId, attempts);
+        if (!validation.success) {
+            return validation;
         }
 
-        const userData = userDoc.data();
-        const lastPracticeDate = userData.progress?.lastPracticeDate?.toDate();
-        const currentStreak = userData.progress?.streak || 0;
-        const longestStreak = userData.progress?.longestStreak || 0;
+        const userRef = db.collection("users").doc(userId);
+        const recordRef = userRef.collection("lessonRecords").doc(lessonId);
 
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const result = await db.runTransaction(async (transaction) => {
+            const [userDoc, recordDoc] = await Promise.all([
+                transaction.get(userRef),
+                transaction.get(recordRef),
+            ]);
 
-        let newStreak = currentStreak;
+            if (!userDoc.exists) {
+                return { success: false, error: "User not found" };
+            }
 
-        if (lastPracticeDate) {
-            const lastPractice = new Date(
-                lastPracticeDate.getFullYear(),
-                lastPracticeDate.getMonth(),
-                lastPracticeDate.getDate()
+            const userData = userDoc.data();
+            const goalDay = await readGoalDay(transaction, userRef, userData);
+            const xpDay = await readXpDay(transaction, userRef, userData);
+            const lessonSignIds = (getCatalogLesson(lessonId)?.signs || []).map((sign) => sign.id);
+            const reviewCards = await readReviewCards(transaction, userRef, lessonSignIds);
+            const quiz = await readQuizClaim(transaction, userRef, lessonId);
+            const scoring = scoreLesson(lessonId, attempts, Date.now(), quiz.result);
+            const { score, stars, signsLearned } = scoring;
+            const completedLessons = userData.progress?.completedLessons || [];
+            const previous = recordDoc.exists ? recordDoc.data() : null;
+            // Completed before lesson records existed: its score is already in the
+            // totals but unknown, so this completion becomes the baseline
+            const isLegacy = !previous && completedLessons.includes(lessonId);
+            const isRetake = Boolean(previous) || isLegacy;
+
+            const best = {
+                score: previous ? previous.bestScore : isLegacy ? score : 0,
+                stars: previous ? previous.bestStars : isLegacy ? stars : 0,
+                signsLearned: previous ? previous.bestSignsLearned : isLegacy ? signsLearned : 0,
+            };
+            const delta = {
+                score: Math.max(score - best.score, 0),
+                stars: Math.max(stars - best.stars, 0),
+                signsLearned: Math.max(signsLearned - best.signsLearned, 0),
+            };
+
+            const record = {
+                lessonId,
+                bestScore: best.score + delta.score,
+                bestStars: best.stars + delta.stars,
+                bestSignsLearned: best.signsLearned + delta.signsLearned,
+                lastScore: score,
+                lastStars: stars,
+                attempts: (previous?.attempts || (isLegacy ? 1 : 0)) + 1,
+                retakeXpDay: isRetake ? xpDay.day : null,
+                firstCompletedAt: previous?.firstCompletedAt || FieldValue.serverTimestamp(),
+                lastCompletedAt: FieldValue.serverTimestamp(),
+            };
+            transaction.set(recordRef, record);
+            claimQuizzes(transaction, quiz);
+
+            const updates = {
+                "progress.totalScore": FieldValue.increment(delta.score),
+                "progress.totalStars": FieldValue.increment(delta.stars),
+                "progress.signsLearned": FieldValue.increment(delta.signsLearned),
+                updatedAt: FieldValue.serverTimestamp(),
+            };
+            if (!isRetake) {
+                updates["progress.completedLessons"] = FieldValue.arrayUnion(lessonId);
+                updates["progress.lessonsCompleted"] = FieldValue.increment(1);
+            }
+            transaction.update(userRef, updates);
+
+            addActivity(
+                transaction,
+                userRef,
+                ACTIVITY_TYPES.LESSON_COMPLETED,
+                { lessonId, score, stars, signsLearned, isRetake },
+                userData.settings?.timezone
             );
+            const dailyGoal = addGoalProgress(transaction, goalDay, { lessons: 1 });
+            const xp = awardXp(transaction, xpDay, "lesson", getLessonXp({
+                isRetake,
+                stars,
+                improvedStars: delta.stars,
+                retakeXpEarnedToday: previous?.retakeXpDay === xpDay.day,
+            }));
+            // The lesson's signs come back for review from tomorrow
+            addLessonCards(transaction, userRef, reviewCards, lessonId, xpDay.day);
+
+            return {
+                ...scoring,
+                success: true,
+                dailyGoal,
+                xp,
+                message: isRetake ? "Lesson retaken" : "Lesson completed successfully",
+                isRetake,
+                improvement: { score: delta.score, stars: delta.stars },
+                record: {
+                    lessonId,
+                    bestScore: record.bestScore,
+                    bestStars: record.bestStars,
+                    attempts: record.attempts,
+                },
+            };
+        });
 
-            const diffDays = Math.floor((today - lastPractice) / (1000 * 60 * 60 * 24));
-
-            if (diffDays === 0) {
-                // Same day, streak stays the same
-                newStreak = currentStreak;
-            } else if (diffDays === 1) {
-                // Consecutive day, increment streak
-                newStreak = currentStreak + 1;
-            } else {
-                // Streak broken, reset to 1
-                newStreak = 1;
-            }
-        } else {
-            // First practice ever
-            newStreak = 1;
+        if (result.success) {
+            // Update streak; this also evaluates achievements, covering the lesson too
+            const streakResult = await updateStreak(userId);
+            result.achievements = streakResult.achievements || [];
         }
 
-        const newLongestStreak = Math.max(newStreak, longestStreak);
-
-        await userRef.update({
-            "progress.streak": newStreak,
-            "progress.longestStreak": newLongestStreak,
-            "progress.lastPracticeDate": FieldValue.serverTimestamp(),
-            updatedAt: FieldValue.serverTimestamp(),
-        });
-
-        return { success: true, streak: newStreak, longestStreak: newLongestStreak };
+        return result;
     } catch (error) {
-        console.error("Error updating streak:", error);
+        console.error("Error marking lesson completed:", error);
         return { success: false, error: error.message };
     }
 };
 
 /**
- * Get streak info
+ * Get the per-lesson records (best score and stars, attempts, completion times)
  */
-export const getStreak = async (userId) => {
+export const getLessonRecords = async (userId) => {
     try {
-        const userDoc = await db.collection("users").doc(userId).get();
-
-        if (!userDoc.exists) {
-            return { success: true, streak: 0, longestStreak: 0 };
-        }
+        const snapshot = await db.collection("users").doc(userId).collection("lessonRecords").get();
+        const records = snapshot.docs.map((doc) => {
+            const data = doc.data();
+            return {
+                ...data,
+                firstCompletedAt: data.firstCompletedAt?.toDate().toISOString() || null,
+                lastCompletedAt: data.lastCompletedAt?.toDate().toISOString() || null,
+            };
+        });
 
-        const progress = userDoc.data().progress || {};
-        return {
-            success: true,
-            streak: progress.streak || 0,
-            longestStreak: progress.longestStreak || 0,
-            lastPracticeDate: progress.lastPracticeDate || null,
-        };
+        return { success: true, records };
     } catch (error) {
-        console.error("Error getting streak:", error);
-        return { success: false, error: error.message };
+        console.error("Error getting lesson records:", error);
+        return { success: false, error: error.message, records: [] };
     }
 };
 
@@ -299,6 +424,16 @@ export const getStreak = async (userId) => {
  */
 export const updateSettings = async (userId, settings) => {
     try {
+        if (settings.timezone !== undefined && !isValidTimeZone(settings.timezone)) {
+            return { success: false, error: "timezone must be an IANA timezone, e.g. Europe/London" };
+        }
+        if (settings.dailyGoal !== undefined && !isValidDailyGoal(settings.dailyGoal)) {
+            return { success: false, error: "dailyGoal is not one of the offered daily goals" };
+        }
+        if (settings.leaderboardOptOut !== undefined || settings.leaderboardOptOutBy !== undefined) {
+            return { success: false, error: "Use PUT /leaderboard/opt-out to change the leaderboard opt-out" };
+        }
+
         const userRef = db.collection("users").doc(userId);
 
         const updates = {};
@@ -315,55 +450,16 @@ export const updateSettings = async (userId, settings) => {
     }
 };
 
-/**
- * Update today's progress percentage
- */
-export const updateTodayProgress = async (userId, progressPercent) => {
-    try {
-        const userRef = db.collection("users").doc(userId);
-
-        await userRef.update({
-            "progress.todayProgress": Math.min(progressPercent, 100),
-            updatedAt: FieldValue.serverTimestamp(),
-        });
-
-        return { success: true };
-    } catch (error) {
-        console.error("Error updating today progress:", error);
-        return { success: false, error: error.message };
-    }
-};
-
-/**
- * Add practice time in minutes
- */
-export const addPracticeTime = async (userId, minutes) => {
-    try {
-        const userRef = db.collection("users").doc(userId);
-
-        await userRef.update({
-            "progress.totalPracticeTime": FieldValue.increment(minutes),
-            "progress.practiceSessionsCount": FieldValue.increment(1),
-            updatedAt: FieldValue.serverTimestamp(),
-        });
-
-        return { success: true };
-    } catch (error) {
-        console.error("Error adding practice time:", error);
-        return { success: false, error: error.message };
-    }
-};
-
 export default {
+    getDefaultUserData,
     createUser,
     getUser,
     updateUserProfile,
+    setRole,
     getUserProgress,
+    getUserStats,
     getCompletedLessons,
     markLessonCompleted,
-    updateStreak,
-    getStreak,
+    getLessonRecords,
     updateSettings,
-    updateTodayProgress,
-    addPracticeTime,
 };
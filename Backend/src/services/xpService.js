@@ -0,0 +1,217 @@
+/**
+ * XP Service - Experience points and levels
+ *
+ * Firestore layout:
+ *   users/{userId}.progress.xp / .level - lifetime XP and the level it gives
+ *   users/{userId}/xpDays/{dayKey}      - XP earned per source on one local day
+ *
+ * The backend is the only writer of XP. It is awarded by the services that
+ * own the event, inside their transaction: readXpDay() before any writes,
+ * awardXp() after. Lesson and practice XP are capped per local day before
+ * anything is written. Reaching a new level is logged in the activity history,
+ * and the capped XP counts toward the user's league for the week (see leagueService).
+ */
+
+import { db } from "../firebase.js";
+import admin from "firebase-admin";
+import { XP_RULES } from "../constants/progress.js";
+import { addDays, getLocalDayKey, getWeekStart, resolveTimeZone } from "../utils/dates.js";
+import { ACTIVITY_TYPES, addActivity } from "./activityService.js";
+import { getLeagueMemberRef } from "./leagueService.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+export const XP_SOURCES = ["lesson", "practice", "review", "streak"];
+
+/**
+ * Most XP a source can award in one local day
+ */
+const DAILY_XP_CAPS = {
+    lesson: XP_RULES.DAILY_LESSON_XP_CAP,
+    practice: XP_RULES.DAILY_ATTEMPT_XP_CAP,
+};
+
+/**
+ * Total XP needed to reach a level (level 1 starts at 0)
+ */
+export const getLevelXp = (level) => (XP_RULES.LEVEL_XP_STEP * (level - 1) * level) / 2;
+
+/**
+ * Level for an XP total, and progress toward the next level
+ */
+export const getLevelInfo = (xp = 0) => {
+    let level = 1;
+    while (xp >= getLevelXp(level + 1)) {
+        level += 1;
+    }
+
+    const levelStartXp = getLevelXp(level);
+    const nextLevelXp = getLevelXp(level + 1);
+
+    return {
+        xp,
+        level,
+        levelStartXp,
+        nextLevelXp,
+        progressPercent: Math.floor(((xp - levelStartXp) / (nextLevelXp - levelStartXp)) * 100),
+    };
+};
+
+/**
+ * Read today's XP document within a transaction
+ * Must be called before the transaction writes anything
+ */
+export const readXpDay = async (transaction, userRef, userData, timeZone = userData?.settings?.timezone) => {
+    const zone = resolveTimeZone(timeZone);
+    const day = getLocalDayKey(new Date(), zone);
+    const ref = userRef.collection("xpDays").doc(day);
+    const dayDoc = await transaction.get(ref);
+
+    return {
+        userRef,
+        ref,
+        day,
+        timeZone: zone,
+        xp: userData?.progress?.xp || 0,
+        league: userData?.progress?.league || null,
+        sources: dayDoc.exists ? dayDoc.data().sources || {} : {},
+    };
+};
+
+/**
+ * XP already earned today from one source
+ */
+export const getXpToday = (xpDay, source) => xpDay.sources[source] || 0;
+
+/**
+ * Award XP from a source and update the level
+ * The amount is cut to what is left of the source's daily cap, so only capped
+ * XP reaches the level and the league. Can be called several times in one
+ * transaction with the same xpDay.
+ * Returns { awarded, xp, level, levelUp } where levelUp is { from, to } or null
+ */
+export const awardXp = (transaction, xpDay, source, amount) => {
+    const remaining = (DAILY_XP_CAPS[source] ?? Infinity) - getXpToday(xpDay, source);
+    const awarded = Math.max(Math.min(Math.round(amount), remaining), 0);
+    const before = getLevelInfo(xpDay.xp);
+
+    if (awarded === 0) {
+        return { awarded, xp: xpDay.xp, level: before.level, levelUp: null };
+    }
+
+    xpDay.xp += awarded;
+    xpDay.sources = { ...xpDay.sources, [source]: getXpToday(xpDay, source) + awarded };
+    const after = getLevelInfo(xpDay.xp);
+    const total = Object.values(xpDay.sources).reduce((sum, value) => sum + value, 0);
+
+    transaction.set(xpDay.ref, {
+        day: xpDay.day,
+        timeZone: xpDay.timeZone,
+        total,
+        sources: xpDay.sources,
+        updatedAt: FieldValue.serverTimestamp(),
+    });
+    transaction.update(xpDay.userRef, {
+        "progress.xp": xpDay.xp,
+        "progress.level": after.level,
+    });
+
+    if (xpDay.league?.week === getWeekStart(xpDay.day)) {
+        transaction.set(
+            getLeagueMemberRef(xpDay.league.leagueId, xpDay.userRef.id),
+            { xp: FieldValue.increment(awarded), updatedAt: FieldValue.serverTimestamp() },
+            { merge: true }
+        );
+    }
+
+    const levelUp = after.level > before.level ? { from: before.level, to: after.level } : null;
+    if (levelUp) {
+        addActivity(transaction, xpDay.userRef, ACTIVITY_TYPES.LEVEL_UP, { level: after.level, xp: xpDay.xp }, xpDay.timeZone);
+    }
+
+    return { awarded, xp: xpDay.xp, level: after.level, levelUp };
+};
+
+/**
+ * XP for completing a lesson, from the stars earned (or improved on a retake)
+ * A retake only earns RETAKE_XP on the lesson's first retake of the local day,
+ * so repeating a lesson can't be farmed.
+ */
+export const getLessonXp = ({ isRetake, stars, improvedStars, retakeXpEarnedToday = false }) =>
+    isRetake
+        ? (retakeXpEarnedToday ? 0 : XP_RULES.RETAKE_XP) + XP_RULES.STAR_XP * improvedStars
+        : XP_RULES.LESSON_XP + XP_RULES.STAR_XP * stars;
+
+/**
+ * Current XP, level and today's XP by source
+ */
+export const getXp = async (userId) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const userDoc = await userRef.get();
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found" };
+        }
+
+        const userData = userDoc.data();
+        const day = getLocalDayKey(new Date(), resolveTimeZone(userData.settings?.timezone));
+        const dayDoc = await userRef.collection("xpDays").doc(day).get();
+
+        return {
+            success: true,
+            ...getLevelInfo(userData.progress?.xp || 0),
+            today: {
+                day,
+                total: dayDoc.exists ? dayDoc.data().total : 0,
+                sources: dayDoc.exists ? dayDoc.data().sources : {},
+            },
+        };
+    } catch (error) {
+        console.error("Error getting XP:", error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * XP per local day and source for the last `days` days, oldest first
+ * Days without XP are left out
+ */
+export const getXpHistory = async (userId, days) => {
+    try {
+        const userRef = db.collection("users").doc(userId);
+        const userDoc = await userRef.get();
+
+        if (!userDoc.exists) {
+            return { success: false, error: "User not found", days: [] };
+        }
+
+        const to = getLocalDayKey(new Date(), resolveTimeZone(userDoc.data().settings?.timezone));
+        const from = addDays(to, 1 - days);
+
+        const snapshot = await userRef.collection("xpDays").where("day", ">=", from).get();
+        const history = snapshot.docs
+            .map((doc) => {
+                const data = doc.data();
+                return { day: data.day, total: data.total || 0, sources: data.sources || {} };
+            })
+            .sort((a, b) => a.day.localeCompare(b.day));
+
+        return { success: true, from, to, days: history };
+    } catch (error) {
+        console.error("Error getting XP history:", error);
+        return { success: false, error: error.message, days: [] };
+    }
+};
+
+export default {
+    XP_SOURCES,
+    getLevelXp,
+    getLevelInfo,
+    readXpDay,
+    getXpToday,
+    awardXp,
+    getLessonXp,
+    getXp,
+    getXpHistory,
+};
@@ -0,0 +1,111 @@
+/**
+ * Date Utilities - Calendar days in the user's own timezone
+ *
+ * Streaks and daily goals are counted in local calendar days. Days are
+ * represented as "YYYY-MM-DD" keys computed with Intl in an IANA timezone,
+ * so DST transitions (23h / 25h days) and server location don't matter.
+ */
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a string is an IANA timezone the runtime knows ("Europe/Berlin")
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== "string" || timeZone.length === 0) return false;
+
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Fall back to UTC for missing or unknown timezones
+ */
+export const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE);
+
+/**
+ * Local calendar day of an instant, as "YYYY-MM-DD"
+ */
+export const getLocalDayKey = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone: resolveTimeZone(timeZone),
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+    }).formatToParts(date);
+
+    const part = (type) => parts.find((item) => item.type === type).value;
+    return `${part("year")}-${part("month")}-${part("day")}`;
+};
+
+/**
+ * Check that a string is a real calendar day as "YYYY-MM-DD"
+ */
+export const isValidDayKey = (dayKey) => {
+    if (typeof dayKey !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(dayKey)) {
+        return false;
+    }
+
+    const [year, month, day] = dayKey.split("-").map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Whole calendar days from one day key to another (positive when `to` is later)
+ */
+export const dayKeyDiff = (from, to) => {
+    const toUTC = (key) => {
+        const [year, month, day] = key.split("-").map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+
+    return Math.round((toUTC(to) - toUTC(from)) / MS_PER_DAY);
+};
+
+/**
+ * Shift a day key by a number of days
+ */
+export const addDays = (dayKey, days) => {
+    const [year, month, day] = dayKey.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Monday of the week a day key falls in (weeks run Monday to Sunday)
+ */
+export const getWeekStart = (dayKey) => {
+    const [year, month, day] = dayKey.split("-").map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay(); // 0 = Sunday
+    return addDays(dayKey, -((weekday + 6) % 7));
+};
+
+/**
+ * Calendar days between the last practice and now
+ *
+ * The last practice day is stored in the timezone in effect at the time.
+ * After travelling, "today" is checked in both the old and the new zone and
+ * the smaller gap wins, so crossing zones never breaks or double-counts a day.
+ */
+export const daysSinceLastPractice = (lastPracticeDay, lastTimeZone, now, timeZone) => Math.min(
+    dayKeyDiff(lastPracticeDay, getLocalDayKey(now, timeZone)),
+    dayKeyDiff(lastPracticeDay, getLocalDayKey(now, lastTimeZone || timeZone))
+);
+
+export default {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    resolveTimeZone,
+    getLocalDayKey,
+    isValidDayKey,
+    dayKeyDiff,
+    addDays,
+    getWeekStart,
+    daysSinceLastPractice,
+};
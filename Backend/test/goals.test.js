@@ -0,0 +1,72 @@
+/**
+ * Daily goal progress and counting met days once
+ */
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import { setTestFirebaseEnv } from "./support/firebaseEnv.js";
+
+let addGoalProgress;
+let db;
+
+before(async () => {
+    setTestFirebaseEnv();
+    ({ addGoalProgress } = await import("../src/services/goalService.js"));
+    ({ db } = await import("../src/firebase.js"));
+});
+
+/**
+ * Transaction stand-in that records writes by document path
+ */
+const createTransaction = () => {
+    const writes = [];
+    const record = (ref, data) => writes.push({ path: ref.path, data });
+    return { writes, set: record, update: record };
+};
+
+const createGoalDay = (goal, data) => {
+    const userRef = db.collection("users").doc("learner");
+    return {
+        userRef,
+        ref: userRef.collection("dailyGoals").doc("2024-06-10"),
+        day: "2024-06-10",
+        timeZone: "UTC",
+        goal,
+        data,
+    };
+};
+
+const countsMetDay = (transaction) =>
+    transaction.writes.some((write) => write.path === "users/learner" && write.data["progress.dailyGoalsMet"]);
+
+describe("addGoalProgress", () => {
+    test("meeting the goal counts the day", () => {
+        const transaction = createTransaction();
+        const status = addGoalProgress(transaction, createGoalDay(10, { minutes: 8 }), { minutes: 5 });
+
+        assert.equal(status.met, true);
+        assert.equal(status.justMet, true);
+        assert.equal(countsMetDay(transaction), true);
+    });
+
+    test("progress below the goal doesn't count", () => {
+        const transaction = createTransaction();
+        const status = addGoalProgress(transaction, createGoalDay(20, { minutes: 8 }), { minutes: 5 });
+
+        assert.equal(status.met, false);
+        assert.equal(countsMetDay(transaction), false);
+    });
+
+    test("meeting a raised goal on a day already counted doesn't count it again", () => {
+        // Met 10 minutes earlier, then the goal was raised to 20
+        const metAt = { seconds: 1718020000, nanoseconds: 0 };
+        const transaction = createTransaction();
+        const goalDay = createGoalDay(20, { minutes: 15, met: false, metAt });
+        const status = addGoalProgress(transaction, goalDay, { minutes: 5 });
+
+        assert.equal(status.met, true);
+        assert.equal(status.justMet, false);
+        assert.equal(countsMetDay(transaction), false);
+        assert.equal(transaction.writes[0].data.metAt, metAt);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Practice time counted from practice sessions
+ */
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import { setTestFirebaseEnv } from "./support/firebaseEnv.js";
+
+let getSessionMinutes;
+
+before(async () => {
+    setTestFirebaseEnv();
+    ({ getSessionMinutes } = await import("../src/services/practiceService.js"));
+});
+
+const at = (time) => new Date(`2024-06-10T${time}:00Z`);
+
+describe("getSessionMinutes", () => {
+    test("counts from the start to the last attempt", () => {
+        const result = getSessionMinutes({ startedAt: at("10:00"), lastActivityAt: at("10:12"), attempts: 30 });
+        assert.equal(result.minutes, 12);
+        assert.deepEqual(result.countedUntil, at("10:12"));
+    });
+
+    test("a session without attempts counts nothing", () => {
+        const result = getSessionMinutes({ startedAt: at("10:00"), lastActivityAt: at("10:00"), attempts: 0 });
+        assert.equal(result.minutes, 0);
+        assert.equal(result.countedUntil, null);
+    });
+
+    test("time after the last attempt doesn't count", () => {
+        // Left open until noon, but the last attempt was at 10:05
+        const result = getSessionMinutes({ startedAt: at("10:00"), lastActivityAt: at("10:05"), attempts: 3 });
+        assert.equal(result.minutes, 5);
+    });
+
+    test("overlapping sessions only add the time not counted yet", () => {
+        const first = getSessionMinutes({ startedAt: at("10:00"), lastActivityAt: at("10:30"), attempts: 10 });
+        const second = getSessionMinutes(
+            { startedAt: at("10:10"), lastActivityAt: at("10:40"), attempts: 10 },
+            first.countedUntil
+        );
+        const parallel = getSessionMinutes(
+            { startedAt: at("10:00"), lastActivityAt: at("10:30"), attempts: 10 },
+            second.countedUntil
+        );
+
+        assert.equal(first.minutes + second.minutes + parallel.minutes, 40);
+        assert.deepEqual(parallel.countedUntil, at("10:40"));
+    });
+
+    test("one session counts at most two hours", () => {
+        const result = getSessionMinutes({ startedAt: at("08:00"), lastActivityAt: at("12:00"), attempts: 200 });
+        assert.equal(result.minutes, 120);
+    });
+});
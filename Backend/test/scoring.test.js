@@ -0,0 +1,65 @@
+/**
+ * Server-side lesson scoring
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { scoreLesson } from "../src/services/scoringService.js";
+
+const NOW = Date.parse("2024-06-10T12:00:00Z");
+
+const attempt = (targetSign, confidence, startedAt) => ({
+    targetSign,
+    predictedLabel: targetSign,
+    confidence,
+    startedAt,
+    endedAt: startedAt + 2000,
+});
+
+describe("scoreLesson", () => {
+    test("rejects a submission without attempts for a lesson with recognizable signs", () => {
+        assert.deepEqual(scoreLesson("lesson_1", [], NOW), {
+            success: false,
+            error: "No practice attempts for this lesson",
+        });
+    });
+
+    test("accepts a lesson the recognizer can't check without attempts", () => {
+        const result = scoreLesson("lesson_5", [], NOW);
+
+        assert.equal(result.success, true);
+        assert.equal(result.signsLearned, 2);
+    });
+
+    test("scores recognized attempts", () => {
+        const attempts = [
+            attempt("Hello", 0.95, NOW - 60000),
+            attempt("Goodbye", 0.92, NOW - 50000),
+            attempt("Thank You", 0.9, NOW - 40000),
+        ];
+        const result = scoreLesson("lesson_1", attempts, NOW, { correct: 3, total: 3, bySign: {} });
+
+        assert.equal(result.success, true);
+        assert.equal(result.stars, 3);
+        assert.equal(result.signsLearned, 3);
+    });
+
+    test("a lesson without a quiz loses a star", () => {
+        const attempts = [
+            attempt("Hello", 0.95, NOW - 60000),
+            attempt("Goodbye", 0.92, NOW - 50000),
+            attempt("Thank You", 0.9, NOW - 40000),
+        ];
+
+        assert.equal(scoreLesson("lesson_1", attempts, NOW, null).stars, 2);
+    });
+
+    test("quiz points are capped at a share of the sign points", () => {
+        const attempts = [attempt("Help", 1, NOW - 60000), attempt("Please", 1, NOW - 50000)];
+        const quiz = { correct: 50, total: 50, bySign: {} };
+        const result = scoreLesson("lesson_2", attempts, NOW, quiz);
+
+        // 2 signs at POINTS_PER_SIGN, plus at most half of that from the quiz
+        assert.equal(result.score, 20 + 10);
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Streak day counting across DST transitions and timezone changes
+ */
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import { daysSinceLastPractice, getLocalDayKey } from "../src/utils/dates.js";
+import { setTestFirebaseEnv } from "./support/firebaseEnv.js";
+
+let applyFreezes;
+let calculateStreak;
+
+before(async () => {
+    setTestFirebaseEnv();
+    ({ applyFreezes, calculateStreak } = await import("../src/services/streakService.js"));
+});
+
+const NEW_YORK = "America/New_York";
+const BERLIN = "Europe/Berlin";
+const LOS_ANGELES = "America/Los_Angeles";
+const TOKYO = "Asia/Tokyo";
+
+const HOUR = 60 * 60 * 1000;
+
+describe("DST days", () => {
+    test("23 hour spring-forward day is one calendar day", () => {
+        // 2024-03-10 00:30 EST, 23 hours before 00:30 EDT the next day
+        const start = new Date("2024-03-10T05:30:00Z");
+        const next = new Date(start.getTime() + 23 * HOUR);
+
+        assert.equal(getLocalDayKey(start, NEW_YORK), "2024-03-10");
+        assert.equal(getLocalDayKey(next, NEW_YORK), "2024-03-11");
+        assert.equal(daysSinceLastPractice("2024-03-10", NEW_YORK, next, NEW_YORK), 1);
+    });
+
+    test("25 hour fall-back day is one calendar day", () => {
+        // 2024-11-03 00:30 EDT; 24 hours later it is still Nov 3 (23:30 EST)
+        const start = new Date("2024-11-03T04:30:00Z");
+        const sameDay = new Date(start.getTime() + 24 * HOUR);
+        const nextDay = new Date(start.getTime() + 25 * HOUR);
+
+        assert.equal(daysSinceLastPractice("2024-11-03", NEW_YORK, sameDay, NEW_YORK), 0);
+        assert.equal(daysSinceLastPractice("2024-11-03", NEW_YORK, nextDay, NEW_YORK), 1);
+    });
+
+    test("streak continues over the 23 hour day", () => {
+        // Practiced on 2024-03-30 in Berlin, again at 23:30 CEST on the short 2024-03-31
+        const progress = { streak: 4, lastPracticeDay: "2024-03-30", lastPracticeTimeZone: BERLIN };
+        const now = new Date("2024-03-31T21:30:00Z");
+
+        assert.deepEqual(calculateStreak(progress, now, BERLIN), { streak: 5, isNewDay: true });
+    });
+
+    test("two practices on the 25 hour day count once", () => {
+        const progress = { streak: 7, lastPracticeDay: "2024-10-27", lastPracticeTimeZone: BERLIN };
+        const lateSameDay = new Date("2024-10-27T22:30:00Z"); // 23:30 CET, 25.5 hours after midnight CEST
+
+        assert.deepEqual(calculateStreak(progress, lateSameDay, BERLIN), { streak: 7, isNewDay: false });
+    });
+});
+
+describe("travel", () => {
+    test("eastward jump over a calendar day does not break the streak", () => {
+        // Practiced in New York at 08:00 on Jun 10, flew to Tokyo, practices at 01:00 Jun 12 local
+        const now = new Date("2024-06-11T16:00:00Z");
+        const progress = { streak: 10, lastPracticeDay: "2024-06-10", lastPracticeTimeZone: NEW_YORK };
+
+        assert.equal(getLocalDayKey(now, TOKYO), "2024-06-12");
+        assert.equal(daysSinceLastPractice("2024-06-10", NEW_YORK, now, TOKYO), 1);
+        assert.deepEqual(calculateStreak(progress, now, TOKYO), { streak: 11, isNewDay: true });
+    });
+
+    test("eastward arrival on the next local day is not a new day yet", () => {
+        // Practiced in Los Angeles at 10:00 on Jun 10, lands in Berlin at 01:00 Jun 11 local
+        const now = new Date("2024-06-10T23:00:00Z");
+        const progress = { streak: 3, lastPracticeDay: "2024-06-10", lastPracticeTimeZone: LOS_ANGELES };
+
+        assert.deepEqual(calculateStreak(progress, now, BERLIN), { streak: 3, isNewDay: false });
+    });
+
+    test("westward travel does not break the streak", () => {
+        // Practiced in Berlin at 22:00 on Jun 10, practices in New York at 23:00 Jun 11 local
+        const now = new Date("2024-06-12T03:00:00Z");
+        const progress = { streak: 2, lastPracticeDay: "2024-06-10", lastPracticeTimeZone: BERLIN };
+
+        assert.equal(getLocalDayKey(now, BERLIN), "2024-06-12");
+        assert.equal(daysSinceLastPractice("2024-06-10", BERLIN, now, NEW_YORK), 1);
+        assert.deepEqual(calculateStreak(progress, now, NEW_YORK), { streak: 3, isNewDay: true });
+    });
+
+    test("westward travel does not count the same day twice", () => {
+        // Practiced in Tokyo at 08:00 on Jun 11, then in Los Angeles still on Jun 11 local
+        const now = new Date("2024-06-12T01:00:00Z");
+        const progress = { streak: 6, lastPracticeDay: "2024-06-11", lastPracticeTimeZone: TOKYO };
+
+        assert.deepEqual(calculateStreak(progress, now, LOS_ANGELES), { streak: 6, isNewDay: false });
+    });
+
+    test("a real gap still breaks the streak after travel", () => {
+        const now = new Date("2024-06-13T20:00:00Z");
+        const progress = { streak: 6, lastPracticeDay: "2024-06-10", lastPracticeTimeZone: TOKYO };
+
+        assert.deepEqual(calculateStreak(progress, now, LOS_ANGELES), { streak: 1, isNewDay: true });
+    });
+});
+
+describe("streak freezes", () => {
+    test("a freeze covers a missed day across a zone change", () => {
+        // Practiced in Berlin on Jun 10, missed Jun 11, practices in New York on Jun 12
+        const now = new Date("2024-06-12T20:00:00Z");
+        const progress = {
+            streak: 5,
+            streakFreezes: 2,
+            lastPracticeDay: "2024-06-10",
+            lastPracticeTimeZone: BERLIN,
+        };
+
+        const settled = applyFreezes(progress, now, NEW_YORK);
+
+        assert.deepEqual(settled.changes, {
+            streakFreezes: 1,
+            frozenThroughDay: "2024-06-11",
+            frozenThroughTimeZone: NEW_YORK,
+        });
+        assert.deepEqual(settled.usedDays, ["2024-06-11"]);
+        assert.deepEqual(calculateStreak(settled.progress, now, NEW_YORK), { streak: 6, isNewDay: true });
+    });
+
+    test("a frozen day is measured in the zone it was covered in", () => {
+        // Frozen through Jun 11 in Tokyo, practices in Los Angeles on its Jun 11 evening
+        const now = new Date("2024-06-12T02:00:00Z");
+        const progress = {
+            streak: 5,
+            streakFreezes: 0,
+            lastPracticeDay: "2024-06-10",
+            lastPracticeTimeZone: TOKYO,
+            frozenThroughDay: "2024-06-11",
+            frozenThroughTimeZone: TOKYO,
+        };
+
+        assert.deepEqual(applyFreezes(progress, now, LOS_ANGELES).changes, {});
+        assert.deepEqual(calculateStreak(progress, now, LOS_ANGELES), { streak: 5, isNewDay: false });
+    });
+
+    test("travel does not use a freeze for a day that was not missed", () => {
+        const now = new Date("2024-06-11T16:00:00Z");
+        const progress = {
+            streak: 10,
+            streakFreezes: 2,
+            lastPracticeDay: "2024-06-10",
+            lastPracticeTimeZone: NEW_YORK,
+        };
+
+        assert.deepEqual(applyFreezes(progress, now, TOKYO), { progress, changes: {}, usedDays: [] });
+    });
+
+    test("freezes cover missed days over a DST change", () => {
+        // Practiced on Mar 8 in New York, missed Mar 9 and the 23 hour Mar 10
+        const now = new Date("2024-03-11T14:00:00Z");
+        const progress = {
+            streak: 3,
+            streakFreezes: 2,
+            lastPracticeDay: "2024-03-08",
+            lastPracticeTimeZone: NEW_YORK,
+        };
+
+        const settled = applyFreezes(progress, now, NEW_YORK);
+
+        assert.deepEqual(settled.usedDays, ["2024-03-09", "2024-03-10"]);
+        assert.equal(settled.changes.streakFreezes, 0);
+        assert.deepEqual(calculateStreak(settled.progress, now, NEW_YORK), { streak: 4, isNewDay: true });
+    });
+
+    test("not enough freezes leaves the streak to break", () => {
+        const now = new Date("2024-03-11T14:00:00Z");
+        const progress = {
+            streak: 3,
+            streakFreezes: 1,
+            lastPracticeDay: "2024-03-08",
+            lastPracticeTimeZone: NEW_YORK,
+        };
+
+        assert.deepEqual(applyFreezes(progress, now, NEW_YORK).changes, {});
+        assert.deepEqual(calculateStreak(progress, now, NEW_YORK), { streak: 1, isNewDay: true });
+    });
+});
@@ -0,0 +1,20 @@
+/**
+ * Placeholder admin SDK credentials, so services that import firebase.js can
+ * be loaded in tests. Firestore is never reached: tests only build refs and
+ * pass fake transactions.
+ */
+
+import crypto from "node:crypto";
+
+export const setTestFirebaseEnv = () => {
+    if (process.env.FIREBASE_PRIVATE_KEY) return;
+
+    const { privateKey } = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: "pkcs8", format: "pem" },
+        publicKeyEncoding: { type: "spki", format: "pem" },
+    });
+    process.env.FIREBASE_PROJECT_ID = "signage-test";
+    process.env.FIREBASE_CLIENT_EMAIL = "test@signage-test.iam.gserviceaccount.com";
+    process.env.FIREBASE_PRIVATE_KEY = privateKey;
+};
@@ -0,0 +1,89 @@
+/**
+ * XP awards, daily caps and league XP
+ */
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import { XP_RULES } from "../src/constants/progress.js";
+import { setTestFirebaseEnv } from "./support/firebaseEnv.js";
+
+let awardXp;
+let getLessonXp;
+let db;
+
+before(async () => {
+    setTestFirebaseEnv();
+    ({ awardXp, getLessonXp } = await import("../src/services/xpService.js"));
+    ({ db } = await import("../src/firebase.js"));
+});
+
+/**
+ * Transaction stand-in that records writes by document path
+ */
+const createTransaction = () => {
+    const writes = [];
+    const record = (ref, data) => writes.push({ path: ref.path, data });
+    return { writes, set: record, update: record };
+};
+
+const createXpDay = (sources = {}) => {
+    const userRef = db.collection("users").doc("learner");
+    return {
+        userRef,
+        ref: userRef.collection("xpDays").doc("2024-06-10"),
+        day: "2024-06-10",
+        timeZone: "UTC",
+        xp: 50,
+        league: { week: "2024-06-10", leagueId: "league-1" },
+        sources,
+    };
+};
+
+const getLeagueIncrement = (transaction) =>
+    transaction.writes.find((write) => write.path === "leagues/league-1/members/learner")?.data.xp;
+
+describe("getLessonXp", () => {
+    test("first completion earns lesson and star XP", () => {
+        assert.equal(getLessonXp({ isRetake: false, stars: 3, improvedStars: 0 }), XP_RULES.LESSON_XP + 3 * XP_RULES.STAR_XP);
+    });
+
+    test("retake XP is earned once per day", () => {
+        assert.equal(getLessonXp({ isRetake: true, stars: 2, improvedStars: 0 }), XP_RULES.RETAKE_XP);
+        assert.equal(getLessonXp({ isRetake: true, stars: 2, improvedStars: 0, retakeXpEarnedToday: true }), 0);
+        assert.equal(
+            getLessonXp({ isRetake: true, stars: 3, improvedStars: 1, retakeXpEarnedToday: true }),
+            XP_RULES.STAR_XP
+        );
+    });
+});
+
+describe("awardXp", () => {
+    test("adds the award to the league member", () => {
+        const transaction = createTransaction();
+        const result = awardXp(transaction, createXpDay(), "lesson", 25);
+
+        assert.equal(result.awarded, 25);
+        assert.equal(getLeagueIncrement(transaction).operand, 25);
+    });
+
+    test("lesson XP over the daily cap never reaches the league", () => {
+        const transaction = createTransaction();
+        const xpDay = createXpDay({ lesson: XP_RULES.DAILY_LESSON_XP_CAP - 5 });
+        const result = awardXp(transaction, xpDay, "lesson", 25);
+
+        assert.equal(result.awarded, 5);
+        assert.equal(getLeagueIncrement(transaction).operand, 5);
+
+        const capped = createTransaction();
+        assert.equal(awardXp(capped, xpDay, "lesson", 25).awarded, 0);
+        assert.deepEqual(capped.writes, []);
+    });
+
+    test("practice XP is capped per day", () => {
+        const transaction = createTransaction();
+        const xpDay = createXpDay({ practice: XP_RULES.DAILY_ATTEMPT_XP_CAP });
+
+        assert.equal(awardXp(transaction, xpDay, "practice", XP_RULES.ACCURATE_ATTEMPT_XP).awarded, 0);
+        assert.equal(getLeagueIncrement(transaction), undefined);
+    });
+});
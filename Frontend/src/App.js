@@ -12,22 +12,62 @@ import LearnScreen from "./screens/LearnScreen";
 import LessonDetailScreen from "./screens/LessonDetailScreen";
 import LessonContentScreen from "./screens/LessonContentScreen";
 import CameraScreen from "./screens/CameraScreen";
+import CalibrationScreen from "./screens/CalibrationScreen";
 import ProfileScreen from "./screens/ProfileScreen";
 import ProgressScreen from "./screens/ProgressScreen";
+import AchievementsScreen from "./screens/AchievementsScreen";
+import LeaderboardScreen from "./screens/LeaderboardScreen";
+import ClassesScreen from "./screens/ClassesScreen";
+import ClassDetailScreen from "./screens/ClassDetailScreen";
+import ProfilePickerScreen from "./screens/ProfilePickerScreen";
+import FamilyScreen from "./screens/FamilyScreen";
+import ReviewScreen from "./screens/ReviewScreen";
 import LoginScreen from "./screens/LoginScreen";
 
+import AchievementToast from "./components/AchievementToast";
 import { AuthService } from "./services/firebase";
+import { ProfileService } from "./services/profiles";
+import { UserService } from "./services/user";
+import { getActiveProfile, setActiveProfile, clearActiveProfile } from "./services/activeProfile";
 import "./App.css";
 
+// 🌍 Keep the active profile's streak timezone in sync with this device
+const syncTimeZone = () => {
+  UserService.syncTimeZone().then((result) => {
+    if (!result.success) console.warn("⚠️ Could not sync timezone:", result.error);
+  });
+};
+
 function App() {
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [needsProfile, setNeedsProfile] = useState(false);
 
   // 🔐 Listen to Firebase auth state
   useEffect(() => {
-    const unsubscribe = AuthService.onAuthChange((currentUser) => {
+    const unsubscribe = AuthService.onAuthChange(async (currentUser) => {
+      if (!currentUser) {
+        clearActiveProfile();
+        setNeedsProfile(false);
+      } else if (!getActiveProfile(currentUser)) {
+        // 👨‍👩‍👧 Ask who's learning when the account has child profiles
+        const result = await ProfileService.getProfiles();
+        const profiles = result.success ? result.profiles : [];
+
+        if (profiles.length > 1) {
+          setNeedsProfile(true);
+        } else {
+          setActiveProfile(currentUser, profiles[0] || { id: currentUser.uid, isChild: false });
+        }
+      }
+
       setUser(currentUser);
       setIsLoading(false);
+
+      // Once the picker is shown, the chosen profile is synced from onSelect
+      if (currentUser && getActiveProfile(currentUser)) {
+        syncTimeZone();
+      }
     });
     return () => unsubscribe();
   }, []);
@@ -47,42 +87,84 @@ function App() {
     <Router>
       <div className="app">
         <Navigation />
+        {user && !needsProfile && <AchievementToast />}
 
         <div className="app-content">
-          <Routes>
-            {/* Public routes */}
-            <Route path="/" element={<HomeScreen />} />
-            <Route path="/login" element={!user ? <LoginScreen /> : <Navigate to="/profile" />} />
-
-            {/* Protected routes */}
-            <Route
-              path="/learn"
-              element={user ? <LearnScreen /> : <Navigate to="/login" />}
-            />
-            <Route
-              path="/learn/:lessonId"
-              element={user ? <LessonDetailScreen /> : <Navigate to="/login" />}
-            />
-            <Route
-              path="/lesson/:lessonId"
-              element={user ? <LessonContentScreen /> : <Navigate to="/login" />}
-            />
-            <Route
-              path="/camera"
-              element={user ? <CameraScreen /> : <Navigate to="/login" />}
-            />
-            <Route
-              path="/profile"
-              element={user ? <ProfileScreen /> : <Navigate to="/login" />}
-            />
-            <Route
-              path="/progress"
-              element={user ? <ProgressScreen /> : <Navigate to="/login" />}
+          {user && needsProfile ? (
+            <ProfilePickerScreen
+              onSelect={() => {
+                setNeedsProfile(false);
+                syncTimeZone();
+              }}
             />
+          ) : (
+            <Routes>
+              {/* Public routes */}
+              <Route path="/" element={<HomeScreen />} />
+              <Route path="/login" element={!user ? <LoginScreen /> : <Navigate to="/profile" />} />
+
+              {/* Protected routes */}
+              <Route
+                path="/learn"
+                element={user ? <LearnScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/learn/:lessonId"
+                element={user ? <LessonDetailScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/lesson/:lessonId"
+                element={user ? <LessonContentScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/camera"
+                element={user ? <CameraScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/calibrate/:lessonId"
+                element={user ? <CalibrationScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/profile"
+                element={user ? <ProfileScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/review"
+                element={user ? <ReviewScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/progress"
+                element={user ? <ProgressScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/achievements"
+                element={user ? <AchievementsScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/leaderboard"
+                element={user ? <LeaderboardScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/classes"
+                element={user ? <ClassesScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/classes/:classId"
+                element={user ? <ClassDetailScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/profiles"
+                element={user ? <ProfilePickerScreen /> : <Navigate to="/login" />}
+              />
+              <Route
+                path="/family"
+                element={user ? <FamilyScreen /> : <Navigate to="/login" />}
+              />
 
-            {/* Fallback */}
-            <Route path="*" element={<Navigate to="/" replace />} />
-          </Routes>
+              {/* Fallback */}
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          )}
         </div>
       </div>
     </Router>
@@ -0,0 +1,72 @@
+/**
+ * Achievement Toast
+ * Announces newly unlocked achievements, one at a time. Checks for unlocks
+ * whenever the route changes; stays silent when the user has turned
+ * achievement notifications off.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { AuthService } from '../services/firebase';
+import { AchievementService } from '../services/achievements';
+import './AchievementToast.css';
+
+const TOAST_DURATION = 4000;
+
+const AchievementToast = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [queue, setQueue] = useState([]);
+
+  // 🏅 Pick up unlocks from lessons, practice sessions and streaks
+  useEffect(() => {
+    if (!AuthService.getCurrentUser()) return undefined;
+
+    let cancelled = false;
+    AchievementService.getUnseen().then((result) => {
+      if (cancelled || !result.success || result.achievements.length === 0) return;
+
+      // Marked seen either way, so turning notifications on later doesn't replay old unlocks
+      AchievementService.markSeen(result.achievements.map((achievement) => achievement.id));
+      if (result.notificationsEnabled) {
+        setQueue((previous) => [
+          ...previous,
+          ...result.achievements.filter((achievement) => !previous.some((item) => item.id === achievement.id)),
+        ]);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [location.pathname]);
+
+  const current = queue[0];
+
+  useEffect(() => {
+    if (!current) return undefined;
+
+    const timer = setTimeout(() => setQueue((previous) => previous.slice(1)), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [current]);
+
+  if (!current) return null;
+
+  const openBadges = () => {
+    setQueue([]);
+    navigate('/achievements');
+  };
+
+  return (
+    <div className="achievement-toast" role="status" onClick={openBadges}>
+      <span className="achievement-toast-icon">{current.icon}</span>
+      <div className="achievement-toast-text">
+        <div className="achievement-toast-label">Achievement unlocked!</div>
+        <div className="achievement-toast-title">{current.title}</div>
+        <div className="achievement-toast-description">{current.description}</div>
+      </div>
+    </div>
+  );
+};
+
+export default AchievementToast;
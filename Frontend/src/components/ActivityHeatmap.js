@@ -0,0 +1,118 @@
+/**
+ * Activity Heatmap
+ * GitHub-style calendar of activity per day, one column per week (Monday first)
+ */
+
+import React, { useMemo } from 'react';
+import './ActivityHeatmap.css';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+// Day keys are parsed as UTC midnight, so they are formatted in UTC too
+const DATE_FORMAT = { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' };
+
+/**
+ * Convert a "YYYY-MM-DD" day key to a UTC date
+ * @param {string} dayKey - Day key
+ * @returns {Date} Midnight UTC of that day
+ */
+const parseDayKey = (dayKey) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Color level (0-4) for a number of activities
+ * @param {number} count - Activities on a day
+ * @returns {number} Level
+ */
+const getLevel = (count) => {
+  if (count === 0) return 0;
+  if (count === 1) return 1;
+  if (count <= 3) return 2;
+  if (count <= 5) return 3;
+  return 4;
+};
+
+const ActivityHeatmap = ({ from, to, days = [] }) => {
+  const weeks = useMemo(() => {
+    if (!from || !to) return [];
+
+    const counts = Object.fromEntries(days.map((item) => [item.day, item.count]));
+    const start = parseDayKey(from);
+    const end = parseDayKey(to);
+    // Start the first column on the Monday before `from`
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+
+    const columns = [];
+    for (let time = start.getTime(); time <= end.getTime(); time += MS_PER_DAY) {
+      const date = new Date(time);
+      const dayKey = date.toISOString().slice(0, 10);
+
+      if (columns.length === 0 || columns[columns.length - 1].length === 7) {
+        columns.push([]);
+      }
+      columns[columns.length - 1].push({
+        dayKey,
+        date,
+        count: counts[dayKey] || 0,
+        inRange: dayKey >= from,
+      });
+    }
+    return columns;
+  }, [from, to, days]);
+
+  const totalActivities = days.reduce((sum, item) => sum + item.count, 0);
+
+  return (
+    <div className="heatmap">
+      <div className="heatmap-scroll">
+        <div className="heatmap-months">
+          {weeks.map((week) => {
+            const firstOfMonth = week.find((cell) => cell.date.getUTCDate() === 1);
+            return (
+              <span key={week[0].dayKey} className="heatmap-month">
+                {firstOfMonth && firstOfMonth.date.toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' })}
+              </span>
+            );
+          })}
+        </div>
+
+        <div className="heatmap-body">
+          <div className="heatmap-weekdays">
+            {WEEKDAY_LABELS.map((label, index) => (
+              <span key={index} className="heatmap-weekday">{label}</span>
+            ))}
+          </div>
+
+          {weeks.map((week) => (
+            <div key={week[0].dayKey} className="heatmap-week">
+              {week.map((cell) => (
+                <span
+                  key={cell.dayKey}
+                  className={`heatmap-cell level-${cell.inRange ? getLevel(cell.count) : 'empty'}`}
+                  title={cell.inRange
+                    ? `${cell.count} ${cell.count === 1 ? 'activity' : 'activities'} on ${cell.date.toLocaleDateString('en-US', DATE_FORMAT)}`
+                    : undefined}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="heatmap-footer">
+        <span>{totalActivities} activities in the last year</span>
+        <span className="heatmap-legend">
+          Less
+          {[0, 1, 2, 3, 4].map((level) => (
+            <span key={level} className={`heatmap-cell level-${level}`} />
+          ))}
+          More
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
@@ -0,0 +1,33 @@
+/**
+ * Hold Progress Ring
+ * Circular progress shown while a sign is being held steady
+ */
+
+import React from 'react';
+import './HoldProgressRing.css';
+
+const RADIUS = 26;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+const HoldProgressRing = ({ progress, size = 64, label = 'Hold it…' }) => {
+  const clamped = Math.min(Math.max(progress, 0), 1);
+
+  return (
+    <div className="hold-ring-container">
+      <svg className="hold-ring" width={size} height={size} viewBox="0 0 64 64">
+        <circle className="hold-ring-track" cx="32" cy="32" r={RADIUS} />
+        <circle
+          className={`hold-ring-fill ${clamped >= 1 ? 'complete' : ''}`}
+          cx="32"
+          cy="32"
+          r={RADIUS}
+          strokeDasharray={CIRCUMFERENCE}
+          strokeDashoffset={CIRCUMFERENCE * (1 - clamped)}
+        />
+      </svg>
+      {label && <span className="hold-ring-label">{label}</span>}
+    </div>
+  );
+};
+
+export default HoldProgressRing;
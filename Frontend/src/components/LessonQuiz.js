@@ -0,0 +1,217 @@
+/**
+ * Lesson Quiz
+ * End-of-lesson quiz built by the backend from the lesson's signs:
+ * recognition (pick the word for a demonstrated sign), production (pick the
+ * demonstration for a word) and "sign it" questions checked by the camera.
+ * Answers are graded on the server, and the lesson submission counts the
+ * lesson's latest quiz by itself.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { IoHandLeft, IoCheckmarkCircle, IoCloseCircle, IoArrowForward } from 'react-icons/io5';
+import { QuizService, QUESTION_TYPES } from '../services/quiz';
+import { getSignById } from '../constants/lessons';
+import SignPracticePanel from './SignPracticePanel';
+import './LessonQuiz.css';
+
+/**
+ * Demonstration of a sign (placeholder image and description)
+ * @param {Object} props - { demo } as sent by the backend, without the sign's ID
+ */
+const SignDemo = ({ demo }) => (
+  <div className="quiz-demo">
+    <IoHandLeft size={48} color="#9CA3AF" />
+    <p>{demo?.description}</p>
+  </div>
+);
+
+/**
+ * @param {Object} props
+ * @param {Object} props.lesson - Lesson from the lesson data
+ * @param {Function} props.onFinish - Called when the last question is answered, or when the quiz couldn't start
+ */
+const LessonQuiz = ({ lesson, onFinish }) => {
+  const [quiz, setQuiz] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const [feedback, setFeedback] = useState(null); // Result of answering the current question
+  const [practiceResult, setPracticeResult] = useState(null);
+  const [correctCount, setCorrectCount] = useState(0);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const startQuiz = async () => {
+      const result = await QuizService.startQuiz(lesson.id);
+      if (result.success) {
+        setQuiz(result);
+      } else {
+        console.error('Error starting quiz:', result.error);
+        setError(result.error);
+      }
+    };
+
+    startQuiz();
+  }, [lesson.id]);
+
+  if (error) {
+    return (
+      <div className="lesson-quiz">
+        <p className="quiz-note">The quiz isn't available right now.</p>
+        <button className="quiz-next" onClick={() => onFinish()}>
+          Finish Lesson <IoArrowForward />
+        </button>
+      </div>
+    );
+  }
+
+  if (!quiz) {
+    return <div className="lesson-quiz">Loading quiz...</div>;
+  }
+
+  const question = quiz.questions[index];
+  const isLast = index === quiz.questions.length - 1;
+
+  const submitAnswer = async (answer) => {
+    setIsSaving(true);
+    const result = await QuizService.answer(quiz.quizId, question.id, answer);
+    setIsSaving(false);
+
+    if (result.success) {
+      setFeedback(result);
+      if (result.correct) setCorrectCount((count) => count + 1);
+    } else {
+      console.error('Error answering quiz question:', result.error);
+      alert(result.error);
+    }
+  };
+
+  const handleChoice = (token) => {
+    if (feedback || isSaving) return;
+    setSelected(token);
+    submitAnswer(token);
+  };
+
+  // 📷 "Sign it" answers are the camera attempts, in the shape lesson scoring uses
+  const handlePracticeComplete = (result) => {
+    setPracticeResult(result);
+    submitAnswer(
+      result.attempts.map(({ targetSign, predictedLabel, confidence, startedAt, endedAt }) => ({
+        targetSign,
+        predictedLabel,
+        confidence,
+        startedAt,
+        endedAt,
+      }))
+    );
+  };
+
+  const handleNext = () => {
+    if (isLast) {
+      onFinish();
+      return;
+    }
+
+    setIndex(index + 1);
+    setSelected(null);
+    setFeedback(null);
+    setPracticeResult(null);
+  };
+
+  const getOptionClass = (token) => {
+    if (!feedback) return '';
+    if (token === feedback.rightAnswer) return 'correct';
+    return token === selected ? 'wrong' : '';
+  };
+
+  const renderQuestion = () => {
+    switch (question.type) {
+      case QUESTION_TYPES.RECOGNITION:
+        return (
+          <>
+            <h2>Which sign is this?</h2>
+            <SignDemo demo={question.demo} />
+            <div className="quiz-options">
+              {question.options.map((option) => (
+                <button
+                  key={option.token}
+                  className={`quiz-option ${getOptionClass(option.token)}`}
+                  onClick={() => handleChoice(option.token)}
+                  disabled={Boolean(feedback) || isSaving}
+                >
+                  {option.word}
+                </button>
+              ))}
+            </div>
+          </>
+        );
+      case QUESTION_TYPES.PRODUCTION:
+        return (
+          <>
+            <h2>How do you sign "{question.word}"?</h2>
+            <div className="quiz-options demos">
+              {question.options.map((option) => (
+                <button
+                  key={option.token}
+                  className={`quiz-option ${getOptionClass(option.token)}`}
+                  onClick={() => handleChoice(option.token)}
+                  disabled={Boolean(feedback) || isSaving}
+                >
+                  <SignDemo demo={option.demo} />
+                </button>
+              ))}
+            </div>
+          </>
+        );
+      default:
+        return (
+          <>
+            <h2>Sign "{question.word}"</h2>
+            <SignPracticePanel
+              key={question.id}
+              sign={getSignById(question.signId)}
+              result={practiceResult}
+              onComplete={handlePracticeComplete}
+              allowRetry={!feedback && !isSaving} // An answered question can't be submitted again
+            />
+          </>
+        );
+    }
+  };
+
+  return (
+    <div className="lesson-quiz">
+      <div className="quiz-header">
+        <span className="quiz-title">📝 Quiz</span>
+        <span className="quiz-count">
+          Question {index + 1} / {quiz.questions.length}
+        </span>
+      </div>
+
+      {renderQuestion()}
+
+      {feedback && (
+        <div className={`quiz-feedback ${feedback.correct ? 'correct' : feedback.skipped ? '' : 'wrong'}`}>
+          {feedback.correct && <><IoCheckmarkCircle size={20} /> Correct!</>}
+          {!feedback.correct && feedback.skipped && 'Skipped - the camera can\'t check this sign yet.'}
+          {!feedback.correct && !feedback.skipped && (
+            <>
+              <IoCloseCircle size={20} />
+              {question.type === QUESTION_TYPES.SIGN_IT
+                ? `Not quite - best ${feedback.accuracy}%.`
+                : `The answer was "${feedback.rightWord}".`}
+            </>
+          )}
+        </div>
+      )}
+
+      {feedback && (
+        <button className="quiz-next" onClick={handleNext}>
+          {isLast ? `Finish (${correctCount} correct)` : 'Next Question'} <IoArrowForward />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LessonQuiz;
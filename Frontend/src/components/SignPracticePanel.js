@@ -0,0 +1,315 @@
+/**
+ * Sign Practice Panel
+ * Inline camera "try it" step for a lesson sign. Each attempt watches the
+ * camera for a few seconds and is scored by how confidently the recognizer
+ * saw the target sign. The learner passes once an attempt reaches
+ * MIN_ACCURACY_FOR_COMPLETION, or moves on with a "needs review" mark after
+ * PRACTICE_ATTEMPTS_PER_SIGN attempts.
+ *
+ * Attempts are reported in the shape POST /progress/lesson scores:
+ *   { targetSign, predictedLabel, confidence, startedAt, endedAt }
+ * plus the accuracy and pass flag shown to the learner.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { IoCamera, IoCheckmarkCircle, IoRefresh, IoAlertCircle } from 'react-icons/io5';
+import mlModelService from '../services/mlModel';
+import PredictionStabilizer from '../services/predictionStabilizer';
+import HoldProgressRing from './HoldProgressRing';
+import { PROGRESS_CONSTANTS } from '../constants/lessons';
+import { drawHandLandmarks } from '../utils/landmarks';
+import './SignPracticePanel.css';
+
+/**
+ * Attempt timing
+ */
+const PRACTICE_CONFIG = {
+  attemptDuration: 6000, // How long one attempt watches the camera (ms)
+  frameInterval: 150,    // Time between analysed frames (ms)
+};
+
+/**
+ * Confidence of the target sign in a prediction result
+ * @param {Object} result - Prediction result
+ * @param {string} target - Target sign label
+ * @returns {number} Confidence between 0 and 1
+ */
+const getTargetConfidence = (result, target) => {
+  if (!result?.success) return 0;
+  if (result.label === target) return result.confidence;
+
+  return result.allPredictions?.find((item) => item.label === target)?.confidence || 0;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.sign - Lesson sign ({ id, word, ... })
+ * @param {Object|null} props.result - Previous outcome for this sign, if any
+ * @param {Function} props.onComplete - Called with { signId, word, passed, needsReview, verified, bestAccuracy, attempts }
+ * @param {Function} props.onAttempt - Optional, called with each attempt record
+ * @param {boolean} props.allowRetry - Optional, false hides "Practice again" once finished (default true)
+ */
+const SignPracticePanel = ({ sign, result, onComplete, onAttempt, allowRetry = true }) => {
+  const [isSupported, setIsSupported] = useState(null);
+  const [isActive, setIsActive] = useState(false);
+  const [attempts, setAttempts] = useState([]);
+  const [holdProgress, setHoldProgress] = useState(0);
+  const [liveLabel, setLiveLabel] = useState(null);
+  const [feedback, setFeedback] = useState(null);
+  const videoRef = useRef(null);
+  const overlayCanvasRef = useRef(null);
+  const streamRef = useRef(null);
+  const timeoutRef = useRef(null);
+  const attemptRef = useRef(null); // { startedAt, startedAtMs, bestConfidence }
+  const attemptsRef = useRef([]);  // Finished attempts, readable from the capture loop
+  const stabilizerRef = useRef(null);
+
+  if (!stabilizerRef.current) {
+    stabilizerRef.current = new PredictionStabilizer();
+  }
+
+  const maxAttempts = PROGRESS_CONSTANTS.PRACTICE_ATTEMPTS_PER_SIGN;
+  const minAccuracy = PROGRESS_CONSTANTS.MIN_ACCURACY_FOR_COMPLETION;
+
+  // Only signs the model was trained on can be checked with the camera
+  useEffect(() => {
+    const checkSupport = async () => {
+      const loaded = await mlModelService.loadModel();
+      const { classLabels = [], mockMode } = mlModelService.getModelInfo();
+      setIsSupported((loaded || mockMode) && classLabels.includes(sign.word));
+    };
+
+    checkSupport();
+  }, [sign.word]);
+
+  useEffect(() => {
+    return () => {
+      stopAttempt();
+      stopCamera();
+    };
+  }, []);
+
+  const startCamera = async () => {
+    if (streamRef.current) return true;
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'user' },
+        audio: false
+      });
+
+      streamRef.current = stream;
+      if (videoRef.current) {
+        videoRef.current.srcObject = stream;
+      }
+      return true;
+    } catch (error) {
+      console.error('Camera access denied:', error);
+      setFeedback('Camera access is needed to check your sign.');
+      return false;
+    }
+  };
+
+  const stopCamera = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+  };
+
+  const startAttempt = async () => {
+    if (!(await startCamera())) return;
+
+    stabilizerRef.current.reset();
+    attemptRef.current = { startedAt: performance.now(), startedAtMs: Date.now(), bestConfidence: 0 };
+    setFeedback(null);
+    setHoldProgress(0);
+    setLiveLabel(null);
+    setIsActive(true);
+    captureFrame();
+  };
+
+  const stopAttempt = () => {
+    attemptRef.current = null;
+    setIsActive(false);
+    if (timeoutRef.current) {
+      clearTimeout(timeoutRef.current);
+      timeoutRef.current = null;
+    }
+  };
+
+  const captureFrame = async () => {
+    const attempt = attemptRef.current;
+    if (!attempt) return;
+
+    const prediction = await mlModelService.predictFromVideo(videoRef.current);
+    if (attemptRef.current !== attempt) return;
+
+    if (!prediction.dropped) {
+      attempt.bestConfidence = Math.max(attempt.bestConfidence, getTargetConfidence(prediction, sign.word));
+
+      const stable = stabilizerRef.current.update(prediction);
+      setLiveLabel(stable.label);
+      setHoldProgress(stable.label === sign.word ? stable.progress : 0);
+      drawHandLandmarks(overlayCanvasRef.current, videoRef.current, prediction.hands || []);
+
+      if (stable.recognized) {
+        finishAttempt(stable.label, stable.confidence);
+        return;
+      }
+    }
+
+    if (performance.now() - attempt.startedAt >= PRACTICE_CONFIG.attemptDuration) {
+      finishAttempt(null, 0);
+      return;
+    }
+
+    timeoutRef.current = setTimeout(captureFrame, PRACTICE_CONFIG.frameInterval);
+  };
+
+  /**
+   * @param {string|null} recognizedLabel - Sign the stabilizer recognized, null on timeout
+   * @param {number} confidence - Confidence of the recognized sign
+   */
+  const finishAttempt = (recognizedLabel, confidence) => {
+    const { startedAtMs, bestConfidence } = attemptRef.current;
+    const isTarget = recognizedLabel === sign.word;
+    // Near misses still show how close the learner got to the target sign
+    const accuracy = Math.round((isTarget ? confidence : bestConfidence) * 100);
+    const passed = isTarget && accuracy >= minAccuracy;
+
+    stopAttempt();
+    drawHandLandmarks(overlayCanvasRef.current, videoRef.current, []);
+
+    const record = {
+      targetSign: sign.word,
+      predictedLabel: recognizedLabel,
+      confidence: Number(confidence.toFixed(3)),
+      startedAt: startedAtMs,
+      endedAt: Date.now(),
+      accuracy,
+      passed,
+    };
+    const allAttempts = [...attemptsRef.current, record];
+    attemptsRef.current = allAttempts;
+    setAttempts(allAttempts);
+    onAttempt?.(record);
+
+    if (passed) {
+      setFeedback(`🎉 Great signing! ${accuracy}% accuracy`);
+    } else if (recognizedLabel && !isTarget) {
+      setFeedback(`That looked like "${recognizedLabel}". Check the steps and try again.`);
+    } else {
+      setFeedback(`${accuracy}% - you need ${minAccuracy}% to pass. Hold the sign steady.`);
+    }
+
+    if (passed || allAttempts.length >= maxAttempts) {
+      stopCamera();
+      onComplete({
+        signId: sign.id,
+        word: sign.word,
+        passed,
+        needsReview: !passed,
+        verified: true,
+        bestAccuracy: Math.max(...allAttempts.map((item) => item.accuracy)),
+        attempts: allAttempts,
+      });
+    }
+  };
+
+  const practiceAgain = () => {
+    attemptsRef.current = [];
+    setAttempts([]);
+    setFeedback(null);
+    startAttempt();
+  };
+
+  const markPracticed = () => {
+    onComplete({
+      signId: sign.id,
+      word: sign.word,
+      passed: true,
+      needsReview: false,
+      verified: false,
+      bestAccuracy: null,
+      attempts: [],
+    });
+  };
+
+  if (isSupported === null) {
+    return <div className="practice-panel">Loading sign checker...</div>;
+  }
+
+  if (!isSupported) {
+    return (
+      <div className="practice-panel">
+        <h3>Try it yourself</h3>
+        <p className="practice-note">
+          The camera can't check this sign yet. Practice it a few times, then mark it as done.
+        </p>
+        {!result && (
+          <button className="practice-button" onClick={markPracticed}>
+            <IoCheckmarkCircle size={20} /> I practiced it
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  // A retry in progress hides the previous outcome until it finishes too
+  const isFinished = Boolean(result) && !isActive && (
+    attempts.length === 0
+    || attempts.some((item) => item.passed)
+    || attempts.length >= maxAttempts
+  );
+
+  return (
+    <div className="practice-panel">
+      <div className="practice-header">
+        <h3>Try it yourself</h3>
+        <span className="practice-attempts">
+          Attempt {Math.min(attempts.length + (isActive ? 1 : 0), maxAttempts)} / {maxAttempts}
+        </span>
+      </div>
+
+      <div className={`practice-camera ${isActive ? 'active' : ''}`}>
+        <video ref={videoRef} autoPlay playsInline muted className="practice-video" />
+        <canvas ref={overlayCanvasRef} className="practice-canvas" />
+
+        {isActive && (
+          <div className="practice-overlay">
+            <span className="practice-live-label">{liveLabel || 'Show your hand'}</span>
+            {holdProgress > 0 && <HoldProgressRing progress={holdProgress} size={56} />}
+          </div>
+        )}
+      </div>
+
+      {feedback && <p className="practice-feedback">{feedback}</p>}
+
+      {isFinished && (
+        <div className={`practice-result ${result.needsReview ? 'review' : 'passed'}`}>
+          {result.needsReview ? <IoAlertCircle size={20} /> : <IoCheckmarkCircle size={20} />}
+          {result.needsReview
+            ? `Marked for review - best ${result.bestAccuracy}%`
+            : result.verified ? `Passed with ${result.bestAccuracy}%` : 'Practiced'}
+        </div>
+      )}
+
+      {!isActive && (
+        isFinished ? (
+          allowRetry && (
+            <button className="practice-button secondary" onClick={practiceAgain}>
+              <IoRefresh size={20} /> Practice again
+            </button>
+          )
+        ) : (
+          <button className="practice-button" onClick={startAttempt}>
+            <IoCamera size={20} /> {attempts.length > 0 ? 'Try again' : 'Try it'}
+          </button>
+        )
+      )}
+    </div>
+  );
+};
+
+export default SignPracticePanel;
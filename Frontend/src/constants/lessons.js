@@ -262,6 +262,19 @@ export const getLessonById = (lessonId) => {
   return LESSONS.find(lesson => lesson.id === lessonId) || null;
 };
 
+/**
+ * Get a sign from any lesson by ID
+ * @param {string} signId - The sign ID
+ * @returns {Object|null} The sign object or null if not found
+ */
+export const getSignById = (signId) => {
+  for (const lesson of LESSONS) {
+    const sign = lesson.signs.find(item => item.id === signId);
+    if (sign) return sign;
+  }
+  return null;
+};
+
 /**
  * Progress tracking constants
  */
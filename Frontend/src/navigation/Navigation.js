@@ -5,7 +5,7 @@
 
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { IoHome, IoBook, IoPerson } from 'react-icons/io5';
+import { IoHome, IoBook, IoTrophy, IoPerson } from 'react-icons/io5';
 import './Navigation.css';
 
 const Navigation = () => {
@@ -36,6 +36,14 @@ const Navigation = () => {
             <IoBook size={20} />
             <span>Learn</span>
           </Link>
+
+          <Link
+            to="/leaderboard"
+            className={`nav-link ${isActive('/leaderboard') ? 'active' : ''}`}
+          >
+            <IoTrophy size={20} />
+            <span>Leagues</span>
+          </Link>
           
           <Link 
             to="/profile" 
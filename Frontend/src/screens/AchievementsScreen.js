@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+import { IoRibbon } from 'react-icons/io5';
+import { AchievementService } from '../services/achievements';
+import { formatDate } from '../utils/helpers';
+import './AchievementsScreen.css';
+
+const AchievementsScreen = () => {
+  const [achievements, setAchievements] = useState([]);
+  const [unlockedCount, setUnlockedCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadAchievements = async () => {
+      const result = await AchievementService.getAchievements();
+      if (result.success) {
+        setAchievements(result.achievements);
+        setUnlockedCount(result.unlockedCount);
+      } else {
+        console.error('Error loading achievements:', result.error);
+      }
+      setLoading(false);
+    };
+
+    loadAchievements();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="achievements-screen">
+        <h1>Badges</h1>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="achievements-screen">
+      <h1>Badges</h1>
+      <p className="achievements-summary">
+        <IoRibbon size={20} color="#F59E0B" />
+        {unlockedCount} of {achievements.length} unlocked
+      </p>
+
+      <div className="badge-grid">
+        {achievements.map((achievement) => (
+          <div key={achievement.id} className={`badge-card ${achievement.unlocked ? 'unlocked' : 'locked'}`}>
+            <div className="badge-icon">{achievement.icon}</div>
+            <div className="badge-title">{achievement.title}</div>
+            <div className="badge-description">{achievement.description}</div>
+
+            {achievement.unlocked ? (
+              <div className="badge-date">Unlocked {formatDate(achievement.unlockedAt)}</div>
+            ) : (
+              achievement.progress !== null && (
+                <div className="badge-progress">
+                  <div className="badge-progress-bar">
+                    <div
+                      className="badge-progress-fill"
+                      style={{ width: `${(achievement.progress / achievement.threshold) * 100}%` }}
+                    />
+                  </div>
+                  <span>{achievement.progress} / {achievement.threshold}</span>
+                </div>
+              )
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AchievementsScreen;
@@ -0,0 +1,266 @@
+/**
+ * Calibration Screen
+ * Records a few samples of each sign in a lesson so recognition adapts to
+ * the user's own hands. Samples stay on this device.
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import { IoArrowForward, IoCheckmarkCircle, IoPlay, IoRefresh, IoStop } from 'react-icons/io5';
+import mlModelService from '../services/mlModel';
+import { CALIBRATION_CONFIG } from '../services/personalCalibration';
+import HoldProgressRing from '../components/HoldProgressRing';
+import { getLessonById } from '../constants/lessons';
+import { drawHandLandmarks } from '../utils/landmarks';
+import './CalibrationScreen.css';
+
+const SAMPLE_INTERVAL = 300; // Time between recorded frames (ms)
+
+const CalibrationScreen = () => {
+  const { lessonId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const lesson = location.state?.lesson || getLessonById(lessonId);
+
+  const [modelInfo, setModelInfo] = useState(null);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [sampleCounts, setSampleCounts] = useState({});
+  const [recordedCount, setRecordedCount] = useState(0);
+  const [isRecording, setIsRecording] = useState(false);
+  const [isModelLoaded, setIsModelLoaded] = useState(false);
+  const [hasPermission, setHasPermission] = useState(null);
+  const [error, setError] = useState(null);
+  const videoRef = useRef(null);
+  const overlayCanvasRef = useRef(null);
+  const streamRef = useRef(null);
+  const recordTimeoutRef = useRef(null);
+  const isRecordingRef = useRef(false);
+
+  // Only signs the model knows can be calibrated
+  const signs = useMemo(() => {
+    if (!modelInfo) return [];
+
+    const { classLabels = [], signTypes = {} } = modelInfo;
+    return (lesson?.signs || [])
+      .filter((sign) => classLabels.includes(sign.word))
+      .map((sign) => ({ ...sign, signType: signTypes[sign.word] || 'static' }));
+  }, [lesson, modelInfo]);
+
+  const currentSign = signs[currentIndex];
+  const target = currentSign?.signType === 'dynamic'
+    ? CALIBRATION_CONFIG.gesturesPerSign
+    : CALIBRATION_CONFIG.samplesPerSign;
+
+  useEffect(() => {
+    initialize();
+    startCamera();
+
+    return () => {
+      stopRecording();
+      stopCamera();
+    };
+  }, []);
+
+  const initialize = async () => {
+    const loaded = await mlModelService.loadModel();
+    setIsModelLoaded(loaded);
+    setModelInfo(mlModelService.getModelInfo());
+
+    const summary = await mlModelService.getCalibrationSummary();
+    setSampleCounts(summary?.samples || {});
+  };
+
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'user' },
+        audio: false
+      });
+
+      if (videoRef.current) {
+        videoRef.current.srcObject = stream;
+        streamRef.current = stream;
+      }
+
+      setHasPermission(true);
+    } catch (error) {
+      console.error('Camera access denied:', error);
+      setHasPermission(false);
+    }
+  };
+
+  const stopCamera = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+  };
+
+  const recordSample = async (label, recorded) => {
+    if (!isRecordingRef.current) return;
+
+    const result = await mlModelService.recordCalibrationSample(videoRef.current, label);
+    if (!isRecordingRef.current) return;
+
+    if (!result.success && !result.dropped) {
+      setError(result.error);
+      stopRecording();
+      return;
+    }
+
+    drawHandLandmarks(overlayCanvasRef.current, videoRef.current, result.hands || []);
+
+    let total = recorded;
+    if (result.captured) {
+      total += 1;
+      setRecordedCount(total);
+      setSampleCounts(result.summary.samples);
+    }
+
+    if (total >= target) {
+      stopRecording();
+      return;
+    }
+
+    recordTimeoutRef.current = setTimeout(() => recordSample(label, total), SAMPLE_INTERVAL);
+  };
+
+  const startRecording = () => {
+    setError(null);
+    setRecordedCount(0);
+    setIsRecording(true);
+    isRecordingRef.current = true;
+    recordSample(currentSign.word, 0);
+  };
+
+  const stopRecording = () => {
+    isRecordingRef.current = false;
+    setIsRecording(false);
+    if (recordTimeoutRef.current) {
+      clearTimeout(recordTimeoutRef.current);
+      recordTimeoutRef.current = null;
+    }
+    drawHandLandmarks(overlayCanvasRef.current, videoRef.current, []);
+  };
+
+  const goToSign = (index) => {
+    stopRecording();
+    setRecordedCount(0);
+    setCurrentIndex(index);
+  };
+
+  const resetLesson = async () => {
+    if (!window.confirm('Forget the samples recorded for this lesson?')) return;
+
+    stopRecording();
+    const summary = await mlModelService.resetCalibration(signs.map((sign) => sign.word));
+    setSampleCounts(summary?.samples || {});
+    setRecordedCount(0);
+  };
+
+  if (!lesson) {
+    return <div>Lesson not found</div>;
+  }
+
+  if (isModelLoaded && signs.length === 0) {
+    return (
+      <div className="calibration-screen">
+        <p className="calibration-message">
+          None of the signs in this lesson can be calibrated yet.
+        </p>
+      </div>
+    );
+  }
+
+  const isLastSign = currentIndex === signs.length - 1;
+
+  return (
+    <div className="calibration-screen">
+      <div className="calibration-header">
+        <h1 className="calibration-title">Calibrate: {lesson.title}</h1>
+        <p className="calibration-description">
+          Show each sign a few times so SignAge learns how you sign it.
+        </p>
+      </div>
+
+      <div className="calibration-steps">
+        {signs.map((sign, index) => (
+          <button
+            key={sign.id}
+            className={`calibration-step ${index === currentIndex ? 'active' : ''}`}
+            onClick={() => goToSign(index)}
+          >
+            {sampleCounts[sign.word] > 0 && <IoCheckmarkCircle size={16} />}
+            {sign.word}
+          </button>
+        ))}
+      </div>
+
+      <div className="calibration-camera">
+        <video
+          ref={videoRef}
+          autoPlay
+          playsInline
+          muted
+          className="camera-video"
+        />
+        <canvas ref={overlayCanvasRef} className="landmark-canvas" />
+
+        {isRecording && (
+          <div className="calibration-progress">
+            <HoldProgressRing
+              progress={recordedCount / target}
+              label={`${recordedCount}/${target}`}
+            />
+          </div>
+        )}
+      </div>
+
+      {hasPermission === false && (
+        <p className="calibration-error">Camera access is needed to calibrate.</p>
+      )}
+      {error && <p className="calibration-error">{error}</p>}
+
+      {currentSign && (
+        <div className="calibration-sign">
+          <h2>{currentSign.word}</h2>
+          <p>{currentSign.description}</p>
+          <p className="calibration-hint">
+            {currentSign.signType === 'dynamic'
+              ? `Perform the whole sign ${target} times, holding still between each one.`
+              : `Hold the hand shape while ${target} samples are recorded.`}
+          </p>
+          <p className="calibration-count">
+            {sampleCounts[currentSign.word] || 0} samples saved
+          </p>
+        </div>
+      )}
+
+      <div className="calibration-actions">
+        <button className="calibration-secondary" onClick={resetLesson}>
+          <IoRefresh size={20} />
+          Reset
+        </button>
+
+        <button
+          className={`calibration-record ${isRecording ? 'active' : ''}`}
+          onClick={isRecording ? stopRecording : startRecording}
+          disabled={!isModelLoaded || !hasPermission}
+        >
+          {isRecording ? <IoStop size={24} /> : <IoPlay size={24} />}
+          {isRecording ? 'Stop' : 'Record'}
+        </button>
+
+        <button
+          className="calibration-secondary"
+          onClick={() => (isLastSign ? navigate(-1) : goToSign(currentIndex + 1))}
+        >
+          {isLastSign ? 'Done' : 'Next'}
+          <IoArrowForward size={20} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationScreen;
@@ -5,26 +5,61 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import { IoCameraReverse, IoInformationCircle, IoPlay, IoStop } from 'react-icons/io5';
-import mlModelService from '../services/mlModel';
+import mlModelService, { MODEL_CONFIG } from '../services/mlModel';
+import PredictionStabilizer from '../services/predictionStabilizer';
+import { PracticeService } from '../services/practice';
+import HoldProgressRing from '../components/HoldProgressRing';
+import { drawHandLandmarks } from '../utils/landmarks';
 import './CameraScreen.css';
 
+/**
+ * Frame capture throttling
+ * The next frame is scheduled once the previous inference finishes, and the
+ * frame interval follows the smoothed inference latency, so slow devices
+ * capture fewer frames instead of piling up work
+ */
+const CAPTURE_CONFIG = {
+  minFrameInterval: 100,  // Never run more than ~10 inferences per second
+  maxFrameInterval: 1000, // Keep at least one inference per second on slow devices
+  idleRatio: 0.5,         // Leave the device idle for half an inference between frames
+  latencySmoothing: 0.2,  // Weight of the newest inference time in the latency average
+};
+
 const CameraScreen = () => {
   const [hasPermission, setHasPermission] = useState(null);
   const [isModelLoaded, setIsModelLoaded] = useState(false);
   const [isPredicting, setIsPredicting] = useState(false);
   const [prediction, setPrediction] = useState(null);
   const [confidence, setConfidence] = useState(0);
+  const [topPredictions, setTopPredictions] = useState([]);
+  const [holdProgress, setHoldProgress] = useState(0);
+  const [recognizedSign, setRecognizedSign] = useState(null);
+  const [isRecordingGesture, setIsRecordingGesture] = useState(false);
   const videoRef = useRef(null);
+  const overlayCanvasRef = useRef(null);
   const streamRef = useRef(null);
-  const intervalRef = useRef(null);
+  const captureTimeoutRef = useRef(null);
+  const isCapturingRef = useRef(false);
+  const latencyRef = useRef(null);
+  const stabilizerRef = useRef(null);
+  const sessionRef = useRef(null); // Promise of the practice session ID
+
+  if (!stabilizerRef.current) {
+    stabilizerRef.current = new PredictionStabilizer();
+  }
 
   useEffect(() => {
     initializeModel();
+    const unsubscribe = stabilizerRef.current.onRecognized(({ label, confidence }) => {
+      setRecognizedSign(label);
+      recordPracticeAttempt(label, confidence);
+    });
+
     return () => {
+      unsubscribe();
+      stopCaptureLoop();
+      endPracticeSession();
       stopCamera();
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
     };
   }, []);
 
@@ -37,6 +72,32 @@ const CameraScreen = () => {
     }
   };
 
+  // 📈 Recognized signs feed the practice session's accuracy stats
+  const startPracticeSession = () => {
+    sessionRef.current = PracticeService.startSession({ mode: 'free' })
+      .then((result) => (result.success ? result.sessionId : null));
+  };
+
+  const recordPracticeAttempt = async (label, confidence) => {
+    const sessionId = await sessionRef.current;
+    if (sessionId) {
+      PracticeService.recordAttempt(sessionId, {
+        predictedLabel: label,
+        confidence: Number(confidence.toFixed(3)),
+      });
+    }
+  };
+
+  const endPracticeSession = async () => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+
+    const sessionId = await session;
+    if (sessionId) {
+      PracticeService.endSession(sessionId);
+    }
+  };
+
   const startCamera = async () => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({
@@ -66,27 +127,85 @@ const CameraScreen = () => {
     }
   };
 
+  const captureFrame = async () => {
+    if (!isCapturingRef.current) return;
+
+    const result = await mlModelService.predictFromVideo(videoRef.current);
+
+    // Prediction may have been stopped while inference was running
+    if (!isCapturingRef.current) return;
+
+    // The engine was still busy with another frame - try again shortly
+    if (result.dropped) {
+      captureTimeoutRef.current = setTimeout(captureFrame, CAPTURE_CONFIG.minFrameInterval);
+      return;
+    }
+
+    // Show the stabilized label rather than whatever the latest frame says
+    const stable = stabilizerRef.current.update(result);
+    setPrediction(stable.label);
+    setConfidence(stable.confidence);
+    setHoldProgress(stable.progress);
+    if (!stable.isStable) {
+      setRecognizedSign(null);
+    }
+
+    if (result.success) {
+      setIsRecordingGesture(result.motion?.state === 'recording');
+      setTopPredictions(result.allPredictions || []);
+      drawHandLandmarks(overlayCanvasRef.current, videoRef.current, result.hands || []);
+    }
+
+    const inferenceTime = result.inferenceTime || 0;
+    if (inferenceTime) {
+      latencyRef.current = latencyRef.current === null
+        ? inferenceTime
+        : latencyRef.current + CAPTURE_CONFIG.latencySmoothing * (inferenceTime - latencyRef.current);
+    }
+
+    const frameInterval = Math.min(
+      CAPTURE_CONFIG.maxFrameInterval,
+      Math.max(
+        CAPTURE_CONFIG.minFrameInterval,
+        (latencyRef.current || 0) * (1 + CAPTURE_CONFIG.idleRatio)
+      )
+    );
+    captureTimeoutRef.current = setTimeout(captureFrame, Math.max(0, frameInterval - inferenceTime));
+  };
+
+  const startCaptureLoop = () => {
+    isCapturingRef.current = true;
+    captureFrame();
+  };
+
+  const stopCaptureLoop = () => {
+    isCapturingRef.current = false;
+    if (captureTimeoutRef.current) {
+      clearTimeout(captureTimeoutRef.current);
+      captureTimeoutRef.current = null;
+    }
+  };
+
   const togglePrediction = () => {
     if (isPredicting) {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-      }
+      stopCaptureLoop();
+      endPracticeSession();
+      drawHandLandmarks(overlayCanvasRef.current, videoRef.current, []);
+      stabilizerRef.current.reset();
       setPrediction(null);
       setConfidence(0);
+      setTopPredictions([]);
+      setHoldProgress(0);
+      setRecognizedSign(null);
+      setIsRecordingGesture(false);
       setIsPredicting(false);
     } else {
       if (!hasPermission) {
         startCamera();
       }
       setIsPredicting(true);
-      intervalRef.current = setInterval(() => {
-        const result = mlModelService.getMockPrediction();
-        if (result.success) {
-          setPrediction(result.label);
-          setConfidence(result.confidence);
-        }
-      }, 1000);
+      startPracticeSession();
+      startCaptureLoop();
     }
   };
 
@@ -106,14 +225,22 @@ const CameraScreen = () => {
           muted
           className="camera-video"
         />
+        <canvas ref={overlayCanvasRef} className="landmark-canvas" />
         
         <div className="camera-overlay">
           <div className="guidance-frame"></div>
           
           {prediction && (
             <div className="prediction-container">
-              <div className="prediction-label">Detected Sign:</div>
+              <div className="prediction-label">
+                {recognizedSign ? '✅ Sign Recognized!' : 'Detected Sign:'}
+              </div>
               <div className="prediction-text">{prediction}</div>
+              {!recognizedSign && holdProgress > 0 && (
+                <div className="hold-progress">
+                  <HoldProgressRing progress={holdProgress} />
+                </div>
+              )}
               <div className="confidence-bar">
                 <div 
                   className="confidence-fill"
@@ -123,6 +250,18 @@ const CameraScreen = () => {
               <div className="confidence-text">
                 {(confidence * 100).toFixed(0)}% confident
               </div>
+              {topPredictions.length > 1 && (
+                <div className="alternatives-list">
+                  {topPredictions.map((item) => (
+                    <div key={item.label} className="alternative-item">
+                      <span className="alternative-label">{item.label}</span>
+                      <span className="alternative-confidence">
+                        {(item.confidence * 100).toFixed(0)}%
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -135,7 +274,9 @@ const CameraScreen = () => {
             style={{ backgroundColor: isModelLoaded ? '#10B981' : '#EF4444' }}
           />
           <span className="status-text">
-            {isModelLoaded ? 'Model Ready' : 'Model Not Loaded'}
+            {MODEL_CONFIG.mockMode
+              ? 'Mock Predictions (Developer Mode)'
+              : isModelLoaded ? 'Model Ready' : 'Model Not Loaded'}
           </span>
         </div>
 
@@ -153,7 +294,10 @@ const CameraScreen = () => {
 
           <button 
             className="control-button"
-            onClick={() => alert('How to Practice:\n\n1. Position your hand in the frame\n2. Press the play button to start\n3. Make signs clearly\n4. Get instant feedback\n\n⚠️ Currently showing mock predictions for development')}
+            onClick={() => alert(
+              'How to Practice:\n\n1. Position your hand in the frame\n2. Press the play button to start\n3. Make signs clearly\n4. Get instant feedback' +
+              (MODEL_CONFIG.mockMode ? '\n\n⚠️ Currently showing mock predictions for development' : '')
+            )}
           >
             <IoInformationCircle size={28} />
           </button>
@@ -162,7 +306,9 @@ const CameraScreen = () => {
         <div className="instructions-container">
           <p className="instructions-text">
             {isPredicting
-              ? '👋 Make a sign and hold it steady'
+              ? isRecordingGesture
+                ? '🌊 Keep moving… finish the sign and hold still'
+                : '👋 Make a sign and hold it steady'
               : '▶️ Press play to start practicing'}
           </p>
         </div>
@@ -0,0 +1,297 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { IoTrash, IoFlame, IoStar } from 'react-icons/io5';
+import { AuthService } from '../services/firebase';
+import { ClassService } from '../services/classes';
+import { getActiveProfileId } from '../services/activeProfile';
+import { LESSONS } from '../constants/lessons';
+import './ClassesScreen.css';
+
+const STATUS_LABELS = {
+  completed: 'Done',
+  late: 'Done late',
+  overdue: 'Overdue',
+  pending: 'To do',
+};
+
+/**
+ * Local day key ("YYYY-MM-DD") a number of days from today
+ * @param {number} days - Days to add
+ * @returns {string} Day key
+ */
+const getDayKeyFromToday = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toLocaleDateString('en-CA');
+};
+
+/**
+ * Format a day key for display
+ * @param {string} dayKey - "YYYY-MM-DD"
+ * @returns {string} e.g. "Mon, Mar 3"
+ */
+const formatDay = (dayKey) =>
+  new Date(`${dayKey}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const ClassDetailScreen = () => {
+  const { classId } = useParams();
+  const navigate = useNavigate();
+  const [details, setDetails] = useState(null);
+  const [dashboard, setDashboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [lessonId, setLessonId] = useState(LESSONS[0]?.id || '');
+  const [dueDate, setDueDate] = useState(getDayKeyFromToday(7));
+
+  const loadClass = useCallback(async () => {
+    const result = await ClassService.getClass(classId);
+    if (result.success) {
+      setDetails(result);
+      if (result.role === 'teacher') {
+        const dashboardResult = await ClassService.getDashboard(classId);
+        if (dashboardResult.success) {
+          setDashboard(dashboardResult);
+        } else {
+          console.error('Error loading class dashboard:', dashboardResult.error);
+        }
+      }
+    } else {
+      console.error('Error loading class:', result.error);
+    }
+    setLoading(false);
+  }, [classId]);
+
+  useEffect(() => {
+    loadClass();
+  }, [loadClass]);
+
+  // 📝 Assign a lesson with a due day
+  const handleAssign = async (event) => {
+    event.preventDefault();
+    const result = await ClassService.addAssignment(classId, { lessonId, dueDate });
+    if (result.success) {
+      await loadClass();
+    } else {
+      alert(result.error);
+    }
+  };
+
+  const handleDeleteAssignment = async (assignment) => {
+    if (!window.confirm(`Remove the assignment "${assignment.title}"?`)) return;
+
+    const result = await ClassService.deleteAssignment(classId, assignment.id);
+    if (result.success) {
+      await loadClass();
+    } else {
+      alert(result.error);
+    }
+  };
+
+  const handleRemoveStudent = async (student) => {
+    if (!window.confirm(`Remove ${student.displayName} from this class?`)) return;
+
+    const result = await ClassService.removeStudent(classId, student.id);
+    if (result.success) {
+      await loadClass();
+    } else {
+      alert(result.error);
+    }
+  };
+
+  // 🙈 Hide a student from leaderboards or show them again
+  const handleToggleLeaderboard = async (student) => {
+    const result = await ClassService.setStudentLeaderboardOptOut(classId, student.id, !student.leaderboardOptOut);
+    if (result.success) {
+      await loadClass();
+    } else {
+      alert(result.error);
+    }
+  };
+
+  const handleDeleteClass = async () => {
+    if (!window.confirm('Delete this class? Students keep their progress.')) return;
+
+    const result = await ClassService.deleteClass(classId);
+    if (result.success) {
+      navigate('/classes');
+    } else {
+      alert(result.error);
+    }
+  };
+
+  const handleLeaveClass = async () => {
+    if (!window.confirm('Leave this class?')) return;
+
+    const result = await ClassService.removeStudent(classId, getActiveProfileId(AuthService.getCurrentUser()));
+    if (result.success) {
+      navigate('/classes');
+    } else {
+      alert(result.error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="classes-screen">
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!details) {
+    return (
+      <div className="classes-screen">
+        <h1>Class not found</h1>
+        <button className="class-link-button" onClick={() => navigate('/classes')}>Back to classes</button>
+      </div>
+    );
+  }
+
+  // 🎒 Student view: own assignments
+  if (details.role === 'student') {
+    return (
+      <div className="classes-screen">
+        <h1>{details.class.name}</h1>
+        <p className="class-subtitle">Teacher: {details.class.teacherName}</p>
+
+        <div className="class-section">
+          <h2>Assignments</h2>
+          {details.assignments.length === 0 && <p className="class-empty">No assignments yet.</p>}
+          {details.assignments.map((assignment) => (
+            <div key={assignment.id} className="class-item" onClick={() => navigate(`/learn/${assignment.lessonId}`)}>
+              <div className="class-item-info">
+                <div className="class-item-name">{assignment.title}</div>
+                <div className="class-item-meta">Due {formatDay(assignment.dueDate)}</div>
+              </div>
+              {assignment.stars > 0 && (
+                <span className="class-stars">
+                  <IoStar size={14} color="#FFA500" /> {assignment.stars}
+                </span>
+              )}
+              <span className={`status-pill ${assignment.status}`}>{STATUS_LABELS[assignment.status]}</span>
+            </div>
+          ))}
+        </div>
+
+        <button className="class-link-button" onClick={handleLeaveClass}>Leave class</button>
+      </div>
+    );
+  }
+
+  // 🧑‍🏫 Teacher view: assignments and the class dashboard
+  const students = dashboard?.students || [];
+  const assignments = dashboard?.assignments || details.assignments;
+
+  return (
+    <div className="classes-screen">
+      <h1>{details.class.name}</h1>
+      <p className="class-subtitle">
+        Join code <span className="join-code">{details.class.joinCode}</span> · {students.length} student{students.length === 1 ? '' : 's'}
+      </p>
+
+      <div className="class-section">
+        <h2>Assignments</h2>
+        <form className="class-form" onSubmit={handleAssign}>
+          <select className="class-input" value={lessonId} onChange={(event) => setLessonId(event.target.value)}>
+            {LESSONS.map((lesson) => (
+              <option key={lesson.id} value={lesson.id}>{lesson.title}</option>
+            ))}
+          </select>
+          <input
+            className="class-input"
+            type="date"
+            value={dueDate}
+            min={getDayKeyFromToday(0)}
+            onChange={(event) => setDueDate(event.target.value)}
+          />
+          <button className="class-button" type="submit" disabled={!lessonId || !dueDate}>Assign</button>
+        </form>
+
+        {assignments.length === 0 && <p className="class-empty">Assign a lesson to get started.</p>}
+        {assignments.map((assignment) => (
+          <div key={assignment.id} className="class-item">
+            <div className="class-item-info">
+              <div className="class-item-name">{assignment.title}</div>
+              <div className="class-item-meta">
+                Due {formatDay(assignment.dueDate)}
+                {assignment.completedCount !== undefined &&
+                  ` · ${assignment.completedCount}/${students.length} done · ${assignment.averageStars} ★ average`}
+              </div>
+            </div>
+            <button className="class-icon-button" onClick={() => handleDeleteAssignment(assignment)} title="Remove assignment">
+              <IoTrash size={18} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="class-section">
+        <h2>Students</h2>
+        {students.length === 0 ? (
+          <p className="class-empty">Share the join code {details.class.joinCode} with your students.</p>
+        ) : (
+          <div className="class-table-wrapper">
+            <table className="class-table">
+              <thead>
+                <tr>
+                  <th>Student</th>
+                  <th>Assignments</th>
+                  <th>Lessons</th>
+                  <th>Stars</th>
+                  <th>Accuracy</th>
+                  <th>Streak</th>
+                  <th>Leaderboard</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {students.map((student) => (
+                  <tr key={student.id}>
+                    <td>{student.displayName}</td>
+                    <td>
+                      <div className="status-pills">
+                        {assignments.map((assignment) => {
+                          const status = student.assignments[assignment.id];
+                          return (
+                            <span
+                              key={assignment.id}
+                              className={`status-pill ${status.status}`}
+                              title={`${assignment.title}: ${STATUS_LABELS[status.status]}${status.stars ? ` · ${status.stars} ★` : ''}`}
+                            >
+                              {status.stars > 0 ? `${status.stars}★` : STATUS_LABELS[status.status]}
+                            </span>
+                          );
+                        })}
+                      </div>
+                    </td>
+                    <td>{student.lessonsCompleted}</td>
+                    <td>{student.totalStars}</td>
+                    <td>{student.averageAccuracy}%</td>
+                    <td>
+                      <span className="class-streak">
+                        <IoFlame size={14} color="#FFA500" /> {student.streak}
+                      </span>
+                    </td>
+                    <td>
+                      <button className="class-link-button" onClick={() => handleToggleLeaderboard(student)}>
+                        {student.leaderboardOptOut ? 'Hidden' : 'Shown'}
+                      </button>
+                    </td>
+                    <td>
+                      <button className="class-icon-button" onClick={() => handleRemoveStudent(student)} title="Remove from class">
+                        <IoTrash size={18} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <button className="class-link-button danger" onClick={handleDeleteClass}>Delete class</button>
+    </div>
+  );
+};
+
+export default ClassDetailScreen;
@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { IoSchool, IoPeople, IoChevronForward } from 'react-icons/io5';
+import { AuthService } from '../services/firebase';
+import { UserService } from '../services/user';
+import { ClassService } from '../services/classes';
+import './ClassesScreen.css';
+
+const ClassesScreen = () => {
+  const navigate = useNavigate();
+  const [isTeacher, setIsTeacher] = useState(false);
+  const [teaching, setTeaching] = useState([]);
+  const [enrolled, setEnrolled] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [joinCode, setJoinCode] = useState('');
+  const [className, setClassName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadClasses = async () => {
+    const result = await ClassService.getClasses();
+    if (result.success) {
+      setTeaching(result.teaching);
+      setEnrolled(result.enrolled);
+    } else {
+      console.error('Error loading classes:', result.error);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    const loadRole = async () => {
+      const user = AuthService.getCurrentUser();
+      if (!user) return;
+
+      const userData = await UserService.getProfile();
+      setIsTeacher(userData.success && userData.data?.role === 'teacher');
+    };
+
+    loadRole();
+    loadClasses();
+  }, []);
+
+  // 🎒 Join a class with the code from the teacher
+  const handleJoin = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    const result = await ClassService.joinClass(joinCode);
+    setIsSaving(false);
+
+    if (result.success) {
+      setJoinCode('');
+      navigate(`/classes/${result.class.id}`);
+    } else {
+      alert(result.error);
+    }
+  };
+
+  // 🏫 Create a class and show its join code
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    const result = await ClassService.createClass(className);
+    setIsSaving(false);
+
+    if (result.success) {
+      setClassName('');
+      await loadClasses();
+    } else {
+      alert(result.error);
+    }
+  };
+
+  const renderClass = (item, isTeaching) => (
+    <div key={item.id} className="class-item" onClick={() => navigate(`/classes/${item.id}`)}>
+      <IoSchool size={24} color="#4A90E2" />
+      <div className="class-item-info">
+        <div className="class-item-name">{item.name}</div>
+        <div className="class-item-meta">
+          {isTeaching
+            ? `${item.studentCount} student${item.studentCount === 1 ? '' : 's'} · Join code ${item.joinCode}`
+            : `Teacher: ${item.teacherName}`}
+        </div>
+      </div>
+      <IoChevronForward size={20} color="#9CA3AF" />
+    </div>
+  );
+
+  return (
+    <div className="classes-screen">
+      <h1>Classes</h1>
+
+      <form className="class-form" onSubmit={handleJoin}>
+        <input
+          className="class-input join-code-input"
+          value={joinCode}
+          onChange={(event) => setJoinCode(event.target.value.toUpperCase())}
+          placeholder="Join code"
+          maxLength={6}
+        />
+        <button className="class-button" type="submit" disabled={isSaving || joinCode.trim().length === 0}>
+          Join Class
+        </button>
+      </form>
+
+      {loading ? (
+        <p>Loading...</p>
+      ) : (
+        <>
+          {isTeacher && (
+            <div className="class-section">
+              <h2>
+                <IoPeople size={22} /> Classes I Teach
+              </h2>
+              <form className="class-form" onSubmit={handleCreate}>
+                <input
+                  className="class-input"
+                  value={className}
+                  onChange={(event) => setClassName(event.target.value)}
+                  placeholder="New class name, e.g. Year 3 Robins"
+                  maxLength={60}
+                />
+                <button className="class-button" type="submit" disabled={isSaving || className.trim().length === 0}>
+                  Create Class
+                </button>
+              </form>
+              {teaching.length > 0
+                ? teaching.map((item) => renderClass(item, true))
+                : <p className="class-empty">Create a class and share its join code with your students.</p>}
+            </div>
+          )}
+
+          <div className="class-section">
+            <h2>
+              <IoSchool size={22} /> My Classes
+            </h2>
+            {enrolled.length > 0
+              ? enrolled.map((item) => renderClass(item, false))
+              : <p className="class-empty">Ask your teacher for a join code to see your assignments here.</p>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ClassesScreen;
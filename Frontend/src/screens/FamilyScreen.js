@@ -0,0 +1,298 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { IoPeople, IoLockClosed, IoFlame, IoStar, IoTrash, IoPersonAdd } from 'react-icons/io5';
+import { AuthService } from '../services/firebase';
+import { ProfileService } from '../services/profiles';
+import { getActiveProfile } from '../services/activeProfile';
+import './ClassesScreen.css';
+import './FamilyScreen.css';
+
+const PIN_LENGTH = 4;
+
+/**
+ * Parent view: child profiles, their progress and the parent PIN
+ */
+const FamilyScreen = () => {
+  const navigate = useNavigate();
+  const activeProfile = getActiveProfile(AuthService.getCurrentUser());
+  const [loading, setLoading] = useState(true);
+  const [hasPin, setHasPin] = useState(false);
+  const [avatars, setAvatars] = useState([]);
+  const [maxChildProfiles, setMaxChildProfiles] = useState(0);
+  const [pinInput, setPinInput] = useState('');
+  const [pin, setPin] = useState(null); // Kept while unlocked for the PIN-protected calls
+  const [children, setChildren] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [newAvatar, setNewAvatar] = useState(null);
+  const [newPin, setNewPin] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadProfiles = async () => {
+      const result = await ProfileService.getProfiles();
+      if (result.success) {
+        setHasPin(result.hasPin);
+        setAvatars(result.avatars);
+        setMaxChildProfiles(result.maxChildProfiles);
+      } else {
+        console.error('Error loading profiles:', result.error);
+      }
+      setLoading(false);
+    };
+
+    loadProfiles();
+  }, []);
+
+  const loadChildren = async (parentPin) => {
+    const result = await ProfileService.getChildrenProgress(parentPin);
+    if (result.success) {
+      setChildren(result.children);
+      setPin(parentPin);
+      setError('');
+    } else {
+      setError(result.error);
+    }
+    return result.success;
+  };
+
+  const onlyDigits = (value) => value.replace(/\D/g, '').slice(0, PIN_LENGTH);
+
+  // 🔑 First visit: choose the PIN that guards this page and the parent profile
+  const handleSetPin = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    const result = await ProfileService.setPin(pinInput);
+    setIsSaving(false);
+
+    if (result.success) {
+      setHasPin(true);
+      await loadChildren(pinInput);
+      setPinInput('');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  // 🔓 Unlock with the PIN
+  const handleUnlock = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    await loadChildren(pinInput);
+    setIsSaving(false);
+    setPinInput('');
+  };
+
+  // 👶 Add a child profile
+  const handleAddChild = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    const result = await ProfileService.createProfile({ displayName: newName, avatar: newAvatar || undefined }, pin);
+    setIsSaving(false);
+
+    if (result.success) {
+      setNewName('');
+      setNewAvatar(null);
+      await loadChildren(pin);
+    } else {
+      alert(result.error);
+    }
+  };
+
+  // 🏆 Hide a child from the weekly leagues, or show them again
+  const toggleLeaderboard = async (child) => {
+    const result = await ProfileService.setLeaderboardOptOut(child.id, !child.leaderboardOptOut, pin);
+    if (result.success) {
+      await loadChildren(pin);
+    } else {
+      alert(result.error);
+    }
+  };
+
+  // 🗑️ Delete a child profile and all its progress
+  const handleDelete = async (child) => {
+    if (!window.confirm(`Delete ${child.displayName}'s profile? All of their progress will be lost.`)) {
+      return;
+    }
+
+    const result = await ProfileService.deleteProfile(child.id, pin);
+    if (result.success) {
+      await loadChildren(pin);
+    } else {
+      alert(result.error);
+    }
+  };
+
+  // 🔁 Change the PIN while unlocked
+  const handleChangePin = async (event) => {
+    event.preventDefault();
+    const result = await ProfileService.setPin(newPin, pin);
+
+    if (result.success) {
+      setPin(newPin);
+      setNewPin('');
+      alert('PIN CHANGED');
+    } else {
+      alert(result.error);
+    }
+  };
+
+  if (activeProfile?.isChild) {
+    return (
+      <div className="classes-screen">
+        <h1>Family</h1>
+        <p className="class-subtitle">Switch to the parent profile to manage child profiles.</p>
+        <button className="class-button" onClick={() => navigate('/profiles')}>
+          Switch Profile
+        </button>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="classes-screen">
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!pin) {
+    return (
+      <div className="classes-screen">
+        <h1>Family</h1>
+        <div className="class-section">
+          <h2>
+            <IoLockClosed size={22} /> {hasPin ? 'Enter your parent PIN' : 'Set a parent PIN'}
+          </h2>
+          <p className="class-subtitle">
+            {hasPin
+              ? 'Child profiles and their progress are behind your PIN.'
+              : 'Choose a 4-digit PIN. You need it to manage child profiles and to switch back to your own profile.'}
+          </p>
+          <form className="class-form" onSubmit={hasPin ? handleUnlock : handleSetPin}>
+            <input
+              className="class-input family-pin-input"
+              type="password"
+              inputMode="numeric"
+              value={pinInput}
+              onChange={(event) => setPinInput(onlyDigits(event.target.value))}
+              placeholder="PIN"
+              autoFocus
+            />
+            <button className="class-button" type="submit" disabled={isSaving || pinInput.length !== PIN_LENGTH}>
+              {hasPin ? 'Unlock' : 'Set PIN'}
+            </button>
+          </form>
+          {error && <p className="family-error">{error}</p>}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="classes-screen">
+      <h1>Family</h1>
+      <p className="class-subtitle">Each child learns in their own profile with their own streak and XP.</p>
+
+      <div className="class-section">
+        <h2>
+          <IoPeople size={22} /> Child Profiles
+        </h2>
+
+        {children.length === 0 && <p className="class-empty">Add a profile for each child who uses this device.</p>}
+
+        <div className="family-cards">
+          {children.map((child) => (
+            <div key={child.id} className="family-card">
+              <div className="family-card-header">
+                <span className="family-avatar">{child.avatar}</span>
+                <div className="class-item-info">
+                  <div className="class-item-name">{child.displayName}</div>
+                  <div className="class-item-meta">Level {child.level} · {child.xp} XP</div>
+                </div>
+                <button className="class-icon-button" onClick={() => handleDelete(child)} title="Delete profile">
+                  <IoTrash size={18} />
+                </button>
+              </div>
+
+              <div className="family-stats">
+                <span className="class-streak">
+                  <IoFlame size={16} color="#F59E0B" /> {child.streak} day streak
+                </span>
+                <span className="class-stars">
+                  <IoStar size={16} color="#F59E0B" /> {child.totalStars}
+                </span>
+                <span>{child.lessonsCompleted} lessons</span>
+                <span>{child.averageAccuracy}% accuracy</span>
+              </div>
+
+              {child.today && (
+                <div className="family-today">
+                  Today: {child.today.minutes} / {child.today.goal} min {child.today.met ? '✅' : ''}
+                </div>
+              )}
+
+              <button className="class-link-button" onClick={() => toggleLeaderboard(child)}>
+                {child.leaderboardOptOut ? 'Show on leaderboards' : 'Hide from leaderboards'}
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {children.length < maxChildProfiles && (
+        <div className="class-section">
+          <h2>
+            <IoPersonAdd size={22} /> Add a Child
+          </h2>
+          <form className="class-form" onSubmit={handleAddChild}>
+            <input
+              className="class-input"
+              value={newName}
+              onChange={(event) => setNewName(event.target.value)}
+              placeholder="Name"
+              maxLength={30}
+            />
+            <button className="class-button" type="submit" disabled={isSaving || newName.trim().length === 0}>
+              Add Profile
+            </button>
+          </form>
+          <div className="family-avatars">
+            {avatars.map((avatar) => (
+              <button
+                key={avatar}
+                type="button"
+                className={`family-avatar-option ${newAvatar === avatar ? 'selected' : ''}`}
+                onClick={() => setNewAvatar(avatar)}
+              >
+                {avatar}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="class-section">
+        <h2>
+          <IoLockClosed size={22} /> Change PIN
+        </h2>
+        <form className="class-form" onSubmit={handleChangePin}>
+          <input
+            className="class-input family-pin-input"
+            type="password"
+            inputMode="numeric"
+            value={newPin}
+            onChange={(event) => setNewPin(onlyDigits(event.target.value))}
+            placeholder="New PIN"
+          />
+          <button className="class-button" type="submit" disabled={newPin.length !== PIN_LENGTH}>
+            Change PIN
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default FamilyScreen;
@@ -14,21 +14,55 @@ import {
   IoFlame,
   IoBulb,
   IoToday,
+  IoHandLeft,
+  IoSnow,
+  IoRibbon,
+  IoRefresh,
 } from "react-icons/io5";
 
 import { getTimeBasedGreeting } from "../utils/helpers";
-import { DatabaseService, AuthService } from "../services/firebase";
+import { AuthService } from "../services/firebase";
+import { UserService } from "../services/user";
+import { StreakService } from "../services/streak";
+import { GoalService } from "../services/goals";
+import { XpService } from "../services/xp";
+import { ReviewService } from "../services/review";
 import "./HomeScreen.css";
 
+const GOAL_HISTORY_DAYS = 7;
+
+/**
+ * Day keys ("YYYY-MM-DD") from `from` to `to`, inclusive
+ * @param {string} from - First day
+ * @param {string} to - Last day
+ * @returns {Array<string>} Day keys
+ */
+const getDayKeys = (from, to) => {
+  const keys = [];
+  const date = new Date(`${from}T00:00:00Z`);
+  for (let key = from; key <= to; key = date.toISOString().slice(0, 10)) {
+    keys.push(key);
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return keys;
+};
+
 const HomeScreen = () => {
   const navigate = useNavigate();
 
   const [userName, setUserName] = useState("User");
   const [streak, setStreak] = useState(0);
-  const [todayProgress, setTodayProgress] = useState(0);
+  const [streakInfo, setStreakInfo] = useState(null);
+  const [isRepairing, setIsRepairing] = useState(false);
+  const [goal, setGoal] = useState(null);
+  const [goalWeek, setGoalWeek] = useState([]);
+  const [xpInfo, setXpInfo] = useState(null);
+  const [reviewInfo, setReviewInfo] = useState(null);
   const [lessonsCompleted, setLessonsCompleted] = useState(0);
   const [totalPracticeTime, setTotalPracticeTime] = useState(0);
   const [totalStars, setTotalStars] = useState(0);
+  const [averageAccuracy, setAverageAccuracy] = useState(0);
+  const [bestAccuracy, setBestAccuracy] = useState(0);
 
   const fetchLessons = async () => {
     try {
@@ -63,24 +97,84 @@ const HomeScreen = () => {
 
   const loadUserData = async (user) => {
     try {
-      const userData = await DatabaseService.getUserData(user.uid);
+      const userData = await UserService.getProfile();
       if (userData.success && userData.data) {
         setUserName(userData.data.displayName || "User");
         setStreak(userData.data.progress?.streak || 0);
-        setTodayProgress(userData.data.progress?.todayProgress || 0);
       }
 
-      const statsResult = await DatabaseService.getUserStats(user.uid);
+      // 🎯 Practice minutes today against the daily goal, reset at local midnight
+      const goalResult = await GoalService.getToday();
+      if (goalResult.success) {
+        setGoal(goalResult);
+      }
+
+      const goalHistory = await GoalService.getHistory(GOAL_HISTORY_DAYS);
+      if (goalHistory.success) {
+        const byDay = Object.fromEntries(goalHistory.days.map((item) => [item.day, item]));
+        setGoalWeek(getDayKeys(goalHistory.from, goalHistory.to).map((day) => byDay[day] || { day, minutes: 0, met: false }));
+      }
+
+      // Backend streak: 0 once broken, with freezes applied to missed days
+      const streakResult = await StreakService.getStreak();
+      if (streakResult.success) {
+        setStreak(streakResult.streak || 0);
+        setStreakInfo(streakResult);
+      }
+
+      // ⭐ XP and level, awarded by the backend
+      const xpResult = await XpService.getXp();
+      if (xpResult.success) {
+        setXpInfo(xpResult);
+      }
+
+      // 🔁 Signs from completed lessons due for review today
+      const reviewResult = await ReviewService.getDue(1);
+      if (reviewResult.success) {
+        setReviewInfo(reviewResult);
+      }
+
+      const statsResult = await UserService.getStats();
       if (statsResult.success && statsResult.stats) {
         setLessonsCompleted(statsResult.stats.lessonsCompleted || 0);
         setTotalPracticeTime(statsResult.stats.totalPracticeTime || 0);
         setTotalStars(statsResult.stats.totalStars || 0);
+        setAverageAccuracy(statsResult.stats.averageAccuracy || 0);
+        setBestAccuracy(statsResult.stats.bestAccuracy || 0);
       }
     } catch (error) {
       console.error("Error loading user data:", error);
     }
   };
 
+  const handleRepairStreak = async () => {
+    setIsRepairing(true);
+    const result = await StreakService.repairStreak();
+    setIsRepairing(false);
+
+    if (result.success) {
+      setStreak(result.streak || 0);
+      setStreakInfo(result);
+    } else {
+      console.error("❌ Error repairing streak:", result.error);
+    }
+  };
+
+  const handleGoalChange = async (event) => {
+    const result = await GoalService.setDailyGoal(Number(event.target.value));
+
+    if (result.success) {
+      setGoal(result);
+      setGoalWeek((previous) =>
+        previous.map((item) => (item.day === result.day ? { ...item, minutes: result.minutes, met: result.met } : item))
+      );
+    } else {
+      console.error("❌ Error changing daily goal:", result.error);
+    }
+  };
+
+  const todayProgress = goal?.percent || 0;
+
   return (
     <div className="home-screen">
       <div className="home-header">
@@ -93,14 +187,43 @@ const HomeScreen = () => {
           <div className="streak-badge">
             <IoFlame size={20} color="#FFA500" />
             <span className="streak-text">{streak}</span>
+            {streakInfo?.streakFreezes > 0 && (
+              <span className="streak-freezes" title="Streak freezes cover missed days">
+                <IoSnow size={16} color="#4A90E2" />
+                {streakInfo.streakFreezes}
+              </span>
+            )}
           </div>
         )}
       </div>
 
+      {streakInfo?.repairAvailable && (
+        <div className="streak-repair-card">
+          <div className="streak-repair-text">
+            You missed yesterday and your {streakInfo.repairableStreak}-day streak broke. You can repair it once, today only.
+          </div>
+          <button className="streak-repair-button" onClick={handleRepairStreak} disabled={isRepairing}>
+            {isRepairing ? "Repairing..." : "Repair Streak"}
+          </button>
+        </div>
+      )}
+
       <div className="progress-card">
         <div className="progress-header">
           <IoToday size={24} color="#4A90E2" />
           <span className="progress-title">Today's Progress</span>
+          {goal && (
+            <label className="goal-select-label">
+              Goal
+              <select className="goal-select" value={goal.goal} onChange={handleGoalChange}>
+                {goal.goalOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option} min
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
         </div>
 
         <div className="progress-bar-container">
@@ -114,12 +237,73 @@ const HomeScreen = () => {
         </div>
 
         <div className="progress-subtext">
-          {todayProgress >= 100
+          {goal?.met
             ? "Great job! You've completed today's goal! 🎉"
-            : "Keep going! Complete more lessons to reach your daily goal."}
+            : goal
+              ? `${goal.minutes} of ${goal.goal} minutes practiced. Keep going to reach your daily goal!`
+              : "Keep going! Practice to reach your daily goal."}
         </div>
+
+        {goalWeek.length > 0 && (
+          <div className="goal-week">
+            {goalWeek.map((item) => (
+              <span
+                key={item.day}
+                className={`goal-day ${item.met ? "met" : item.minutes > 0 ? "partial" : ""}`}
+                title={`${item.day}: ${item.minutes} min${item.met ? " · goal met" : ""}`}
+              >
+                {new Date(`${item.day}T00:00:00Z`).toLocaleDateString("en-US", { weekday: "narrow", timeZone: "UTC" })}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {streakInfo?.weeklyGoal && (
+          <div className="weekly-goal-text">
+            <IoSnow size={14} color="#4A90E2" />
+            {streakInfo.weeklyGoal.met
+              ? "Weekly goal met! Your streak freeze is ready for a missed day."
+              : `Practice ${streakInfo.weeklyGoal.practiceDays}/${streakInfo.weeklyGoal.goalDays} days this week to earn a streak freeze.`}
+          </div>
+        )}
       </div>
 
+      {xpInfo && (
+        <div className="level-card">
+          <div className="level-header">
+            <IoRibbon size={24} color="#8B5CF6" />
+            <span className="level-title">Level {xpInfo.level}</span>
+            <span className="level-today">+{xpInfo.today?.total || 0} XP today</span>
+          </div>
+
+          <div className="progress-bar-container">
+            <div className="progress-bar-background">
+              <div className="level-bar-fill" style={{ width: `${xpInfo.progressPercent}%` }} />
+            </div>
+          </div>
+
+          <div className="progress-subtext">
+            {xpInfo.xp - xpInfo.levelStartXp} / {xpInfo.nextLevelXp - xpInfo.levelStartXp} XP to level {xpInfo.level + 1}
+          </div>
+        </div>
+      )}
+
+      {reviewInfo?.totalCards > 0 && (
+        <div className="review-home-card">
+          <IoRefresh size={24} color="#4A90E2" />
+          <div className="review-home-text">
+            {reviewInfo.dueCount > 0
+              ? `${reviewInfo.dueCount} sign${reviewInfo.dueCount === 1 ? "" : "s"} to review today`
+              : "All reviews done for today"}
+          </div>
+          {reviewInfo.dueCount > 0 && (
+            <button className="review-home-button" onClick={() => navigate("/review")}>
+              Review
+            </button>
+          )}
+        </div>
+      )}
+
       <div className="action-cards-container">
         <div className="action-card primary-card" onClick={() => navigate("/learn")}>
           <div className="card-gradient">
@@ -168,6 +352,12 @@ const HomeScreen = () => {
             <div className="stat-value">{totalStars}</div>
             <div className="stat-label">Stars Earned</div>
           </div>
+
+          <div className="stat-card">
+            <IoHandLeft size={32} color="#8B5CF6" />
+            <div className="stat-value">{Math.round(averageAccuracy)}%</div>
+            <div className="stat-label">Sign Accuracy (best {Math.round(bestAccuracy)}%)</div>
+          </div>
         </div>
       </div>
 
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import { IoTrophy, IoArrowUp, IoArrowDown, IoEyeOff } from 'react-icons/io5';
+import { LeaderboardService } from '../services/leaderboard';
+import './LeaderboardScreen.css';
+
+const OUTCOME_TEXT = {
+  promoted: 'moved up to',
+  demoted: 'moved down to',
+  stayed: 'stayed in',
+};
+
+/**
+ * Sentence describing how last week's league ended
+ * @param {Object} result - { rank, outcome, tier, newTier }
+ * @param {Array<Object>} tiers - League tiers, lowest first
+ * @returns {string} Summary text
+ */
+const describeResult = (result, tiers) => {
+  const tierName = (tierId) => tiers.find((tier) => tier.id === tierId)?.name || tierId;
+  return `Last week you finished #${result.rank} in the ${tierName(result.tier)} and ${OUTCOME_TEXT[result.outcome]} the ${tierName(result.newTier)}.`;
+};
+
+const LeaderboardScreen = () => {
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadLeaderboard = async () => {
+    const result = await LeaderboardService.getLeaderboard();
+    if (result.success) {
+      setLeaderboard(result);
+    } else {
+      console.error('Error loading leaderboard:', result.error);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    loadLeaderboard();
+  }, []);
+
+  // 🙈 Leave leaderboards or join them again
+  const handleOptOut = async (optOut) => {
+    setIsSaving(true);
+    const result = await LeaderboardService.setOptOut(optOut);
+    if (result.success) {
+      await loadLeaderboard();
+    } else {
+      alert(result.error);
+    }
+    setIsSaving(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="leaderboard-screen">
+        <h1>Leaderboard</h1>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!leaderboard) {
+    return (
+      <div className="leaderboard-screen">
+        <h1>Leaderboard</h1>
+        <p>The leaderboard couldn't be loaded. Please try again later.</p>
+      </div>
+    );
+  }
+
+  if (leaderboard.optedOut) {
+    return (
+      <div className="leaderboard-screen">
+        <h1>Leaderboard</h1>
+        <div className="leaderboard-opted-out">
+          <IoEyeOff size={40} color="#9CA3AF" />
+          <p>This account is hidden from leaderboards.</p>
+          <button className="leaderboard-button" onClick={() => handleOptOut(false)} disabled={isSaving}>
+            Join Leaderboards
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { tier, members, rules } = leaderboard;
+
+  return (
+    <div className="leaderboard-screen">
+      <h1>Leaderboard</h1>
+
+      <div className="league-header">
+        <span className="league-icon">{tier.icon}</span>
+        <div>
+          <div className="league-name">{tier.name}</div>
+          <div className="league-week">
+            Week ends {new Date(`${leaderboard.weekEnd}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', timeZone: 'UTC' })}
+          </div>
+        </div>
+      </div>
+
+      {leaderboard.lastResult && (
+        <div className={`league-result ${leaderboard.lastResult.outcome}`}>
+          <IoTrophy size={20} />
+          {describeResult(leaderboard.lastResult, leaderboard.tiers)}
+        </div>
+      )}
+
+      <p className="league-rules">
+        Earn XP this week to climb. The top {rules.promoteCount} move up a league
+        {tier.index > 0 && `, the bottom ${rules.demoteCount} move down`}.
+      </p>
+
+      <ol className="league-table">
+        {members.map((member) => (
+          <li
+            key={member.rank}
+            className={`league-row ${member.zone} ${member.isCurrentUser ? 'current-user' : ''}`}
+          >
+            <span className="league-rank">{member.rank}</span>
+            <span className="league-member-name">
+              {member.displayName}
+              {member.isCurrentUser && ' (you)'}
+            </span>
+            {member.zone === 'promoted' && <IoArrowUp size={16} color="#10B981" />}
+            {member.zone === 'demoted' && <IoArrowDown size={16} color="#EF4444" />}
+            <span className="league-xp">{member.xp} XP</span>
+          </li>
+        ))}
+      </ol>
+
+      <button className="leaderboard-link-button" onClick={() => handleOptOut(true)} disabled={isSaving}>
+        Hide me from leaderboards
+      </button>
+    </div>
+  );
+};
+
+export default LeaderboardScreen;
@@ -4,15 +4,18 @@
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { IoTimeOutline, IoBarChartOutline, IoHandLeftOutline, IoCheckmarkCircle, IoChevronForward, IoBookOutline } from 'react-icons/io5';
-import { LESSON_CATEGORIES, getLessonsByCategory } from '../constants/lessons';
-import { DatabaseService, AuthService } from '../services/firebase';
+import { IoTimeOutline, IoBarChartOutline, IoHandLeftOutline, IoCheckmarkCircle, IoChevronForward, IoBookOutline, IoStar, IoStarOutline } from 'react-icons/io5';
+import { LESSON_CATEGORIES, PROGRESS_CONSTANTS, getLessonsByCategory } from '../constants/lessons';
+import { AuthService } from '../services/firebase';
+import { UserService } from '../services/user';
+import { ApiService } from '../services/api';
 import './LearnScreen.css';
 
 const LearnScreen = () => {
   const navigate = useNavigate();
   const [selectedCategory, setSelectedCategory] = useState('basics');
   const [completedLessons, setCompletedLessons] = useState([]);
+  const [lessonRecords, setLessonRecords] = useState({}); // lessonId -> { bestStars, bestScore, attempts }
   const [filteredLessons, setFilteredLessons] = useState([]);
 
   useEffect(() => {
@@ -28,10 +31,15 @@ const LearnScreen = () => {
     try {
       const user = AuthService.getCurrentUser();
       if (user) {
-        const result = await DatabaseService.getCompletedLessons(user.uid);
+        const result = await UserService.getCompletedLessons();
         if (result.success) {
           setCompletedLessons(result.lessons || []);
         }
+
+        const recordsResult = await ApiService.get('/progress/lesson-records');
+        if (recordsResult.success) {
+          setLessonRecords(Object.fromEntries(recordsResult.records.map((record) => [record.lessonId, record])));
+        }
       }
     } catch (error) {
       console.error('Error loading completed lessons:', error);
@@ -87,6 +95,7 @@ const LearnScreen = () => {
         {filteredLessons.length > 0 ? (
           filteredLessons.map((lesson) => {
             const completed = isLessonCompleted(lesson.id);
+            const record = lessonRecords[lesson.id];
             const category = LESSON_CATEGORIES[lesson.categoryId.toUpperCase()];
 
             return (
@@ -120,6 +129,19 @@ const LearnScreen = () => {
                       <span>{lesson.signs.length} signs</span>
                     </div>
                   </div>
+
+                  {record && (
+                    <div className="lesson-stars">
+                      {Array.from({ length: PROGRESS_CONSTANTS.STARS_FOR_COMPLETION }, (_, i) => (
+                        i < record.bestStars
+                          ? <IoStar key={i} size={18} color="#FFA500" />
+                          : <IoStarOutline key={i} size={18} color="#D1D5DB" />
+                      ))}
+                      {record.bestStars < PROGRESS_CONSTANTS.STARS_FOR_COMPLETION && (
+                        <span className="lesson-retake-hint">Retake to earn more stars</span>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 <div className="lesson-status">
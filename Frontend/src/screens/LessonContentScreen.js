@@ -1,7 +1,11 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { IoArrowBack, IoArrowForward, IoHandLeft } from 'react-icons/io5';
-import { DatabaseService, AuthService } from '../services/firebase';
+import { AuthService } from '../services/firebase';
+import { ApiService } from '../services/api';
+import { PracticeService } from '../services/practice';
+import SignPracticePanel from '../components/SignPracticePanel';
+import LessonQuiz from '../components/LessonQuiz';
 import './LessonContentScreen.css';
 
 const LessonContentScreen = () => {
@@ -10,13 +14,41 @@ const LessonContentScreen = () => {
   const lesson = location.state?.lesson;
   const [currentSignIndex, setCurrentSignIndex] = useState(0);
   const [isSaving, setIsSaving] = useState(false);
+  const [practiceResults, setPracticeResults] = useState({}); // signId -> SignPracticePanel outcome
+  const [showQuiz, setShowQuiz] = useState(false);
+  const sessionRef = useRef(null); // Promise of the practice session ID
+
+  // 📈 Camera attempts in this lesson count towards the accuracy stats
+  useEffect(() => {
+    if (!lesson) return undefined;
+
+    const session = PracticeService.startSession({ mode: 'lesson', lessonId: lesson.id })
+      .then((result) => (result.success ? result.sessionId : null));
+    sessionRef.current = session;
+
+    return () => {
+      session.then((sessionId) => sessionId && PracticeService.endSession(sessionId));
+    };
+  }, [lesson]);
 
   if (!lesson) {
     return <div>Lesson not found</div>;
   }
 
+  const handlePracticeAttempt = async ({ targetSign, predictedLabel, confidence }) => {
+    const sessionId = await sessionRef.current;
+    if (sessionId) {
+      PracticeService.recordAttempt(sessionId, { targetSign, predictedLabel, confidence });
+    }
+  };
+
   const currentSign = lesson.signs[currentSignIndex];
   const progress = ((currentSignIndex + 1) / lesson.signs.length) * 100;
+  const currentResult = practiceResults[currentSign.id] || null;
+
+  const handlePracticeComplete = (result) => {
+    setPracticeResults((previous) => ({ ...previous, [result.signId]: result }));
+  };
 
   const handleLessonComplete = async () => {
     try {
@@ -24,28 +56,35 @@ const LessonContentScreen = () => {
       const user = AuthService.getCurrentUser();
 
       if (user) {
-        const signsLearned = lesson.signs.length;
-        const score = signsLearned * 10;
-        const stars = 3;
-
-        const result = await DatabaseService.markLessonCompleted(
-          user.uid,
-          lesson.id,
-          score,
-          stars,
-          signsLearned
+        // The backend scores the lesson from the recorded camera attempts and the lesson's latest quiz
+        const attempts = Object.values(practiceResults).flatMap((result) =>
+          result.attempts.map(({ targetSign, predictedLabel, confidence, startedAt, endedAt }) => ({
+            targetSign,
+            predictedLabel,
+            confidence,
+            startedAt,
+            endedAt,
+          }))
         );
 
+        const result = await ApiService.post('/progress/lesson', {
+          lessonId: lesson.id,
+          attempts,
+        });
+
         if (result.success) {
-          const statsResult = await DatabaseService.getUserStats(user.uid);
-          if (statsResult.success) {
-            const lessonsCompleted = statsResult.stats.lessonsCompleted || 0;
-            const todayProgress = Math.min(lessonsCompleted * 50, 100);
-            await DatabaseService.updateTodayProgress(user.uid, todayProgress);
-          }
-
-          alert('🎉 Lesson Complete! Great job! You earned ' + stars + ' stars!');
+          const toReview = result.signs.filter((sign) => sign.needsReview).length;
+          const summary = result.isRetake
+            ? `🔁 Lesson retaken! You earned ${result.stars} stars this time` +
+              (result.improvement.stars > 0 ? ` - a new best (+${result.improvement.stars})!` : ` (best: ${result.record.bestStars}).`)
+            : '🎉 Lesson Complete! Great job! You earned ' + result.stars + ' stars and ' + result.score + ' points!';
+          const xpText = result.xp?.awarded > 0
+            ? `\n\n⭐ +${result.xp.awarded} XP` + (result.xp.levelUp ? ` - you reached level ${result.xp.levelUp.to}!` : '')
+            : '';
+          const quizText = result.quiz?.total > 0 ? `\n\n📝 Quiz: ${result.quiz.correct}/${result.quiz.total} correct` : '';
+          alert(summary + quizText + xpText + (toReview > 0 ? `\n\n🔁 ${toReview} sign(s) marked for review` : ''));
         } else {
+          console.error('Lesson submission rejected:', result.error);
           alert('Lesson Complete! Great job!');
         }
       } else {
@@ -63,10 +102,14 @@ const LessonContentScreen = () => {
   };
 
   const handleNext = () => {
+    // Each sign has to be practiced before moving on
+    if (!currentResult) return;
+
     if (currentSignIndex < lesson.signs.length - 1) {
       setCurrentSignIndex(currentSignIndex + 1);
     } else {
-      handleLessonComplete();
+      // 📝 Quiz on the lesson's signs before it is scored
+      setShowQuiz(true);
     }
   };
 
@@ -76,6 +119,14 @@ const LessonContentScreen = () => {
     }
   };
 
+  if (showQuiz) {
+    return (
+      <div className="lesson-content-screen">
+        {isSaving ? <p>Saving...</p> : <LessonQuiz lesson={lesson} onFinish={handleLessonComplete} />}
+      </div>
+    );
+  }
+
   return (
     <div className="lesson-content-screen">
       <div className="progress-header">
@@ -95,6 +146,9 @@ const LessonContentScreen = () => {
             <p>Sign demonstration</p>
           </div>
           <p className="sign-desc">{currentSign.description}</p>
+          {currentResult?.needsReview && (
+            <span className="review-badge">🔁 Needs review</span>
+          )}
         </div>
 
         <div className="instructions">
@@ -106,6 +160,14 @@ const LessonContentScreen = () => {
             </div>
           ))}
         </div>
+
+        <SignPracticePanel
+          key={currentSign.id}
+          sign={currentSign}
+          result={currentResult}
+          onComplete={handlePracticeComplete}
+          onAttempt={handlePracticeAttempt}
+        />
       </div>
 
       <div className="nav-buttons">
@@ -119,7 +181,7 @@ const LessonContentScreen = () => {
         <button
           onClick={handleNext}
           className="nav-btn primary"
-          disabled={isSaving}
+          disabled={isSaving || !currentResult}
         >
           {isSaving
             ? 'Saving...'
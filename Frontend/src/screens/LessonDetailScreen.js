@@ -45,6 +45,14 @@ const LessonDetailScreen = () => {
             </div>
           </div>
         ))}
+
+        <button
+          className="calibrate-link"
+          onClick={() => navigate(`/calibrate/${lesson.id}`, { state: { lesson } })}
+        >
+          <IoHandLeftOutline size={18} />
+          Calibrate for my hands
+        </button>
       </div>
 
       <button 
@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { IoPerson, IoLockClosed } from 'react-icons/io5';
+import { AuthService } from '../services/firebase';
+import { ProfileService } from '../services/profiles';
+import { UserService } from '../services/user';
+import { getActiveProfileId, setActiveProfile } from '../services/activeProfile';
+import mlModelService from '../services/mlModel';
+import './ProfilePickerScreen.css';
+
+/**
+ * "Who's learning?" screen shown after login when the account has child profiles
+ * @param {Object} props - { onSelect } called with the chosen profile
+ */
+const ProfilePickerScreen = ({ onSelect }) => {
+  const navigate = useNavigate();
+  const [profiles, setProfiles] = useState([]);
+  const [hasPin, setHasPin] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [pinProfile, setPinProfile] = useState(null);
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadProfiles = async () => {
+      const result = await ProfileService.getProfiles();
+      if (result.success) {
+        setProfiles(result.profiles);
+        setHasPin(result.hasPin);
+      } else {
+        console.error('Error loading profiles:', result.error);
+      }
+      setLoading(false);
+    };
+
+    loadProfiles();
+  }, []);
+
+  const chooseProfile = (profile) => {
+    const user = AuthService.getCurrentUser();
+    setActiveProfile(user, profile);
+
+    // ✋ Each profile has its own hand calibration
+    mlModelService.setCalibrationUser(profile.id);
+
+    if (onSelect) {
+      onSelect(profile); // App syncs the chosen profile's timezone
+    } else {
+      // 🌍 Each profile keeps its own timezone for streak days
+      UserService.syncTimeZone().then((result) => {
+        if (!result.success) console.warn('⚠️ Could not sync timezone:', result.error);
+      });
+    }
+    navigate('/');
+  };
+
+  // 🔒 The parent profile is PIN-locked once child profiles exist
+  // This is a UI lock only - the backend checks the PIN on the family management routes
+  const handleSelect = (profile) => {
+    const currentId = getActiveProfileId(AuthService.getCurrentUser());
+    if (!profile.isChild && hasPin && profiles.length > 1 && profile.id !== currentId) {
+      setPinProfile(profile);
+      setPin('');
+      setError('');
+      return;
+    }
+    chooseProfile(profile);
+  };
+
+  const handlePinSubmit = async (event) => {
+    event.preventDefault();
+    const result = await ProfileService.verifyPin(pin);
+    if (result.success) {
+      chooseProfile(pinProfile);
+    } else {
+      setError(result.error);
+      setPin('');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="profile-picker-screen">
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="profile-picker-screen">
+      <h1>Who's learning?</h1>
+
+      <div className="profile-tiles">
+        {profiles.map((profile) => (
+          <button key={profile.id} className="profile-tile" onClick={() => handleSelect(profile)}>
+            <span className="profile-tile-avatar">
+              {profile.avatar || <IoPerson size={40} color="#4A90E2" />}
+            </span>
+            <span className="profile-tile-name">{profile.displayName}</span>
+            <span className="profile-tile-meta">
+              {profile.isChild ? `Level ${profile.level}` : 'Parent'}
+              {!profile.isChild && hasPin && profiles.length > 1 && <IoLockClosed size={12} />}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {pinProfile && (
+        <form className="profile-pin-form" onSubmit={handlePinSubmit}>
+          <label htmlFor="parent-pin">Enter the parent PIN</label>
+          <input
+            id="parent-pin"
+            className="profile-pin-input"
+            type="password"
+            inputMode="numeric"
+            maxLength={4}
+            value={pin}
+            onChange={(event) => setPin(event.target.value.replace(/\D/g, ''))}
+            autoFocus
+          />
+          {error && <div className="profile-pin-error">{error}</div>}
+          <button className="profile-pin-button" type="submit" disabled={pin.length !== 4}>
+            Continue
+          </button>
+        </form>
+      )}
+
+      {!onSelect && (
+        <button className="profile-manage-link" onClick={() => navigate('/family')}>
+          Manage family profiles
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ProfilePickerScreen;
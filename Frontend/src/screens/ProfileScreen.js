@@ -7,22 +7,54 @@ import {
   IoNotifications,
   IoHelpCircle,
   IoInformationCircle,
+  IoHandLeft,
+  IoRibbon,
+  IoSchool,
+  IoPeople,
+  IoSwapHorizontal,
   IoChevronForward
 } from 'react-icons/io5';
 
 import './ProfileScreen.css';
 import { AuthService } from '../services/firebase';
+import { UserService } from '../services/user';
+import { XpService } from '../services/xp';
+import { getActiveProfile } from '../services/activeProfile';
+import mlModelService from '../services/mlModel';
 
 const ProfileScreen = () => {
   const navigate = useNavigate();
 
   // 🔐 Auth state
   const [user, setUser] = useState(null);
+  const [achievementNotifications, setAchievementNotifications] = useState(true);
+  const [xpInfo, setXpInfo] = useState(null);
+  const [role, setRole] = useState('student');
+  const [teacherRequest, setTeacherRequest] = useState(null);
+  const [profile, setProfile] = useState(null);
 
   // 🔄 Listen to Firebase auth changes
   useEffect(() => {
-    const unsubscribe = AuthService.onAuthChange((currentUser) => {
+    const unsubscribe = AuthService.onAuthChange(async (currentUser) => {
       setUser(currentUser);
+      setProfile(getActiveProfile(currentUser));
+
+      if (currentUser) {
+        const userData = await UserService.getProfile();
+        if (userData.success && userData.data) {
+          setAchievementNotifications(userData.data.settings?.achievementNotifications !== false);
+          setRole(userData.data.role || 'student');
+        }
+
+        const requestResult = await UserService.getTeacherRequest();
+        setTeacherRequest(requestResult.success ? requestResult.request : null);
+
+        // ⭐ Level and progress to the next one
+        const xpResult = await XpService.getXp();
+        setXpInfo(xpResult.success ? xpResult : null);
+      } else {
+        setXpInfo(null);
+      }
     });
     return () => unsubscribe();
   }, []);
@@ -50,15 +82,95 @@ const ProfileScreen = () => {
     }
   };
 
+  // ✋ Forget the signs recorded on the calibration screens
+  const resetCalibration = async () => {
+    if (!window.confirm("Reset hand calibration? Recognition goes back to the standard model.")) {
+      return;
+    }
+
+    try {
+      await mlModelService.resetCalibration();
+      alert("CALIBRATION RESET");
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // 🏅 Turn the achievement unlock toast on or off
+  const toggleAchievementNotifications = async () => {
+    const enabled = !achievementNotifications;
+    const result = await UserService.updateSettings({ achievementNotifications: enabled });
+
+    if (result.success) {
+      setAchievementNotifications(enabled);
+    } else {
+      alert(result.error);
+    }
+  };
+
+  // 🧑‍🏫 Leave the teacher role, or ask an admin for it
+  const toggleTeacherMode = async () => {
+    if (role === 'teacher') {
+      const result = await UserService.setRole('student');
+      if (result.success) {
+        setRole(result.role);
+      } else {
+        alert(result.error);
+      }
+      return;
+    }
+
+    if (teacherRequest?.status === 'pending') {
+      alert("Your teacher request is waiting for review.");
+      return;
+    }
+
+    let request = {};
+    if (teacherRequest?.status !== 'approved') {
+      const school = window.prompt("Which school do you teach at? An admin reviews every teacher request.");
+      if (!school) return;
+      request = { school };
+    }
+
+    const result = await UserService.requestTeacherRole(request);
+    if (result.success) {
+      setRole(result.role);
+      setTeacherRequest(result.request);
+      if (result.role !== 'teacher') alert("TEACHER REQUEST SENT");
+    } else {
+      alert(result.error);
+    }
+  };
+
+  const teacherModeLabel = () => {
+    if (role === 'teacher') return 'On';
+    if (teacherRequest?.status === 'pending') return 'Pending';
+    return 'Off';
+  };
+
   return (
     <div className="profile-screen">
       {/* Header */}
       <div className="profile-header">
         <div className="avatar-container">
-          <IoPerson size={48} color="#4A90E2" />
+          {profile?.avatar || <IoPerson size={48} color="#4A90E2" />}
         </div>
-        <h2>{user?.email || "User"}</h2>
+        <h2>{profile?.isChild ? profile.displayName : user?.email || "User"}</h2>
         <p>{user ? "Logged in" : "Not logged in"}</p>
+
+        {xpInfo && (
+          <div className="profile-level">
+            <div className="profile-level-text">
+              Level {xpInfo.level} · {xpInfo.xp} XP
+            </div>
+            <div className="profile-level-bar">
+              <div className="profile-level-fill" style={{ width: `${xpInfo.progressPercent}%` }} />
+            </div>
+            <div className="profile-level-next">
+              {xpInfo.nextLevelXp - xpInfo.xp} XP to level {xpInfo.level + 1}
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Login (only when logged out) */}
@@ -100,11 +212,67 @@ const ProfileScreen = () => {
           <IoChevronForward size={20} color="#9CA3AF" />
         </div>
 
-        <div className="menu-item">
-          <IoNotifications size={24} />
-          <span>Notifications</span>
-          <IoChevronForward size={20} color="#9CA3AF" />
-        </div>
+        {user && (
+          <div className="menu-item" onClick={() => navigate('/achievements')}>
+            <IoRibbon size={24} />
+            <span>Badges</span>
+            <IoChevronForward size={20} color="#9CA3AF" />
+          </div>
+        )}
+
+        {user && (
+          <div className="menu-item" onClick={() => navigate('/classes')}>
+            <IoSchool size={24} />
+            <span>Classes</span>
+            <IoChevronForward size={20} color="#9CA3AF" />
+          </div>
+        )}
+
+        {user && (
+          <div className="menu-item" onClick={() => navigate('/profiles')}>
+            <IoSwapHorizontal size={24} />
+            <span>Switch Profile</span>
+            <IoChevronForward size={20} color="#9CA3AF" />
+          </div>
+        )}
+
+        {user && !profile?.isChild && (
+          <div className="menu-item" onClick={() => navigate('/family')}>
+            <IoPeople size={24} />
+            <span>Family</span>
+            <IoChevronForward size={20} color="#9CA3AF" />
+          </div>
+        )}
+
+        {user && !profile?.isChild && (
+          <div className="menu-item" onClick={toggleTeacherMode}>
+            <IoPerson size={24} />
+            <span>Teacher Mode</span>
+            <span className="menu-item-value">{teacherModeLabel()}</span>
+          </div>
+        )}
+
+        {user && (
+          <div className="menu-item" onClick={resetCalibration}>
+            <IoHandLeft size={24} />
+            <span>Reset Hand Calibration</span>
+            <IoChevronForward size={20} color="#9CA3AF" />
+          </div>
+        )}
+
+        {user ? (
+          <div className="menu-item" onClick={toggleAchievementNotifications}>
+            <IoNotifications size={24} />
+            <span>Achievement Notifications</span>
+            <span className="menu-item-value">{achievementNotifications ? 'On' : 'Off'}</span>
+          </div>
+        ) : (
+          <div className="menu-item">
+            <IoNotifications size={24} />
+            <span>Notifications</span>
+            <IoChevronForward size={20} color="#9CA3AF" />
+          </div>
+        )}
       </div>
 
       <div className="menu-section">
@@ -1,17 +1,79 @@
 import React, { useState, useEffect } from 'react';
-import { IoTrophy, IoFlame, IoCalendar, IoStar, IoTime } from 'react-icons/io5';
-import { DatabaseService, AuthService } from '../services/firebase';
+import { IoTrophy, IoFlame, IoCalendar, IoStar, IoTime, IoHandLeft, IoRibbon, IoCamera, IoCheckmarkCircle, IoTrendingUp } from 'react-icons/io5';
+import { AuthService } from '../services/firebase';
+import { UserService } from '../services/user';
+import { PracticeService } from '../services/practice';
+import { ActivityService, ACTIVITY_TYPES } from '../services/activity';
 import { LESSONS } from '../constants/lessons';
+import { formatDate } from '../utils/helpers';
+import ActivityHeatmap from '../components/ActivityHeatmap';
 import './ProgressScreen.css';
 
+const HISTORY_PAGE_SIZE = 10;
+
+/**
+ * Icon and text for an activity history entry
+ * @param {Object} activity - { type, details }
+ * @returns {Object} { icon, text }
+ */
+const describeActivity = ({ type, details }) => {
+  switch (type) {
+    case ACTIVITY_TYPES.LESSON_COMPLETED: {
+      const lesson = LESSONS.find(l => l.id === details.lessonId);
+      return {
+        icon: <IoTrophy size={20} color="#10B981" />,
+        text: `${details.isRetake ? 'Retook' : 'Completed'}: ${lesson?.title || details.lessonId} · ${details.stars} ★`,
+      };
+    }
+    case ACTIVITY_TYPES.PRACTICE_SESSION:
+      return {
+        icon: <IoCamera size={20} color="#4A90E2" />,
+        text: `Practiced ${details.attempts} sign${details.attempts === 1 ? '' : 's'} · ${details.averageAccuracy}% accuracy`,
+      };
+    case ACTIVITY_TYPES.STREAK_MILESTONE:
+      return {
+        icon: <IoFlame size={20} color="#EF4444" />,
+        text: `Reached a ${details.streak}-day streak`,
+      };
+    case ACTIVITY_TYPES.DAILY_GOAL_MET:
+      return {
+        icon: <IoCheckmarkCircle size={20} color="#10B981" />,
+        text: `Met the daily goal of ${details.goal} minutes`,
+      };
+    case ACTIVITY_TYPES.LEVEL_UP:
+      return {
+        icon: <IoTrendingUp size={20} color="#8B5CF6" />,
+        text: `Reached level ${details.level}`,
+      };
+    case ACTIVITY_TYPES.LEAGUE_FINISHED:
+      return {
+        icon: <IoTrophy size={20} color="#8B5CF6" />,
+        text: `Finished #${details.rank} in the weekly league${details.outcome === 'promoted' ? ' and moved up' : details.outcome === 'demoted' ? ' and moved down' : ''}`,
+      };
+    case ACTIVITY_TYPES.ACHIEVEMENT_UNLOCKED:
+      return {
+        icon: <IoRibbon size={20} color="#F59E0B" />,
+        text: `Unlocked: ${details.title || details.achievementId}`,
+      };
+    default:
+      return { icon: <IoCalendar size={20} color="#9CA3AF" />, text: type };
+  }
+};
+
 const ProgressScreen = () => {
   const [stats, setStats] = useState({
     lessonsCompleted: 0,
     streak: 0,
     totalStars: 0,
     totalPracticeTime: 0,
-    completedLessons: [],
+    averageAccuracy: 0,
+    bestAccuracy: 0,
   });
+  const [signStats, setSignStats] = useState([]);
+  const [calendar, setCalendar] = useState(null);
+  const [activities, setActivities] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -22,8 +84,10 @@ const ProgressScreen = () => {
     try {
       const user = AuthService.getCurrentUser();
       if (user) {
-        const statsResult = await DatabaseService.getUserStats(user.uid);
-        const lessonsResult = await DatabaseService.getCompletedLessons(user.uid);
+        const statsResult = await UserService.getStats();
+        const signStatsResult = await PracticeService.getSignStats();
+        const calendarResult = await ActivityService.getCalendar();
+        const historyResult = await ActivityService.getHistory({ limit: HISTORY_PAGE_SIZE });
 
         if (statsResult.success) {
           setStats({
@@ -31,9 +95,23 @@ const ProgressScreen = () => {
             streak: statsResult.stats.streak || 0,
             totalStars: statsResult.stats.totalStars || 0,
             totalPracticeTime: statsResult.stats.totalPracticeTime || 0,
-            completedLessons: lessonsResult.success ? lessonsResult.lessons : [],
+            averageAccuracy: statsResult.stats.averageAccuracy || 0,
+            bestAccuracy: statsResult.stats.bestAccuracy || 0,
           });
         }
+
+        if (signStatsResult.success) {
+          setSignStats(signStatsResult.signs);
+        }
+
+        if (calendarResult.success) {
+          setCalendar(calendarResult);
+        }
+
+        if (historyResult.success) {
+          setActivities(historyResult.activities);
+          setNextCursor(historyResult.nextCursor);
+        }
       }
     } catch (error) {
       console.error('Error loading progress:', error);
@@ -42,6 +120,18 @@ const ProgressScreen = () => {
     }
   };
 
+  const loadMoreActivity = async () => {
+    setLoadingMore(true);
+    const result = await ActivityService.getHistory({ limit: HISTORY_PAGE_SIZE, before: nextCursor });
+    if (result.success) {
+      setActivities(prev => [...prev, ...result.activities]);
+      setNextCursor(result.nextCursor);
+    } else {
+      console.error('Error loading activity:', result.error);
+    }
+    setLoadingMore(false);
+  };
+
   const totalLessons = LESSONS.length;
   const progressPercent = totalLessons > 0
     ? Math.round((stats.lessonsCompleted / totalLessons) * 100)
@@ -81,6 +171,16 @@ const ProgressScreen = () => {
           <div className="stat-value">{stats.totalPracticeTime}m</div>
           <div className="stat-label">Practice Time</div>
         </div>
+        <div className="stat-card">
+          <IoHandLeft size={40} color="#8B5CF6" />
+          <div className="stat-value">{Math.round(stats.averageAccuracy)}%</div>
+          <div className="stat-label">Average Accuracy</div>
+        </div>
+        <div className="stat-card">
+          <IoRibbon size={40} color="#F59E0B" />
+          <div className="stat-value">{Math.round(stats.bestAccuracy)}%</div>
+          <div className="stat-label">Best Accuracy</div>
+        </div>
       </div>
 
       <div className="section">
@@ -97,19 +197,54 @@ const ProgressScreen = () => {
         </p>
       </div>
 
+      {signStats.length > 0 && (
+        <div className="section">
+          <h2>Sign Accuracy</h2>
+          {signStats.map((item) => (
+            <div key={item.id} className="progress-item sign-accuracy-item">
+              <span>
+                {item.sign}
+                <span className="sign-attempts"> · {item.attempts} attempts · best {Math.round(item.bestAccuracy)}%</span>
+              </span>
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${Math.round(item.averageAccuracy)}%` }} />
+              </div>
+              <span className="progress-text">{Math.round(item.averageAccuracy)}%</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {calendar && (
+        <div className="section">
+          <h2>Activity Calendar</h2>
+          <ActivityHeatmap from={calendar.from} to={calendar.to} days={calendar.days} />
+        </div>
+      )}
+
       <div className="section">
         <h2>Recent Activity</h2>
-        {stats.completedLessons.length > 0 ? (
+        {activities.length > 0 ? (
           <div className="activity-list">
-            {stats.completedLessons.slice(-5).reverse().map((lessonId) => {
-              const lesson = LESSONS.find(l => l.id === lessonId);
+            {activities.map((activity) => {
+              const { icon, text } = describeActivity(activity);
               return (
-                <div key={lessonId} className="activity-item">
-                  <IoTrophy size={20} color="#10B981" />
-                  <span>Completed: {lesson?.title || lessonId}</span>
+                <div key={activity.id} className="activity-item">
+                  {icon}
+                  <span className="activity-text">{text}</span>
+                  {activity.createdAt && (
+                    <span className="activity-time" title={new Date(activity.createdAt).toLocaleString()}>
+                      {formatDate(activity.createdAt, 'relative')}
+                    </span>
+                  )}
                 </div>
               );
             })}
+            {nextCursor && (
+              <button className="load-more-button" onClick={loadMoreActivity} disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Show more'}
+              </button>
+            )}
           </div>
         ) : (
           <div className="empty-state">
@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { IoRefresh, IoCheckmarkCircle, IoEye } from 'react-icons/io5';
+import { ReviewService, REVIEW_GRADES } from '../services/review';
+import { getLessonById } from '../constants/lessons';
+import { formatDate } from '../utils/helpers';
+import './ReviewScreen.css';
+
+/**
+ * Find a sign's teaching content in the lesson data
+ * @param {Object} card - Review card from the backend
+ * @returns {Object|null} Sign with description and instructions
+ */
+const getSignContent = (card) =>
+  getLessonById(card.lessonId)?.signs.find((sign) => sign.id === card.signId) || null;
+
+/**
+ * Review session: signs due today across all lessons, one at a time
+ */
+const ReviewScreen = () => {
+  const navigate = useNavigate();
+  const [cards, setCards] = useState([]);
+  const [dueInfo, setDueInfo] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [revealed, setRevealed] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+  const [xpEarned, setXpEarned] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadDue = async () => {
+    setLoading(true);
+    const result = await ReviewService.getDue();
+    if (result.success) {
+      setCards(result.cards);
+      setDueInfo(result);
+    } else {
+      console.error('Error loading reviews:', result.error);
+    }
+    setIndex(0);
+    setRevealed(false);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    loadDue();
+  }, []);
+
+  // 🔁 Grade the current sign; the backend schedules its next review
+  const handleGrade = async (grade) => {
+    setIsSaving(true);
+    const result = await ReviewService.recordReview(cards[index].signId, grade);
+    setIsSaving(false);
+
+    if (result.success) {
+      setReviewed((count) => count + 1);
+      setXpEarned((total) => total + (result.xp?.awarded || 0));
+    } else {
+      console.error('Error recording review:', result.error);
+    }
+
+    setIndex((current) => current + 1);
+    setRevealed(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="review-screen">
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  const card = cards[index];
+
+  if (!card) {
+    const moreDue = dueInfo && dueInfo.dueCount > cards.length;
+
+    return (
+      <div className="review-screen">
+        <h1>Review</h1>
+        <div className="review-done">
+          <IoCheckmarkCircle size={56} color="#50C878" />
+          {reviewed > 0 ? (
+            <h2>
+              {reviewed} sign{reviewed === 1 ? '' : 's'} reviewed · +{xpEarned} XP
+            </h2>
+          ) : (
+            <h2>Nothing to review right now</h2>
+          )}
+          <p className="review-subtext">
+            {moreDue
+              ? 'There are more signs due today.'
+              : dueInfo?.totalCards > 0
+                ? `All caught up!${dueInfo.nextDueDay ? ` Next review: ${formatDate(new Date(`${dueInfo.nextDueDay}T00:00:00`))}` : ''}`
+                : 'Complete a lesson and its signs will come back here for review.'}
+          </p>
+          {moreDue ? (
+            <button className="review-button" onClick={loadDue}>
+              <IoRefresh size={18} /> Keep Reviewing
+            </button>
+          ) : (
+            <button className="review-button" onClick={() => navigate('/')}>
+              Back Home
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const content = getSignContent(card);
+
+  return (
+    <div className="review-screen">
+      <h1>Review</h1>
+      <div className="review-counter">
+        {index + 1} / {cards.length}
+      </div>
+
+      <div className="review-card">
+        <div className="review-lesson">{card.lessonTitle}</div>
+        <div className="review-word">{card.word}</div>
+        {card.overdueDays > 0 && (
+          <div className="review-overdue">
+            Overdue by {card.overdueDays} day{card.overdueDays === 1 ? '' : 's'}
+          </div>
+        )}
+
+        {revealed ? (
+          <div className="review-answer">
+            {content?.description && <p>{content.description}</p>}
+            {content?.instructions && (
+              <ol>
+                {content.instructions.map((step) => (
+                  <li key={step}>{step}</li>
+                ))}
+              </ol>
+            )}
+          </div>
+        ) : (
+          <p className="review-subtext">Sign it from memory, then check.</p>
+        )}
+      </div>
+
+      {revealed ? (
+        <div className="review-grades">
+          {REVIEW_GRADES.map(({ grade, label }) => (
+            <button
+              key={grade}
+              className={`review-grade-button grade-${grade}`}
+              onClick={() => handleGrade(grade)}
+              disabled={isSaving}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <button className="review-button" onClick={() => setRevealed(true)}>
+          <IoEye size={18} /> Show Sign
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ReviewScreen;
@@ -0,0 +1,35 @@
+/**
+ * Achievement Service
+ * Badges unlocked by the backend's achievement rules
+ */
+
+import { ApiService } from './api';
+
+export const AchievementService = {
+  /**
+   * Get all achievements with unlock state
+   * @returns {Promise<Object>} { success, achievements: [{ id, title, description, icon, threshold, unlocked, unlockedAt, progress }], unlockedCount }
+   */
+  getAchievements() {
+    return ApiService.get('/achievements');
+  },
+
+  /**
+   * Get unlocked achievements that haven't been shown yet
+   * @returns {Promise<Object>} { success, notificationsEnabled, achievements }
+   */
+  getUnseen() {
+    return ApiService.get('/achievements/unseen');
+  },
+
+  /**
+   * Mark achievements as shown
+   * @param {Array<string>} achievementIds - Achievement IDs
+   * @returns {Promise<Object>} { success }
+   */
+  markSeen(achievementIds) {
+    return ApiService.post('/achievements/seen', { achievementIds });
+  },
+};
+
+export default AchievementService;
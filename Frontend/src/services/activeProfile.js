@@ -0,0 +1,44 @@
+/**
+ * Active Profile
+ * The profile the app acts on: the signed-in account itself or one of its
+ * child profiles. Backend requests send it as X-Profile-Id (see api.js).
+ * It is remembered until logout, so the picker shows after each login.
+ */
+
+import { storage } from '../utils/helpers';
+
+const STORAGE_KEY = 'signage.activeProfile';
+
+/**
+ * Get the chosen profile for an account
+ * @param {Object} user - Firebase user
+ * @returns {Object|null} { accountId, id, displayName, avatar, isChild } or null if none was chosen
+ */
+export const getActiveProfile = (user) => {
+  const profile = storage.get(STORAGE_KEY);
+  return user && profile?.accountId === user.uid ? profile : null;
+};
+
+/**
+ * ID of the profile to read and write progress for
+ * @param {Object} user - Firebase user
+ * @returns {string} Child profile ID, or the account's own uid
+ */
+export const getActiveProfileId = (user) => getActiveProfile(user)?.id || user?.uid;
+
+/**
+ * Remember the chosen profile
+ * @param {Object} user - Firebase user
+ * @param {Object} profile - { id, displayName, avatar, isChild } from the profile list
+ */
+export const setActiveProfile = (user, profile) => {
+  const { id, displayName, avatar, isChild } = profile;
+  storage.set(STORAGE_KEY, { accountId: user.uid, id, displayName, avatar, isChild });
+};
+
+/**
+ * Forget the chosen profile (on logout)
+ */
+export const clearActiveProfile = () => {
+  storage.remove(STORAGE_KEY);
+};
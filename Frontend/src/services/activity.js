@@ -0,0 +1,41 @@
+/**
+ * Activity Service
+ * Activity history (lessons, practice sessions, streak milestones,
+ * daily goals, levels, leagues, achievements) recorded by the backend
+ */
+
+import { ApiService } from './api';
+
+export const ACTIVITY_TYPES = {
+  LESSON_COMPLETED: 'lesson_completed',
+  PRACTICE_SESSION: 'practice_session',
+  STREAK_MILESTONE: 'streak_milestone',
+  ACHIEVEMENT_UNLOCKED: 'achievement_unlocked',
+  DAILY_GOAL_MET: 'daily_goal_met',
+  LEVEL_UP: 'level_up',
+  LEAGUE_FINISHED: 'league_finished',
+};
+
+export const ActivityService = {
+  /**
+   * Get one page of activity, newest first
+   * @param {Object} options - { limit, before } where before is the previous page's nextCursor
+   * @returns {Promise<Object>} { success, activities, nextCursor }
+   */
+  getHistory({ limit = 20, before = null } = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (before) params.set('before', before);
+    return ApiService.get(`/progress/history?${params}`);
+  },
+
+  /**
+   * Get activity counts per day for the calendar heatmap
+   * @param {number} days - Number of days up to and including today
+   * @returns {Promise<Object>} { success, from, to, days: [{ day, count, types }] }
+   */
+  getCalendar(days = 365) {
+    return ApiService.get(`/progress/history/calendar?days=${days}`);
+  },
+};
+
+export default ActivityService;
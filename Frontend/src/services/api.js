@@ -0,0 +1,81 @@
+/**
+ * Backend API Service
+ * Authenticated requests to the SignAge Express backend
+ */
+
+import { AuthService } from './firebase';
+import { getActiveProfileId } from './activeProfile';
+
+export const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5001';
+
+export const ApiService = {
+  /**
+   * Send a request to the backend
+   * Plain objects are sent as JSON, Blobs (e.g. camera frames) are sent as-is.
+   * Authenticated requests act on the active profile (X-Profile-Id)
+   * @param {string} path - Route path, e.g. '/progress'
+   * @param {Object} options - { method, body, headers, auth }
+   * @returns {Promise<Object>} Response body, or { success: false, status, error } on failure
+   */
+  async request(path, { method = 'GET', body, headers = {}, auth = true } = {}) {
+    try {
+      const requestHeaders = { ...headers };
+
+      if (auth) {
+        const user = AuthService.getCurrentUser();
+        if (!user) {
+          return { success: false, error: 'Not logged in' };
+        }
+        requestHeaders.Authorization = `Bearer ${await user.getIdToken()}`;
+
+        const profileId = getActiveProfileId(user);
+        if (profileId !== user.uid) {
+          requestHeaders['X-Profile-Id'] = profileId;
+        }
+      }
+
+      let requestBody = body;
+      if (body !== undefined && !(body instanceof Blob)) {
+        requestHeaders['Content-Type'] = 'application/json';
+        requestBody = JSON.stringify(body);
+      }
+
+      const response = await fetch(`${BACKEND_URL}${path}`, {
+        method,
+        headers: requestHeaders,
+        body: requestBody,
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return {
+          ...data,
+          success: false,
+          status: response.status,
+          error: data.error || data.message || `Request failed with status ${response.status}`,
+        };
+      }
+
+      return data;
+    } catch (error) {
+      console.error(`Error calling ${method} ${path}:`, error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  get(path, options) {
+    return this.request(path, { ...options, method: 'GET' });
+  },
+
+  post(path, body, options) {
+    return this.request(path, { ...options, method: 'POST', body });
+  },
+
+  put(path, body, options) {
+    return this.request(path, { ...options, method: 'PUT', body });
+  },
+
+  delete(path, options) {
+    return this.request(path, { ...options, method: 'DELETE' });
+  },
+};
@@ -0,0 +1,104 @@
+/**
+ * Class Service
+ * Teacher classes, join codes and lesson assignments
+ */
+
+import { ApiService } from './api';
+
+export const ClassService = {
+  /**
+   * Get the classes the user teaches and is enrolled in
+   * @returns {Promise<Object>} { success, teaching: [{ id, name, studentCount, joinCode }], enrolled: [{ id, name, teacherName }] }
+   */
+  getClasses() {
+    return ApiService.get('/classes');
+  },
+
+  /**
+   * Create a class (teachers only)
+   * @param {string} name - Class name
+   * @returns {Promise<Object>} { success, class: { id, name, joinCode } }
+   */
+  createClass(name) {
+    return ApiService.post('/classes', { name });
+  },
+
+  /**
+   * Join a class
+   * @param {string} joinCode - Code shared by the teacher
+   * @returns {Promise<Object>} { success, class: { id, name, teacherName } }
+   */
+  joinClass(joinCode) {
+    return ApiService.post('/classes/join', { joinCode });
+  },
+
+  /**
+   * Get a class with its assignments; students also get their own status per assignment
+   * @param {string} classId - Class ID
+   * @returns {Promise<Object>} { success, role, class, assignments }
+   */
+  getClass(classId) {
+    return ApiService.get(`/classes/${classId}`);
+  },
+
+  /**
+   * Delete a class (teachers only)
+   * @param {string} classId - Class ID
+   * @returns {Promise<Object>} { success }
+   */
+  deleteClass(classId) {
+    return ApiService.delete(`/classes/${classId}`);
+  },
+
+  /**
+   * Get per-student progress and assignment status (teachers only)
+   * @param {string} classId - Class ID
+   * @returns {Promise<Object>} { success, class, today, assignments, students }
+   */
+  getDashboard(classId) {
+    return ApiService.get(`/classes/${classId}/dashboard`);
+  },
+
+  /**
+   * Assign a lesson (teachers only)
+   * @param {string} classId - Class ID
+   * @param {Object} assignment - { lessonId, dueDate } with dueDate as "YYYY-MM-DD"
+   * @returns {Promise<Object>} { success, assignment }
+   */
+  addAssignment(classId, assignment) {
+    return ApiService.post(`/classes/${classId}/assignments`, assignment);
+  },
+
+  /**
+   * Remove an assignment (teachers only)
+   * @param {string} classId - Class ID
+   * @param {string} assignmentId - Assignment ID
+   * @returns {Promise<Object>} { success }
+   */
+  deleteAssignment(classId, assignmentId) {
+    return ApiService.delete(`/classes/${classId}/assignments/${assignmentId}`);
+  },
+
+  /**
+   * Remove a student, or leave the class when studentId is the current user
+   * @param {string} classId - Class ID
+   * @param {string} studentId - Student's user ID
+   * @returns {Promise<Object>} { success }
+   */
+  removeStudent(classId, studentId) {
+    return ApiService.delete(`/classes/${classId}/students/${studentId}`);
+  },
+
+  /**
+   * Hide a student from leaderboards or show them again (teachers only)
+   * @param {string} classId - Class ID
+   * @param {string} studentId - Student's user ID
+   * @param {boolean} optOut - true to hide from leaderboards
+   * @returns {Promise<Object>} { success, optedOut }
+   */
+  setStudentLeaderboardOptOut(classId, studentId, optOut) {
+    return ApiService.put(`/classes/${classId}/students/${studentId}/leaderboard-opt-out`, { optOut });
+  },
+};
+
+export default ClassService;
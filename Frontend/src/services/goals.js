@@ -0,0 +1,37 @@
+/**
+ * Goal Service
+ * Daily practice goal (minutes per day) tracked by the backend in the
+ * user's local days
+ */
+
+import { ApiService } from './api';
+
+export const GoalService = {
+  /**
+   * Get today's practice minutes against the daily goal
+   * @returns {Promise<Object>} { success, day, goal, minutes, lessonsCompleted, percent, met, goalOptions }
+   */
+  getToday() {
+    return ApiService.get('/progress/goal');
+  },
+
+  /**
+   * Get daily goal progress for recent days
+   * @param {number} days - Number of days up to and including today
+   * @returns {Promise<Object>} { success, from, to, days: [{ day, goal, minutes, met }], daysMet }
+   */
+  getHistory(days = 30) {
+    return ApiService.get(`/progress/goal/history?days=${days}`);
+  },
+
+  /**
+   * Change the daily goal
+   * @param {number} dailyGoal - Minutes per day, one of goalOptions
+   * @returns {Promise<Object>} Today's goal progress against the new goal
+   */
+  setDailyGoal(dailyGoal) {
+    return ApiService.put('/progress/goal', { dailyGoal });
+  },
+};
+
+export default GoalService;
@@ -0,0 +1,27 @@
+/**
+ * Leaderboard Service
+ * Weekly leagues ranked by XP; only display names are ever returned
+ */
+
+import { ApiService } from './api';
+
+export const LeaderboardService = {
+  /**
+   * Get this week's league standings, joining a league on the first visit of the week
+   * @returns {Promise<Object>} { success, optedOut, week, weekEnd, tier, tiers, members: [{ rank, displayName, xp, zone, isCurrentUser }], rules, lastResult }
+   */
+  getLeaderboard() {
+    return ApiService.get('/leaderboard');
+  },
+
+  /**
+   * Leave leaderboards or rejoin them
+   * @param {boolean} optOut - true to hide from leaderboards
+   * @returns {Promise<Object>} { success, optedOut }
+   */
+  setOptOut(optOut) {
+    return ApiService.put('/leaderboard/opt-out', { optOut });
+  },
+};
+
+export default LeaderboardService;
@@ -1,61 +1,89 @@
 /**
  * ML Model Service
- * Handles TensorFlow.js model loading and inference for sign language recognition
- * Includes placeholder for pretrained model integration
+ * Main-thread entry point for sign language recognition used by the screens.
+ *
+ * Model loading and inference run in a dedicated Web Worker (see
+ * workers/mlModel.worker.js) when the browser supports OffscreenCanvas and
+ * ImageBitmap, and fall back to the main thread otherwise. Camera frames are
+ * dropped rather than queued while the previous frame is still being analysed.
+ *
+ * Mock predictions and server inference are handled here because they need
+ * the DOM (canvas, localStorage, auth) rather than the model. Personal
+ * calibration follows the active profile, so each child profile on a shared
+ * device has its own (the profile picker switches it).
  */
 
-import * as tf from '@tensorflow/tfjs';
-// import { bundleResourceIO, decodeJpeg } from '@tensorflow/tfjs-react-native';
+import { MLModelService, MODEL_CONFIG } from './mlModelCore';
+import MLWorkerBridge from './mlWorkerBridge';
+import { ApiService } from './api';
+import { AuthService } from './firebase';
+import { getActiveProfileId } from './activeProfile';
+import { storage } from '../utils/helpers';
+
+const INFERENCE_MODE_KEY = 'signage_inference_mode';
+const INFERENCE_MODES = ['auto', 'local', 'remote'];
 
 /**
- * ML Model Configuration
+ * Whether inference can move off the main thread
+ * @returns {boolean} True when workers, OffscreenCanvas and ImageBitmap are available
  */
-const MODEL_CONFIG = {
-  // Placeholder model path - replace with your actual model
-  modelUrl: 'https://your-model-url.com/model.json',
-  modelPath: './assets/models/sign_language_model', // Local model path
-  inputShape: [224, 224, 3], // Standard input shape for image models
-  classLabels: [
-    'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M',
-    'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z',
-    'Hello', 'Goodbye', 'Thank You', 'Please', 'Help', 'Yes', 'No',
-    '1', '2', '3', '4', '5', '6', '7', '8', '9', '10'
-  ],
-  confidenceThreshold: 0.7, // Minimum confidence for prediction
-};
+const canUseWorker = () =>
+  process.env.REACT_APP_ML_WORKER !== 'false'
+  && typeof Worker !== 'undefined'
+  && typeof OffscreenCanvas !== 'undefined'
+  && typeof createImageBitmap !== 'undefined';
 
 /**
- * MLModelService class
- * Manages machine learning model operations
+ * MLModelClient class
+ * Same async API as MLModelService, backed by the worker or an in-thread instance
  */
-class MLModelService {
+class MLModelClient {
   constructor() {
-    this.model = null;
-    this.isModelLoaded = false;
-    this.isInitialized = false;
+    this.usesWorker = false;
+    this.engine = null;
+
+    if (canUseWorker()) {
+      try {
+        this.engine = new MLWorkerBridge();
+        this.usesWorker = true;
+      } catch (error) {
+        console.warn('⚠️ Could not start ML worker, running on the main thread:', error.message);
+      }
+    }
+
+    if (!this.engine) {
+      this.engine = new MLModelService();
+    }
+
+    this.modelInfo = {
+      isLoaded: false,
+      isInitialized: false,
+      inputType: MODEL_CONFIG.inputType,
+      classLabels: MODEL_CONFIG.classLabels,
+    };
+    this.isFrameInFlight = false;
+    this.framesSinceInfoRefresh = 0;
+    this.inferenceMode = storage.get(INFERENCE_MODE_KEY) || MODEL_CONFIG.inferenceMode;
+    this.activeInference = null; // Resolved 'local' or 'remote' for the current mode
+    this.localLatency = null;    // Median local inference time from the benchmark (ms)
+    this.frameCanvas = null;
+
+    AuthService.onAuthChange((user) => {
+      this.setCalibrationUser(user ? getActiveProfileId(user) : null);
+    });
+  }
+
+  get isModelLoaded() {
+    return this.modelInfo.isLoaded;
   }
 
   /**
    * Initialize TensorFlow.js
-   * Must be called before any model operations
    * @returns {Promise<void>}
    */
   async initialize() {
-    if (this.isInitialized) {
-      console.log('✅ TensorFlow.js already initialized');
-      return;
-    }
-
-    try {
-      // Wait for TensorFlow.js to be ready
-      await tf.ready();
-      this.isInitialized = true;
-      console.log('✅ TensorFlow.js initialized successfully');
-      console.log('Backend:', tf.getBackend());
-    } catch (error) {
-      console.error('❌ Error initializing TensorFlow.js:', error);
-      throw error;
-    }
+    await this.engine.initialize();
+    await this.refreshModelInfo();
   }
 
   /**
@@ -63,195 +91,263 @@ class MLModelService {
    * @returns {Promise<boolean>} Success status
    */
   async loadModel() {
-    if (this.isModelLoaded) {
-      console.log('✅ Model already loaded');
-      return true;
-    }
-
-    if (!this.isInitialized) {
-      await this.initialize();
-    }
-
     try {
-      console.log('📦 Loading sign language model...');
-      
-      // TODO: Replace with actual model loading
-      // For local development, we'll create a mock model
-      // In production, load your actual pretrained model:
-      // this.model = await tf.loadLayersModel(MODEL_CONFIG.modelUrl);
-      // OR from local bundle:
-      // this.model = await tf.loadLayersModel(bundleResourceIO(modelJson, modelWeights));
-      
-      // Mock model for development
-      this.model = await this.createMockModel();
-      
-      this.isModelLoaded = true;
-      console.log('✅ Model loaded successfully');
-      return true;
+      const loaded = await this.engine.loadModel();
+      await this.refreshModelInfo();
+      return loaded;
     } catch (error) {
       console.error('❌ Error loading model:', error);
-      this.isModelLoaded = false;
       return false;
     }
   }
 
   /**
-   * Create a mock model for local development
-   * Replace this with actual model loading in production
-   * @returns {Promise<tf.LayersModel>} Mock model
+   * Copy the engine's model info, which lives in the worker when one is used
    */
-  async createMockModel() {
-    // Create a simple mock model for development
-    const model = tf.sequential({
-      layers: [
-        tf.layers.conv2d({
-          inputShape: MODEL_CONFIG.inputShape,
-          filters: 32,
-          kernelSize: 3,
-          activation: 'relu',
-        }),
-        tf.layers.flatten(),
-        tf.layers.dense({ units: MODEL_CONFIG.classLabels.length, activation: 'softmax' }),
-      ],
-    });
-
-    console.log('⚠️ Using mock model for development');
-    return model;
+  async refreshModelInfo() {
+    try {
+      this.modelInfo = await this.engine.getModelInfo();
+    } catch (error) {
+      console.warn('⚠️ Could not read model info:', error.message);
+    }
   }
 
   /**
-   * Preprocess image for model input
-   * @param {tf.Tensor} imageTensor - Input image tensor
-   * @returns {tf.Tensor} Preprocessed tensor
+   * Predict sign from an image tensor
+   * Tensors can't be sent to the worker, so their pixels are copied
+   * @param {tf.Tensor3D} imageTensor - RGB image tensor
+   * @returns {Promise<Object>} Prediction result
    */
-  preprocessImage(imageTensor) {
-    return tf.tidy(() => {
-      // Resize image to model input size
-      const resized = tf.image.resizeBilinear(
-        imageTensor,
-        [MODEL_CONFIG.inputShape[0], MODEL_CONFIG.inputShape[1]]
-      );
-
-      // Normalize pixel values to [0, 1]
-      const normalized = resized.div(255.0);
+  async predictSign(imageTensor) {
+    if (!this.usesWorker) {
+      return this.engine.predictSign(imageTensor);
+    }
 
-      // Add batch dimension
-      const batched = normalized.expandDims(0);
+    const [height, width] = imageTensor.shape;
+    const data = await imageTensor.data();
+    return this.engine.processFrame({ width, height, data });
+  }
 
-      return batched;
-    });
+  /**
+   * Process camera frame for prediction
+   * @param {ImageData|Object} imageData - Canvas ImageData (RGBA) or { width, height, data } with RGB bytes
+   * @returns {Promise<Object>} Prediction result
+   */
+  async processFrame(imageData) {
+    return this.engine.processFrame(imageData);
   }
 
   /**
-   * Predict sign from image
-   * @param {tf.Tensor} imageTensor - Input image tensor
-   * @returns {Promise<Object>} Prediction result with label and confidence
+   * Capture the current frame of a playing <video> element and run inference on it
+   * In mock mode the frame is skipped and a random prediction is returned instead.
+   * While a frame is being analysed further frames are dropped ({ dropped: true }).
+   * @param {HTMLVideoElement} videoElement - Video element showing the camera stream
+   * @returns {Promise<Object>} Prediction result with inference time in milliseconds
    */
-  async predictSign(imageTensor) {
-    if (!this.isModelLoaded) {
-      console.warn('⚠️ Model not loaded, loading now...');
-      const loaded = await this.loadModel();
-      if (!loaded) {
-        return {
-          success: false,
-          error: 'Model failed to load',
-        };
-      }
-    }
+  async predictFromVideo(videoElement) {
+    const startTime = performance.now();
 
-    try {
-      // Preprocess the image
-      const preprocessed = this.preprocessImage(imageTensor);
-
-      // Run inference
-      const predictions = await this.model.predict(preprocessed);
-
-      // Get prediction data
-      const predictionsData = await predictions.data();
-      
-      // Find the class with highest confidence
-      const maxConfidence = Math.max(...predictionsData);
-      const predictedIndex = predictionsData.indexOf(maxConfidence);
-      const predictedLabel = MODEL_CONFIG.classLabels[predictedIndex];
-
-      // Clean up tensors
-      preprocessed.dispose();
-      predictions.dispose();
-
-      // Check if confidence meets threshold
-      if (maxConfidence < MODEL_CONFIG.confidenceThreshold) {
-        return {
-          success: true,
-          label: 'Unknown',
-          confidence: maxConfidence,
-          message: 'Low confidence - please try again with better hand position',
-        };
-      }
+    if (MODEL_CONFIG.mockMode) {
+      return { ...this.getMockPrediction(), inferenceTime: performance.now() - startTime };
+    }
 
-      console.log(`🎯 Prediction: ${predictedLabel} (${(maxConfidence * 100).toFixed(2)}%)`);
+    // HAVE_CURRENT_DATA - the video has a frame we can read
+    if (!videoElement || videoElement.readyState < 2 || !videoElement.videoWidth) {
+      return {
+        success: false,
+        error: 'Camera frame not ready',
+      };
+    }
 
+    if (this.isFrameInFlight) {
       return {
-        success: true,
-        label: predictedLabel,
-        confidence: maxConfidence,
-        allPredictions: this.getTopPredictions(predictionsData, 3),
+        success: false,
+        dropped: true,
+        error: 'Inference busy - frame dropped',
       };
+    }
+
+    this.isFrameInFlight = true;
+
+    try {
+      const result = await this.resolveInference() === 'remote'
+        ? await this.predictRemote(videoElement)
+        : await this.engine.predictFrame(videoElement);
+
+      // Keep the memory stats reported by getModelInfo() current
+      this.framesSinceInfoRefresh++;
+      if (this.framesSinceInfoRefresh >= MODEL_CONFIG.memoryCheckInterval) {
+        this.framesSinceInfoRefresh = 0;
+        this.refreshModelInfo();
+      }
+
+      return { ...result, inferenceTime: performance.now() - startTime };
     } catch (error) {
-      console.error('❌ Error during prediction:', error);
+      console.error('❌ Error predicting from video:', error);
       return {
         success: false,
         error: error.message,
       };
+    } finally {
+      this.isFrameInFlight = false;
     }
   }
 
   /**
-   * Get top N predictions
-   * @param {Float32Array} predictions - Array of prediction values
-   * @param {number} topN - Number of top predictions to return
-   * @returns {Array} Array of top predictions with labels and confidences
+   * Switch to a profile's personal calibration
+   * @param {string|null} userId - Active profile id, or null when signed out
+   * @returns {Promise<Object>} Calibration summary
    */
-  getTopPredictions(predictions, topN = 3) {
-    const predictionArray = Array.from(predictions).map((confidence, index) => ({
-      label: MODEL_CONFIG.classLabels[index],
-      confidence,
-    }));
-
-    // Sort by confidence descending
-    predictionArray.sort((a, b) => b.confidence - a.confidence);
-
-    // Return top N
-    return predictionArray.slice(0, topN);
+  async setCalibrationUser(userId) {
+    try {
+      const summary = await this.engine.setCalibrationUser(userId);
+      await this.refreshModelInfo();
+      return summary;
+    } catch (error) {
+      console.error('❌ Error loading calibration:', error);
+      return null;
+    }
   }
 
   /**
-   * Process camera frame for prediction
-   * @param {Object} imageData - Image data from camera
-   * @returns {Promise<Object>} Prediction result
+   * Record a calibration sample for a sign from the current video frame
+   * Frames are dropped while the previous one is still being analysed
+   * @param {HTMLVideoElement} videoElement - Video element showing the camera stream
+   * @param {string} label - Sign being calibrated
+   * @returns {Promise<Object>} { success, captured, hands, motion, summary }
    */
-  async processFrame(imageData) {
-    try {
-      // Convert image to tensor
-      // imageData should be in format: { width, height, data: Uint8Array }
-      const imageTensor = tf.tensor3d(
-        imageData.data,
-        [imageData.height, imageData.width, 3]
-      );
+  async recordCalibrationSample(videoElement, label) {
+    if (!videoElement || videoElement.readyState < 2 || !videoElement.videoWidth) {
+      return {
+        success: false,
+        error: 'Camera frame not ready',
+      };
+    }
 
-      // Get prediction
-      const result = await this.predictSign(imageTensor);
+    if (this.isFrameInFlight) {
+      return {
+        success: false,
+        dropped: true,
+        error: 'Inference busy - frame dropped',
+      };
+    }
 
-      // Clean up
-      imageTensor.dispose();
+    this.isFrameInFlight = true;
 
+    try {
+      const result = await this.engine.recordCalibrationSample(videoElement, label);
+      if (result.captured && !this.modelInfo.isCalibrated) {
+        await this.refreshModelInfo();
+      }
       return result;
     } catch (error) {
-      console.error('❌ Error processing frame:', error);
+      console.error('❌ Error recording calibration sample:', error);
       return {
         success: false,
         error: error.message,
       };
+    } finally {
+      this.isFrameInFlight = false;
+    }
+  }
+
+  /**
+   * Forget calibration samples
+   * @param {string[]} labels - Signs to reset, or omitted for all signs
+   * @returns {Promise<Object>} Calibration summary
+   */
+  async resetCalibration(labels) {
+    const summary = await this.engine.resetCalibration(labels);
+    await this.refreshModelInfo();
+    return summary;
+  }
+
+  /**
+   * Sample counts of the current user's calibration
+   * @returns {Promise<Object>} { userId, samples: { label: count }, updatedAt }
+   */
+  async getCalibrationSummary() {
+    return this.engine.getCalibrationSummary();
+  }
+
+  /**
+   * Choose between in-browser and server inference
+   * The choice is persisted on this device
+   * @param {string} mode - 'auto', 'local' or 'remote'
+   */
+  setInferenceMode(mode) {
+    if (!INFERENCE_MODES.includes(mode)) {
+      throw new Error(`Unknown inference mode: ${mode}`);
+    }
+
+    this.inferenceMode = mode;
+    this.activeInference = null;
+    storage.set(INFERENCE_MODE_KEY, mode);
+  }
+
+  /**
+   * Resolve where inference runs for the current mode
+   * Auto mode benchmarks the local model once (hand detector and classifier
+   * for landmark models) and uses the server when the local model is too slow
+   * or could not be loaded
+   * @returns {Promise<string>} 'local' or 'remote'
+   */
+  async resolveInference() {
+    if (this.activeInference) {
+      return this.activeInference;
+    }
+
+    if (this.inferenceMode !== 'auto') {
+      this.activeInference = this.inferenceMode;
+      return this.activeInference;
+    }
+
+    const loaded = this.isModelLoaded || await this.loadModel();
+    if (!loaded) {
+      this.activeInference = 'remote';
+    } else {
+      this.localLatency = await this.engine.benchmarkLocalInference();
+      this.activeInference = this.localLatency > MODEL_CONFIG.remoteLatencyThreshold ? 'remote' : 'local';
+    }
+
+    console.log(`⚙️ Using ${this.activeInference} inference` +
+      (this.localLatency !== null ? ` (local: ${this.localLatency.toFixed(0)}ms)` : ''));
+    return this.activeInference;
+  }
+
+  /**
+   * Send the current video frame to the backend for inference
+   * @param {HTMLVideoElement} videoElement - Video element showing the camera stream
+   * @returns {Promise<Object>} Prediction result in the predictSign shape
+   */
+  async predictRemote(videoElement) {
+    if (!this.frameCanvas) {
+      this.frameCanvas = document.createElement('canvas');
+    }
+
+    const scale = Math.min(1, MODEL_CONFIG.remoteFrameWidth / videoElement.videoWidth);
+    this.frameCanvas.width = Math.round(videoElement.videoWidth * scale);
+    this.frameCanvas.height = Math.round(videoElement.videoHeight * scale);
+    this.frameCanvas
+      .getContext('2d')
+      .drawImage(videoElement, 0, 0, this.frameCanvas.width, this.frameCanvas.height);
+
+    const frame = await new Promise((resolve) => this.frameCanvas.toBlob(resolve, 'image/jpeg', 0.8));
+    if (!frame) {
+      return { success: false, error: 'Could not encode camera frame' };
     }
+
+    const result = await ApiService.post('/ml/predict', frame, {
+      headers: { 'Content-Type': 'image/jpeg' },
+    });
+
+    // The server has no model - let auto mode retry locally on the next frame
+    if (result.status === 503 && this.inferenceMode === 'auto') {
+      console.warn('⚠️ Server inference unavailable, switching to local inference');
+      this.activeInference = 'local';
+    }
+
+    return result;
   }
 
   /**
@@ -289,32 +385,30 @@ class MLModelService {
    * Unload model and free memory
    */
   async unloadModel() {
-    if (this.model) {
-      this.model.dispose();
-      this.model = null;
-      this.isModelLoaded = false;
-      console.log('🗑️ Model unloaded and memory freed');
-    }
+    await this.engine.unloadModel();
+    await this.refreshModelInfo();
   }
 
   /**
    * Get model info
+   * Reflects the engine state as of the last load; backend and memory stats
+   * are refreshed every memoryCheckInterval frames
    * @returns {Object} Model information
    */
   getModelInfo() {
     return {
-      isLoaded: this.isModelLoaded,
-      isInitialized: this.isInitialized,
-      inputShape: MODEL_CONFIG.inputShape,
-      numClasses: MODEL_CONFIG.classLabels.length,
-      classLabels: MODEL_CONFIG.classLabels,
-      confidenceThreshold: MODEL_CONFIG.confidenceThreshold,
+      ...this.modelInfo,
+      mockMode: MODEL_CONFIG.mockMode,
+      usesWorker: this.usesWorker,
+      inferenceMode: this.inferenceMode,
+      activeInference: this.activeInference,
+      localLatency: this.localLatency,
     };
   }
 }
 
 // Export singleton instance
-const mlModelService = new MLModelService();
+const mlModelService = new MLModelClient();
 
 export default mlModelService;
 export { MODEL_CONFIG };
@@ -0,0 +1,1109 @@
+/**
+ * ML Model Core
+ * Handles TensorFlow.js model loading and inference for sign language recognition.
+ * Runs inside the inference Web Worker when the browser supports it, otherwise
+ * on the main thread - screens use the mlModel.js facade either way.
+ *
+ * Recognition is a two-stage pipeline: MediaPipe Hands detects up to two hands
+ * and their 21 landmarks, the landmarks are normalized (see utils/landmarks)
+ * and a small classifier labels the landmark vector. Models trained on raw
+ * images are still supported with "inputType": "image".
+ *
+ * Classifiers are shipped as bundles described by a manifest.json:
+ *   {
+ *     "name": "sign_language_model",
+ *     "version": "1.0.0",
+ *     "format": "layers",          // "layers" (LayersModel) or "graph" (GraphModel)
+ *     "modelPath": "model.json",   // Relative to the manifest
+ *     "inputType": "landmarks",    // Optional - "landmarks" (default) or "image"
+ *     "inputShape": [84],          // Optional - overrides MODEL_CONFIG.inputShape
+ *     "classLabels": ["A", "B"],   // Optional - overrides MODEL_CONFIG.classLabels
+ *     "confidenceThreshold": 0.7,  // Optional - overrides MODEL_CONFIG.confidenceThreshold
+ *     "sequenceModelPath": "sequence/model.json", // Optional - motion sign classifier
+ *     "sequenceClassLabels": ["J", "Z"],          // Labels of the motion classifier outputs
+ *     "gestureTemplatesPath": "templates.json"    // Optional - { label: [sequence, ...] }
+ *   }
+ *
+ * Motion signs (declared in MODEL_CONFIG.signTypes) can't be recognized from a
+ * single frame. Their landmark frames are buffered while the hand moves and
+ * the whole gesture is classified by the sequence model, or matched against
+ * gesture templates when no sequence model is shipped.
+ * The backend model registry (GET /ml/models/:modelId/:signLanguage/manifest)
+ * serves manifests in this format, so MODEL_CONFIG can come from the server.
+ * Loaded models are cached in IndexedDB under a versioned key so repeat
+ * visits skip the network and a failed update can fall back to the cache.
+ *
+ * A per-user calibration head (see personalCalibration) is blended into both
+ * the static and the motion predictions once the user has recorded samples.
+ *
+ * On first run the available TensorFlow.js backends (webgl, wasm, cpu) are
+ * benchmarked and the fastest is remembered for this device in IndexedDB.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { setWasmPaths, version_wasm } from '@tensorflow/tfjs-backend-wasm';
+import * as handPoseDetection from '@tensorflow-models/hand-pose-detection';
+import SequenceRecognizer, { classifyByTemplates } from './sequenceRecognizer';
+import PersonalCalibration, { blendPredictions } from './personalCalibration';
+import { handsToFeatures, LANDMARK_FEATURE_SIZE, MAX_HANDS } from '../utils/landmarks';
+import { idbStore } from '../utils/idbStore';
+
+/**
+ * ML Model Configuration
+ */
+const MODEL_CONFIG = {
+  // Manifest of the model to load, in order of preference:
+  // an explicit URL, the backend model registry, or the bundle served from /public
+  manifestUrl: process.env.REACT_APP_MODEL_MANIFEST_URL
+    || (process.env.REACT_APP_MODEL_ID
+      ? `${process.env.REACT_APP_BACKEND_URL}/ml/models/${process.env.REACT_APP_MODEL_ID}/${process.env.REACT_APP_SIGN_LANGUAGE || 'asl'}/manifest`
+      : `${process.env.PUBLIC_URL || ''}/models/sign_language/manifest.json`),
+  cachePrefix: 'indexeddb://signage-model', // IndexedDB key prefix for cached models
+  inputType: 'landmarks', // 'landmarks' (hand landmark vector) or 'image' (raw frame)
+  inputShape: [LANDMARK_FEATURE_SIZE], // [224, 224, 3] for image models
+  handDetector: {
+    modelType: 'lite', // 'lite' or 'full' MediaPipe Hands detector
+    maxHands: MAX_HANDS,
+  },
+  classLabels: [
+    'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M',
+    'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z',
+    'Hello', 'Goodbye', 'Thank You', 'Please', 'Help', 'Yes', 'No',
+    '1', '2', '3', '4', '5', '6', '7', '8', '9', '10'
+  ],
+  // Signs defined by movement rather than a hand shape; every other label is static
+  signTypes: {
+    J: 'dynamic',
+    Z: 'dynamic',
+    Hello: 'dynamic',
+    Goodbye: 'dynamic',
+    'Thank You': 'dynamic',
+    Please: 'dynamic',
+    Help: 'dynamic',
+    Yes: 'dynamic',
+    No: 'dynamic',
+  },
+  confidenceThreshold: 0.7, // Minimum confidence for prediction
+  topPredictions: 3, // Number of alternatives surfaced with each prediction
+  // Developer mode - return random predictions instead of running the model
+  mockMode: process.env.REACT_APP_ML_MOCK_MODE === 'true',
+  // 'local' (in-browser), 'remote' (POST /ml/predict) or 'auto' (pick by benchmark)
+  inferenceMode: process.env.REACT_APP_INFERENCE_MODE || 'auto',
+  remoteLatencyThreshold: 400, // Auto mode uses the server when local inference is slower (ms)
+  benchmarkRuns: 3,            // Timed local inferences used by the auto mode benchmark
+  benchmarkFrameSize: { width: 640, height: 480 }, // Camera frame the hand detector is timed on
+  remoteFrameWidth: 320,       // Frames are downscaled to this width before upload
+  // TensorFlow.js backends benchmarked on first run; earlier entries win ties
+  backends: ['webgl', 'wasm', 'cpu'],
+  backendKey: 'signage_tfjs_backend', // IndexedDB key of this device's benchmark result
+  wasmPath: process.env.REACT_APP_TFJS_WASM_PATH
+    || `https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@${version_wasm}/dist/`,
+  memoryCheckInterval: 50, // Predictions between tensor-leak checks
+  leakThreshold: 100,      // Tensors above the baseline before a leak is reported
+};
+
+/**
+ * Median duration of an async operation
+ * The first (untimed) run warms up the backend, e.g. compiles WebGL shaders
+ * @param {Function} operation - Async operation to time
+ * @param {number} runs - Number of timed runs
+ * @returns {Promise<number>} Median time in milliseconds
+ */
+const medianTime = async (operation, runs = MODEL_CONFIG.benchmarkRuns) => {
+  const timings = [];
+
+  for (let run = 0; run <= runs; run++) {
+    const startTime = performance.now();
+    await operation();
+
+    if (run > 0) {
+      timings.push(performance.now() - startTime);
+    }
+  }
+
+  timings.sort((a, b) => a - b);
+  return timings[Math.floor(timings.length / 2)];
+};
+
+/**
+ * MLModelService class
+ * Manages machine learning model operations
+ */
+class MLModelService {
+  constructor() {
+    this.model = null;
+    this.handDetector = null;
+    this.sequenceRecognizer = new SequenceRecognizer();
+    this.sequenceClassifier = null; // { type: 'model' | 'templates', model, templates, labels }
+    this.calibration = new PersonalCalibration();
+    this.calibrationRecognizer = new SequenceRecognizer(); // Segments gestures while calibrating
+    this.isModelLoaded = false;
+    this.isInitialized = false;
+    this.modelMeta = {
+      name: null,
+      version: null,
+      format: null,
+      source: null, // 'network' | 'cache' | 'cache-fallback' | 'mock'
+      loadTime: null,
+    };
+    this.backendBenchmark = null; // { backend, timings, tfVersion, benchmarkedAt }
+    this.resetMemoryWatch();
+  }
+
+  /**
+   * Initialize TensorFlow.js
+   * Must be called before any model operations
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      console.log('✅ TensorFlow.js already initialized');
+      return;
+    }
+
+    try {
+      setWasmPaths(MODEL_CONFIG.wasmPath);
+      await this.selectBackend();
+      await tf.ready();
+      this.isInitialized = true;
+      console.log('✅ TensorFlow.js initialized successfully');
+      console.log('Backend:', tf.getBackend());
+    } catch (error) {
+      console.error('❌ Error initializing TensorFlow.js:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Switch to the fastest backend for this device
+   * Uses the stored benchmark result when it was measured with the current
+   * TensorFlow.js version, otherwise benchmarks every backend and stores the winner
+   * @returns {Promise<string>} Name of the active backend
+   */
+  async selectBackend() {
+    const saved = await idbStore.get(MODEL_CONFIG.backendKey);
+
+    if (saved?.tfVersion === tf.version.tfjs && await this.trySetBackend(saved.backend)) {
+      this.backendBenchmark = saved;
+      return saved.backend;
+    }
+
+    console.log('⏱️ Benchmarking TensorFlow.js backends...');
+    const timings = {};
+
+    for (const backend of MODEL_CONFIG.backends) {
+      if (await this.trySetBackend(backend)) {
+        timings[backend] = await this.benchmarkBackend();
+      }
+    }
+
+    const [winner] = Object.keys(timings).sort((a, b) => timings[a] - timings[b]);
+    if (!winner) {
+      throw new Error('No TensorFlow.js backend is available');
+    }
+
+    await tf.setBackend(winner);
+    this.backendBenchmark = {
+      backend: winner,
+      timings,
+      tfVersion: tf.version.tfjs,
+      benchmarkedAt: Date.now(),
+    };
+    await idbStore.set(MODEL_CONFIG.backendKey, this.backendBenchmark);
+
+    console.log(`✅ Selected ${winner} backend`, timings);
+    return winner;
+  }
+
+  /**
+   * Activate a backend, treating initialization failures as unavailable
+   * @param {string} backend - Backend name
+   * @returns {Promise<boolean>} True when the backend is active
+   */
+  async trySetBackend(backend) {
+    try {
+      return await tf.setBackend(backend);
+    } catch (error) {
+      console.warn(`⚠️ ${backend} backend unavailable:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Time a workload shaped like the recognition pipeline on the active backend
+   * A small convolution stands in for the hand detector, a dense layer for the classifier
+   * @returns {Promise<number>} Median time in milliseconds
+   */
+  async benchmarkBackend() {
+    const image = tf.randomUniform([1, 128, 128, 3]);
+    const filter = tf.randomUniform([3, 3, 3, 16]);
+    const features = tf.randomUniform([1, LANDMARK_FEATURE_SIZE]);
+    const weights = tf.randomUniform([LANDMARK_FEATURE_SIZE, 128]);
+
+    try {
+      return await medianTime(async () => {
+        const output = tf.tidy(() => tf.add(
+          tf.conv2d(image, filter, 1, 'same').mean(),
+          tf.matMul(features, weights).relu().sum()
+        ));
+        await output.data();
+        output.dispose();
+      });
+    } finally {
+      tf.dispose([image, filter, features, weights]);
+    }
+  }
+
+  /**
+   * Load the pretrained sign language recognition model
+   * Prefers the cached copy of the manifest's version, then the network,
+   * then any older cached version. The mock model is only used in mock mode.
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadModel() {
+    if (this.isModelLoaded) {
+      console.log('✅ Model already loaded');
+      return true;
+    }
+
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const startTime = performance.now();
+
+    try {
+      console.log('📦 Loading sign language model...');
+
+      const manifest = await this.fetchManifest();
+      const cached = await this.findCachedModel(manifest?.name);
+
+      let loaded = null;
+
+      if (manifest && cached?.version === manifest.version) {
+        loaded = await this.tryLoad(cached.key, cached.format, 'cache');
+      }
+
+      if (!loaded && manifest) {
+        loaded = await this.tryLoad(this.resolveModelUrl(manifest), manifest.format, 'network');
+        if (loaded) {
+          await this.cacheModel(loaded.model, manifest);
+        }
+      }
+
+      if (!loaded && cached) {
+        console.warn(`⚠️ Falling back to cached model version ${cached.version}`);
+        loaded = await this.tryLoad(cached.key, cached.format, 'cache-fallback');
+      }
+
+      if (!loaded && MODEL_CONFIG.mockMode) {
+        loaded = { model: await this.createMockModel(), source: 'mock' };
+      }
+
+      if (!loaded) {
+        throw new Error('No model could be loaded from the bundle or the cache');
+      }
+
+      let meta = null;
+      if (loaded.source === 'network' || loaded.source === 'cache') {
+        // The cached copy is only used when it matches the manifest version
+        meta = manifest;
+        this.applyManifest(manifest);
+      } else if (loaded.source === 'cache-fallback') {
+        // Labels and input settings must match the cached version, not the defaults
+        meta = cached.manifest || cached;
+        if (cached.manifest) {
+          this.applyManifest(cached.manifest);
+        } else {
+          console.warn('⚠️ Cached model has no saved manifest - using the default labels');
+        }
+      }
+
+      if (MODEL_CONFIG.inputType === 'landmarks') {
+        await this.loadHandDetector();
+        if (meta === manifest) {
+          await this.loadSequenceClassifier(manifest);
+        }
+      }
+
+      this.model = loaded.model;
+      this.modelMeta = {
+        name: meta?.name || 'mock_model',
+        version: meta?.version || null,
+        format: meta?.format || 'layers',
+        source: loaded.source,
+        loadTime: Math.round(performance.now() - startTime),
+      };
+
+      this.isModelLoaded = true;
+      this.resetMemoryWatch();
+      console.log(`✅ Model loaded successfully (${this.modelMeta.name}@${this.modelMeta.version} from ${this.modelMeta.source})`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error loading model:', error);
+      this.isModelLoaded = false;
+      return false;
+    }
+  }
+
+  /**
+   * Fetch the model bundle manifest
+   * @returns {Promise<Object|null>} Manifest or null when unavailable (e.g. offline)
+   */
+  async fetchManifest() {
+    try {
+      const response = await fetch(MODEL_CONFIG.manifestUrl, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const manifest = await response.json();
+      if (!manifest.name || !manifest.version) {
+        throw new Error('Manifest must declare a name and version');
+      }
+
+      return { format: 'layers', modelPath: 'model.json', ...manifest };
+    } catch (error) {
+      console.warn('⚠️ Model manifest unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the model.json URL of a manifest relative to the manifest location
+   * @param {Object} manifest - Model manifest
+   * @returns {string} Absolute model URL
+   */
+  resolveModelUrl(manifest) {
+    // self is the window on the main thread and the worker scope in the worker
+    // eslint-disable-next-line no-restricted-globals
+    return new URL(manifest.modelPath, new URL(MODEL_CONFIG.manifestUrl, self.location.href)).href;
+  }
+
+  /**
+   * Copy input, label and threshold overrides from a manifest into MODEL_CONFIG
+   * @param {Object} manifest - Model manifest
+   */
+  applyManifest(manifest) {
+    if (manifest.inputType === 'landmarks' || manifest.inputType === 'image') {
+      MODEL_CONFIG.inputType = manifest.inputType;
+    }
+    if (typeof manifest.confidenceThreshold === 'number') {
+      MODEL_CONFIG.confidenceThreshold = manifest.confidenceThreshold;
+    }
+    if (Array.isArray(manifest.inputShape)) {
+      MODEL_CONFIG.inputShape = manifest.inputShape;
+    }
+    if (Array.isArray(manifest.classLabels)) {
+      MODEL_CONFIG.classLabels = manifest.classLabels;
+    }
+  }
+
+  /**
+   * Load a LayersModel or GraphModel, returning null instead of throwing
+   * @param {string} url - Model URL or indexeddb:// key
+   * @param {string} format - 'layers' or 'graph'
+   * @param {string} source - Source reported in model info
+   * @returns {Promise<Object|null>} { model, source } or null on failure
+   */
+  async tryLoad(url, format, source) {
+    try {
+      const model = format === 'graph'
+        ? await tf.loadGraphModel(url)
+        : await tf.loadLayersModel(url);
+      return { model, source };
+    } catch (error) {
+      console.warn(`⚠️ Could not load model from ${source}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build the IndexedDB key for a model version
+   * Key layout: indexeddb://signage-model/<name>/<format>/<version>
+   * @param {Object} manifest - Model manifest
+   * @returns {string} Cache key
+   */
+  getCacheKey(manifest) {
+    return `${MODEL_CONFIG.cachePrefix}/${manifest.name}/${manifest.format}/${manifest.version}`;
+  }
+
+  /**
+   * Find the most recently cached model in IndexedDB
+   * @param {string} [name] - Restrict to a model name
+   * @returns {Promise<Object|null>} { key, name, format, version, manifest } or null
+   */
+  async findCachedModel(name) {
+    try {
+      const models = await tf.io.listModels();
+
+      const cached = Object.entries(models)
+        .filter(([key]) => key.startsWith(`${MODEL_CONFIG.cachePrefix}/`))
+        .map(([key, info]) => {
+          const [cachedName, format, version] = key.slice(MODEL_CONFIG.cachePrefix.length + 1).split('/');
+          return { key, name: cachedName, format, version, dateSaved: new Date(info.dateSaved) };
+        })
+        .filter((entry) => !name || entry.name === name)
+        .sort((a, b) => b.dateSaved - a.dateSaved);
+
+      if (!cached[0]) return null;
+
+      // 📄 Saved by cacheModel under the same key
+      return { ...cached[0], manifest: await idbStore.get(cached[0].key) };
+    } catch (error) {
+      console.warn('⚠️ Model cache unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Save a freshly downloaded model to IndexedDB and drop older versions
+   * The manifest is kept under the same key so a cache fallback can apply it
+   * @param {tf.LayersModel|tf.GraphModel} model - Loaded model
+   * @param {Object} manifest - Manifest the model was loaded from
+   */
+  async cacheModel(model, manifest) {
+    try {
+      const key = this.getCacheKey(manifest);
+      await model.save(key);
+      await idbStore.set(key, manifest);
+
+      const models = await tf.io.listModels();
+      const stale = Object.keys(models).filter((cachedKey) =>
+        cachedKey.startsWith(`${MODEL_CONFIG.cachePrefix}/${manifest.name}/`) && cachedKey !== key
+      );
+      await Promise.all(stale.flatMap((cachedKey) => [tf.io.removeModel(cachedKey), idbStore.remove(cachedKey)]));
+
+      console.log(`💾 Cached model ${manifest.name}@${manifest.version}`);
+    } catch (error) {
+      // Caching is an optimisation - the loaded model is still usable
+      console.warn('⚠️ Could not cache model:', error.message);
+    }
+  }
+
+  /**
+   * Load the MediaPipe Hands detector (first pipeline stage)
+   * Runs on the TensorFlow.js runtime so it shares the app's backend
+   */
+  async loadHandDetector() {
+    if (this.handDetector) return;
+
+    this.handDetector = await handPoseDetection.createDetector(
+      handPoseDetection.SupportedModels.MediaPipeHands,
+      {
+        runtime: 'tfjs',
+        modelType: MODEL_CONFIG.handDetector.modelType,
+        maxHands: MODEL_CONFIG.handDetector.maxHands,
+      }
+    );
+    console.log('✋ Hand detector loaded');
+  }
+
+  /**
+   * Detect hands and their 21 landmarks
+   * @param {tf.Tensor3D|HTMLVideoElement|ImageData} input - Frame to analyse
+   * @returns {Promise<Array>} Hands as { handedness, score, keypoints: [{ x, y, name }] }
+   */
+  async detectHands(input) {
+    const hands = await this.handDetector.estimateHands(input, { flipHorizontal: false });
+
+    return hands.map((hand) => ({
+      handedness: hand.handedness,
+      score: hand.score,
+      keypoints: hand.keypoints.map(({ x, y, name }) => ({ x, y, name })),
+    }));
+  }
+
+  /**
+   * Load the motion sign classifier declared by a manifest
+   * A sequence model is preferred; gesture templates are the lightweight fallback
+   * @param {Object} manifest - Model manifest
+   */
+  async loadSequenceClassifier(manifest) {
+    const resolve = (relativePath) => new URL(relativePath, this.resolveModelUrl(manifest)).href;
+
+    try {
+      if (manifest.sequenceModelPath) {
+        const labels = manifest.sequenceClassLabels
+          || MODEL_CONFIG.classLabels.filter((label) => this.getSignType(label) === 'dynamic');
+
+        this.sequenceClassifier = {
+          type: 'model',
+          model: await tf.loadLayersModel(resolve(manifest.sequenceModelPath)),
+          labels,
+        };
+      } else if (manifest.gestureTemplatesPath) {
+        const response = await fetch(resolve(manifest.gestureTemplatesPath));
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const templates = await response.json();
+        this.sequenceClassifier = { type: 'templates', templates, labels: Object.keys(templates) };
+      }
+
+      if (this.sequenceClassifier) {
+        console.log(`🌊 Motion sign recognition ready (${this.sequenceClassifier.type})`);
+      }
+    } catch (error) {
+      // Static signs still work without it
+      console.warn('⚠️ Could not load motion sign classifier:', error.message);
+      this.sequenceClassifier = null;
+    }
+  }
+
+  /**
+   * Whether a sign is recognized from a single frame or from movement
+   * @param {string} label - Class label
+   * @returns {string} 'static' or 'dynamic'
+   */
+  getSignType(label) {
+    return MODEL_CONFIG.signTypes[label] || 'static';
+  }
+
+  /**
+   * Feed detected hands to the gesture buffer and classify completed gestures
+   * @param {Array} hands - Hands detected in the current frame
+   * @param {{width: number, height: number}} frameSize - Frame size in pixels
+   * @returns {Promise<Object>} { motion, prediction } - prediction is set when a
+   *   motion sign was recognized in this frame
+   */
+  async trackMotion(hands, frameSize) {
+    if (!this.sequenceClassifier && !this.calibration.hasGestureSamples()) {
+      return { motion: null, prediction: null };
+    }
+
+    const { state, progress, gesture } = this.sequenceRecognizer.addFrame(hands, frameSize);
+    const motion = { state, progress };
+
+    if (!gesture) {
+      return { motion, prediction: null };
+    }
+
+    const base = {};
+    if (this.sequenceClassifier?.type === 'model') {
+      const input = tf.tensor3d([gesture]);
+      const output = this.sequenceClassifier.model.predict(input);
+      const scores = await output.data();
+      input.dispose();
+      output.dispose();
+
+      this.sequenceClassifier.labels.forEach((label, index) => {
+        base[label] = scores[index];
+      });
+    } else if (this.sequenceClassifier) {
+      classifyByTemplates(gesture, this.sequenceClassifier.templates).forEach(({ label, confidence }) => {
+        base[label] = confidence;
+      });
+    }
+
+    const blended = blendPredictions(base, this.calibration.classifyGesture(gesture));
+    const ranked = this.getTopPredictions(Object.values(blended), MODEL_CONFIG.topPredictions, Object.keys(blended));
+
+    const [best] = ranked;
+    if (!best || best.confidence < MODEL_CONFIG.confidenceThreshold) {
+      return { motion, prediction: null };
+    }
+
+    console.log(`🌊 Motion sign: ${best.label} (${(best.confidence * 100).toFixed(2)}%)`);
+
+    return {
+      motion,
+      prediction: {
+        success: true,
+        label: best.label,
+        confidence: best.confidence,
+        signType: 'dynamic',
+        allPredictions: ranked,
+      },
+    };
+  }
+
+  /**
+   * Create a mock model for local development
+   * Only used in mock mode when no real model bundle is available
+   * @returns {Promise<tf.LayersModel>} Mock model
+   */
+  async createMockModel() {
+    if (MODEL_CONFIG.inputType === 'landmarks') {
+      const model = tf.sequential({
+        layers: [
+          tf.layers.dense({ inputShape: MODEL_CONFIG.inputShape, units: 64, activation: 'relu' }),
+          tf.layers.dense({ units: MODEL_CONFIG.classLabels.length, activation: 'softmax' }),
+        ],
+      });
+
+      console.log('⚠️ Using mock landmark model for development');
+      return model;
+    }
+
+    // Create a simple mock model for development
+    const model = tf.sequential({
+      layers: [
+        tf.layers.conv2d({
+          inputShape: MODEL_CONFIG.inputShape,
+          filters: 32,
+          kernelSize: 3,
+          activation: 'relu',
+        }),
+        tf.layers.flatten(),
+        tf.layers.dense({ units: MODEL_CONFIG.classLabels.length, activation: 'softmax' }),
+      ],
+    });
+
+    console.log('⚠️ Using mock model for development');
+    return model;
+  }
+
+  /**
+   * Preprocess image for model input
+   * @param {tf.Tensor} imageTensor - Input image tensor
+   * @returns {tf.Tensor} Preprocessed tensor
+   */
+  preprocessImage(imageTensor) {
+    return tf.tidy(() => {
+      // Resize image to model input size
+      const resized = tf.image.resizeBilinear(
+        imageTensor,
+        [MODEL_CONFIG.inputShape[0], MODEL_CONFIG.inputShape[1]]
+      );
+
+      // Normalize pixel values to [0, 1]
+      const normalized = resized.div(255.0);
+
+      // Add batch dimension
+      const batched = normalized.expandDims(0);
+
+      return batched;
+    });
+  }
+
+  /**
+   * Predict sign from image
+   * Landmark models first detect hands; the detected hands are returned with
+   * the prediction so screens can draw overlays and give feedback
+   * @param {tf.Tensor} imageTensor - Input image tensor
+   * @returns {Promise<Object>} Prediction result with label, confidence and hands
+   */
+  async predictSign(imageTensor) {
+    if (!this.isModelLoaded) {
+      console.warn('⚠️ Model not loaded, loading now...');
+      const loaded = await this.loadModel();
+      if (!loaded) {
+        return {
+          success: false,
+          error: 'Model failed to load',
+        };
+      }
+    }
+
+    try {
+      let hands = null;
+      let motion = null;
+      let features = null;
+      let preprocessed;
+
+      if (MODEL_CONFIG.inputType === 'landmarks') {
+        // Stage 1: hand landmarks
+        hands = await this.detectHands(imageTensor);
+
+        // Motion signs are classified once a whole gesture has been buffered
+        const [height, width] = imageTensor.shape;
+        const tracked = await this.trackMotion(hands, { width, height });
+        motion = tracked.motion;
+
+        if (tracked.prediction) {
+          return { ...tracked.prediction, motion, hands };
+        }
+
+        if (hands.length === 0) {
+          return {
+            success: true,
+            label: 'Unknown',
+            confidence: 0,
+            message: 'No hand detected - show your hand inside the frame',
+            allPredictions: [],
+            motion,
+            hands,
+          };
+        }
+
+        // Stage 2: classify the normalized landmark vector
+        features = handsToFeatures(hands);
+        preprocessed = tf.tensor2d([features]);
+      } else {
+        // Preprocess the image
+        preprocessed = this.preprocessImage(imageTensor);
+      }
+
+      // Run inference - the tensors are freed even when it fails
+      let predictions = null;
+      let predictionsData;
+      try {
+        predictions = await this.model.predict(preprocessed);
+        predictionsData = await predictions.data();
+      } finally {
+        preprocessed.dispose();
+        predictions?.dispose();
+      }
+
+      // Blend in the user's own recorded hand shapes
+      const personal = features && this.calibration.classifyStatic(features);
+      if (personal) {
+        const blended = blendPredictions(
+          Object.fromEntries(MODEL_CONFIG.classLabels.map((label, index) => [label, predictionsData[index]])),
+          personal
+        );
+        predictionsData = MODEL_CONFIG.classLabels.map((label) => blended[label] || 0);
+      }
+
+      // With a motion classifier available, motion signs only come from that path
+      if (this.sequenceClassifier) {
+        predictionsData = predictionsData.map((confidence, index) =>
+          this.getSignType(MODEL_CONFIG.classLabels[index]) === 'dynamic' ? 0 : confidence
+        );
+      }
+
+      // Find the class with highest confidence
+      const maxConfidence = Math.max(...predictionsData);
+      const predictedIndex = predictionsData.indexOf(maxConfidence);
+      const predictedLabel = MODEL_CONFIG.classLabels[predictedIndex];
+      const allPredictions = this.getTopPredictions(predictionsData, MODEL_CONFIG.topPredictions);
+
+      // Check if confidence meets threshold
+      if (maxConfidence < MODEL_CONFIG.confidenceThreshold) {
+        return {
+          success: true,
+          label: 'Unknown',
+          confidence: maxConfidence,
+          message: 'Low confidence - please try again with better hand position',
+          allPredictions,
+          signType: 'static',
+          motion,
+          hands,
+        };
+      }
+
+      console.log(`🎯 Prediction: ${predictedLabel} (${(maxConfidence * 100).toFixed(2)}%)`);
+
+      return {
+        success: true,
+        label: predictedLabel,
+        confidence: maxConfidence,
+        allPredictions,
+        signType: 'static',
+        motion,
+        hands,
+      };
+    } catch (error) {
+      console.error('❌ Error during prediction:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get top N predictions
+   * @param {Float32Array} predictions - Array of prediction values
+   * @param {number} topN - Number of top predictions to return
+   * @param {string[]} labels - Labels of the prediction values
+   * @returns {Array} Array of top predictions with labels and confidences
+   */
+  getTopPredictions(predictions, topN = 3, labels = MODEL_CONFIG.classLabels) {
+    const predictionArray = Array.from(predictions).map((confidence, index) => ({
+      label: labels[index],
+      confidence,
+    }));
+
+    // Sort by confidence descending
+    predictionArray.sort((a, b) => b.confidence - a.confidence);
+
+    // Return top N
+    return predictionArray.slice(0, topN);
+  }
+
+  /**
+   * Process camera frame for prediction
+   * @param {ImageData|Object} imageData - Canvas ImageData (RGBA) or { width, height, data } with RGB bytes
+   * @returns {Promise<Object>} Prediction result
+   */
+  async processFrame(imageData) {
+    let imageTensor = null;
+
+    try {
+      // Convert image to tensor
+      imageTensor = typeof ImageData !== 'undefined' && imageData instanceof ImageData
+        ? tf.browser.fromPixels(imageData)
+        : tf.tensor3d(imageData.data, [imageData.height, imageData.width, 3]);
+
+      // Get prediction
+      return await this.predictSign(imageTensor);
+    } catch (error) {
+      console.error('❌ Error processing frame:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    } finally {
+      // Clean up
+      if (imageTensor) {
+        imageTensor.dispose();
+      }
+      this.watchMemory();
+    }
+  }
+
+  /**
+   * Run inference on a frame source
+   * Accepts anything tf.browser.fromPixels reads: a <video> element on the
+   * main thread, or a transferred ImageBitmap inside the worker
+   * @param {HTMLVideoElement|ImageBitmap|ImageData} source - Frame to analyse
+   * @returns {Promise<Object>} Prediction result
+   */
+  async predictFrame(source) {
+    let frameTensor = null;
+
+    try {
+      frameTensor = tf.browser.fromPixels(source);
+      return await this.predictSign(frameTensor);
+    } catch (error) {
+      console.error('❌ Error capturing video frame:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    } finally {
+      if (frameTensor) {
+        frameTensor.dispose();
+      }
+      // Bitmaps transferred from the main thread are owned here
+      if (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) {
+        source.close();
+      }
+      this.watchMemory();
+    }
+  }
+
+  /**
+   * Switch to a user's personal calibration
+   * @param {string|null} userId - User id, or null when signed out
+   * @returns {Promise<Object>} Calibration summary
+   */
+  async setCalibrationUser(userId) {
+    await this.calibration.load(userId);
+    return this.calibration.getSummary();
+  }
+
+  /**
+   * Record a calibration sample for a sign from a frame
+   * Static signs store the hand shape of every frame with a hand in it;
+   * motion signs store a gesture once the user has finished performing it
+   * @param {HTMLVideoElement|ImageBitmap|ImageData} source - Frame to analyse
+   * @param {string} label - Sign being calibrated
+   * @returns {Promise<Object>} { success, captured, hands, motion, summary }
+   */
+  async recordCalibrationSample(source, label) {
+    let frameTensor = null;
+
+    try {
+      if (!this.calibration.userId) {
+        return { success: false, error: 'Sign in to calibrate' };
+      }
+
+      if (!this.isModelLoaded && !(await this.loadModel())) {
+        return { success: false, error: 'Model failed to load' };
+      }
+
+      if (MODEL_CONFIG.inputType !== 'landmarks') {
+        return { success: false, error: 'Calibration needs a landmark model' };
+      }
+
+      frameTensor = tf.browser.fromPixels(source);
+      const hands = await this.detectHands(frameTensor);
+      let motion = null;
+      let captured = false;
+
+      if (this.getSignType(label) === 'dynamic') {
+        const [height, width] = frameTensor.shape;
+        const { state, progress, gesture } = this.calibrationRecognizer.addFrame(hands, { width, height });
+        motion = { state, progress };
+
+        if (gesture) {
+          await this.calibration.addGestureSample(label, gesture);
+          captured = true;
+        }
+      } else if (hands.length > 0) {
+        await this.calibration.addStaticSample(label, handsToFeatures(hands));
+        captured = true;
+      }
+
+      return {
+        success: true,
+        captured,
+        hands,
+        motion,
+        summary: this.calibration.getSummary(),
+      };
+    } catch (error) {
+      console.error('❌ Error recording calibration sample:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    } finally {
+      if (frameTensor) {
+        frameTensor.dispose();
+      }
+      if (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) {
+        source.close();
+      }
+    }
+  }
+
+  /**
+   * Forget calibration samples
+   * @param {string[]} labels - Signs to reset, or omitted for all signs
+   * @returns {Promise<Object>} Calibration summary
+   */
+  async resetCalibration(labels) {
+    await this.calibration.reset(labels);
+    this.calibrationRecognizer.reset();
+    console.log('🗑️ Calibration reset');
+    return this.calibration.getSummary();
+  }
+
+  /**
+   * Sample counts of the current user's calibration
+   * @returns {Object} { userId, samples: { label: count }, updatedAt }
+   */
+  getCalibrationSummary() {
+    return this.calibration.getSummary();
+  }
+
+  /**
+   * Measure the median latency of the loaded model on a blank input
+   * Landmark models only see what the hand detector found, so a blank
+   * camera-sized frame goes through the detector first on every run
+   * @returns {Promise<number>} Median inference time in milliseconds
+   */
+  async benchmarkLocalInference() {
+    const input = tf.zeros([1, ...MODEL_CONFIG.inputShape]);
+    const frame = MODEL_CONFIG.inputType === 'landmarks' && this.handDetector
+      ? tf.zeros([MODEL_CONFIG.benchmarkFrameSize.height, MODEL_CONFIG.benchmarkFrameSize.width, 3], 'int32')
+      : null;
+
+    try {
+      return await medianTime(async () => {
+        if (frame) {
+          await this.detectHands(frame);
+        }
+        const output = this.model.predict(input);
+        await output.data();
+        output.dispose();
+      });
+    } finally {
+      tf.dispose([input, frame].filter(Boolean));
+    }
+  }
+
+  /**
+   * Start tensor-leak tracking from scratch
+   * Called whenever the set of loaded models changes
+   */
+  resetMemoryWatch() {
+    this.memoryWatch = {
+      predictions: 0,
+      baseline: null,  // numTensors at the first check, after warm-up
+      growth: 0,       // numTensors above the baseline at the last check
+      leakSuspected: false,
+    };
+  }
+
+  /**
+   * Tensor-leak watchdog, run after every prediction
+   * Every memoryCheckInterval predictions the live tensor count is compared
+   * with the count at the first check; steady growth means a prediction path
+   * is not disposing its tensors
+   */
+  watchMemory() {
+    const watch = this.memoryWatch;
+    watch.predictions++;
+
+    if (watch.predictions % MODEL_CONFIG.memoryCheckInterval !== 0) return;
+
+    const { numTensors } = tf.memory();
+
+    if (watch.baseline === null) {
+      watch.baseline = numTensors;
+      return;
+    }
+
+    watch.growth = numTensors - watch.baseline;
+
+    if (watch.growth > MODEL_CONFIG.leakThreshold && !watch.leakSuspected) {
+      watch.leakSuspected = true;
+      console.warn(`⚠️ Possible tensor leak: ${watch.growth} more tensors than after warm-up (${numTensors} live)`);
+    }
+  }
+
+  /**
+   * Unload model and free memory
+   */
+  async unloadModel() {
+    if (this.handDetector) {
+      this.handDetector.dispose();
+      this.handDetector = null;
+    }
+
+    if (this.sequenceClassifier?.model) {
+      this.sequenceClassifier.model.dispose();
+    }
+    this.sequenceClassifier = null;
+    this.sequenceRecognizer.reset();
+    this.resetMemoryWatch();
+
+    if (this.model) {
+      this.model.dispose();
+      this.model = null;
+      this.isModelLoaded = false;
+      console.log('🗑️ Model unloaded and memory freed');
+    }
+  }
+
+  /**
+   * Get model info
+   * @returns {Object} Model information
+   */
+  getModelInfo() {
+    return {
+      name: this.modelMeta.name,
+      version: this.modelMeta.version,
+      format: this.modelMeta.format,
+      source: this.modelMeta.source,
+      loadTime: this.modelMeta.loadTime,
+      isLoaded: this.isModelLoaded,
+      isInitialized: this.isInitialized,
+      inputShape: MODEL_CONFIG.inputShape,
+      inputType: MODEL_CONFIG.inputType,
+      isHandDetectorLoaded: this.handDetector !== null,
+      motionRecognition: this.sequenceClassifier?.type || null,
+      signTypes: MODEL_CONFIG.signTypes,
+      isCalibrated: Object.keys(this.calibration.getSummary().samples).length > 0,
+      numClasses: MODEL_CONFIG.classLabels.length,
+      classLabels: MODEL_CONFIG.classLabels,
+      confidenceThreshold: MODEL_CONFIG.confidenceThreshold,
+      backend: this.isInitialized ? tf.getBackend() : null,
+      backendBenchmark: this.backendBenchmark,
+      memory: {
+        ...tf.memory(),
+        predictions: this.memoryWatch.predictions,
+        tensorGrowth: this.memoryWatch.growth,
+        leakSuspected: this.memoryWatch.leakSuspected,
+      },
+    };
+  }
+}
+
+export { MLModelService, MODEL_CONFIG };
@@ -0,0 +1,113 @@
+/**
+ * ML Worker Bridge
+ * Promise-based RPC to the inference Web Worker, mirroring the async
+ * methods of MLModelService so the facade can use either interchangeably
+ */
+
+class MLWorkerBridge {
+  constructor() {
+    this.worker = new Worker(new URL('../workers/mlModel.worker.js', import.meta.url));
+    this.nextId = 1;
+    this.pending = new Map();
+
+    this.worker.onmessage = ({ data }) => {
+      const request = this.pending.get(data.id);
+      if (!request) return;
+
+      this.pending.delete(data.id);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.result);
+      }
+    };
+
+    this.worker.onerror = (event) => {
+      console.error('❌ ML worker error:', event.message);
+      this.pending.forEach(({ reject }) => reject(new Error(event.message || 'ML worker crashed')));
+      this.pending.clear();
+    };
+  }
+
+  /**
+   * Call a method on the worker's MLModelService
+   * @param {string} method - Method name
+   * @param {Array} args - Structured-cloneable arguments
+   * @param {Transferable[]} transfer - Objects moved to the worker (e.g. ImageBitmaps)
+   * @returns {Promise<any>} Method result
+   */
+  call(method, args = [], transfer = []) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, method, args }, transfer);
+    });
+  }
+
+  initialize() {
+    return this.call('initialize');
+  }
+
+  loadModel() {
+    return this.call('loadModel');
+  }
+
+  processFrame(imageData) {
+    return this.call('processFrame', [imageData]);
+  }
+
+  /**
+   * Video elements can't cross into a worker, so the current frame is
+   * captured as an ImageBitmap and transferred without copying
+   * @param {HTMLVideoElement|ImageBitmap} source - Frame source
+   */
+  async predictFrame(source) {
+    const bitmap = source instanceof ImageBitmap ? source : await createImageBitmap(source);
+    return this.call('predictFrame', [bitmap], [bitmap]);
+  }
+
+  benchmarkLocalInference() {
+    return this.call('benchmarkLocalInference');
+  }
+
+  setCalibrationUser(userId) {
+    return this.call('setCalibrationUser', [userId]);
+  }
+
+  /**
+   * The frame is transferred as an ImageBitmap, like predictFrame
+   * @param {HTMLVideoElement|ImageBitmap} source - Frame source
+   * @param {string} label - Sign being calibrated
+   */
+  async recordCalibrationSample(source, label) {
+    const bitmap = source instanceof ImageBitmap ? source : await createImageBitmap(source);
+    return this.call('recordCalibrationSample', [bitmap, label], [bitmap]);
+  }
+
+  resetCalibration(labels) {
+    return this.call('resetCalibration', [labels]);
+  }
+
+  getCalibrationSummary() {
+    return this.call('getCalibrationSummary');
+  }
+
+  getModelInfo() {
+    return this.call('getModelInfo');
+  }
+
+  unloadModel() {
+    return this.call('unloadModel');
+  }
+
+  /**
+   * Stop the worker and reject anything still pending
+   */
+  terminate() {
+    this.worker.terminate();
+    this.pending.forEach(({ reject }) => reject(new Error('ML worker terminated')));
+    this.pending.clear();
+  }
+}
+
+export default MLWorkerBridge;
@@ -0,0 +1,250 @@
+/**
+ * Personal Calibration
+ * A per-user recognition head trained from a handful of recorded samples, so
+ * the generic model adapts to small or unusual hands without retraining.
+ *
+ * Static signs are matched with k-nearest neighbours over the normalized
+ * landmark vector (see utils/landmarks); motion signs are matched against the
+ * user's recorded gestures as templates. The head abstains when nothing it has
+ * seen is close, so uncalibrated signs are left to the base model.
+ * Samples are stored per user in IndexedDB and never leave the device.
+ */
+
+import { classifyByTemplates, dtwDistance } from './sequenceRecognizer';
+import { idbStore } from '../utils/idbStore';
+
+/**
+ * Calibration settings
+ * Distances are in palm sizes, like the landmark features themselves
+ */
+export const CALIBRATION_CONFIG = {
+  storageKeyPrefix: 'signage_calibration_', // Followed by the user id
+  samplesPerSign: 5,        // Static samples recorded per sign
+  gesturesPerSign: 3,       // Motion samples recorded per sign
+  maxSamplesPerSign: 20,    // Oldest samples are dropped beyond this
+  neighbours: 5,            // k for the static nearest-neighbour vote
+  maxStaticDistance: 1.5,   // Abstain when the nearest static sample is further away
+  maxGestureDistance: 0.6,  // Abstain when the nearest recorded gesture is further away
+  blendWeight: 0.6,         // Weight of the personal head against the base model
+};
+
+/**
+ * Euclidean distance between two feature vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Distance
+ */
+const euclidean = (a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0));
+
+/**
+ * Blend base model confidences with the personal head
+ * @param {Object} base - { label: confidence } from the base model
+ * @param {Array|null} personal - [{ label, confidence }] from the personal head, null when it abstains
+ * @param {number} weight - Weight of the personal head
+ * @returns {Object} { label: confidence } over the union of labels
+ */
+export const blendPredictions = (base, personal, weight = CALIBRATION_CONFIG.blendWeight) => {
+  if (!personal) {
+    return base;
+  }
+
+  // Nothing to blend with, e.g. motion signs without a shipped sequence model
+  if (Object.keys(base).length === 0) {
+    return Object.fromEntries(personal.map(({ label, confidence }) => [label, confidence]));
+  }
+
+  const blended = {};
+  Object.entries(base).forEach(([label, confidence]) => {
+    blended[label] = confidence * (1 - weight);
+  });
+  personal.forEach(({ label, confidence }) => {
+    blended[label] = (blended[label] || 0) + confidence * weight;
+  });
+
+  return blended;
+};
+
+class PersonalCalibration {
+  constructor() {
+    this.userId = null;
+    this.clear();
+  }
+
+  /**
+   * Forget the in-memory samples (storage is untouched)
+   */
+  clear() {
+    this.staticSamples = {};  // { label: [features, ...] }
+    this.gestureSamples = {}; // { label: [sequence, ...] }
+    this.updatedAt = null;
+  }
+
+  get storageKey() {
+    return `${CALIBRATION_CONFIG.storageKeyPrefix}${this.userId}`;
+  }
+
+  /**
+   * Switch to a user's calibration
+   * @param {string|null} userId - User id, or null when signed out
+   * @returns {Promise<void>}
+   */
+  async load(userId) {
+    this.userId = userId;
+    this.clear();
+
+    if (!userId) return;
+
+    const saved = await idbStore.get(this.storageKey);
+    // Another user may have signed in while storage was being read
+    if (saved && this.userId === userId) {
+      this.staticSamples = saved.staticSamples || {};
+      this.gestureSamples = saved.gestureSamples || {};
+      this.updatedAt = saved.updatedAt || null;
+    }
+  }
+
+  /**
+   * Persist the current user's samples
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.userId) return;
+
+    this.updatedAt = Date.now();
+    await idbStore.set(this.storageKey, {
+      staticSamples: this.staticSamples,
+      gestureSamples: this.gestureSamples,
+      updatedAt: this.updatedAt,
+    });
+  }
+
+  /**
+   * Add a sample, dropping the oldest beyond maxSamplesPerSign
+   * @param {Object} samples - staticSamples or gestureSamples
+   * @param {string} label - Sign label
+   * @param {Array} sample - Feature vector or resampled gesture
+   */
+  addSample(samples, label, sample) {
+    samples[label] = [...(samples[label] || []), sample].slice(-CALIBRATION_CONFIG.maxSamplesPerSign);
+  }
+
+  /**
+   * Record a hand shape for a static sign
+   * @param {string} label - Sign label
+   * @param {number[]} features - Normalized landmark vector
+   * @returns {Promise<void>}
+   */
+  async addStaticSample(label, features) {
+    this.addSample(this.staticSamples, label, Array.from(features));
+    await this.save();
+  }
+
+  /**
+   * Record a gesture for a motion sign
+   * @param {string} label - Sign label
+   * @param {number[][]} sequence - Resampled gesture from SequenceRecognizer
+   * @returns {Promise<void>}
+   */
+  async addGestureSample(label, sequence) {
+    this.addSample(this.gestureSamples, label, sequence);
+    await this.save();
+  }
+
+  /**
+   * Remove samples
+   * @param {string[]} labels - Signs to forget, or omitted for everything
+   * @returns {Promise<void>}
+   */
+  async reset(labels) {
+    if (!labels) {
+      this.clear();
+      if (this.userId) {
+        await idbStore.remove(this.storageKey);
+      }
+      return;
+    }
+
+    labels.forEach((label) => {
+      delete this.staticSamples[label];
+      delete this.gestureSamples[label];
+    });
+    await this.save();
+  }
+
+  hasStaticSamples() {
+    return Object.keys(this.staticSamples).length > 0;
+  }
+
+  hasGestureSamples() {
+    return Object.keys(this.gestureSamples).length > 0;
+  }
+
+  /**
+   * Nearest-neighbour vote over the recorded hand shapes
+   * @param {number[]} features - Normalized landmark vector
+   * @returns {Array|null} [{ label, confidence }] or null when abstaining
+   */
+  classifyStatic(features) {
+    const neighbours = Object.entries(this.staticSamples)
+      .flatMap(([label, samples]) => samples.map((sample) => ({ label, distance: euclidean(features, sample) })))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, CALIBRATION_CONFIG.neighbours);
+
+    if (neighbours.length === 0 || neighbours[0].distance > CALIBRATION_CONFIG.maxStaticDistance) {
+      return null;
+    }
+
+    // Closer neighbours get a larger say
+    const votes = {};
+    neighbours.forEach(({ label, distance }) => {
+      votes[label] = (votes[label] || 0) + 1 / (distance + 1e-6);
+    });
+    const total = Object.values(votes).reduce((sum, vote) => sum + vote, 0);
+
+    return Object.entries(votes)
+      .map(([label, vote]) => ({ label, confidence: vote / total }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Match a gesture against the recorded gestures
+   * @param {number[][]} sequence - Resampled gesture
+   * @returns {Array|null} [{ label, confidence }] or null when abstaining
+   */
+  classifyGesture(sequence) {
+    if (!this.hasGestureSamples()) {
+      return null;
+    }
+
+    const nearest = Math.min(...Object.values(this.gestureSamples)
+      .flat()
+      .map((example) => dtwDistance(sequence, example)));
+
+    if (nearest > CALIBRATION_CONFIG.maxGestureDistance) {
+      return null;
+    }
+
+    return classifyByTemplates(sequence, this.gestureSamples);
+  }
+
+  /**
+   * Sample counts per sign
+   * @returns {Object} { userId, samples: { label: count }, updatedAt }
+   */
+  getSummary() {
+    const samples = {};
+    [this.staticSamples, this.gestureSamples].forEach((group) => {
+      Object.entries(group).forEach(([label, list]) => {
+        samples[label] = (samples[label] || 0) + list.length;
+      });
+    });
+
+    return {
+      userId: this.userId,
+      samples,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+export default PersonalCalibration;
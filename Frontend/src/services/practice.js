@@ -0,0 +1,47 @@
+/**
+ * Practice Service
+ * Camera practice sessions tracked by the backend, which maintains the
+ * user's average and best accuracy and per-sign statistics
+ */
+
+import { ApiService } from './api';
+
+export const PracticeService = {
+  /**
+   * Start a practice session
+   * @param {Object} options - { mode: 'free' | 'lesson', lessonId }
+   * @returns {Promise<Object>} { success, sessionId }
+   */
+  startSession({ mode = 'free', lessonId = null } = {}) {
+    return ApiService.post('/practice/sessions', { mode, lessonId });
+  },
+
+  /**
+   * Record a recognized attempt
+   * @param {string} sessionId - Session from startSession
+   * @param {Object} attempt - { targetSign, predictedLabel, confidence }; targetSign is omitted in free practice
+   * @returns {Promise<Object>} { success, accuracy, averageAccuracy, bestAccuracy, xp, review }
+   */
+  recordAttempt(sessionId, { targetSign = null, predictedLabel, confidence }) {
+    return ApiService.post(`/practice/sessions/${sessionId}/attempts`, { targetSign, predictedLabel, confidence });
+  },
+
+  /**
+   * End a practice session
+   * @param {string} sessionId - Session from startSession
+   * @returns {Promise<Object>} { success, session }
+   */
+  endSession(sessionId) {
+    return ApiService.post(`/practice/sessions/${sessionId}/end`);
+  },
+
+  /**
+   * Get accuracy statistics per practiced sign
+   * @returns {Promise<Object>} { success, signs: [{ sign, attempts, averageAccuracy, bestAccuracy }] }
+   */
+  getSignStats() {
+    return ApiService.get('/practice/signs');
+  },
+};
+
+export default PracticeService;
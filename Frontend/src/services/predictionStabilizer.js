@@ -0,0 +1,187 @@
+/**
+ * Prediction Stabilizer
+ * Turns noisy per-frame predictions into a steady label for children:
+ * keeps a sliding window of recent results, majority-votes the label,
+ * exponentially smooths confidences and only emits a "sign recognized"
+ * event once the same label has been held for a configurable duration.
+ * Motion signs arrive as one prediction per completed gesture, so they are
+ * recognized immediately instead of having to be held.
+ */
+
+import { MODEL_CONFIG } from './mlModel';
+
+/**
+ * Default stabilizer settings
+ */
+export const STABILIZER_CONFIG = {
+  windowSize: 8,          // Number of recent predictions considered for voting
+  minVoteRatio: 0.6,      // Share of the window the leading label must hold
+  smoothingFactor: 0.4,   // Weight of the newest confidence in the moving average
+  holdDuration: 1000,     // How long a sign must be held to count (ms)
+  minConfidence: MODEL_CONFIG.confidenceThreshold, // Smoothed confidence needed to hold
+  gestureDisplayDuration: 1500, // How long a recognized motion sign stays on screen (ms)
+};
+
+const UNKNOWN_LABEL = 'Unknown';
+
+class PredictionStabilizer {
+  /**
+   * @param {Object} options - Overrides for STABILIZER_CONFIG
+   */
+  constructor(options = {}) {
+    this.config = { ...STABILIZER_CONFIG, ...options };
+    this.listeners = new Set();
+    this.reset();
+  }
+
+  /**
+   * Clear all history, e.g. when practice stops or the target sign changes
+   */
+  reset() {
+    this.window = [];
+    this.smoothedConfidences = {};
+    this.holdLabel = null;
+    this.holdStart = null;
+    this.hasEmitted = false;
+    this.gesture = null;
+    this.gestureUntil = 0;
+  }
+
+  /**
+   * Subscribe to "sign recognized" events
+   * @param {Function} callback - Called with { label, confidence, heldFor }
+   * @returns {Function} Unsubscribe function
+   */
+  onRecognized(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Feed a prediction result from MLModelService
+   * @param {Object} result - Result of predictSign / predictFromVideo
+   * @param {number} timestamp - Time of the frame in milliseconds
+   * @returns {Object} { label, confidence, progress, isStable, recognized }
+   *   progress runs from 0 to 1 while a sign is being held,
+   *   recognized is true only for the update that emitted the event
+   */
+  update(result, timestamp = performance.now()) {
+    if (result?.success && result.signType === 'dynamic' && result.label !== UNKNOWN_LABEL) {
+      return this.acceptGesture(result, timestamp);
+    }
+
+    const label = result?.success ? result.label : UNKNOWN_LABEL;
+    const confidence = result?.success ? result.confidence : 0;
+
+    this.window.push(label);
+    if (this.window.length > this.config.windowSize) {
+      this.window.shift();
+    }
+
+    this.smoothConfidences(result?.success ? (result.allPredictions || [{ label, confidence }]) : []);
+
+    // Keep showing a recognized motion sign for a moment
+    if (this.gesture && timestamp < this.gestureUntil) {
+      return { ...this.gesture, recognized: false };
+    }
+    this.gesture = null;
+
+    const candidate = this.getCandidate();
+
+    if (candidate !== this.holdLabel) {
+      this.holdLabel = candidate;
+      this.holdStart = candidate ? timestamp : null;
+      this.hasEmitted = false;
+    }
+
+    if (!candidate) {
+      return { label: null, confidence: 0, progress: 0, isStable: false, recognized: false };
+    }
+
+    const heldFor = timestamp - this.holdStart;
+    const progress = Math.min(heldFor / this.config.holdDuration, 1);
+    const smoothedConfidence = this.smoothedConfidences[candidate];
+    let recognized = false;
+
+    if (progress >= 1 && !this.hasEmitted) {
+      this.hasEmitted = true;
+      recognized = true;
+      const event = { label: candidate, confidence: smoothedConfidence, heldFor };
+      this.listeners.forEach((listener) => listener(event));
+    }
+
+    return {
+      label: candidate,
+      confidence: smoothedConfidence,
+      progress,
+      isStable: progress >= 1,
+      recognized,
+    };
+  }
+
+  /**
+   * Recognize a completed motion sign right away
+   * @param {Object} result - Dynamic prediction from MLModelService
+   * @param {number} timestamp - Time of the frame in milliseconds
+   * @returns {Object} Stabilizer state for the recognized gesture
+   */
+  acceptGesture(result, timestamp) {
+    const { label, confidence } = result;
+
+    this.window = [];
+    this.smoothedConfidences = {};
+    this.holdLabel = null;
+    this.holdStart = null;
+    this.hasEmitted = false;
+    this.gesture = { label, confidence, progress: 1, isStable: true };
+    this.gestureUntil = timestamp + this.config.gestureDisplayDuration;
+
+    const event = { label, confidence, heldFor: 0 };
+    this.listeners.forEach((listener) => listener(event));
+
+    return { ...this.gesture, recognized: true };
+  }
+
+  /**
+   * Exponential moving average over every label's confidence
+   * Labels missing from the latest prediction decay towards zero
+   * @param {Array} predictions - [{ label, confidence }]
+   */
+  smoothConfidences(predictions) {
+    const alpha = this.config.smoothingFactor;
+    const latest = Object.fromEntries(predictions.map((item) => [item.label, item.confidence]));
+    const labels = new Set([...Object.keys(this.smoothedConfidences), ...Object.keys(latest)]);
+
+    labels.forEach((label) => {
+      const previous = this.smoothedConfidences[label] || 0;
+      const smoothed = alpha * (latest[label] || 0) + (1 - alpha) * previous;
+
+      if (smoothed < 0.01) {
+        delete this.smoothedConfidences[label];
+      } else {
+        this.smoothedConfidences[label] = smoothed;
+      }
+    });
+  }
+
+  /**
+   * Majority vote over the window, gated by the smoothed confidence
+   * @returns {string|null} Label currently being held, if any
+   */
+  getCandidate() {
+    const votes = {};
+    this.window.forEach((label) => {
+      votes[label] = (votes[label] || 0) + 1;
+    });
+
+    const [leader, count] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0] || [];
+
+    if (!leader || leader === UNKNOWN_LABEL) return null;
+    if (count / this.config.windowSize < this.config.minVoteRatio) return null;
+    if ((this.smoothedConfidences[leader] || 0) < this.config.minConfidence) return null;
+
+    return leader;
+  }
+}
+
+export default PredictionStabilizer;
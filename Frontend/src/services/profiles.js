@@ -0,0 +1,77 @@
+/**
+ * Profile Service
+ * Child profiles under a parent account and the parent PIN
+ */
+
+import { ApiService } from './api';
+
+export const ProfileService = {
+  /**
+   * Get the account's profile and its child profiles
+   * @returns {Promise<Object>} { success, profiles: [{ id, displayName, avatar, isChild, level, streak }], hasPin, avatars, maxChildProfiles }
+   */
+  getProfiles() {
+    return ApiService.get('/profiles');
+  },
+
+  /**
+   * Create a child profile
+   * @param {Object} profile - { displayName, avatar }
+   * @param {string} pin - Parent PIN
+   * @returns {Promise<Object>} { success, profile }
+   */
+  createProfile({ displayName, avatar }, pin) {
+    return ApiService.post('/profiles', { displayName, avatar, pin });
+  },
+
+  /**
+   * Delete a child profile and all its progress
+   * @param {string} profileId - Child profile ID
+   * @param {string} pin - Parent PIN
+   * @returns {Promise<Object>} { success }
+   */
+  deleteProfile(profileId, pin) {
+    return ApiService.request(`/profiles/${profileId}`, { method: 'DELETE', body: { pin } });
+  },
+
+  /**
+   * Set the parent PIN, or change it
+   * @param {string} pin - New 4-digit PIN
+   * @param {string} currentPin - Current PIN, when changing it
+   * @returns {Promise<Object>} { success }
+   */
+  setPin(pin, currentPin) {
+    return ApiService.put('/profiles/pin', { pin, currentPin });
+  },
+
+  /**
+   * Check the parent PIN
+   * @param {string} pin - Parent PIN
+   * @returns {Promise<Object>} { success }
+   */
+  verifyPin(pin) {
+    return ApiService.post('/profiles/pin/verify', { pin });
+  },
+
+  /**
+   * Get the progress of every child profile
+   * @param {string} pin - Parent PIN
+   * @returns {Promise<Object>} { success, children: [{ id, displayName, avatar, level, xp, streak, lessonsCompleted, totalStars, totalPracticeTime, averageAccuracy, today, leaderboardOptOut }] }
+   */
+  getChildrenProgress(pin) {
+    return ApiService.post('/profiles/progress', { pin });
+  },
+
+  /**
+   * Hide a child profile from leaderboards or show it again
+   * @param {string} profileId - Child profile ID
+   * @param {boolean} optOut - true to hide from leaderboards
+   * @param {string} pin - Parent PIN
+   * @returns {Promise<Object>} { success, optedOut }
+   */
+  setLeaderboardOptOut(profileId, optOut, pin) {
+    return ApiService.put(`/profiles/${profileId}/leaderboard-opt-out`, { optOut, pin });
+  },
+};
+
+export default ProfileService;
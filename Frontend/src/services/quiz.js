@@ -0,0 +1,45 @@
+/**
+ * Quiz Service
+ * Lesson quizzes generated and graded by the backend
+ */
+
+import { ApiService } from './api';
+
+export const QUESTION_TYPES = {
+  RECOGNITION: 'recognition', // Demonstrated sign -> pick the word
+  PRODUCTION: 'production',   // Word -> pick the demonstration
+  SIGN_IT: 'sign_it',         // Word -> sign it to the camera
+};
+
+export const QuizService = {
+  /**
+   * Start a quiz for a lesson
+   * @param {string} lessonId - Lesson ID
+   * @returns {Promise<Object>} { success, quizId, questions: [{ id, type, demo, word, signId, options: [{ token, word, demo }] }] }
+   */
+  startQuiz(lessonId) {
+    return ApiService.post('/quiz', { lessonId });
+  },
+
+  /**
+   * Answer a quiz question
+   * @param {string} quizId - Quiz ID
+   * @param {string} questionId - Question ID
+   * @param {string|Array} answer - Chosen option token, or the camera attempt records for "sign it"
+   * @returns {Promise<Object>} { success, correct, skipped, accuracy, rightAnswer, rightWord, finished, answered, total }
+   */
+  answer(quizId, questionId, answer) {
+    return ApiService.post(`/quiz/${quizId}/answers`, { questionId, answer });
+  },
+
+  /**
+   * Get past quiz attempts for a lesson
+   * @param {string} lessonId - Lesson ID
+   * @returns {Promise<Object>} { success, attempts: [{ id, status, correct, total, submitted, startedAt }] }
+   */
+  getAttempts(lessonId) {
+    return ApiService.get(`/quiz?lessonId=${lessonId}`);
+  },
+};
+
+export default QuizService;
@@ -0,0 +1,39 @@
+/**
+ * Review Service
+ * Spaced-repetition reviews of signs from completed lessons, scheduled by the backend
+ */
+
+import { ApiService } from './api';
+
+/**
+ * Grades for the review screen's answer buttons (SM-2, 0-5)
+ */
+export const REVIEW_GRADES = [
+  { grade: 1, label: 'Again' },
+  { grade: 3, label: 'Hard' },
+  { grade: 4, label: 'Good' },
+  { grade: 5, label: 'Easy' },
+];
+
+export const ReviewService = {
+  /**
+   * Get the signs due for review today across all lessons
+   * @param {number} limit - Maximum number of cards to return
+   * @returns {Promise<Object>} { success, day, dueCount, totalCards, nextDueDay, cards: [{ signId, word, lessonId, lessonTitle, dueDay, overdueDays }] }
+   */
+  getDue(limit = 20) {
+    return ApiService.get(`/review/due?limit=${limit}`);
+  },
+
+  /**
+   * Grade a sign in a review session
+   * @param {string} signId - Sign ID from the lesson data
+   * @param {number} grade - 0 (forgot) to 5 (perfect)
+   * @returns {Promise<Object>} { success, review: { signId, grade, wasDue, interval, dueDay }, xp }
+   */
+  recordReview(signId, grade) {
+    return ApiService.post(`/review/${signId}`, { grade });
+  },
+};
+
+export default ReviewService;
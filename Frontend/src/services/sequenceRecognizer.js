@@ -0,0 +1,198 @@
+/**
+ * Sequence Recognizer
+ * Buffers hand landmark frames while the hand is moving so motion signs
+ * (J, Z, Hello, Thank You, ...) can be classified as a whole gesture.
+ * A gesture starts when the hand moves faster than a threshold and ends
+ * once it is still again, leaves the frame or the buffer is full.
+ */
+
+import { getPalmSize, handsToMotionFeatures, orderHands } from '../utils/landmarks';
+
+/**
+ * Gesture segmentation settings
+ * Motion is measured in palm sizes per frame so it doesn't depend on how
+ * close the child stands to the camera
+ */
+export const SEQUENCE_CONFIG = {
+  sequenceLength: 24,          // Frames a gesture is resampled to before classification
+  minGestureFrames: 6,         // Shorter movements are treated as jitter
+  maxGestureFrames: 60,        // Gestures are cut off after this many frames
+  motionStartThreshold: 0.15,  // Movement that starts a gesture
+  motionEndThreshold: 0.05,    // Movement below this counts as still
+  stillFramesToEnd: 4,         // Still frames that end a gesture
+  missingFramesToEnd: 3,       // Frames without a hand that end a gesture
+  templateTemperature: 0.5,    // Softness of template matching scores
+};
+
+/**
+ * Resample a sequence of feature vectors to a fixed length by linear interpolation
+ * @param {number[][]} frames - Feature vectors
+ * @param {number} length - Target number of frames
+ * @returns {number[][]} Resampled frames
+ */
+export const resampleSequence = (frames, length) => {
+  if (frames.length === 1) {
+    return Array.from({ length }, () => [...frames[0]]);
+  }
+
+  return Array.from({ length }, (_, i) => {
+    const position = (i * (frames.length - 1)) / (length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, frames.length - 1);
+    const weight = position - lower;
+
+    return frames[lower].map((value, j) => value * (1 - weight) + frames[upper][j] * weight);
+  });
+};
+
+/**
+ * Dynamic time warping distance between two sequences of feature vectors
+ * Tolerates gestures performed faster or slower than the template
+ * @param {number[][]} a - First sequence
+ * @param {number[][]} b - Second sequence
+ * @returns {number} Average per-step distance
+ */
+export const dtwDistance = (a, b) => {
+  const frameDistance = (x, y) => Math.sqrt(x.reduce((sum, value, i) => sum + (value - y[i]) ** 2, 0));
+  const cost = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(Infinity));
+  cost[0][0] = 0;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      cost[i][j] = frameDistance(a[i - 1], b[j - 1])
+        + Math.min(cost[i - 1][j], cost[i][j - 1], cost[i - 1][j - 1]);
+    }
+  }
+
+  return cost[a.length][b.length] / (a.length + b.length);
+};
+
+/**
+ * Score a gesture against recorded templates
+ * @param {number[][]} sequence - Resampled gesture
+ * @param {Object} templates - { label: [sequence, ...] }
+ * @param {number} temperature - Softmax temperature over negative distances
+ * @returns {Array} [{ label, confidence }] sorted by confidence
+ */
+export const classifyByTemplates = (sequence, templates, temperature = SEQUENCE_CONFIG.templateTemperature) => {
+  const distances = Object.entries(templates).map(([label, examples]) => ({
+    label,
+    distance: Math.min(...examples.map((example) => dtwDistance(sequence, example))),
+  }));
+
+  const weights = distances.map(({ distance }) => Math.exp(-distance / temperature));
+  const total = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+
+  return distances
+    .map(({ label }, i) => ({ label, confidence: weights[i] / total }))
+    .sort((x, y) => y.confidence - x.confidence);
+};
+
+class SequenceRecognizer {
+  /**
+   * @param {Object} options - Overrides for SEQUENCE_CONFIG
+   */
+  constructor(options = {}) {
+    this.config = { ...SEQUENCE_CONFIG, ...options };
+    this.reset();
+  }
+
+  /**
+   * Drop any gesture in progress
+   */
+  reset() {
+    this.state = 'idle'; // 'idle' | 'recording'
+    this.frames = [];
+    this.previousHand = null;
+    this.stillFrames = 0;
+    this.missingFrames = 0;
+  }
+
+  /**
+   * Feed the hands detected in one frame
+   * @param {Array} hands - Hands from the hand detector
+   * @param {{width: number, height: number}} frameSize - Frame size in pixels
+   * @returns {Object} { state, progress, gesture } - gesture is the resampled
+   *   sequence when a gesture just ended, otherwise null
+   */
+  addFrame(hands, frameSize) {
+    if (hands.length === 0) {
+      this.previousHand = null;
+
+      if (this.state === 'recording' && ++this.missingFrames >= this.config.missingFramesToEnd) {
+        return this.finishGesture();
+      }
+      return this.getStatus(null);
+    }
+
+    this.missingFrames = 0;
+    const [primaryHand] = orderHands(hands);
+    const motion = this.measureMotion(primaryHand);
+    this.previousHand = primaryHand;
+
+    if (this.state === 'idle') {
+      if (motion >= this.config.motionStartThreshold) {
+        this.state = 'recording';
+        this.frames = [handsToMotionFeatures(hands, frameSize)];
+        this.stillFrames = 0;
+      }
+      return this.getStatus(null);
+    }
+
+    this.frames.push(handsToMotionFeatures(hands, frameSize));
+    this.stillFrames = motion < this.config.motionEndThreshold ? this.stillFrames + 1 : 0;
+
+    if (this.stillFrames >= this.config.stillFramesToEnd || this.frames.length >= this.config.maxGestureFrames) {
+      return this.finishGesture();
+    }
+
+    return this.getStatus(null);
+  }
+
+  /**
+   * Mean keypoint displacement of a hand since the previous frame, in palm sizes
+   * @param {Object} hand - Primary hand of the current frame
+   * @returns {number} Motion amount (0 when there is no previous frame)
+   */
+  measureMotion(hand) {
+    if (!this.previousHand || this.previousHand.handedness !== hand.handedness) {
+      return 0;
+    }
+
+    const displacement = hand.keypoints.reduce((sum, point, i) => {
+      const previous = this.previousHand.keypoints[i];
+      return sum + Math.hypot(point.x - previous.x, point.y - previous.y);
+    }, 0) / hand.keypoints.length;
+
+    return displacement / getPalmSize(hand.keypoints);
+  }
+
+  /**
+   * Close the current gesture, trimming the trailing still frames
+   * @returns {Object} Status with the resampled gesture, or null if it was too short
+   */
+  finishGesture() {
+    const frames = this.frames.slice(0, this.frames.length - this.stillFrames);
+    this.reset();
+
+    const gesture = frames.length >= this.config.minGestureFrames
+      ? resampleSequence(frames, this.config.sequenceLength)
+      : null;
+
+    return this.getStatus(gesture);
+  }
+
+  /**
+   * @param {number[][]|null} gesture - Completed gesture, if any
+   * @returns {Object} Recognizer status
+   */
+  getStatus(gesture) {
+    return {
+      state: this.state,
+      progress: this.state === 'recording' ? this.frames.length / this.config.maxGestureFrames : 0,
+      gesture,
+    };
+  }
+}
+
+export default SequenceRecognizer;
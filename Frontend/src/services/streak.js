@@ -0,0 +1,36 @@
+/**
+ * Streak Service
+ * Streaks are kept by the backend in the user's timezone, including streak
+ * freezes (earned by meeting the weekly goal) and one-time streak repair
+ */
+
+import { ApiService } from './api';
+
+export const StreakService = {
+  /**
+   * Get the current streak; missed days are covered by freezes first
+   * @returns {Promise<Object>} { success, streak, longestStreak, streakFreezes, repairAvailable, repairableStreak }
+   */
+  getStreak() {
+    return ApiService.get('/streak');
+  },
+
+  /**
+   * Get the freeze inventory, weekly goal progress and freeze history
+   * @param {number} limit - Number of history entries
+   * @returns {Promise<Object>} { success, streakFreezes, maxStreakFreezes, weeklyGoal, history }
+   */
+  getFreezes(limit = 20) {
+    return ApiService.get(`/streak/freezes?limit=${limit}`);
+  },
+
+  /**
+   * Repair a streak broken by a single missed day
+   * @returns {Promise<Object>} { success, streak, error }
+   */
+  repairStreak() {
+    return ApiService.post('/streak/repair');
+  },
+};
+
+export default StreakService;
@@ -0,0 +1,89 @@
+/**
+ * User Service
+ * The active profile's data, stats and settings - read and written by the
+ * backend, never directly in Firestore
+ */
+
+import { ApiService } from './api';
+import { getLocalTimeZone } from '../utils/helpers';
+
+export const UserService = {
+  /**
+   * Create the account's user document after signup, or record a login
+   * @param {string} displayName - Name for a new account
+   * @returns {Promise<Object>} { success, message, data }
+   */
+  register(displayName) {
+    return ApiService.post('/auth/register', { displayName, timeZone: getLocalTimeZone() });
+  },
+
+  /**
+   * Get the active profile's user document
+   * @returns {Promise<Object>} { success, data: { displayName, role, settings, progress, ... } }
+   */
+  getProfile() {
+    return ApiService.get('/auth/profile');
+  },
+
+  /**
+   * Get the headline progress stats
+   * @returns {Promise<Object>} { success, stats: { lessonsCompleted, totalPracticeTime, totalStars, streak, averageAccuracy, bestAccuracy } }
+   */
+  getStats() {
+    return ApiService.get('/progress/stats');
+  },
+
+  /**
+   * Get the IDs of completed lessons
+   * @returns {Promise<Object>} { success, lessons }
+   */
+  getCompletedLessons() {
+    return ApiService.get('/progress/completed-lessons');
+  },
+
+  /**
+   * Update settings of the active profile
+   * @param {Object} settings - Settings to change, e.g. { achievementNotifications: false }
+   * @returns {Promise<Object>} { success }
+   */
+  updateSettings(settings) {
+    return ApiService.put('/auth/settings', settings);
+  },
+
+  /**
+   * Store this device's timezone in the active profile's settings, for streak and goal days
+   * @returns {Promise<Object>} { success }
+   */
+  syncTimeZone() {
+    return ApiService.put('/auth/settings', { timezone: getLocalTimeZone() });
+  },
+
+  /**
+   * Switch to a role users can pick themselves - teachers use it to go back to student
+   * @param {string} role - 'student'
+   * @returns {Promise<Object>} { success, role }
+   */
+  setRole(role) {
+    return ApiService.put('/auth/role', { role });
+  },
+
+  /**
+   * Get the account's latest teacher request
+   * @returns {Promise<Object>} { success, request: { school, note, status, createdAt, reviewedAt } | null }
+   */
+  getTeacherRequest() {
+    return ApiService.get('/auth/teacher-request');
+  },
+
+  /**
+   * Ask an admin for the teacher role
+   * A previously approved account gets the role back right away
+   * @param {Object} request - { school, note }
+   * @returns {Promise<Object>} { success, role, request }
+   */
+  requestTeacherRole(request = {}) {
+    return ApiService.post('/auth/teacher-request', request);
+  },
+};
+
+export default UserService;
@@ -0,0 +1,28 @@
+/**
+ * XP Service
+ * Experience points and levels, awarded by the backend for lessons,
+ * accurate camera attempts, reviews and streaks
+ */
+
+import { ApiService } from './api';
+
+export const XpService = {
+  /**
+   * Get lifetime XP, the current level and today's XP by source
+   * @returns {Promise<Object>} { success, xp, level, levelStartXp, nextLevelXp, progressPercent, today: { day, total, sources } }
+   */
+  getXp() {
+    return ApiService.get('/progress/xp');
+  },
+
+  /**
+   * Get XP earned per day and source for recent days
+   * @param {number} days - Number of days up to and including today
+   * @returns {Promise<Object>} { success, from, to, days: [{ day, total, sources }] }
+   */
+  getHistory(days = 30) {
+    return ApiService.get(`/progress/xp/history?days=${days}`);
+  },
+};
+
+export default XpService;
@@ -169,6 +169,19 @@ export const getTimeBasedGreeting = () => {
   return 'Good Evening';
 };
 
+/**
+ * Get the device's IANA timezone (e.g. 'Europe/London')
+ * The backend counts streak and daily goal days in this zone
+ * @returns {string} Timezone, 'UTC' when the browser doesn't report one
+ */
+export const getLocalTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
 /**
  * Calculate streak days
  * @param {Array} dates - Array of date strings
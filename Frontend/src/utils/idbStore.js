@@ -0,0 +1,100 @@
+/**
+ * IndexedDB Key-Value Store
+ * Async counterpart of the localStorage `storage` helper that also works inside
+ * Web Workers, where localStorage is not available
+ */
+
+const DB_NAME = 'signage';
+const STORE_NAME = 'keyval';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the key-value database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against the store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const idbStore = {
+  /**
+   * Save data to IndexedDB
+   * @param {string} key - Storage key
+   * @param {any} value - Structured-cloneable value to store
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    try {
+      await withStore('readwrite', (store) => store.put(value, key));
+    } catch (error) {
+      console.error('Error saving to IndexedDB:', error);
+    }
+  },
+
+  /**
+   * Get data from IndexedDB
+   * @param {string} key - Storage key
+   * @returns {Promise<any>} Stored value, or null when missing
+   */
+  async get(key) {
+    try {
+      const value = await withStore('readonly', (store) => store.get(key));
+      return value ?? null;
+    } catch (error) {
+      console.error('Error reading from IndexedDB:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Remove data from IndexedDB
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    try {
+      await withStore('readwrite', (store) => store.delete(key));
+    } catch (error) {
+      console.error('Error removing from IndexedDB:', error);
+    }
+  },
+};
+
+export default idbStore;
@@ -0,0 +1,150 @@
+/**
+ * Hand Landmark Utilities
+ * Turns MediaPipe Hands keypoints into position, size and handedness
+ * independent feature vectors for the sign classifier
+ */
+
+export const NUM_HAND_LANDMARKS = 21;
+export const MAX_HANDS = 2;
+export const FEATURES_PER_HAND = NUM_HAND_LANDMARKS * 2; // x, y per landmark
+export const LANDMARK_FEATURE_SIZE = FEATURES_PER_HAND * MAX_HANDS;
+export const MOTION_FEATURE_SIZE = LANDMARK_FEATURE_SIZE + MAX_HANDS * 2; // + wrist positions
+
+// Landmark indices (MediaPipe Hands topology)
+const WRIST = 0;
+const MIDDLE_FINGER_MCP = 9;
+
+/**
+ * Pairs of landmark indices forming the hand skeleton, used for overlays
+ */
+export const HAND_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4],         // Thumb
+  [0, 5], [5, 6], [6, 7], [7, 8],         // Index finger
+  [5, 9], [9, 10], [10, 11], [11, 12],    // Middle finger
+  [9, 13], [13, 14], [14, 15], [15, 16],  // Ring finger
+  [13, 17], [17, 18], [18, 19], [19, 20], // Pinky
+  [0, 17],                                // Palm base
+];
+
+/**
+ * Normalize the keypoints of one hand
+ * - translation: coordinates are relative to the wrist
+ * - scale: coordinates are divided by the palm size (wrist to middle finger base)
+ * - handedness: left hands are mirrored so both hands share one feature space
+ * @param {Array<{x: number, y: number}>} keypoints - 21 keypoints in pixels
+ * @param {string} handedness - 'Left' or 'Right'
+ * @returns {number[]} Flat [x0, y0, x1, y1, ...] vector of FEATURES_PER_HAND values
+ */
+export const normalizeHand = (keypoints, handedness) => {
+  const wrist = keypoints[WRIST];
+  const palmSize = getPalmSize(keypoints);
+  const mirror = handedness === 'Left' ? -1 : 1;
+
+  return keypoints.flatMap((point) => [
+    (mirror * (point.x - wrist.x)) / palmSize,
+    (point.y - wrist.y) / palmSize,
+  ]);
+};
+
+/**
+ * Order hands consistently: right hand first, then left
+ * @param {Array} hands - Hands from the hand detector
+ * @returns {Array} At most MAX_HANDS hands
+ */
+export const orderHands = (hands) => {
+  const handOrder = (hand) => (hand.handedness === 'Right' ? 0 : 1);
+  return [...hands].sort((a, b) => handOrder(a) - handOrder(b)).slice(0, MAX_HANDS);
+};
+
+/**
+ * Palm size in pixels (wrist to middle finger base), used as the unit of length
+ * @param {Array<{x: number, y: number}>} keypoints - 21 keypoints in pixels
+ * @returns {number} Palm size
+ */
+export const getPalmSize = (keypoints) => {
+  const wrist = keypoints[WRIST];
+  const middleBase = keypoints[MIDDLE_FINGER_MCP];
+  return Math.hypot(middleBase.x - wrist.x, middleBase.y - wrist.y) || 1;
+};
+
+/**
+ * Build the classifier input from detected hands
+ * Right hand first, then left; a missing second hand is zero-filled
+ * @param {Array} hands - Hands from the hand detector ({ keypoints, handedness })
+ * @returns {number[]} Feature vector of LANDMARK_FEATURE_SIZE values
+ */
+export const handsToFeatures = (hands) => {
+  const ordered = orderHands(hands);
+
+  const features = new Array(LANDMARK_FEATURE_SIZE).fill(0);
+  ordered.forEach((hand, handIndex) => {
+    normalizeHand(hand.keypoints, hand.handedness).forEach((value, i) => {
+      features[handIndex * FEATURES_PER_HAND + i] = value;
+    });
+  });
+
+  return features;
+};
+
+/**
+ * Per-frame input of the motion (sequence) classifier
+ * Hand shape features plus each wrist's position in the frame (0-1), since
+ * motion signs are defined by where the hand travels, not only its shape
+ * @param {Array} hands - Hands from the hand detector
+ * @param {{width: number, height: number}} frameSize - Frame size in pixels
+ * @returns {number[]} Vector of MOTION_FEATURE_SIZE values
+ */
+export const handsToMotionFeatures = (hands, frameSize) => {
+  const positions = new Array(MAX_HANDS * 2).fill(0);
+
+  orderHands(hands).forEach((hand, handIndex) => {
+    const wrist = hand.keypoints[WRIST];
+    const mirror = hand.handedness === 'Left' ? -1 : 1;
+    positions[handIndex * 2] = mirror * (wrist.x / frameSize.width - 0.5);
+    positions[handIndex * 2 + 1] = wrist.y / frameSize.height - 0.5;
+  });
+
+  return [...handsToFeatures(hands), ...positions];
+};
+
+/**
+ * Draw detected hands over a video element
+ * The canvas is expected to cover the video, which uses object-fit: cover,
+ * so frame pixels are mapped onto the cropped, scaled element
+ * @param {HTMLCanvasElement} canvas - Overlay canvas
+ * @param {HTMLVideoElement} video - Video the keypoints were detected on
+ * @param {Array} hands - Hands from the hand detector
+ */
+export const drawHandLandmarks = (canvas, video, hands = []) => {
+  if (!canvas || !video || !video.videoWidth) return;
+
+  canvas.width = canvas.clientWidth;
+  canvas.height = canvas.clientHeight;
+
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+
+  const scale = Math.max(canvas.width / video.videoWidth, canvas.height / video.videoHeight);
+  const offsetX = (canvas.width - video.videoWidth * scale) / 2;
+  const offsetY = (canvas.height - video.videoHeight * scale) / 2;
+  const toCanvas = (point) => [point.x * scale + offsetX, point.y * scale + offsetY];
+
+  hands.forEach((hand) => {
+    context.strokeStyle = '#50C878';
+    context.lineWidth = 3;
+    HAND_CONNECTIONS.forEach(([from, to]) => {
+      context.beginPath();
+      context.moveTo(...toCanvas(hand.keypoints[from]));
+      context.lineTo(...toCanvas(hand.keypoints[to]));
+      context.stroke();
+    });
+
+    context.fillStyle = '#FFFFFF';
+    hand.keypoints.forEach((point) => {
+      const [x, y] = toCanvas(point);
+      context.beginPath();
+      context.arc(x, y, 4, 0, 2 * Math.PI);
+      context.fill();
+    });
+  });
+};
@@ -0,0 +1,43 @@
+/**
+ * ML Model Worker
+ * Runs model loading and inference off the main thread so the camera video
+ * and UI stay smooth. Receives { id, method, args } messages from
+ * MLWorkerBridge and replies with { id, result } or { id, error }.
+ */
+
+/* eslint-disable no-restricted-globals */
+
+import { MLModelService } from '../services/mlModelCore';
+
+const service = new MLModelService();
+
+// Methods the main thread may call
+const EXPOSED_METHODS = [
+  'initialize',
+  'loadModel',
+  'processFrame',
+  'predictFrame',
+  'benchmarkLocalInference',
+  'setCalibrationUser',
+  'recordCalibrationSample',
+  'resetCalibration',
+  'getCalibrationSummary',
+  'getModelInfo',
+  'unloadModel',
+];
+
+self.onmessage = async ({ data }) => {
+  const { id, method, args = [] } = data;
+
+  if (!EXPOSED_METHODS.includes(method)) {
+    self.postMessage({ id, error: `Unknown method: ${method}` });
+    return;
+  }
+
+  try {
+    const result = await service[method](...args);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};